@@ -26,6 +26,11 @@ import {
 } from 'lucide-react';
 import Toast from './Toast';
 import ConfirmModal from './ConfirmModal';
+import TemplateRegistry from './TemplateRegistry';
+import VMReconciliation from './VMReconciliation';
+import AgentHeartbeats from './AgentHeartbeats';
+import ClusterCapacity from './ClusterCapacity';
+import { TagBadge } from './VMLabels';
 
 const AdminPanel = () => {
   const { user } = useAuth();
@@ -368,14 +373,14 @@ const AdminPanel = () => {
     }
   };
 
-  const showToast = (message, type = 'success') => {
+  const showToast = useCallback((message, type = 'success') => {
     try {
       console.log('Showing toast:', message, type);
       setToast({ show: true, message, type });
     } catch (error) {
       console.error('Error showing toast:', error);
     }
-  };
+  }, []);
 
   const showConfirm = (options) => {
     try {
@@ -593,6 +598,18 @@ const AdminPanel = () => {
         )}
       </div>
 
+      {/* Template Registry */}
+      <TemplateRegistry showToast={showToast} showConfirm={showConfirm} />
+
+      {/* Reconciliation */}
+      <VMReconciliation users={users} showToast={showToast} showConfirm={showConfirm} />
+
+      {/* Farming agents */}
+      <AgentHeartbeats showToast={showToast} showConfirm={showConfirm} />
+
+      {/* Capacity and waitlist */}
+      <ClusterCapacity showToast={showToast} />
+
       {/* Add User Modal */}
       {showAddUserModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1712,11 +1729,22 @@ const UserDetailsModal = ({ user, onClose, onAction, actionLoading, onRefresh, o
               <h4 className="font-medium text-gray-900 dark:text-white transition-colors duration-200">Assigned Virtual Machines</h4>
               {user.vmIds && user.vmIds.length > 0 ? (
                 <div className="grid grid-cols-3 gap-4">
-                  {user.vmIds.map((vmId) => (
-                    <div key={vmId} className="bg-gray-50 dark:bg-gray-700 rounded-lg p-3 text-center transition-colors duration-200">
-                      <p className="font-medium text-gray-900 dark:text-white transition-colors duration-200">VM {vmId}</p>
-                    </div>
-                  ))}
+                  {user.vmIds.map((vmId) => {
+                    const labels = user.vmMetadata?.[vmId];
+                    return (
+                      <div key={vmId} className="bg-gray-50 dark:bg-gray-700 rounded-lg p-3 text-center transition-colors duration-200" title={labels?.notes || undefined}>
+                        <p className="font-medium text-gray-900 dark:text-white transition-colors duration-200">VM {vmId}</p>
+                        {labels?.nickname && (
+                          <p className="text-sm text-gray-600 dark:text-gray-300 truncate">{labels.nickname}</p>
+                        )}
+                        {labels?.tag && (
+                          <div className="mt-1">
+                            <TagBadge tag={labels.tag} color={labels.color} />
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
               ) : (
                 <div className="space-y-4">
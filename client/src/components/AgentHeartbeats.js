@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Activity, Loader2, RefreshCw } from 'lucide-react';
+import api from '../services/api';
+import { subscribe } from '../services/liveUpdates';
+
+const STATUS_BADGES = {
+  ok: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-300',
+  stale: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-300',
+  waiting: 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-300'
+};
+
+const AgentHeartbeats = ({ showToast, showConfirm }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [issuing, setIssuing] = useState(null);
+
+  const loadAgents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/admin/agents');
+      setData(response.data);
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to load agents', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadAgents();
+    return subscribe(({ type, data: event }) => {
+      if (type === 'vm.agent') {
+        setData(prev => prev && {
+          ...prev,
+          agents: prev.agents.map(agent => (agent.vmid === event.vmid ? { ...agent, ...event.agent } : agent))
+        });
+      }
+    });
+  }, [loadAgents]);
+
+  const issueCredentials = async (agent) => {
+    setIssuing(agent.vmid);
+    try {
+      const response = await api.post(`/admin/agents/${agent.vmid}/credentials`);
+      showToast(response.data.message, 'success');
+      await loadAgents();
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to issue credentials', 'error');
+    } finally {
+      setIssuing(null);
+    }
+  };
+
+  const handleIssue = (agent) => {
+    showConfirm({
+      title: 'New Agent Credentials',
+      message: `Write a new secret into VM ${agent.vmid}? The bot must be restarted to pick it up; heartbeats with the old secret are rejected.`,
+      confirmText: 'Issue',
+      type: 'warning',
+      onConfirm: () => issueCredentials(agent)
+    });
+  };
+
+  const stale = data ? data.agents.filter(agent => agent.status === 'stale').length : 0;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-4 transition-colors duration-200">
+      <div className="flex justify-between items-center">
+        <div className="flex items-center">
+          <Activity className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-2" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Farming Agents</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Heartbeats from the bot inside each VM
+              {data && ` · stale after ${data.staleAfterMinutes} minutes without one`}
+              {stale > 0 && ` · ${stale} stale`}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={loadAgents}
+          disabled={loading}
+          className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-50"
+          title="Refresh"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {!data ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-blue-600 dark:text-blue-400" />
+        </div>
+      ) : data.agents.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No VM has agent credentials yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-600 text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['VM', 'Owner', 'Status', 'Bot', 'Activity', 'Last heartbeat', ''].map(heading => (
+                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-600">
+              {data.agents.map(agent => (
+                <tr key={agent.vmid}>
+                  <td className="px-4 py-2 text-gray-900 dark:text-white">{agent.vmid}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{agent.username || '—'}</td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-1 text-xs rounded-full ${STATUS_BADGES[agent.status]}`}>{agent.status}</span>
+                  </td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                    {agent.botState ? `${agent.botState}${agent.gameRunning ? '' : ' (game not running)'}` : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600 dark:text-gray-400">{agent.activity || '—'}</td>
+                  <td className="px-4 py-2 text-gray-600 dark:text-gray-400">
+                    {agent.lastHeartbeatAt ? new Date(agent.lastHeartbeatAt).toLocaleString() : 'never'}
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => handleIssue(agent)}
+                      disabled={issuing !== null}
+                      className="text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                    >
+                      {issuing === agent.vmid ? <Loader2 className="h-3.5 w-3.5 animate-spin inline" /> : 'New credentials'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgentHeartbeats;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Server, Loader2, RefreshCw } from 'lucide-react';
+import api from '../services/api';
+
+// Committed, reserved and free share of a resource as one stacked bar
+const CapacityBar = ({ label, unit, total, committed, reserved, free }) => {
+  const share = (value) => `${total ? Math.min((value / total) * 100, 100) : 0}%`;
+
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="font-medium text-gray-700 dark:text-gray-300">{label}</span>
+        <span className="text-gray-500 dark:text-gray-400">{free} {unit} free of {total} {unit}</span>
+      </div>
+      <div className="flex w-full h-2 rounded-full overflow-hidden bg-gray-200 dark:bg-gray-700">
+        <div className="bg-blue-600 dark:bg-blue-400" style={{ width: share(committed) }} title={`${committed} ${unit} committed`} />
+        <div className="bg-yellow-500 dark:bg-yellow-400" style={{ width: share(reserved) }} title={`${reserved} ${unit} reserved`} />
+      </div>
+    </div>
+  );
+};
+
+const ClusterCapacity = ({ showToast }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadCapacity = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/admin/capacity');
+      setData(response.data);
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to load capacity', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadCapacity();
+  }, [loadCapacity]);
+
+  const capacity = data?.capacity;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-4 transition-colors duration-200">
+      <div className="flex justify-between items-center">
+        <div className="flex items-center">
+          <Server className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-2" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Cluster Capacity</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Room for new orders: committed to VMs, held for checkouts and waitlist offers, and free
+              {data && !data.enabled && ' · checks are turned off'}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={loadCapacity}
+          disabled={loading}
+          className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-50"
+          title="Refresh"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {!data ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-blue-600 dark:text-blue-400" />
+        </div>
+      ) : (
+        <>
+          <CapacityBar
+            label={`RAM (${capacity.nodes} node${capacity.nodes === 1 ? '' : 's'})`}
+            unit="GB"
+            total={Math.round(capacity.total.memory / 1024)}
+            committed={Math.round(capacity.committed.memory / 1024)}
+            reserved={Math.round(capacity.reserved.memory / 1024)}
+            free={Math.round(capacity.free.memory / 1024)}
+          />
+          <CapacityBar
+            label="CPU"
+            unit="vCPUs"
+            total={capacity.total.cores}
+            committed={capacity.committed.cores}
+            reserved={capacity.reserved.cores}
+            free={capacity.free.cores}
+          />
+
+          {data.reservations.length > 0 && (
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              <p className="font-medium text-gray-700 dark:text-gray-300 mb-1">Held</p>
+              {data.reservations.map(reservation => (
+                <p key={reservation.id}>
+                  {reservation.username}: {reservation.vmCount}× {reservation.planType} ({reservation.kind}) until {new Date(reservation.expiresAt).toLocaleString()}
+                </p>
+              ))}
+            </div>
+          )}
+
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            <p className="font-medium text-gray-700 dark:text-gray-300 mb-1">Waitlist</p>
+            {data.waitlist.length === 0 ? (
+              <p>Nobody is waiting.</p>
+            ) : data.waitlist.map(entry => (
+              <p key={entry.id}>
+                {entry.status === 'notified' ? 'Offered' : `#${entry.position}`} {entry.username}: {entry.vmCount}× {entry.planType}
+                {entry.kind === 'upgrade' && ' (upgrade)'} since {new Date(entry.createdAt).toLocaleDateString()}
+              </p>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ClusterCapacity;
@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import api from '../services/api';
+import { subscribe } from '../services/liveUpdates';
 import VMCard from './VMCard';
 import VMSetup from './VMSetup';
 import DashboardStats from './DashboardStats';
@@ -10,6 +11,7 @@ import SubscriptionManager from './SubscriptionManager';
 import AdminPanel from './AdminPanel';
 import Analytics from './Analytics';
 import SystemMonitoringModal from './SystemMonitoringModal';
+import { TagBadge } from './VMLabels';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -24,12 +26,9 @@ const Dashboard = () => {
   const [subscriptionInfo, setSubscriptionInfo] = useState(null);
   const [setupInfo, setSetupInfo] = useState(null);
   const [showSetup, setShowSetup] = useState(false);
-  
-  // Add state to prevent API loops
-  const [fetchingVMs, setFetchingVMs] = useState(false);
-  const [fetchingStats, setFetchingStats] = useState(false);
-  const [fetchingServerStats, setFetchingServerStats] = useState(false);
-  const [lastFetchTime, setLastFetchTime] = useState(0);
+  const [provisioning, setProvisioning] = useState({}); // jobId -> latest provisioning.progress event
+  const [tagFilter, setTagFilter] = useState('');
+  const [groupByTag, setGroupByTag] = useState(false);
 
   // Monitoring state
   const [monitoringData, setMonitoringData] = useState({
@@ -46,49 +45,36 @@ const Dashboard = () => {
   });
   const [activeMonitoringTab, setActiveMonitoringTab] = useState('system');
 
-  const fetchVMs = async () => {
-    // Prevent infinite loops - don't fetch if already fetching or fetched recently
-    const now = Date.now();
-    if (fetchingVMs || (now - lastFetchTime < 2000)) { // 2 second minimum between calls
-      console.log('🛑 VM fetch prevented - already in progress or too recent');
-      return;
-    }
-    
+  const fetchVMs = useCallback(async () => {
     try {
-      setFetchingVMs(true);
       setError('');
-      console.log('🔄 Fetching VMs...');
       const response = await api.get('/vm');
       setVMs(response.data.vms || []);
       setSubscriptionInfo(response.data.subscription || null);
       setSetupInfo(response.data.setup || null);
-      setLastFetchTime(now);
-      console.log('✅ VMs fetched successfully');
     } catch (error) {
       console.error('Error fetching VMs:', error);
       setError(error.response?.data?.error || 'Failed to fetch VMs');
-    } finally {
-      setFetchingVMs(false);
     }
-  };
+  }, []);
 
-  const fetchStats = async () => {
+  const fetchStats = useCallback(async () => {
     try {
       const response = await api.get('/user/dashboard');
       setStats(response.data.stats);
     } catch (error) {
       console.error('Error fetching stats:', error);
     }
-  };
+  }, []);
 
-  const fetchServerStats = async () => {
+  const fetchServerStats = useCallback(async () => {
     try {
       const response = await api.get('/vm/server-overview');
       setServerStats(response.data.stats);
     } catch (error) {
       console.error('Error fetching server stats:', error);
     }
-  };
+  }, []);
 
   const handleRefresh = async () => {
     setRefreshing(true);
@@ -110,17 +96,13 @@ const Dashboard = () => {
         reboot: 'VM reboot command sent'
       };
       
-      // Optionally show a toast notification here
+      // The new status arrives as a live update
       console.log(actionMessages[action]);
       
-      // Refresh VMs after a short delay to see status change
-      setTimeout(() => {
-        fetchVMs();
-      }, 2000);
-      
     } catch (error) {
+      // VMCard shows the reason, e.g. a busy VM or an action cooldown
       console.error(`Error ${action} VM:`, error);
-      setError(error.response?.data?.error || `Failed to ${action} VM`);
+      throw error;
     } finally {
       setActionLoading(prev => ({ ...prev, [`${vmId}-${action}`]: false }));
     }
@@ -134,7 +116,48 @@ const Dashboard = () => {
     };
 
     loadData();
-  }, []);
+  }, [fetchVMs, fetchStats, fetchServerStats]);
+
+  // Server pushes replace polling: VM states are patched in place, anything
+  // that changes the VM list or the subscription reloads it once
+  useEffect(() => {
+    return subscribe(({ type, data }) => {
+      switch (type) {
+        case 'vm.status':
+          setVMs(prev => prev.map(vm => (vm.vmid === data.vmid ? {
+            ...vm,
+            status: data.status,
+            detailedStatus: {
+              ...vm.detailedStatus,
+              status: data.status,
+              cpu: data.cpu,
+              mem: data.mem,
+              maxmem: data.maxmem,
+              uptime: data.uptime
+            }
+          } : vm)));
+          break;
+        case 'vm.agent':
+          setVMs(prev => prev.map(vm => (vm.vmid === data.vmid ? { ...vm, agent: data.agent } : vm)));
+          break;
+        case 'provisioning.progress':
+          setProvisioning(prev => ({ ...prev, [data.jobId]: data }));
+          break;
+        case 'setup.status':
+          if (data.status !== 'provisioning') {
+            setProvisioning({});
+          }
+          fetchVMs();
+          break;
+        case 'subscription.changed':
+          fetchVMs();
+          fetchStats();
+          break;
+        default:
+          break;
+      }
+    });
+  }, [fetchVMs, fetchStats]);
 
   // Handle URL parameters for payment success/failure
   useEffect(() => {
@@ -237,6 +260,24 @@ const Dashboard = () => {
     fetchMonitoringData(activeMonitoringTab);
   };
 
+  const handleProvisioningJobAction = async (jobId, action) => {
+    try {
+      await api.post(`/admin/monitoring/vm-provisioning/jobs/${jobId}/${action}`);
+    } catch (error) {
+      console.error(`Error running ${action} on provisioning job ${jobId}:`, error);
+      setError(error.response?.data?.error || `Failed to ${action} provisioning job`);
+    } finally {
+      fetchMonitoringData('provisioning');
+    }
+  };
+
+  const provisioningStageLabels = {
+    clone: 'Creating VM',
+    configure: 'Applying plan resources',
+    start: 'Starting',
+    setup: 'Finishing setup'
+  };
+
   const tabs = [
     { id: 'vms', label: 'Virtual Machines', icon: Monitor },
     { id: 'subscription', label: 'Subscription', icon: CreditCard }
@@ -249,6 +290,55 @@ const Dashboard = () => {
     tabs.push({ id: 'system-monitoring', label: 'System Monitor', icon: Activity });
   }
 
+  // Tags customers gave their VMs, for filtering and grouping the grid
+  const tags = [...new Set(vms.map(vm => vm.metadata?.tag).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const activeTag = tags.includes(tagFilter) ? tagFilter : '';
+
+  const renderVMCards = (list) => (
+    <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+      {list.map((vm) => (
+        <VMCard
+          key={vm.vmid}
+          vm={vm}
+          onAction={handleVMAction}
+          onRefresh={fetchVMs}
+          actionLoading={actionLoading}
+          subscriptionInfo={subscriptionInfo}
+        />
+      ))}
+    </div>
+  );
+
+  const renderVMGrid = () => {
+    const filtered = activeTag ? vms.filter(vm => vm.metadata?.tag === activeTag) : vms;
+
+    if (!groupByTag || activeTag) {
+      return renderVMCards(filtered);
+    }
+
+    const groups = [...tags, null]
+      .map(tag => ({ tag, vms: filtered.filter(vm => (vm.metadata?.tag || null) === tag) }))
+      .filter(group => group.vms.length > 0);
+
+    return (
+      <div className="space-y-6">
+        {groups.map(group => (
+          <div key={group.tag || 'untagged'}>
+            <div className="flex items-center mb-3">
+              {group.tag ? (
+                <TagBadge tag={group.tag} color={group.vms[0].metadata.color} />
+              ) : (
+                <span className="text-sm font-medium text-gray-500 dark:text-gray-400">Untagged</span>
+              )}
+              <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{group.vms.length} VM{group.vms.length === 1 ? '' : 's'}</span>
+            </div>
+            {renderVMCards(group.vms)}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   const renderVMDashboard = () => (
     <div className="space-y-6">
       {/* Server Stats for Admin */}
@@ -315,6 +405,43 @@ const Dashboard = () => {
           <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 transition-colors duration-200">
             {user?.role === 'admin' ? 'Manage all virtual machines' : 'Manage your assigned virtual machines'}
           </p>
+          {tags.length > 0 && (
+            <div className="mt-3 flex items-center space-x-4">
+              <select
+                value={activeTag}
+                onChange={(e) => setTagFilter(e.target.value)}
+                className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              >
+                <option value="">All tags</option>
+                {tags.map(tag => (
+                  <option key={tag} value={tag}>{tag}</option>
+                ))}
+              </select>
+              <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={groupByTag}
+                  onChange={(e) => setGroupByTag(e.target.checked)}
+                  className="mr-2"
+                />
+                Group by tag
+              </label>
+            </div>
+          )}
+          {Object.keys(provisioning).length > 0 && (
+            <ul className="mt-3 space-y-1">
+              {Object.values(provisioning).map(job => (
+                <li key={job.jobId} className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+                  {job.status === 'running' && <Loader2 className="h-3.5 w-3.5 mr-1.5 animate-spin text-primary-600 dark:text-primary-400" />}
+                  {job.status === 'completed' && <CheckCircle className="h-3.5 w-3.5 mr-1.5 text-green-600 dark:text-green-400" />}
+                  {['retrying', 'failed'].includes(job.status) && <AlertCircle className="h-3.5 w-3.5 mr-1.5 text-red-600 dark:text-red-400" />}
+                  <span>
+                    {job.vmName}: {job.status === 'completed' ? 'ready' : `${provisioningStageLabels[job.stage] || job.stage}${job.status === 'running' ? '…' : ` ${job.status}`}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         {loading ? (
@@ -368,31 +495,11 @@ const Dashboard = () => {
             </div>
             
             {/* Show VMs grid below setup message */}
-            <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-              {vms.map((vm) => (
-                <VMCard
-                  key={vm.vmid}
-                  vm={vm}
-                  onAction={handleVMAction}
-                  actionLoading={actionLoading}
-                  subscriptionInfo={subscriptionInfo}
-                />
-              ))}
-            </div>
+            {renderVMGrid()}
           </div>
         ) : (
           <div className="p-6">
-            <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-              {vms.map((vm) => (
-                <VMCard
-                  key={vm.vmid}
-                  vm={vm}
-                  onAction={handleVMAction}
-                  actionLoading={actionLoading}
-                  subscriptionInfo={subscriptionInfo}
-                />
-              ))}
-            </div>
+            {renderVMGrid()}
           </div>
         )}
       </div>
@@ -423,7 +530,7 @@ const Dashboard = () => {
       </div>
 
       {/* Stats */}
-      {stats && <DashboardStats stats={{...stats, userRole: stats.role || user?.role}} />}
+      {stats && <DashboardStats stats={{...stats, userRole: stats.role || user?.role}} onRefresh={fetchStats} />}
 
       {/* Server Overview - Admin Only */}
       {user?.role === 'admin' && <ServerOverview />}
@@ -483,6 +590,7 @@ const Dashboard = () => {
             fetchMonitoringData(tab);
           }}
           onRefresh={refreshMonitoringData}
+          onJobAction={handleProvisioningJobAction}
           embedded={true} // Tell component it's embedded in tab
         />
       )}
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { Timer, Target, Download, Loader2 } from 'lucide-react';
+import api from '../services/api';
+
+const PLAN_NAMES = {
+  hour_booster: 'Hour Booster',
+  dual_mode: 'Dual Mode',
+  kd_drop: 'KD Drop'
+};
+
+const FarmingProgress = ({ farming, onChanged }) => {
+  const [goalForm, setGoalForm] = useState({ targetHours: '', deadline: '' });
+  const [editingGoal, setEditingGoal] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const maxDailyHours = Math.max(...farming.daily.map(day => day.uptimeHours), 1);
+  const goal = farming.goal;
+
+  const saveGoal = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+    try {
+      await api.put('/user/farming/goal', {
+        targetHours: parseInt(goalForm.targetHours),
+        deadline: goalForm.deadline || null
+      });
+      setEditingGoal(false);
+      if (onChanged) onChanged();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Failed to save goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const clearGoal = async () => {
+    try {
+      await api.delete('/user/farming/goal');
+      if (onChanged) onChanged();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Failed to remove goal');
+    }
+  };
+
+  // The export needs the login token, so it is fetched and saved from a blob
+  const exportCSV = async () => {
+    setExporting(true);
+    try {
+      const response = await api.get('/user/farming/export', { params: { days: 90 }, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `farming-${new Date().toISOString().split('T')[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage('Failed to export farming hours');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const inputClass = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 p-6 transition-colors duration-200">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div className="flex items-center">
+          <div className="h-12 w-12 bg-orange-100 dark:bg-orange-900 rounded-lg flex items-center justify-center transition-colors duration-200">
+            <Timer className="h-6 w-6 text-orange-600 dark:text-orange-400" />
+          </div>
+          <div className="ml-4">
+            <p className="text-sm font-medium text-gray-500 dark:text-gray-400 transition-colors duration-200">Hours Farmed</p>
+            <p className="text-2xl font-bold text-gray-900 dark:text-white transition-colors duration-200">{farming.totals.farmedHours}h</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-200">
+              {farming.totals.uptimeHours}h VM uptime
+              {farming.byPlan.length > 1 && ` · ${farming.byPlan.map(plan => `${PLAN_NAMES[plan.planType] || plan.planType} ${plan.farmedHours}h`).join(', ')}`}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={exportCSV}
+          disabled={exporting}
+          className="flex items-center text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white disabled:opacity-50"
+        >
+          {exporting ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Download className="h-4 w-4 mr-1" />}
+          Export CSV
+        </button>
+      </div>
+
+      {/* Last 14 days: uptime behind, farmed hours in front */}
+      <div className="flex items-end h-24 gap-1 mb-1">
+        {farming.daily.map(day => (
+          <div
+            key={day.day}
+            className="flex-1 relative bg-gray-100 dark:bg-gray-700 rounded-sm"
+            style={{ height: `${(day.uptimeHours / maxDailyHours) * 100}%`, minHeight: '2px' }}
+            title={`${new Date(`${day.day}T00:00:00Z`).toLocaleDateString()}: ${day.farmedHours}h farmed, ${day.uptimeHours}h up`}
+          >
+            <div
+              className="absolute bottom-0 left-0 right-0 bg-orange-500 dark:bg-orange-400 rounded-sm"
+              style={{ height: day.uptimeHours ? `${Math.min(day.farmedHours / day.uptimeHours, 1) * 100}%` : 0 }}
+            />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">Last 14 days</p>
+
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+        {goal && !editingGoal ? (
+          <div>
+            <div className="flex items-center justify-between text-sm mb-1">
+              <span className="flex items-center font-medium text-gray-700 dark:text-gray-300">
+                <Target className="h-4 w-4 mr-2" />
+                {goal.farmedHours} / {goal.targetHours}h
+                {goal.deadline && ` by ${new Date(`${goal.deadline}T00:00:00Z`).toLocaleDateString()}`}
+              </span>
+              <span className="space-x-3">
+                <button onClick={() => setEditingGoal(true)} className="text-blue-600 dark:text-blue-400 hover:underline">Change</button>
+                <button onClick={clearGoal} className="text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400">Remove</button>
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+              <div className="bg-orange-500 dark:bg-orange-400 h-2 rounded-full" style={{ width: `${goal.percent}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {goal.completed
+                ? 'Goal reached!'
+                : `${goal.remainingHours}h to go${goal.hoursPerDayNeeded ? ` · ${goal.hoursPerDayNeeded}h a day to make the deadline` : ''}`}
+            </p>
+          </div>
+        ) : editingGoal || !goal ? (
+          <form onSubmit={saveGoal} className="flex flex-wrap items-center gap-2 text-sm">
+            <Target className="h-4 w-4 text-gray-500 dark:text-gray-400" />
+            <input
+              type="number"
+              min="1"
+              max="10000"
+              required
+              value={goalForm.targetHours}
+              onChange={(e) => setGoalForm({ ...goalForm, targetHours: e.target.value })}
+              placeholder="Goal (hours)"
+              className={`${inputClass} w-32`}
+            />
+            <input
+              type="date"
+              value={goalForm.deadline}
+              onChange={(e) => setGoalForm({ ...goalForm, deadline: e.target.value })}
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1 bg-primary-600 hover:bg-primary-700 text-white rounded-md disabled:opacity-50 transition-colors duration-200"
+            >
+              Set goal
+            </button>
+            {editingGoal && (
+              <button type="button" onClick={() => setEditingGoal(false)} className="text-gray-500 dark:text-gray-400 hover:underline">
+                Cancel
+              </button>
+            )}
+          </form>
+        ) : null}
+        {message && <p className="text-sm text-red-600 dark:text-red-400 mt-2">{message}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default FarmingProgress;
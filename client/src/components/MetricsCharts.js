@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { Loader2 } from 'lucide-react';
+import api from '../services/api';
+
+const TIMEFRAMES = [
+  { id: 'hour', label: 'Hour' },
+  { id: 'day', label: 'Day' },
+  { id: 'week', label: 'Week' }
+];
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+const formatTime = (time, timeframe) => {
+  const date = new Date(time);
+  return timeframe === 'week'
+    ? date.toLocaleDateString([], { weekday: 'short', hour: '2-digit' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Line chart over the points of one or more series. Missing values (VM
+// stopped, node down) break the line instead of dropping it to zero.
+const LineChart = ({ points, series, max, format, timeframe }) => {
+  const values = series.flatMap(s => points.map(p => p[s.key])).filter(v => v !== null);
+  const top = max || Math.max(1, ...values);
+  const x = (i) => (points.length > 1 ? (i / (points.length - 1)) * CHART_WIDTH : 0);
+  const y = (value) => CHART_HEIGHT - (value / top) * CHART_HEIGHT;
+
+  const buildPath = (key) => {
+    let path = '';
+    let drawing = false;
+    points.forEach((point, i) => {
+      if (point[key] === null) {
+        drawing = false;
+        return;
+      }
+      path += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(point[key]).toFixed(1)} `;
+      drawing = true;
+    });
+    return path;
+  };
+
+  const latest = (key) => {
+    for (let i = points.length - 1; i >= 0; i--) {
+      if (points[i][key] !== null) return points[i][key];
+    }
+    return null;
+  };
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-20 bg-white dark:bg-gray-900 rounded border border-gray-200 dark:border-gray-700"
+      >
+        {[0.25, 0.5, 0.75].map(line => (
+          <line
+            key={line}
+            x1="0"
+            x2={CHART_WIDTH}
+            y1={CHART_HEIGHT * line}
+            y2={CHART_HEIGHT * line}
+            className="stroke-gray-100 dark:stroke-gray-800"
+            strokeWidth="1"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        {series.map(s => (
+          <path
+            key={s.key}
+            d={buildPath(s.key)}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="1.5"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+      <div className="mt-1 flex justify-between text-[10px] text-gray-400 dark:text-gray-500">
+        <span>{points.length > 0 && formatTime(points[0].time, timeframe)}</span>
+        <span>peak {format(top)}</span>
+        <span>{points.length > 0 && formatTime(points[points.length - 1].time, timeframe)}</span>
+      </div>
+      <div className="mt-1 flex flex-wrap gap-x-3 text-xs text-gray-600 dark:text-gray-400">
+        {series.map(s => (
+          <span key={s.key} className="flex items-center">
+            <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: s.color }}></span>
+            {s.label} {latest(s.key) === null ? '–' : format(latest(s.key))}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// CPU, memory, disk IO and network history from a metrics endpoint
+const MetricsCharts = ({ url, showDiskIO = true, compact = false }) => {
+  const [timeframe, setTimeframe] = useState('hour');
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadMetrics = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await api.get(url, { params: { timeframe } });
+        if (!cancelled) setPoints(response.data.points);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.error || 'Failed to load usage history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadMetrics();
+    return () => {
+      cancelled = true;
+    };
+  }, [url, timeframe]);
+
+  const memoryTotal = Math.max(0, ...points.map(p => p.memoryTotal || 0));
+
+  const charts = [
+    {
+      title: 'CPU',
+      series: [{ key: 'cpu', label: 'Used', color: '#2563eb' }],
+      max: 100,
+      format: (value) => `${value.toFixed(1)}%`
+    },
+    {
+      title: 'Memory',
+      series: [{ key: 'memoryUsed', label: 'Used', color: '#16a34a' }],
+      max: memoryTotal || undefined,
+      format: formatBytes
+    },
+    showDiskIO && {
+      title: 'Disk IO',
+      series: [
+        { key: 'diskRead', label: 'Read', color: '#9333ea' },
+        { key: 'diskWrite', label: 'Write', color: '#ea580c' }
+      ],
+      format: (value) => `${formatBytes(value)}/s`
+    },
+    {
+      title: 'Network',
+      series: [
+        { key: 'netIn', label: 'In', color: '#0891b2' },
+        { key: 'netOut', label: 'Out', color: '#db2777' }
+      ],
+      format: (value) => `${formatBytes(value)}/s`
+    }
+  ].filter(Boolean);
+
+  return (
+    <div>
+      <div className="flex justify-end mb-3">
+        <div className="inline-flex rounded-md border border-gray-200 dark:border-gray-600 overflow-hidden">
+          {TIMEFRAMES.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setTimeframe(option.id)}
+              className={`px-2.5 py-1 text-xs font-medium transition-colors duration-200 ${
+                timeframe === option.id
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+        </div>
+      ) : error ? (
+        <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+      ) : (
+        <div className={`grid grid-cols-1 ${compact ? '' : 'sm:grid-cols-2'} gap-4`}>
+          {charts.map(chart => (
+            <div key={chart.title}>
+              <h4 className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">{chart.title}</h4>
+              <LineChart
+                points={points}
+                series={chart.series}
+                max={chart.max}
+                format={chart.format}
+                timeframe={timeframe}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MetricsCharts;
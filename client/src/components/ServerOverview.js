@@ -21,7 +21,7 @@ const ServerOverview = () => {
       }
 
       const data = await response.json();
-      setServerData(data.server);
+      setServerData(data);
       setError(null);
     } catch (err) {
       setError(err.message);
@@ -83,6 +83,8 @@ const ServerOverview = () => {
     );
   }
 
+  const nodes = serverData?.nodes || [];
+
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 border border-gray-200 dark:border-gray-700 transition-colors duration-200">
       <div className="flex items-center justify-between mb-6">
@@ -91,105 +93,118 @@ const ServerOverview = () => {
           <h2 className="text-lg font-medium text-gray-900 dark:text-white">Server Overview</h2>
         </div>
         <div className="text-sm text-gray-500 dark:text-gray-400">
-          Node: {serverData?.node} • {serverData?.status}
+          {serverData?.cluster?.onlineNodes || 0} / {serverData?.cluster?.totalNodes || 0} nodes online
         </div>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-        {/* CPU Usage */}
-        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 transition-colors duration-200">
-          <div className="flex items-center justify-between mb-3">
-            <div className="flex items-center space-x-2">
-              <Cpu className="h-5 w-5 text-blue-600 dark:text-blue-400" />
-              <span className="text-sm font-medium text-gray-900 dark:text-white">CPU</span>
-            </div>
-            <span className={`text-xs px-2 py-1 rounded-full transition-colors duration-200 ${getStatusColor(serverData?.cpu?.usage || 0)}`}>
-              {serverData?.cpu?.usage || 0}%
-            </span>
-          </div>
-          <div className="mb-2">
-            <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2 transition-colors duration-200">
-              <div 
-                className={`h-2 rounded-full transition-all duration-300 ${getProgressColor(serverData?.cpu?.usage || 0)}`}
-                style={{ width: `${serverData?.cpu?.usage || 0}%` }}
-              ></div>
+      <div className="space-y-6">
+        {nodes.map((node) => (
+          <div key={node.node}>
+            <div className="flex items-center justify-between mb-3">
+              <span className="text-sm font-medium text-gray-900 dark:text-white">Node: {node.node}</span>
+              <span className={`text-xs px-2 py-1 rounded-full transition-colors duration-200 ${getStatusColor(node.status === 'online' ? 0 : 100)}`}>
+                {node.status}
+              </span>
             </div>
-          </div>
-          <div className="text-xs text-gray-600 dark:text-gray-400">
-            {serverData?.cpu?.cores || 'N/A'} cores
-          </div>
-        </div>
-
-        {/* Memory Usage */}
-        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 transition-colors duration-200">
-          <div className="flex items-center justify-between mb-3">
-            <div className="flex items-center space-x-2">
-              <HardDrive className="h-5 w-5 text-green-600 dark:text-green-400" />
-              <span className="text-sm font-medium text-gray-900 dark:text-white">Memory</span>
-            </div>
-            <span className={`text-xs px-2 py-1 rounded-full transition-colors duration-200 ${getStatusColor(serverData?.memory?.usage || 0)}`}>
-              {serverData?.memory?.usage || 0}%
-            </span>
-          </div>
-          <div className="mb-2">
-            <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2 transition-colors duration-200">
-              <div 
-                className={`h-2 rounded-full transition-all duration-300 ${getProgressColor(serverData?.memory?.usage || 0)}`}
-                style={{ width: `${serverData?.memory?.usage || 0}%` }}
-              ></div>
-            </div>
-          </div>
-          <div className="text-xs text-gray-600 dark:text-gray-400">
-            {serverData?.memory?.used || 0} GB / {serverData?.memory?.total || 0} GB
-          </div>
-        </div>
 
-        {/* IO Delay */}
-        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 transition-colors duration-200">
-          <div className="flex items-center justify-between mb-3">
-            <div className="flex items-center space-x-2">
-              <Activity className="h-5 w-5 text-orange-600 dark:text-orange-400" />
-              <span className="text-sm font-medium text-gray-900 dark:text-white">I/O Delay</span>
-            </div>
-            <span className={`text-xs px-2 py-1 rounded-full transition-colors duration-200 ${getStatusColor(serverData?.iowait || 0)}`}>
-              {serverData?.iowait || 0}%
-            </span>
-          </div>
-          <div className="mb-2">
-            <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2 transition-colors duration-200">
-              <div 
-                className={`h-2 rounded-full transition-all duration-300 ${getProgressColor(serverData?.iowait || 0)}`}
-                style={{ width: `${Math.min(serverData?.iowait || 0, 100)}%` }}
-              ></div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              {/* CPU Usage */}
+              <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 transition-colors duration-200">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center space-x-2">
+                    <Cpu className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">CPU</span>
+                  </div>
+                  <span className={`text-xs px-2 py-1 rounded-full transition-colors duration-200 ${getStatusColor(node.cpu?.usage || 0)}`}>
+                    {node.cpu?.usage || 0}%
+                  </span>
+                </div>
+                <div className="mb-2">
+                  <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2 transition-colors duration-200">
+                    <div 
+                      className={`h-2 rounded-full transition-all duration-300 ${getProgressColor(node.cpu?.usage || 0)}`}
+                      style={{ width: `${node.cpu?.usage || 0}%` }}
+                    ></div>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  {node.cpu?.cores || 'N/A'} cores
+                </div>
+              </div>
+
+              {/* Memory Usage */}
+              <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 transition-colors duration-200">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center space-x-2">
+                    <HardDrive className="h-5 w-5 text-green-600 dark:text-green-400" />
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">Memory</span>
+                  </div>
+                  <span className={`text-xs px-2 py-1 rounded-full transition-colors duration-200 ${getStatusColor(node.memory?.usage || 0)}`}>
+                    {node.memory?.usage || 0}%
+                  </span>
+                </div>
+                <div className="mb-2">
+                  <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2 transition-colors duration-200">
+                    <div 
+                      className={`h-2 rounded-full transition-all duration-300 ${getProgressColor(node.memory?.usage || 0)}`}
+                      style={{ width: `${node.memory?.usage || 0}%` }}
+                    ></div>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  {node.memory?.used || 0} GB / {node.memory?.total || 0} GB
+                </div>
+              </div>
+
+              {/* IO Delay */}
+              <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 transition-colors duration-200">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center space-x-2">
+                    <Activity className="h-5 w-5 text-orange-600 dark:text-orange-400" />
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">I/O Delay</span>
+                  </div>
+                  <span className={`text-xs px-2 py-1 rounded-full transition-colors duration-200 ${getStatusColor(node.iowait || 0)}`}>
+                    {node.iowait || 0}%
+                  </span>
+                </div>
+                <div className="mb-2">
+                  <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2 transition-colors duration-200">
+                    <div 
+                      className={`h-2 rounded-full transition-all duration-300 ${getProgressColor(node.iowait || 0)}`}
+                      style={{ width: `${Math.min(node.iowait || 0, 100)}%` }}
+                    ></div>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  Load: {node.loadavg?.[0] && typeof node.loadavg[0] === 'number' 
+                    ? node.loadavg[0].toFixed(2) 
+                    : 'N/A'
+                  }
+                </div>
+              </div>
+
+              {/* Uptime */}
+              <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 transition-colors duration-200">
+                <div className="flex items-center space-x-2 mb-3">
+                  <Clock className="h-5 w-5 text-purple-600 dark:text-purple-400" />
+                  <span className="text-sm font-medium text-gray-900 dark:text-white">Uptime</span>
+                </div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                  {node.uptime || 'Unknown'}
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  System running
+                </div>
+              </div>
             </div>
           </div>
-          <div className="text-xs text-gray-600 dark:text-gray-400">
-            Load: {serverData?.loadavg?.[0] && typeof serverData.loadavg[0] === 'number' 
-              ? serverData.loadavg[0].toFixed(2) 
-              : 'N/A'
-            }
-          </div>
-        </div>
-
-        {/* Uptime */}
-        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4 transition-colors duration-200">
-          <div className="flex items-center space-x-2 mb-3">
-            <Clock className="h-5 w-5 text-purple-600 dark:text-purple-400" />
-            <span className="text-sm font-medium text-gray-900 dark:text-white">Uptime</span>
-          </div>
-          <div className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
-            {serverData?.uptime || 'Unknown'}
-          </div>
-          <div className="text-xs text-gray-600 dark:text-gray-400">
-            System running
-          </div>
-        </div>
+        ))}
       </div>
 
       {/* Additional Info */}
       <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-600 transition-colors duration-200">
         <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
-          <span>Proxmox: {serverData?.pveVersion || 'Unknown'}</span>
+          <span>Proxmox: {nodes.find(node => node.status === 'online')?.pveVersion || 'Unknown'}</span>
           <span>Last updated: {new Date().toLocaleTimeString()}</span>
         </div>
       </div>
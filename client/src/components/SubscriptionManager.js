@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { 
   CheckCircle,
@@ -15,10 +15,12 @@ import {
   ArrowRight,
   ArrowLeft,
   Users,
-  Mail
+  Mail,
+  Clock
 } from 'lucide-react';
 import Toast from './Toast';
 import ConfirmModal from './ConfirmModal';
+import { subscribe } from '../services/liveUpdates';
 
 const SubscriptionManager = () => {
   const { user } = useAuth();
@@ -26,8 +28,14 @@ const SubscriptionManager = () => {
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState('');
+  const [waitlist, setWaitlist] = useState(null);
+  const [capacityRefused, setCapacityRefused] = useState(false);
   const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
 
+  const showToast = useCallback((message, type = 'success') => {
+    setToast({ show: true, message, type });
+  }, []);
+
   // Multi-step configurator state
   const [currentStep, setCurrentStep] = useState(1);
   const [selectedPlanType, setSelectedPlanType] = useState('');
@@ -129,24 +137,45 @@ const SubscriptionManager = () => {
     }
   };
 
-  useEffect(() => {
-    fetchSubscriptionStatus();
-    
-    // Check for successful checkout in URL parameters
-    const urlParams = new URLSearchParams(window.location.search);
-    const success = urlParams.get('success');
-    const canceled = urlParams.get('canceled');
-    const sessionId = urlParams.get('session_id');
-    
-    if (success === 'true' && sessionId) {
-      verifyCheckoutSession(sessionId);
-    } else if (canceled === 'true') {
-      showToast('Checkout was canceled. No charges were made.', 'error');
-      window.history.replaceState({}, document.title, window.location.pathname);
+  const fetchSubscriptionStatus = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/payment/subscription-status', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setSubscription(data.subscription);
+      }
+    } catch (error) {
+      console.error('Error fetching subscription:', error);
+    } finally {
+      setLoading(false);
     }
   }, []);
 
-  const verifyCheckoutSession = async (sessionId) => {
+  const fetchWaitlist = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/payment/waitlist', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setWaitlist(data.waitlist);
+      }
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+    }
+  }, []);
+
+  const verifyCheckoutSession = useCallback(async (sessionId) => {
     try {
       console.log('🔍 Verifying checkout session:', sessionId);
       
@@ -178,29 +207,58 @@ const SubscriptionManager = () => {
       showToast('Error verifying payment. Please refresh the page or contact support.', 'error');
       window.history.replaceState({}, document.title, window.location.pathname);
     }
-  };
+  }, [fetchSubscriptionStatus, showToast]);
+
+  useEffect(() => {
+    fetchSubscriptionStatus();
+    fetchWaitlist();
+    
+    // Check for successful checkout in URL parameters
+    const urlParams = new URLSearchParams(window.location.search);
+    const success = urlParams.get('success');
+    const canceled = urlParams.get('canceled');
+    const sessionId = urlParams.get('session_id');
+    
+    if (success === 'true' && sessionId) {
+      verifyCheckoutSession(sessionId);
+    } else if (canceled === 'true') {
+      showToast('Checkout was canceled. No charges were made.', 'error');
+      window.history.replaceState({}, document.title, window.location.pathname);
+    }
+  }, [fetchSubscriptionStatus, fetchWaitlist, verifyCheckoutSession, showToast]);
 
-  const fetchSubscriptionStatus = async () => {
+  // Room for a waitlisted order is announced live
+  useEffect(() => subscribe(({ type, data }) => {
+    if (type === 'capacity.available') {
+      setWaitlist(data.waitlist);
+      showToast(`There is room for your ${data.waitlist.vmCount} VM order now. Complete checkout to claim it.`, 'success');
+    }
+  }), [showToast]);
+
+  const handleLeaveWaitlist = async () => {
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch('/api/payment/subscription-status', {
+      const response = await fetch('/api/payment/waitlist', {
+        method: 'DELETE',
         headers: {
           'Authorization': `Bearer ${token}`
         }
       });
 
+      const data = await response.json();
       if (response.ok) {
-        const data = await response.json();
-        setSubscription(data.subscription);
+        setWaitlist(null);
+        showToast(data.message, 'success');
+      } else {
+        setError(data.error || 'Failed to leave the waitlist');
       }
     } catch (error) {
-      console.error('Error fetching subscription:', error);
-    } finally {
-      setLoading(false);
+      setError('Network error. Please try again.');
     }
   };
 
-  const handleSubscribe = async () => {
+  // joinWaitlist: put the order on the waitlist if the cluster has no room for it
+  const handleSubscribe = async (joinWaitlist = false) => {
     if (selectedVMCount === '20+') {
       // Show contact form for custom pricing
       showToast('Please contact our sales team for custom pricing on 20+ VMs', 'info');
@@ -209,6 +267,7 @@ const SubscriptionManager = () => {
 
     setProcessing(true);
     setError('');
+    setCapacityRefused(false);
 
     try {
       const token = localStorage.getItem('token');
@@ -230,14 +289,19 @@ const SubscriptionManager = () => {
         body: JSON.stringify({
           planType: selectedPlanType,
           vmCount: actualVMCount,
-          planName: planTypes.find(p => p.id === selectedPlanType)?.name
+          planName: planTypes.find(p => p.id === selectedPlanType)?.name,
+          ...(joinWaitlist && { joinWaitlist: true })
         })
       });
 
       const data = await response.json();
 
       if (response.ok) {
-        if (isUpgrade) {
+        if (data.waitlisted) {
+          setWaitlist(data.waitlist);
+          showToast(data.message, 'success');
+          setProcessing(false);
+        } else if (isUpgrade) {
           // Handle successful upgrade
           await fetchSubscriptionStatus();
           
@@ -268,6 +332,10 @@ const SubscriptionManager = () => {
           setError('You already have an active subscription. The interface will update to show upgrade options.');
           await fetchSubscriptionStatus(); // Refresh subscription data
           setProcessing(false);
+        } else if (response.status === 409 && data.code === 'INSUFFICIENT_CAPACITY') {
+          setCapacityRefused(true);
+          setError(data.error);
+          setProcessing(false);
         } else {
           setError(data.error || 'Failed to process request');
           setProcessing(false);
@@ -337,10 +405,6 @@ const SubscriptionManager = () => {
     }
   };
 
-  const showToast = (message, type = 'success') => {
-    setToast({ show: true, message, type });
-  };
-
   const showConfirm = (options) => {
     setConfirmModal({
       show: true,
@@ -569,10 +633,38 @@ const SubscriptionManager = () => {
         </div>
       )}
 
+      {waitlist && (
+        <div className="bg-blue-50 dark:bg-blue-900 border border-blue-200 dark:border-blue-700 text-blue-800 dark:text-blue-300 px-4 py-3 rounded-md flex items-center justify-between transition-colors duration-200">
+          <div className="flex items-center">
+            <Clock className="h-5 w-5 mr-2 flex-shrink-0" />
+            <span className="text-sm">
+              {waitlist.status === 'notified'
+                ? `Room for your ${waitlist.vmCount} VM ${waitlist.planName || waitlist.planType} order is held for you until ${new Date(waitlist.offerExpiresAt).toLocaleString()}. Choose the same plan below to complete checkout.`
+                : `You are #${waitlist.position} on the waitlist for ${waitlist.vmCount} VM${waitlist.vmCount > 1 ? 's' : ''} of ${waitlist.planName || waitlist.planType}. We will let you know as soon as there is room.`}
+            </span>
+          </div>
+          <button
+            onClick={handleLeaveWaitlist}
+            className="ml-4 text-sm text-blue-700 dark:text-blue-300 hover:underline whitespace-nowrap"
+          >
+            Leave waitlist
+          </button>
+        </div>
+      )}
+
       {error && (
         <div className="bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded-md flex items-center transition-colors duration-200">
           <AlertTriangle className="h-5 w-5 mr-2" />
           {error}
+          {capacityRefused && (
+            <button
+              onClick={() => handleSubscribe(true)}
+              disabled={processing}
+              className="ml-auto px-3 py-1 text-sm bg-red-600 hover:bg-red-700 text-white rounded-md disabled:opacity-50 whitespace-nowrap"
+            >
+              Join waitlist
+            </button>
+          )}
         </div>
       )}
 
@@ -940,7 +1032,7 @@ const SubscriptionManager = () => {
                   </button>
                 ) : (
                   <button
-                    onClick={handleSubscribe}
+                    onClick={() => handleSubscribe()}
                     disabled={processing}
                     className={`px-6 py-2 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center ${
                       subscription && subscription.plan !== 'none' && subscription.stripeSubscriptionId
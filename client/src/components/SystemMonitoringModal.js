@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { 
   XCircle, 
   Activity, 
@@ -14,10 +14,43 @@ import {
   Zap,
   Clock,
   AlertCircle,
-  RefreshCw
+  RefreshCw,
+  BarChart3
 } from 'lucide-react';
+import MetricsCharts from './MetricsCharts';
 
-const SystemMonitoringModal = ({ show, onClose, monitoringData, activeTab, onTabChange, onRefresh, embedded = false }) => {
+// Usage history of one Proxmox node at a time
+const NodeHistory = ({ nodes }) => {
+  const [selectedNode, setSelectedNode] = useState(nodes[0]?.node);
+  const node = nodes.some(n => n.node === selectedNode) ? selectedNode : nodes[0]?.node;
+
+  if (!node) return null;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-medium text-gray-900 dark:text-white flex items-center">
+          <BarChart3 className="h-5 w-5 mr-2 text-blue-600" />
+          Node History
+        </h3>
+        {nodes.length > 1 && (
+          <select
+            value={node}
+            onChange={(e) => setSelectedNode(e.target.value)}
+            className="text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-800 dark:text-white"
+          >
+            {nodes.map(n => (
+              <option key={n.node} value={n.node}>{n.node}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <MetricsCharts url={`/admin/monitoring/nodes/${node}/metrics`} showDiskIO={false} />
+    </div>
+  );
+};
+
+const SystemMonitoringModal = ({ show, onClose, monitoringData, activeTab, onTabChange, onRefresh, onJobAction, embedded = false }) => {
   if (!show && !embedded) return null;
 
   const tabs = [
@@ -35,6 +68,16 @@ const SystemMonitoringModal = ({ show, onClose, monitoringData, activeTab, onTab
     }
   };
 
+  const getJobStatusClass = (status) => {
+    switch (status) {
+      case 'completed': return 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-300';
+      case 'failed': return 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-300';
+      case 'running': return 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-300';
+      case 'cancelled': return 'bg-gray-100 dark:bg-gray-600 text-gray-800 dark:text-gray-300';
+      default: return 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-300';
+    }
+  };
+
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 B';
     const k = 1024;
@@ -129,50 +172,61 @@ const SystemMonitoringModal = ({ show, onClose, monitoringData, activeTab, onTab
 
                 {/* System Metrics */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                  {/* Proxmox Node */}
+                  {/* Proxmox Nodes */}
                   <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
                     <h3 className="font-medium text-gray-900 dark:text-white mb-4 flex items-center">
                       <Server className="h-5 w-5 mr-2 text-blue-600" />
-                      Proxmox Node: {monitoringData.systemHealth.system.proxmox.node}
+                      Proxmox Nodes ({monitoringData.systemHealth.system.proxmox.nodes.length})
                     </h3>
-                    <div className="space-y-3">
-                      <div className="flex justify-between items-center">
-                        <span className="text-sm text-gray-600 dark:text-gray-400">CPU Usage</span>
-                        <div className="flex items-center space-x-2">
-                          <Cpu className="h-4 w-4 text-blue-500" />
-                          <span className="font-medium text-gray-900 dark:text-white">{monitoringData.systemHealth.system.proxmox.cpu.usage}%</span>
-                        </div>
-                      </div>
-                      <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2">
-                        <div 
-                          className="bg-blue-600 h-2 rounded-full" 
-                          style={{ width: `${monitoringData.systemHealth.system.proxmox.cpu.usage}%` }}
-                        ></div>
-                      </div>
+                    <div className="space-y-5">
+                      {monitoringData.systemHealth.system.proxmox.nodes.map((node) => (
+                        <div key={node.node} className="space-y-3">
+                          <div className="flex justify-between items-center">
+                            <span className="font-medium text-gray-900 dark:text-white">{node.node}</span>
+                            <span className={`text-xs px-2 py-1 rounded ${node.status === 'online' ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' : 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'}`}>
+                              {node.status} • {node.vms} VMs
+                            </span>
+                          </div>
 
-                      <div className="flex justify-between items-center">
-                        <span className="text-sm text-gray-600 dark:text-gray-400">Memory Usage</span>
-                        <div className="flex items-center space-x-2">
-                          <HardDrive className="h-4 w-4 text-green-500" />
-                          <span className="font-medium text-gray-900 dark:text-white">
-                            {monitoringData.systemHealth.system.proxmox.memory.used}GB / {monitoringData.systemHealth.system.proxmox.memory.total}GB
-                          </span>
-                        </div>
-                      </div>
-                      <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2">
-                        <div 
-                          className="bg-green-600 h-2 rounded-full" 
-                          style={{ width: `${monitoringData.systemHealth.system.proxmox.memory.usage}%` }}
-                        ></div>
-                      </div>
+                          <div className="flex justify-between items-center">
+                            <span className="text-sm text-gray-600 dark:text-gray-400">CPU Usage</span>
+                            <div className="flex items-center space-x-2">
+                              <Cpu className="h-4 w-4 text-blue-500" />
+                              <span className="font-medium text-gray-900 dark:text-white">{node.cpu.usage}%</span>
+                            </div>
+                          </div>
+                          <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2">
+                            <div 
+                              className="bg-blue-600 h-2 rounded-full" 
+                              style={{ width: `${node.cpu.usage}%` }}
+                            ></div>
+                          </div>
 
-                      <div className="flex justify-between items-center">
-                        <span className="text-sm text-gray-600 dark:text-gray-400">Uptime</span>
-                        <div className="flex items-center space-x-2">
-                          <Clock className="h-4 w-4 text-purple-500" />
-                          <span className="font-medium text-gray-900 dark:text-white">{monitoringData.systemHealth.system.proxmox.uptime}</span>
+                          <div className="flex justify-between items-center">
+                            <span className="text-sm text-gray-600 dark:text-gray-400">Memory Usage</span>
+                            <div className="flex items-center space-x-2">
+                              <HardDrive className="h-4 w-4 text-green-500" />
+                              <span className="font-medium text-gray-900 dark:text-white">
+                                {node.memory.used}GB / {node.memory.total}GB
+                              </span>
+                            </div>
+                          </div>
+                          <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2">
+                            <div 
+                              className="bg-green-600 h-2 rounded-full" 
+                              style={{ width: `${node.memory.usage}%` }}
+                            ></div>
+                          </div>
+
+                          <div className="flex justify-between items-center">
+                            <span className="text-sm text-gray-600 dark:text-gray-400">Uptime</span>
+                            <div className="flex items-center space-x-2">
+                              <Clock className="h-4 w-4 text-purple-500" />
+                              <span className="font-medium text-gray-900 dark:text-white">{node.uptime}</span>
+                            </div>
+                          </div>
                         </div>
-                      </div>
+                      ))}
                     </div>
                   </div>
 
@@ -199,10 +253,20 @@ const SystemMonitoringModal = ({ show, onClose, monitoringData, activeTab, onTab
                         <span className="text-sm text-gray-600 dark:text-gray-400">Templates</span>
                         <span className="font-medium text-gray-900 dark:text-white">{monitoringData.systemHealth.system.database.templates}</span>
                       </div>
+                      {monitoringData.systemHealth.watchdog && (
+                        <div className="flex justify-between items-center">
+                          <span className="text-sm text-gray-600 dark:text-gray-400">Hung VM Recoveries (24h)</span>
+                          <span className={`font-medium ${monitoringData.systemHealth.watchdog.incidents24h > 0 ? 'text-orange-600 dark:text-orange-400' : 'text-gray-900 dark:text-white'}`}>
+                            {monitoringData.systemHealth.watchdog.incidents24h}
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
 
+                <NodeHistory nodes={monitoringData.systemHealth.system.proxmox.nodes} />
+
                 {/* Recent Activity */}
                 <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg overflow-hidden">
                   <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-600">
@@ -239,6 +303,83 @@ const SystemMonitoringModal = ({ show, onClose, monitoringData, activeTab, onTab
               </div>
             ) : monitoringData.vmProvisioning ? (
               <>
+                {/* Provisioning Jobs */}
+                {monitoringData.vmProvisioning.jobs && (
+                  <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg overflow-hidden">
+                    <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-600 flex justify-between items-center">
+                      <h3 className="font-medium text-gray-900 dark:text-white">Provisioning Jobs</h3>
+                      {monitoringData.vmProvisioning.jobCounts && (
+                        <div className="flex space-x-2 text-xs">
+                          {Object.entries(monitoringData.vmProvisioning.jobCounts).map(([status, count]) => (
+                            <span key={status} className={`px-2 py-1 rounded-full ${getJobStatusClass(status)}`}>
+                              {status}: {count}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-600">
+                        <thead className="bg-gray-50 dark:bg-gray-600">
+                          <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Job</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">User</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">VM</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Stage</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Status</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Attempts</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Last Error</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody className="bg-white dark:bg-gray-700 divide-y divide-gray-200 dark:divide-gray-600">
+                          {monitoringData.vmProvisioning.jobs.length === 0 ? (
+                            <tr>
+                              <td colSpan="8" className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">No provisioning jobs</td>
+                            </tr>
+                          ) : monitoringData.vmProvisioning.jobs.map((job) => (
+                            <tr key={job.id} className="hover:bg-gray-50 dark:hover:bg-gray-600">
+                              <td className="px-4 py-3 text-sm text-gray-900 dark:text-white">#{job.id}</td>
+                              <td className="px-4 py-3 text-sm text-gray-900 dark:text-white">{job.username}</td>
+                              <td className="px-4 py-3 text-sm font-mono text-blue-600 dark:text-blue-400">
+                                {job.vm_name}{job.vmid ? ` (${job.vmid})` : ''}
+                              </td>
+                              <td className="px-4 py-3 text-sm text-gray-600 dark:text-gray-400">{job.stage}</td>
+                              <td className="px-4 py-3 text-sm">
+                                <span className={`px-2 py-1 text-xs rounded-full ${getJobStatusClass(job.status)}`}>
+                                  {job.status}
+                                </span>
+                              </td>
+                              <td className="px-4 py-3 text-sm text-gray-600 dark:text-gray-400">{job.attempts}/{job.max_attempts}</td>
+                              <td className="px-4 py-3 text-sm text-red-600 dark:text-red-400 max-w-xs truncate" title={job.last_error || ''}>
+                                {job.last_error || '-'}
+                              </td>
+                              <td className="px-4 py-3 text-sm space-x-2">
+                                {['failed', 'cancelled'].includes(job.status) && (
+                                  <button
+                                    onClick={() => onJobAction && onJobAction(job.id, 'retry')}
+                                    className="text-blue-600 dark:text-blue-400 hover:underline"
+                                  >
+                                    Retry
+                                  </button>
+                                )}
+                                {['pending', 'running', 'failed'].includes(job.status) && (
+                                  <button
+                                    onClick={() => onJobAction && onJobAction(job.id, 'cancel')}
+                                    className="text-red-600 dark:text-red-400 hover:underline"
+                                  >
+                                    Cancel
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
                 {/* Provisioning History */}
                 <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg overflow-hidden">
                   <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-600">
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Layers, Loader2, Plus, AlertTriangle } from 'lucide-react';
+import api from '../services/api';
+
+const PLAN_NAMES = {
+  hour_booster: 'Hour Booster',
+  dual_mode: 'Dual Mode',
+  kd_drop: 'KD Drop'
+};
+
+const TemplateRegistry = ({ showToast, showConfirm }) => {
+  const [templates, setTemplates] = useState([]);
+  const [outdatedVMs, setOutdatedVMs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ planType: 'hour_booster', vmid: '', version: '', notes: '', activate: false });
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await api.get('/admin/templates');
+      setTemplates(response.data.templates);
+      setOutdatedVMs(response.data.outdatedVMs);
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to load templates', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.post('/admin/templates', form);
+      showToast(response.data.message, 'success');
+      setForm({ ...form, vmid: '', version: '', notes: '', activate: false });
+      await loadTemplates();
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to register template', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (template, action) => {
+    try {
+      const response = await api.post(`/admin/templates/${template.id}/${action}`);
+      showToast(response.data.message, 'success');
+      await loadTemplates();
+    } catch (error) {
+      showToast(error.response?.data?.error || `Failed to ${action} template`, 'error');
+    }
+  };
+
+  const handlePromote = (template) => {
+    showConfirm({
+      title: 'Promote Template',
+      message: `New ${PLAN_NAMES[template.plan_type] || template.plan_type} VMs and rebuilds will be cloned from VM ${template.vmid} (version ${template.version}). Existing VMs are not changed.`,
+      confirmText: 'Promote',
+      type: 'info',
+      onConfirm: () => runAction(template, 'promote')
+    });
+  };
+
+  const handleRetire = (template) => {
+    showConfirm({
+      title: 'Retire Template',
+      message: `Retire version ${template.version} of the ${PLAN_NAMES[template.plan_type] || template.plan_type} template? It stays in the history and can be promoted again later.`,
+      confirmText: 'Retire',
+      onConfirm: () => runAction(template, 'retire')
+    });
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors duration-200';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-6 transition-colors duration-200">
+      <div className="flex items-center">
+        <Layers className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-2" />
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Templates</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">Proxmox templates new VMs are cloned from, per plan</p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-blue-600 dark:text-blue-400" />
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-600 text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Plan', 'Version', 'VMID', 'Notes', 'VMs', 'Status', ''].map(heading => (
+                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-600">
+              {templates.map(template => (
+                <tr key={template.id} className={template.retired_at ? 'opacity-60' : ''}>
+                  <td className="px-4 py-2 text-gray-900 dark:text-white">{PLAN_NAMES[template.plan_type] || template.plan_type}</td>
+                  <td className="px-4 py-2 font-mono text-gray-900 dark:text-white">{template.version}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{template.vmid}</td>
+                  <td className="px-4 py-2 text-gray-600 dark:text-gray-400">{template.notes || '—'}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{template.vm_count}</td>
+                  <td className="px-4 py-2">
+                    {template.active ? (
+                      <span className="px-2 py-1 bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-300 text-xs rounded-full">Active</span>
+                    ) : template.retired_at ? (
+                      <span className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-300 text-xs rounded-full">Retired</span>
+                    ) : (
+                      <span className="px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-300 text-xs rounded-full">Available</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-right space-x-3 whitespace-nowrap">
+                    {!template.active && (
+                      <button onClick={() => handlePromote(template)} className="text-blue-600 dark:text-blue-400 hover:underline">
+                        Promote
+                      </button>
+                    )}
+                    {!template.active && !template.retired_at && (
+                      <button onClick={() => handleRetire(template)} className="text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400">
+                        Retire
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <form onSubmit={handleRegister} className="flex flex-wrap items-center gap-3">
+        <select value={form.planType} onChange={(e) => setForm({ ...form, planType: e.target.value })} className={inputClass}>
+          {Object.entries(PLAN_NAMES).map(([planType, name]) => (
+            <option key={planType} value={planType}>{name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="100"
+          required
+          value={form.vmid}
+          onChange={(e) => setForm({ ...form, vmid: e.target.value })}
+          placeholder="Template VMID"
+          className={`${inputClass} w-36`}
+        />
+        <input
+          type="text"
+          required
+          maxLength={50}
+          value={form.version}
+          onChange={(e) => setForm({ ...form, version: e.target.value })}
+          placeholder="Version"
+          className={`${inputClass} w-28`}
+        />
+        <input
+          type="text"
+          maxLength={500}
+          value={form.notes}
+          onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          placeholder="Notes (optional)"
+          className={`${inputClass} flex-1 min-w-[12rem]`}
+        />
+        <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={form.activate}
+            onChange={(e) => setForm({ ...form, activate: e.target.checked })}
+            className="mr-2"
+          />
+          Promote now
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-blue-600 dark:bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-700 dark:hover:bg-blue-600 disabled:opacity-50 flex items-center text-sm transition-colors duration-200"
+        >
+          {saving ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Plus className="h-4 w-4 mr-2" />}
+          Register
+        </button>
+      </form>
+
+      {outdatedVMs.length > 0 && (
+        <div className="bg-yellow-50 dark:bg-yellow-900 border border-yellow-200 dark:border-yellow-700 rounded-md p-4">
+          <div className="flex items-center mb-2">
+            <AlertTriangle className="h-4 w-4 text-yellow-600 dark:text-yellow-400 mr-2" />
+            <h3 className="text-sm font-medium text-yellow-900 dark:text-yellow-200">
+              {outdatedVMs.length} VM(s) not on their plan's active template
+            </h3>
+          </div>
+          <ul className="text-sm text-yellow-800 dark:text-yellow-300 space-y-1">
+            {outdatedVMs.map(vm => (
+              <li key={vm.vmid}>
+                VM {vm.vmid} ({vm.username}, {PLAN_NAMES[vm.plan_type] || vm.plan_type}): {vm.template_version ? `version ${vm.template_version}` : 'unknown version'}, active is {vm.current_version}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplateRegistry;
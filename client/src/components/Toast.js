@@ -1,5 +1,5 @@
 import React, { useEffect } from 'react';
-import { CheckCircle, AlertCircle, X } from 'lucide-react';
+import { CheckCircle, AlertCircle, Clock, X } from 'lucide-react';
 
 const Toast = ({ message, show, onClose, type = 'success' }) => {
   useEffect(() => {
@@ -22,6 +22,13 @@ const Toast = ({ message, show, onClose, type = 'success' }) => {
           text: 'text-gray-900 dark:text-gray-100',
           IconComponent: AlertCircle
         };
+      case 'warning':
+        return {
+          bg: 'bg-white dark:bg-gray-800 border-l-yellow-500',
+          icon: 'text-yellow-500',
+          text: 'text-gray-900 dark:text-gray-100',
+          IconComponent: Clock
+        };
       case 'success':
       default:
         return {
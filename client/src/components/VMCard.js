@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Play, 
   Square, 
@@ -8,20 +8,53 @@ import {
   Cpu, 
   HardDrive,
   Clock,
-  AlertTriangle
+  AlertTriangle,
+  Bot,
+  Camera,
+  History,
+  Trash2,
+  ChevronDown,
+  ChevronUp,
+  Wrench,
+  TerminalSquare,
+  BarChart3,
+  CalendarClock,
+  ShieldAlert,
+  ArrowUpCircle,
+  Tag,
+  Activity
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import api from '../services/api';
+import { subscribe } from '../services/liveUpdates';
 import Toast from './Toast';
+import ConfirmModal from './ConfirmModal';
+import VMConsole from './VMConsole';
+import MetricsCharts from './MetricsCharts';
+import VMSchedules from './VMSchedules';
+import VMLabels, { TagBadge } from './VMLabels';
 
-const VMCard = ({ vm, onAction, subscriptionInfo }) => {
+const VMCard = ({ vm, onAction, onRefresh, subscriptionInfo }) => {
   const { user } = useAuth();
   const [actionLoading, setActionLoading] = useState('');
   const [showSubscriptionWarning, setShowSubscriptionWarning] = useState('');
   const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotLimit, setSnapshotLimit] = useState(null);
+  const [snapshotsLoading, setSnapshotsLoading] = useState(false);
+  const [snapshotAction, setSnapshotAction] = useState('');
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [rebuild, setRebuild] = useState(vm.rebuild || null);
+  const [showRebuildConfirm, setShowRebuildConfirm] = useState(false);
+  const [showConsole, setShowConsole] = useState(false);
+  const [showMetrics, setShowMetrics] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [showLabels, setShowLabels] = useState(false);
 
-  const showToast = (message, type = 'success') => {
+  const showToast = useCallback((message, type = 'success') => {
     setToast({ show: true, message, type });
-  };
+  }, []);
 
   const hideToast = () => {
     setToast({ show: false, message: '', type: 'success' });
@@ -59,12 +92,122 @@ const VMCard = ({ vm, onAction, subscriptionInfo }) => {
     } catch (error) {
       // Show error toast
       const errorMessage = error.response?.data?.error || `Failed to ${action} VM ${vm.vmid}`;
-      showToast(errorMessage, 'error');
+      // A busy VM or a cooldown only means "try again later"
+      const retryLater = ['VM_BUSY', 'ACTION_COOLDOWN'].includes(error.response?.data?.code);
+      showToast(errorMessage, retryLater ? 'warning' : 'error');
+    } finally {
+      setActionLoading('');
+    }
+  };
+
+  const rebuildStageLabels = {
+    destroy: 'Removing old VM',
+    clone: 'Cloning from template',
+    assign: 'Assigning new VM',
+    setup: 'Restoring setup file'
+  };
+
+  const rebuildRunning = rebuild?.status === 'running';
+
+  useEffect(() => {
+    setRebuild(vm.rebuild || null);
+  }, [vm.rebuild]);
+
+  // Follow rebuild progress pushed by the server and reload the VM list once it finishes
+  useEffect(() => {
+    return subscribe(({ type, data }) => {
+      if (type !== 'rebuild.progress' || data.rebuild.vmid !== vm.vmid) return;
+
+      const latest = data.rebuild;
+      setRebuild(latest);
+
+      if (latest.status === 'completed') {
+        showToast(`${latest.vmName} has been rebuilt`, 'success');
+        if (onRefresh) onRefresh();
+      } else if (latest.status === 'failed') {
+        showToast(latest.error || `Rebuild of ${latest.vmName} failed`, 'error');
+      }
+    });
+  }, [vm.vmid, showToast, onRefresh]);
+
+  const handleRebuild = async () => {
+    setActionLoading('rebuild');
+    try {
+      const response = await api.post(`/vm/${vm.vmid}/rebuild`);
+      setRebuild(response.data.rebuild);
+      showToast(response.data.message, 'success');
+    } catch (error) {
+      showToast(error.response?.data?.error || `Failed to rebuild VM ${vm.vmid}`, 'error');
     } finally {
       setActionLoading('');
     }
   };
 
+  const loadSnapshots = async () => {
+    setSnapshotsLoading(true);
+    try {
+      const response = await api.get(`/vm/${vm.vmid}/snapshots`);
+      setSnapshots(response.data.snapshots);
+      setSnapshotLimit(response.data.limit);
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to load snapshots', 'error');
+    } finally {
+      setSnapshotsLoading(false);
+    }
+  };
+
+  const toggleSnapshots = () => {
+    if (!showSnapshots) {
+      loadSnapshots();
+    }
+    setShowSnapshots(!showSnapshots);
+  };
+
+  // Snapshot tasks run in the background on Proxmox, so refresh the list shortly after
+  const refreshSnapshotsSoon = () => {
+    setTimeout(loadSnapshots, 3000);
+  };
+
+  const handleTakeSnapshot = async () => {
+    setSnapshotAction('create');
+    try {
+      const response = await api.post(`/vm/${vm.vmid}/snapshots`);
+      showToast(`Snapshot "${response.data.snapshot}" is being created...`, 'success');
+      refreshSnapshotsSoon();
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to take snapshot', 'error');
+    } finally {
+      setSnapshotAction('');
+    }
+  };
+
+  const handleRestoreSnapshot = async (name) => {
+    setSnapshotAction(`restore:${name}`);
+    try {
+      await api.post(`/vm/${vm.vmid}/snapshots/${encodeURIComponent(name)}/rollback`);
+      showToast(`VM ${vm.vmid} is being restored to "${name}"...`, 'success');
+      refreshSnapshotsSoon();
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to restore snapshot', 'error');
+    } finally {
+      setSnapshotAction('');
+    }
+  };
+
+  const handleDeleteSnapshot = async (name) => {
+    setSnapshotAction(`delete:${name}`);
+    try {
+      await api.delete(`/vm/${vm.vmid}/snapshots/${encodeURIComponent(name)}`);
+      showToast(`Snapshot "${name}" is being deleted...`, 'success');
+      setSnapshots(snapshots.filter(snapshot => snapshot.name !== name));
+      refreshSnapshotsSoon();
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to delete snapshot', 'error');
+    } finally {
+      setSnapshotAction('');
+    }
+  };
+
   const getStatusBadge = (status) => {
     const statusLower = status?.toLowerCase() || 'unknown';
     
@@ -122,9 +265,17 @@ const VMCard = ({ vm, onAction, subscriptionInfo }) => {
           </div>
           <div className="ml-3">
             <h3 className="text-lg font-semibold text-gray-900 dark:text-white transition-colors duration-200">
-              {vm.name || `VM-${vm.vmid}`}
+              {vm.metadata?.nickname || vm.name || `VM-${vm.vmid}`}
             </h3>
-            <p className="text-sm text-gray-500 dark:text-gray-400 transition-colors duration-200">ID: {vm.vmid}</p>
+            <p className="text-sm text-gray-500 dark:text-gray-400 transition-colors duration-200">
+              {vm.metadata?.nickname && vm.name ? `${vm.name} · ` : ''}ID: {vm.vmid}
+              {user?.role === 'admin' && vm.metadata?.owner ? ` · ${vm.metadata.owner}` : ''}
+            </p>
+            {vm.metadata?.tag && (
+              <div className="mt-1">
+                <TagBadge tag={vm.metadata.tag} color={vm.metadata.color} />
+              </div>
+            )}
           </div>
         </div>
         {getStatusBadge(status)}
@@ -142,6 +293,12 @@ const VMCard = ({ vm, onAction, subscriptionInfo }) => {
         </div>
       )}
 
+      {vm.metadata?.notes && (
+        <p className="mb-4 text-sm text-gray-600 dark:text-gray-400 whitespace-pre-line break-words transition-colors duration-200">
+          {vm.metadata.notes}
+        </p>
+      )}
+
       {/* VM Stats */}
       <div className="space-y-3 mb-6">
         <div className="flex items-center text-sm text-gray-600 dark:text-gray-400 transition-colors duration-200">
@@ -164,10 +321,103 @@ const VMCard = ({ vm, onAction, subscriptionInfo }) => {
             Uptime: {isRunning ? formatUptime(vm.detailedStatus?.uptime) : 'Stopped'}
           </span>
         </div>
+
+        {vm.automation && (
+          <div
+            className={`flex items-center text-sm transition-colors duration-200 ${
+              vm.automation.success
+                ? 'text-green-600 dark:text-green-400'
+                : 'text-red-600 dark:text-red-400'
+            }`}
+            title={vm.automation.error || undefined}
+          >
+            <Bot className="h-4 w-4 mr-2" />
+            <span>
+              Automation: {vm.automation.success ? 'Started' : `Failed${vm.automation.exitCode != null ? ` (exit code ${vm.automation.exitCode})` : ''}`}
+            </span>
+          </div>
+        )}
+
+        {vm.agent && (
+          <div
+            className={`flex items-center text-sm transition-colors duration-200 ${
+              vm.agent.status === 'stale' || vm.agent.botState === 'error'
+                ? 'text-red-600 dark:text-red-400'
+                : vm.agent.status === 'ok' && vm.agent.botState === 'farming'
+                  ? 'text-green-600 dark:text-green-400'
+                  : 'text-gray-600 dark:text-gray-400'
+            }`}
+            title={vm.agent.lastHeartbeatAt ? `Last heartbeat: ${new Date(vm.agent.lastHeartbeatAt).toLocaleString()}` : undefined}
+          >
+            <Activity className="h-4 w-4 mr-2" />
+            <span>
+              {vm.agent.status === 'waiting'
+                ? 'Bot: waiting for first heartbeat'
+                : vm.agent.status === 'stale'
+                  ? `Bot: no heartbeat since ${new Date(vm.agent.lastHeartbeatAt).toLocaleTimeString()}`
+                  : `Bot: ${vm.agent.botState}${vm.agent.gameRunning ? '' : ' (game not running)'}${vm.agent.activity ? ` · ${vm.agent.activity}` : ''}`}
+            </span>
+          </div>
+        )}
+
+        {vm.incidents?.count > 0 && (
+          <div
+            className="flex items-center text-sm text-orange-600 dark:text-orange-400 transition-colors duration-200"
+            title={`Last recovery: ${new Date(vm.incidents.lastIncidentAt).toLocaleString()}`}
+          >
+            <ShieldAlert className="h-4 w-4 mr-2" />
+            <span>
+              Recovered from a freeze {vm.incidents.count === 1 ? 'once' : `${vm.incidents.count} times`} in the last 7 days
+            </span>
+          </div>
+        )}
+
+        {vm.planSpec?.status === 'pending_reboot' && (
+          <div className="flex items-center text-sm text-blue-600 dark:text-blue-400 transition-colors duration-200">
+            <ArrowUpCircle className="h-4 w-4 mr-2" />
+            <span>
+              {vm.planSpec.cores} vCPUs / {vm.planSpec.memory / 1024}GB RAM apply at the restart
+              {vm.planSpec.rebootAt ? ` scheduled for ${new Date(vm.planSpec.rebootAt).toLocaleTimeString()}` : ''}
+            </span>
+          </div>
+        )}
       </div>
 
+      {/* Rebuild progress */}
+      {rebuild && rebuild.status !== 'completed' && (
+        <div className={`mb-4 p-3 rounded-md border transition-colors duration-200 ${
+          rebuild.status === 'failed'
+            ? 'bg-red-50 dark:bg-red-900 border-red-200 dark:border-red-700'
+            : 'bg-blue-50 dark:bg-blue-900 border-blue-200 dark:border-blue-700'
+        }`}>
+          <div className="flex items-center justify-between text-sm">
+            <span className={`flex items-center font-medium ${
+              rebuild.status === 'failed' ? 'text-red-800 dark:text-red-200' : 'text-blue-800 dark:text-blue-200'
+            }`}>
+              <Wrench className="h-4 w-4 mr-2" />
+              {rebuild.status === 'failed' ? 'Rebuild failed' : rebuildStageLabels[rebuild.stage] || 'Rebuilding'}
+            </span>
+            {rebuild.status === 'running' && (
+              <span className="text-xs text-blue-700 dark:text-blue-300">{rebuild.progress}%</span>
+            )}
+          </div>
+          {rebuild.status === 'running' ? (
+            <div className="mt-2 h-2 bg-blue-100 dark:bg-blue-800 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-600 dark:bg-blue-400 transition-all duration-500"
+                style={{ width: `${Math.max(rebuild.progress, 5)}%` }}
+              ></div>
+            </div>
+          ) : (
+            <p className="mt-1 text-xs text-red-700 dark:text-red-300">
+              {rebuild.error || 'The rebuild could not be completed.'} You can try again.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Action Buttons */}
-      {isStopped ? (
+      {rebuildRunning ? null : isStopped ? (
         // When VM is stopped - only show Start button
         <div className="w-full">
           <button
@@ -246,6 +496,209 @@ const VMCard = ({ vm, onAction, subscriptionInfo }) => {
         </div>
       )}
 
+      {/* Console */}
+      {isRunning && !rebuildRunning && (
+        <button
+          onClick={() => setShowConsole(true)}
+          disabled={!vm.canStart}
+          className={`
+            mt-3 w-full px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200
+            flex items-center justify-center border focus:outline-none focus:ring-2 focus:ring-offset-2
+            ${vm.canStart
+              ? 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 focus:ring-gray-400'
+              : 'bg-gray-100 dark:bg-gray-700 border-gray-200 dark:border-gray-600 text-gray-400 dark:text-gray-500 cursor-not-allowed'
+            }
+          `}
+          title={!vm.canStart ? getSubscriptionMessage('start') || 'Console requires active subscription' : 'Open the VM screen in your browser'}
+        >
+          <TerminalSquare className="h-4 w-4 mr-2" />
+          Console
+          {!vm.canStart && <AlertTriangle className="h-4 w-4 ml-2 opacity-70" />}
+        </button>
+      )}
+
+      {/* Rebuild */}
+      {user?.role !== 'admin' && !rebuildRunning && (
+        <button
+          onClick={() => setShowRebuildConfirm(true)}
+          disabled={actionLoading === 'rebuild' || (!vm.canStart && rebuild?.status !== 'failed')}
+          className="mt-3 w-full flex items-center justify-center text-xs font-medium text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          title={!vm.canStart && rebuild?.status !== 'failed' ? getSubscriptionMessage('start') || 'Rebuild requires active subscription' : 'Reinstall this VM from the plan template'}
+        >
+          {actionLoading === 'rebuild' ? (
+            <div className="animate-spin rounded-full h-4 w-4 border-2 border-gray-300 dark:border-gray-600 border-t-primary-600"></div>
+          ) : (
+            <>
+              <Wrench className="h-3.5 w-3.5 mr-1.5" />
+              {rebuild?.status === 'failed' ? 'Retry rebuild' : 'Rebuild VM'}
+            </>
+          )}
+        </button>
+      )}
+
+      {/* Usage history */}
+      {!rebuildRunning && (
+        <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-3 transition-colors duration-200">
+          <button
+            onClick={() => setShowMetrics(!showMetrics)}
+            className="w-full flex items-center justify-between text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors duration-200"
+          >
+            <span className="flex items-center">
+              <BarChart3 className="h-4 w-4 mr-2" />
+              Usage history
+            </span>
+            {showMetrics ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+          </button>
+
+          {showMetrics && (
+            <div className="mt-3">
+              <MetricsCharts url={`/vm/${vm.vmid}/metrics`} compact />
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Schedules */}
+      {vm.canControl && !rebuildRunning && (
+        <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-3 transition-colors duration-200">
+          <button
+            onClick={() => setShowSchedules(!showSchedules)}
+            className="w-full flex items-center justify-between text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors duration-200"
+          >
+            <span className="flex items-center">
+              <CalendarClock className="h-4 w-4 mr-2" />
+              Schedules
+            </span>
+            {showSchedules ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+          </button>
+
+          {showSchedules && (
+            <div className="mt-3">
+              <VMSchedules vmid={vm.vmid} canStart={vm.canStart} onMessage={showToast} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Labels */}
+      <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-3 transition-colors duration-200">
+        <button
+          onClick={() => setShowLabels(!showLabels)}
+          className="w-full flex items-center justify-between text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors duration-200"
+        >
+          <span className="flex items-center">
+            <Tag className="h-4 w-4 mr-2" />
+            Labels
+          </span>
+          {showLabels ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+        </button>
+
+        {showLabels && (
+          <div className="mt-3">
+            <VMLabels
+              vmid={vm.vmid}
+              metadata={vm.metadata}
+              onMessage={showToast}
+              onSaved={() => {
+                setShowLabels(false);
+                if (onRefresh) onRefresh();
+              }}
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Snapshots */}
+      {vm.canControl && !rebuildRunning && (
+        <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-3 transition-colors duration-200">
+          <button
+            onClick={toggleSnapshots}
+            className="w-full flex items-center justify-between text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors duration-200"
+          >
+            <span className="flex items-center">
+              <History className="h-4 w-4 mr-2" />
+              Snapshots
+              {showSnapshots && snapshotLimit !== null && (
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                  {snapshots.length}/{snapshotLimit}
+                </span>
+              )}
+            </span>
+            {showSnapshots ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+          </button>
+
+          {showSnapshots && (
+            <div className="mt-3 space-y-2">
+              {snapshotsLoading && snapshots.length === 0 ? (
+                <div className="flex justify-center py-2">
+                  <div className="animate-spin rounded-full h-5 w-5 border-2 border-gray-300 dark:border-gray-600 border-t-primary-600"></div>
+                </div>
+              ) : snapshots.length === 0 ? (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  No snapshots yet. Take one before changing settings so you can roll back if something breaks.
+                </p>
+              ) : (
+                snapshots.map(snapshot => (
+                  <div
+                    key={snapshot.name}
+                    className="flex items-center justify-between px-3 py-2 bg-gray-50 dark:bg-gray-700 rounded-md transition-colors duration-200"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{snapshot.name}</p>
+                      {snapshot.createdAt && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {new Date(snapshot.createdAt).toLocaleString()}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2 ml-3">
+                      <button
+                        onClick={() => setRestoreTarget(snapshot.name)}
+                        disabled={!!snapshotAction || !vm.canStart}
+                        className="px-2 py-1 text-xs font-medium rounded bg-blue-700 hover:bg-blue-800 text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                        title={!vm.canStart ? getSubscriptionMessage('start') || 'Restore requires active subscription' : 'Restore this snapshot'}
+                      >
+                        {snapshotAction === `restore:${snapshot.name}` ? 'Restoring...' : 'Restore'}
+                      </button>
+                      <button
+                        onClick={() => handleDeleteSnapshot(snapshot.name)}
+                        disabled={!!snapshotAction}
+                        className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                        title="Delete snapshot"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))
+              )}
+
+              <button
+                onClick={handleTakeSnapshot}
+                disabled={!!snapshotAction || !vm.canStart || (snapshotLimit !== null && snapshots.length >= snapshotLimit)}
+                className="w-full px-3 py-2 rounded-lg text-sm font-medium flex items-center justify-center border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                title={
+                  !vm.canStart
+                    ? getSubscriptionMessage('start') || 'Snapshots require active subscription'
+                    : snapshotLimit !== null && snapshots.length >= snapshotLimit
+                      ? 'Snapshot limit reached for your plan. Delete an old snapshot first.'
+                      : 'Take snapshot'
+                }
+              >
+                {snapshotAction === 'create' ? (
+                  <div className="animate-spin rounded-full h-4 w-4 border-2 border-gray-300 dark:border-gray-600 border-t-primary-600"></div>
+                ) : (
+                  <>
+                    <Camera className="h-4 w-4 mr-2" />
+                    Take snapshot
+                  </>
+                )}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Error indicator */}
       {vm.error && (
         <div className="mt-3 text-xs text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900 px-2 py-1 rounded transition-colors duration-200">
@@ -260,6 +713,30 @@ const VMCard = ({ vm, onAction, subscriptionInfo }) => {
         </div>
       )}
 
+      <ConfirmModal
+        show={!!restoreTarget}
+        onClose={() => setRestoreTarget(null)}
+        onConfirm={() => handleRestoreSnapshot(restoreTarget)}
+        title="Restore snapshot"
+        message={`Restore VM ${vm.vmid} to snapshot "${restoreTarget}"? Everything changed on the VM since this snapshot was taken will be lost.`}
+        confirmText="Restore"
+        type="danger"
+      />
+
+      <ConfirmModal
+        show={showRebuildConfirm}
+        onClose={() => setShowRebuildConfirm(false)}
+        onConfirm={handleRebuild}
+        title="Rebuild VM"
+        message={`Rebuild ${vm.name || `VM ${vm.vmid}`} from a fresh template? Everything on this VM, including its snapshots, is deleted. Your setup file is uploaded again automatically.`}
+        confirmText="Rebuild"
+        type="danger"
+      />
+
+      {showConsole && (
+        <VMConsole vm={vm} onClose={() => setShowConsole(false)} />
+      )}
+
       {/* Toast Notification */}
       <Toast
         message={toast.message}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import RFB from '@novnc/novnc/core/rfb';
+import { Monitor, XCircle, Loader2, Clock, AlertTriangle } from 'lucide-react';
+import api from '../services/api';
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const VMConsole = ({ vm, onClose }) => {
+  const screenRef = useRef(null);
+  const [status, setStatus] = useState('connecting'); // connecting, connected, disconnected
+  const [error, setError] = useState('');
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    let rfb = null;
+    let cancelled = false;
+
+    const connect = async () => {
+      try {
+        const response = await api.post(`/vm/${vm.vmid}/console`);
+        if (cancelled) return;
+
+        const { websocketPath, password } = response.data;
+        setExpiresAt(new Date(response.data.expiresAt).getTime());
+
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        rfb = new RFB(screenRef.current, `${protocol}://${window.location.host}${websocketPath}`, {
+          credentials: { password }
+        });
+        rfb.scaleViewport = true;
+        rfb.addEventListener('connect', () => setStatus('connected'));
+        rfb.addEventListener('disconnect', (e) => {
+          setStatus('disconnected');
+          if (!e.detail.clean) {
+            setError('The console connection was lost.');
+          }
+        });
+      } catch (err) {
+        if (cancelled) return;
+        setStatus('disconnected');
+        setError(err.response?.data?.error || 'Failed to open the console');
+      }
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      if (rfb) {
+        rfb.disconnect();
+      }
+    };
+  }, [vm.vmid]);
+
+  // Countdown to the session time limit
+  useEffect(() => {
+    if (!expiresAt || status === 'disconnected') return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [expiresAt, status]);
+
+  const remaining = expiresAt ? expiresAt - now : null;
+  const timedOut = status === 'disconnected' && remaining !== null && remaining <= 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl w-full max-w-5xl shadow-2xl overflow-hidden transition-colors duration-200">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-600 flex justify-between items-center">
+          <div className="flex items-center space-x-3">
+            <Monitor className="h-5 w-5 text-gray-600 dark:text-gray-300" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              {vm.name || `VM ${vm.vmid}`} Console
+            </h2>
+            <span className={`text-xs px-2 py-0.5 rounded-full ${
+              status === 'connected'
+                ? 'bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300'
+                : status === 'connecting'
+                  ? 'bg-yellow-100 dark:bg-yellow-900 text-yellow-700 dark:text-yellow-300'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+            }`}>
+              {status === 'connected' ? 'Connected' : status === 'connecting' ? 'Connecting' : 'Disconnected'}
+            </span>
+          </div>
+          <div className="flex items-center space-x-4">
+            {remaining !== null && status !== 'disconnected' && (
+              <span className="flex items-center text-sm text-gray-500 dark:text-gray-400" title="Time left in this console session">
+                <Clock className="h-4 w-4 mr-1" />
+                {formatRemaining(remaining)}
+              </span>
+            )}
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors duration-200"
+              title="Close console"
+            >
+              <XCircle className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        {/* Screen */}
+        <div className="relative bg-black" style={{ height: '70vh' }}>
+          <div ref={screenRef} className="w-full h-full" />
+
+          {status === 'connecting' && (
+            <div className="absolute inset-0 flex items-center justify-center">
+              <Loader2 className="h-8 w-8 animate-spin text-gray-300" />
+            </div>
+          )}
+
+          {status === 'disconnected' && (
+            <div className="absolute inset-0 flex flex-col items-center justify-center text-center px-6">
+              <AlertTriangle className="h-8 w-8 text-yellow-400 mb-3" />
+              <p className="text-sm text-gray-200">
+                {timedOut ? 'The console session time limit was reached. Open the console again to continue.' : error || 'The console was closed.'}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VMConsole;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import api from '../services/api';
+
+// Same palette the server accepts for the colour tag
+export const TAG_COLORS = {
+  gray: 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200',
+  red: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-300',
+  orange: 'bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-300',
+  amber: 'bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-300',
+  green: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-300',
+  teal: 'bg-teal-100 dark:bg-teal-900 text-teal-800 dark:text-teal-300',
+  blue: 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-300',
+  purple: 'bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-300',
+  pink: 'bg-pink-100 dark:bg-pink-900 text-pink-800 dark:text-pink-300'
+};
+
+export const TagBadge = ({ tag, color }) => (
+  <span className={`px-2 py-0.5 text-xs rounded-full ${TAG_COLORS[color] || TAG_COLORS.gray}`}>{tag}</span>
+);
+
+const VMLabels = ({ vmid, metadata, onSaved, onMessage }) => {
+  const [form, setForm] = useState({
+    nickname: metadata?.nickname || '',
+    tag: metadata?.tag || '',
+    color: metadata?.color || 'gray',
+    notes: metadata?.notes || ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.put(`/vm/${vmid}/metadata`, {
+        ...form,
+        color: form.tag ? form.color : ''
+      });
+      onMessage(response.data.message, 'success');
+      onSaved(response.data.metadata);
+    } catch (error) {
+      onMessage(error.response?.data?.error || 'Failed to save labels', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+  return (
+    <form onSubmit={handleSave} className="space-y-2">
+      <input
+        type="text"
+        maxLength={40}
+        value={form.nickname}
+        onChange={(e) => setForm({ ...form, nickname: e.target.value })}
+        placeholder="Nickname"
+        className={inputClass}
+      />
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          maxLength={24}
+          value={form.tag}
+          onChange={(e) => setForm({ ...form, tag: e.target.value })}
+          placeholder="Tag, e.g. Customs"
+          className={inputClass}
+        />
+        <select
+          value={form.color}
+          onChange={(e) => setForm({ ...form, color: e.target.value })}
+          disabled={!form.tag}
+          className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm disabled:opacity-50"
+        >
+          {Object.keys(TAG_COLORS).map(color => (
+            <option key={color} value={color}>{color}</option>
+          ))}
+        </select>
+      </div>
+      <textarea
+        rows={3}
+        maxLength={2000}
+        value={form.notes}
+        onChange={(e) => setForm({ ...form, notes: e.target.value })}
+        placeholder="Notes"
+        className={inputClass}
+      />
+      <button
+        type="submit"
+        disabled={saving}
+        className="px-3 py-1 bg-primary-600 hover:bg-primary-700 text-white text-sm rounded-md disabled:opacity-50 flex items-center transition-colors duration-200"
+      >
+        {saving && <Loader2 className="h-3.5 w-3.5 animate-spin mr-1.5" />}
+        Save labels
+      </button>
+    </form>
+  );
+};
+
+export default VMLabels;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { GitCompare, Loader2, RefreshCw, CheckCircle } from 'lucide-react';
+import api from '../services/api';
+import { subscribe } from '../services/liveUpdates';
+
+const FINDING_LABELS = {
+  dangling_assignment: 'Dangling assignment',
+  orphan_vm: 'Orphan VM',
+  owner_mismatch: 'Owner mismatch',
+  setup_mismatch: 'Setup mismatch'
+};
+
+const FIX_LABELS = {
+  assign: 'Assign',
+  unassign: 'Unassign',
+  destroy: 'Destroy',
+  sync_setup: 'Sync setup'
+};
+
+const VMReconciliation = ({ users, showToast, showConfirm }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState('');
+  const [owners, setOwners] = useState({}); // findingId -> chosen user for orphans without an owner
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/admin/reconciliation');
+      setReport(response.data);
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to load reconciliation report', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadReport();
+    return subscribe(({ type, data }) => {
+      if (type === 'reconciliation.alert') {
+        showToast(`Reconciliation found ${data.summary.total} issue(s) between Proxmox and the database`, 'warning');
+        loadReport();
+      }
+    });
+  }, [loadReport, showToast]);
+
+  const applyFix = async (finding, action) => {
+    setApplying(`${finding.id}-${action}`);
+    try {
+      const response = await api.post('/admin/reconciliation/fix', {
+        findingId: finding.id,
+        action,
+        userId: owners[finding.id] || undefined
+      });
+      showToast(response.data.message, 'success');
+      await loadReport();
+    } catch (error) {
+      showToast(error.response?.data?.error || 'Failed to apply fix', 'error');
+    } finally {
+      setApplying('');
+    }
+  };
+
+  const handleFix = (finding, action) => {
+    if (action !== 'destroy') {
+      applyFix(finding, action);
+      return;
+    }
+
+    showConfirm({
+      title: 'Destroy VM',
+      message: `Permanently destroy VM ${finding.vmid} (${finding.name || 'unnamed'})? This cannot be undone.`,
+      confirmText: 'Destroy',
+      type: 'danger',
+      onConfirm: () => applyFix(finding, action)
+    });
+  };
+
+  const customers = users.filter(u => u.role !== 'admin');
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-4 transition-colors duration-200">
+      <div className="flex justify-between items-center">
+        <div className="flex items-center">
+          <GitCompare className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-2" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Reconciliation</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Differences between Proxmox and the VM assignments
+              {report && ` · checked ${new Date(report.generatedAt).toLocaleTimeString()}`}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={loadReport}
+          disabled={loading}
+          className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-50"
+          title="Check again"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {!report ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-blue-600 dark:text-blue-400" />
+        </div>
+      ) : report.findings.length === 0 ? (
+        <div className="flex items-center text-sm text-green-700 dark:text-green-400">
+          <CheckCircle className="h-4 w-4 mr-2" />
+          Proxmox and the database agree.
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-600">
+          {report.findings.map(finding => (
+            <li key={finding.id} className="py-3 flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <span className="px-2 py-1 bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-300 text-xs rounded-full mr-2">
+                  {FINDING_LABELS[finding.type] || finding.type}
+                </span>
+                <span className="text-sm text-gray-800 dark:text-gray-200">{finding.message}</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                {finding.type === 'orphan_vm' && !finding.expectedUserId && (
+                  <select
+                    value={owners[finding.id] || ''}
+                    onChange={(e) => setOwners({ ...owners, [finding.id]: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs"
+                  >
+                    <option value="">Choose owner…</option>
+                    {customers.map(customer => (
+                      <option key={customer.id} value={customer.id}>{customer.username}</option>
+                    ))}
+                  </select>
+                )}
+                {finding.fixes.map(action => (
+                  <button
+                    key={action}
+                    onClick={() => handleFix(finding, action)}
+                    disabled={Boolean(applying) || (action === 'assign' && !finding.expectedUserId && !owners[finding.id])}
+                    className={`px-2.5 py-1 rounded-md text-xs font-medium disabled:opacity-50 transition-colors duration-200 ${
+                      action === 'destroy'
+                        ? 'bg-red-600 hover:bg-red-700 text-white'
+                        : 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100 hover:bg-gray-300 dark:hover:bg-gray-500'
+                    }`}
+                    title={action === 'assign' && finding.expectedUsername ? `Assign to ${finding.expectedUsername}` : undefined}
+                  >
+                    {applying === `${finding.id}-${action}` ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : FIX_LABELS[action] || action}
+                  </button>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default VMReconciliation;
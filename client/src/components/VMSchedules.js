@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Trash2 } from 'lucide-react';
+import api from '../services/api';
+
+const ACTIONS = [
+  { id: 'start', label: 'Start' },
+  { id: 'shutdown', label: 'Shut down' },
+  { id: 'stop', label: 'Force stop' },
+  { id: 'reboot', label: 'Restart' }
+];
+
+// Day presets turn into the weekday field of the cron expression
+const DAY_PRESETS = [
+  { id: 'daily', label: 'Every day', weekdays: '*' },
+  { id: 'weekdays', label: 'Mon–Fri', weekdays: '1-5' },
+  { id: 'weekends', label: 'Sat–Sun', weekdays: '0,6' },
+  { id: 'custom', label: 'Custom (cron)' }
+];
+
+const describeSchedule = (schedule) => {
+  const [minute, hour, dayOfMonth, month, weekdays] = schedule.cron.split(/\s+/);
+  const preset = DAY_PRESETS.find(p => p.weekdays === weekdays);
+  const simple = /^\d+$/.test(minute) && /^\d+$/.test(hour) && dayOfMonth === '*' && month === '*' && preset;
+
+  if (!simple) {
+    return `cron "${schedule.cron}" (${schedule.timezone})`;
+  }
+  return `${preset.label} at ${hour.padStart(2, '0')}:${minute.padStart(2, '0')} (${schedule.timezone})`;
+};
+
+const VMSchedules = ({ vmid, canStart, onMessage }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ action: 'reboot', time: '04:00', days: 'daily', cron: '' });
+
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      const response = await api.get(`/vm/${vmid}/schedules`);
+      setSchedules(response.data.schedules);
+    } catch (error) {
+      onMessage(error.response?.data?.error || 'Failed to load schedules', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [vmid, onMessage]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  const buildCron = () => {
+    if (form.days === 'custom') {
+      return form.cron.trim();
+    }
+    const [hour, minute] = form.time.split(':').map(Number);
+    return `${minute} ${hour} * * ${DAY_PRESETS.find(p => p.id === form.days).weekdays}`;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.post(`/vm/${vmid}/schedules`, { action: form.action, cron: buildCron(), timezone });
+      onMessage('Schedule added', 'success');
+      await loadSchedules();
+    } catch (error) {
+      onMessage(error.response?.data?.error || 'Failed to add schedule', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await api.put(`/vm/${vmid}/schedules/${schedule.id}`, { enabled: !schedule.enabled });
+      await loadSchedules();
+    } catch (error) {
+      onMessage(error.response?.data?.error || 'Failed to update schedule', 'error');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    try {
+      await api.delete(`/vm/${vmid}/schedules/${schedule.id}`);
+      setSchedules(schedules.filter(s => s.id !== schedule.id));
+    } catch (error) {
+      onMessage(error.response?.data?.error || 'Failed to delete schedule', 'error');
+    }
+  };
+
+  const needsSubscription = ['start', 'reboot'].includes(form.action) && !canStart;
+  const inputClass = 'text-xs rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white';
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-3">
+        <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {schedules.length === 0 ? (
+        <p className="text-xs text-gray-500 dark:text-gray-400">No scheduled actions.</p>
+      ) : (
+        <ul className="space-y-2">
+          {schedules.map(schedule => (
+            <li key={schedule.id} className="flex items-start justify-between text-xs bg-gray-50 dark:bg-gray-700 rounded-md px-2 py-1.5">
+              <div className={schedule.enabled ? '' : 'opacity-50'}>
+                <div className="font-medium text-gray-800 dark:text-gray-200">
+                  {ACTIONS.find(a => a.id === schedule.action)?.label || schedule.action} · {describeSchedule(schedule)}
+                </div>
+                <div className="text-gray-500 dark:text-gray-400">
+                  {schedule.nextRunAt ? `Next: ${new Date(schedule.nextRunAt).toLocaleString()}` : 'Paused'}
+                  {schedule.lastStatus && (
+                    <span className={schedule.lastStatus === 'failed' ? 'text-red-600 dark:text-red-400' : ''}>
+                      {' '}· Last run {schedule.lastStatus}{schedule.lastError ? `: ${schedule.lastError}` : ''}
+                    </span>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center space-x-2 ml-2 shrink-0">
+                <button
+                  onClick={() => handleToggle(schedule)}
+                  className="text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  {schedule.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  onClick={() => handleDelete(schedule)}
+                  className="text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                  title="Delete schedule"
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+        <select
+          value={form.action}
+          onChange={(e) => setForm({ ...form, action: e.target.value })}
+          className={inputClass}
+        >
+          {ACTIONS.map(action => (
+            <option key={action.id} value={action.id}>{action.label}</option>
+          ))}
+        </select>
+        <select
+          value={form.days}
+          onChange={(e) => setForm({ ...form, days: e.target.value })}
+          className={inputClass}
+        >
+          {DAY_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.label}</option>
+          ))}
+        </select>
+        {form.days === 'custom' ? (
+          <input
+            type="text"
+            value={form.cron}
+            onChange={(e) => setForm({ ...form, cron: e.target.value })}
+            placeholder="0 4 * * *"
+            className={`${inputClass} w-28`}
+          />
+        ) : (
+          <input
+            type="time"
+            value={form.time}
+            onChange={(e) => setForm({ ...form, time: e.target.value })}
+            required
+            className={inputClass}
+          />
+        )}
+        <button
+          type="submit"
+          disabled={saving || needsSubscription}
+          title={needsSubscription ? 'Start and restart schedules require an active subscription' : `Times are in ${timezone}`}
+          className="flex items-center px-2.5 py-1.5 rounded-md text-xs font-medium bg-primary-600 hover:bg-primary-700 text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+        >
+          {saving ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Plus className="h-3.5 w-3.5 mr-1" />}
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default VMSchedules;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Download, 
   Upload, 
@@ -12,6 +12,7 @@ import {
   ExternalLink
 } from 'lucide-react';
 import Toast from './Toast';
+import { subscribe } from '../services/liveUpdates';
 
 const VMSetup = ({ setupInfo, onComplete }) => {
   const [currentStep, setCurrentStep] = useState(1);
@@ -19,19 +20,27 @@ const VMSetup = ({ setupInfo, onComplete }) => {
   const [uploadFile, setUploadFile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [completing, setCompleting] = useState(false);
+  const [automationRunning, setAutomationRunning] = useState(false);
+  const [automationStarted, setAutomationStarted] = useState(null);
+  const [automationOutcome, setAutomationOutcome] = useState(null);
   const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
 
-  const showToast = (message, type = 'success') => {
+  const showToast = useCallback((message, type = 'success') => {
     setToast({ show: true, message, type });
-  };
+  }, []);
 
   const hideToast = () => {
     setToast({ show: false, message: '', type: 'success' });
   };
 
-  // Fetch setup status on component mount
+  // Fetch setup status on component mount, and again whenever the server reports a change
   useEffect(() => {
     fetchSetupStatus();
+    return subscribe(({ type, data }) => {
+      if (type !== 'setup.status') return;
+      if (data.totalVMs !== undefined) setAutomationOutcome(data);
+      fetchSetupStatus();
+    });
   }, []);
 
   const fetchSetupStatus = async () => {
@@ -46,6 +55,7 @@ const VMSetup = ({ setupInfo, onComplete }) => {
       if (response.ok) {
         const data = await response.json();
         setSetupStatus(data);
+        setAutomationRunning(!!data.setupStatus?.automationRunning);
         
         // Determine current step based on setup status
         if (data.setupStatus?.status === 'setup_in_progress') {
@@ -109,7 +119,11 @@ const VMSetup = ({ setupInfo, onComplete }) => {
         const data = await response.json();
         setSetupStatus(data);
         setCurrentStep(3);
-        showToast('File uploaded and distributed to VMs successfully!', 'success');
+        if (data.result?.success) {
+          showToast('File uploaded and distributed to VMs successfully!', 'success');
+        } else {
+          showToast(data.message, 'error');
+        }
       } else {
         const error = await response.json();
         showToast(error.error || 'Failed to upload file', 'error');
@@ -121,6 +135,8 @@ const VMSetup = ({ setupInfo, onComplete }) => {
     }
   };
 
+  // The automation scripts can run for minutes, so the server starts them in the
+  // background and reports the outcome as a live update
   const completeSetup = async () => {
     setCompleting(true);
     try {
@@ -132,19 +148,12 @@ const VMSetup = ({ setupInfo, onComplete }) => {
         }
       });
 
-      if (response.ok) {
-        const data = await response.json();
-        setSetupStatus(data);
-        setCurrentStep(4);
-        showToast('Setup completed! Your VMs are now running the automation.', 'success');
-        
-        // Notify parent component
-        if (onComplete) {
-          onComplete();
-        }
+      const data = await response.json();
+      if (response.ok || data.code === 'AUTOMATION_RUNNING') {
+        setAutomationRunning(true);
+        showToast(response.ok ? `${data.message}...` : data.error, 'success');
       } else {
-        const error = await response.json();
-        showToast(error.error || 'Failed to complete setup', 'error');
+        showToast(data.error || 'Failed to complete setup', 'error');
       }
     } catch (error) {
       showToast('Network error. Please try again.', 'error');
@@ -153,6 +162,31 @@ const VMSetup = ({ setupInfo, onComplete }) => {
     }
   };
 
+  // Sent once every automation script exited
+  useEffect(() => {
+    if (!automationOutcome) return;
+    setAutomationOutcome(null);
+    setAutomationRunning(false);
+
+    if (automationOutcome.automationStarted === 0) {
+      showToast('The automation script failed on all of your VMs. Please try again.', 'error');
+      return;
+    }
+
+    setAutomationStarted(automationOutcome.automationStarted);
+    setCurrentStep(4);
+    if (automationOutcome.automationStarted === automationOutcome.totalVMs) {
+      showToast('Setup completed! Your VMs are now running the automation.', 'success');
+    } else {
+      showToast(`Automation started on ${automationOutcome.automationStarted} of ${automationOutcome.totalVMs} VMs`, 'error');
+    }
+
+    // Notify parent component
+    if (onComplete) {
+      onComplete();
+    }
+  }, [automationOutcome, onComplete, showToast]);
+
   const steps = [
     {
       id: 1,
@@ -387,7 +421,7 @@ const VMSetup = ({ setupInfo, onComplete }) => {
               Configuration Uploaded Successfully
             </h2>
             <p className="text-gray-600 dark:text-gray-400 mb-6 max-w-2xl mx-auto">
-              Your hwho.dat file has been uploaded and distributed to all {setupInfo?.vmCount || 'your'} VMs. 
+              Your hwho.dat file has been uploaded and distributed to {setupStatus?.result?.distributedToVMs ?? setupInfo?.vmCount ?? 'your'} of {setupStatus?.result?.totalVMs ?? setupInfo?.vmCount ?? 'your'} VMs. 
               Click the button below to complete the setup and start the automation.
             </p>
 
@@ -402,13 +436,13 @@ const VMSetup = ({ setupInfo, onComplete }) => {
 
             <button
               onClick={completeSetup}
-              disabled={completing}
+              disabled={completing || automationRunning}
               className="inline-flex items-center px-6 py-3 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-semibold rounded-lg transition-colors duration-200"
             >
-              {completing ? (
+              {completing || automationRunning ? (
                 <>
                   <div className="animate-spin rounded-full h-5 w-5 border-2 border-white/70 border-t-white mr-2"></div>
-                  Completing Setup...
+                  {automationRunning ? 'Running Automation...' : 'Completing Setup...'}
                 </>
               ) : (
                 <>
@@ -437,7 +471,7 @@ const VMSetup = ({ setupInfo, onComplete }) => {
                   Automation Started
                 </h3>
                 <p className="text-sm text-green-800 dark:text-green-200">
-                  {setupStatus?.result?.automationStarted || setupInfo?.vmCount || 0} VMs are now running the {planTypeDisplayNames[setupInfo?.planType] || 'selected'} automation
+                  {automationStarted ?? setupInfo?.vmCount ?? 0} VMs are now running the {planTypeDisplayNames[setupInfo?.planType] || 'selected'} automation
                 </p>
               </div>
             </div>
@@ -0,0 +1,65 @@
+// Live dashboard updates pushed by the server over a websocket. The connection
+// is opened for the first subscriber, closed after the last one leaves, and
+// reopened with a growing delay when it drops.
+
+const TOKEN_EXPIRED_CODE = 4001;
+
+let socket = null;
+let reconnectTimer = null;
+let reconnectDelay = 1000;
+const listeners = new Set();
+
+const connect = () => {
+  const token = localStorage.getItem('token');
+  if (!token || socket) return;
+
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const ws = new WebSocket(`${protocol}//${window.location.host}/api/live?token=${encodeURIComponent(token)}`);
+  socket = ws;
+
+  ws.onopen = () => {
+    reconnectDelay = 1000;
+  };
+
+  ws.onmessage = (event) => {
+    try {
+      const message = JSON.parse(event.data);
+      listeners.forEach(listener => listener(message));
+    } catch (error) {
+      console.error('Invalid live update:', error);
+    }
+  };
+
+  ws.onclose = (event) => {
+    // Closed on purpose by disconnect(), which already moved on
+    if (socket !== ws) return;
+    socket = null;
+    // An expired login has to sign in again first
+    if (listeners.size === 0 || event.code === TOKEN_EXPIRED_CODE) return;
+
+    reconnectTimer = setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+  };
+};
+
+const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  if (socket) {
+    socket.close();
+    socket = null;
+  }
+};
+
+// Calls listener with every { type, data, timestamp } message. Returns the unsubscribe function.
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+};
+
@@ -6,6 +6,7 @@ module.exports = function(app) {
     createProxyMiddleware({
       target: 'http://localhost:5000',
       changeOrigin: true,
+      ws: true, // VM console and live updates
       secure: false,
       logLevel: 'debug'
     })
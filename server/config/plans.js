@@ -0,0 +1,58 @@
+// Plan specs shared by provisioning, VM routes and admin tools. Keys are the
+// planType values used in checkout metadata; users store the display name
+// (e.g. "Hour Booster"), which getPlanType maps back. actionCooldowns are the
+// seconds a customer waits before repeating a power action on the same VM.
+const PLANS = {
+  hour_booster: {
+    name: 'Hour Booster',
+    cores: 2,
+    memory: 4096,
+    snapshotLimit: 1,
+    actionCooldowns: { start: 30, stop: 30, shutdown: 30, reboot: 300 }
+  },
+  dual_mode: {
+    name: 'Dual Mode',
+    cores: 2,
+    memory: 4096,
+    snapshotLimit: 2,
+    actionCooldowns: { start: 30, stop: 30, shutdown: 30, reboot: 180 }
+  },
+  kd_drop: {
+    name: 'KD Drop',
+    cores: 4,
+    memory: 8192,
+    snapshotLimit: 3,
+    actionCooldowns: { start: 15, stop: 15, shutdown: 15, reboot: 120 }
+  }
+};
+
+// Older subscriptions were sold under these names
+const LEGACY_PLAN_NAMES = {
+  basic: 'hour_booster',
+  premium: 'kd_drop'
+};
+
+// Accepts a planType ("kd_drop") or a stored plan name ("KD Drop", "KD Drop - 5 VMs")
+function getPlanType(plan) {
+  if (!plan || plan === 'none') {
+    return null;
+  }
+
+  const normalized = String(plan).toLowerCase().replace(/[\s-]+/g, '_');
+  if (LEGACY_PLAN_NAMES[normalized]) {
+    return LEGACY_PLAN_NAMES[normalized];
+  }
+
+  return Object.keys(PLANS).find(planType => normalized.startsWith(planType)) || null;
+}
+
+function getPlan(plan) {
+  const planType = getPlanType(plan);
+  return planType ? { planType, ...PLANS[planType] } : null;
+}
+
+module.exports = {
+  PLANS,
+  getPlanType,
+  getPlan
+};
@@ -13,10 +13,25 @@ const vmRoutes = require('./routes/vm');
 const userRoutes = require('./routes/user');
 const paymentRoutes = require('./routes/payment');
 const adminRoutes = require('./routes/admin');
+const agentRoutes = require('./routes/agent');
 const db = require('./services/database');
+const vmProvisioning = require('./services/vmProvisioning');
+const provisioningQueue = require('./services/provisioningQueue');
+const vmRebuild = require('./services/vmRebuild');
+const consoleProxy = require('./services/consoleProxy');
+const liveUpdates = require('./services/liveUpdates');
+const vmScheduler = require('./services/vmScheduler');
+const vmWatchdog = require('./services/vmWatchdog');
+const vmStatusCache = require('./services/vmStatusCache');
+const vmPlanSync = require('./services/vmPlanSync');
+const vmReconciliation = require('./services/vmReconciliation');
+const vmAgent = require('./services/vmAgent');
+const farmingTracker = require('./services/farmingTracker');
+const capacityPlanner = require('./services/capacityPlanner');
+const vmidAllocator = require('./services/vmidAllocator');
 
-// Initialize subscription manager for automatic VM shutdown on expired subscriptions
-require('./services/subscriptionManager');
+// Subscription manager for automatic VM shutdown on expired subscriptions
+const subscriptionManager = require('./services/subscriptionManager');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -49,13 +64,14 @@ app.use(helmet({
 }));
 
 // Rate limiting with different tiers for different route types
-const createRateLimiter = (windowMs, max, message) => {
+const createRateLimiter = (windowMs, max, message, options = {}) => {
   return rateLimit({
     windowMs,
     max,
     message,
     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    ...options
   });
 };
 
@@ -63,7 +79,8 @@ const createRateLimiter = (windowMs, max, message) => {
 const generalLimiter = createRateLimiter(
   parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 300, // 300 requests per 15 minutes (20 per minute)
-  'Too many requests from this IP, please try again later.'
+  'Too many requests from this IP, please try again later.',
+  { skip: (req) => req.path.startsWith('/api/agent/') }
 );
 
 // Stricter limits for authentication routes to prevent brute force
@@ -87,7 +104,19 @@ const adminLimiter = createRateLimiter(
   'Too many admin requests, please try again later.'
 );
 
-// Apply general rate limiting to all routes
+// Farming agents have their own limit per VM secret, since many VMs can share
+// one public IP and each sends a heartbeat every minute
+const agentLimiter = createRateLimiter(
+  15 * 60 * 1000, // 15 minutes
+  60, // 60 heartbeats per VM per 15 minutes
+  'Too many agent requests, please try again later.',
+  { keyGenerator: (req) => {
+    const [scheme, secret] = (req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && secret ? vmAgent.hashSecret(secret) : req.ip;
+  } }
+);
+
+// Apply general rate limiting to all routes except the agent API
 app.use(generalLimiter);
 
 // CORS configuration with dev/prod separation
@@ -132,7 +161,7 @@ app.use(cors(corsOptions));
 app.use(session({
   store: new SQLiteStore({
     db: 'sessions.db',
-    dir: path.join(__dirname, 'data'),
+    dir: db.dataDir,
     table: 'sessions'
   }),
   secret: process.env.SESSION_SECRET || 'fallback-secret-change-in-production',
@@ -157,7 +186,7 @@ app.use(express.urlencoded({ extended: true }));
 // Logging - only in development
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
-} else {
+} else if (process.env.NODE_ENV !== 'test') {
   // Production logging - less verbose
   app.use(morgan('combined'));
 }
@@ -177,6 +206,7 @@ app.use('/api/vm', vmRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/payment', paymentLimiter, paymentRoutes);
 app.use('/api/admin', adminLimiter, adminRoutes);
+app.use('/api/agent', agentLimiter, agentRoutes);
 
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, '../client/build')));
@@ -210,22 +240,58 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`API endpoints available at http://localhost:${PORT}/api`);
-  
-  // Periodic cleanup to maintain performance
-  setInterval(() => {
-    try {
-      // Clean up expired sessions from database
-      db.cleanupExpiredSessions();
+// Listen and start the background services. Tests import the app without this.
+function startServer() {
+  // Provisioning cannot pick a VMID without a range, so refuse to start rather than fail on the first order
+  try {
+    vmidAllocator.getRange();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const server = app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`API endpoints available at http://localhost:${PORT}/api`);
+
+    // Pick up VM provisioning that was interrupted by the last shutdown
+    vmProvisioning.resumeInterruptedProvisioning();
+    provisioningQueue.start();
+    vmRebuild.start();
+    subscriptionManager.start();
+    vmScheduler.start();
+    vmWatchdog.start();
+    vmStatusCache.start();
+    vmPlanSync.start();
+    vmReconciliation.start();
+    vmAgent.start();
+    farmingTracker.start();
+    capacityPlanner.start();
+    
+    // Periodic cleanup to maintain performance
+    setInterval(() => {
+      try {
+        // Clean up expired sessions from database
+        db.cleanupExpiredSessions();
       
-      // Log cleanup operation in development only
-      if (process.env.NODE_ENV === 'development') {
-        console.log('Performed periodic cleanup of expired sessions');
+        // Log cleanup operation in development only
+        if (process.env.NODE_ENV === 'development') {
+          console.log('Performed periodic cleanup of expired sessions');
+        }
+      } catch (error) {
+        console.error('Error during periodic cleanup:', error);
       }
-    } catch (error) {
-      console.error('Error during periodic cleanup:', error);
-    }
-  }, 60 * 60 * 1000); // Run every hour
-}); 
\ No newline at end of file
+    }, 60 * 60 * 1000); // Run every hour
+  });
+
+  // VM console websockets are proxied to Proxmox on the same port
+  consoleProxy.attach(server);
+  liveUpdates.attach(server);
+  return server;
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
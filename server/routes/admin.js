@@ -4,6 +4,13 @@ const db = require('../services/database');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const vmProvisioning = require('../services/vmProvisioning');
+const provisioningQueue = require('../services/provisioningQueue');
+const templateRegistry = require('../services/templateRegistry');
+const vmReconciliation = require('../services/vmReconciliation');
+const vmAgent = require('../services/vmAgent');
+const capacityPlanner = require('../services/capacityPlanner');
+const vmStatusCache = require('../services/vmStatusCache');
+const { PLANS } = require('../config/plans');
 
 // Initialize Stripe
 const stripe = process.env.STRIPE_SECRET_KEY ? require('stripe')(process.env.STRIPE_SECRET_KEY) : null;
@@ -22,11 +29,23 @@ const requireAdmin = (req, res, next) => {
 router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const users = await db.getAllUsers();
+
+    // Labels customers gave their VMs, keyed by VMID
+    const labels = {};
+    for (const metadata of db.getAssignedVMMetadata()) {
+      labels[metadata.user_id] = labels[metadata.user_id] || {};
+      labels[metadata.user_id][metadata.vmid] = {
+        nickname: metadata.nickname,
+        tag: metadata.tag,
+        color: metadata.color,
+        notes: metadata.notes
+      };
+    }
     
     // Remove sensitive data
     const safeUsers = users.map(user => {
       const { password, ...safeUser } = user;
-      return safeUser;
+      return { ...safeUser, vmMetadata: labels[user.id] || {} };
     });
 
     res.json({ users: safeUsers });
@@ -700,13 +719,13 @@ router.post('/users/:userId/assign-subscription', authenticateToken, requireAdmi
           nickname: plan
         });
 
-        console.log('VM provisioning completed for manual assignment:', provisioningResult);
-        provisioningMessage = ` VMs provisioned: ${provisioningResult.vmsCreated?.length || 0}`;
+        console.log('VM provisioning queued for manual assignment:', provisioningResult);
+        provisioningMessage = ` VMs queued for provisioning: ${provisioningResult.jobIds?.length || 0}`;
 
         // Log VM provisioning success
         try {
           db.logAction(userId, 'vm_provisioning_admin_manual', 'subscription', plan, {
-            vmsCreated: provisioningResult.vmsCreated || [],
+            jobIds: provisioningResult.jobIds || [],
             planType: planType,
             vmCount: vmCount,
             triggeredBy: req.user.username,
@@ -1059,7 +1078,7 @@ router.post('/users/:userId/provision-vms', authenticateToken, requireAdmin, asy
 
     // Log the action
     db.logAction(userId, 'vm_provisioning_admin_manual', 'subscription', user.subscription.stripeSubscriptionId || 'manual', {
-      vmsCreated: result.vmsCreated?.length || 0,
+      jobIds: result.jobIds || [],
       planType: planType,
       vmCount: vmCount,
       triggeredBy: req.user.username
@@ -1067,7 +1086,7 @@ router.post('/users/:userId/provision-vms', authenticateToken, requireAdmin, asy
 
     res.json({
       success: true,
-      message: `VM provisioning completed for user ${user.username}`,
+      message: `VM provisioning queued for user ${user.username}`,
       result: result,
       user: {
         id: user.id,
@@ -1085,57 +1104,36 @@ router.post('/users/:userId/provision-vms', authenticateToken, requireAdmin, asy
   }
 });
 
-// Debug endpoint to check template VM status
+// Debug endpoint to check the active template of every plan in Proxmox
 router.get('/debug/template-status', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const proxmoxService = require('../services/proxmox');
-    
-    console.log('Checking template VM 3000 status...');
-    
-    // Check if VM 3000 exists and get its config
-    try {
-      const templateConfig = await proxmoxService.getVMConfig(3000);
-      console.log('Template VM 3000 config:', templateConfig);
-      
-      // Check if VM 3000 is actually a template
-      const isTemplate = templateConfig.template === 1 || templateConfig.template === '1';
-      
-      // Get VM status
-      const vmStatus = await proxmoxService.getVMStatus(3000);
-      console.log('Template VM 3000 status:', vmStatus);
-      
-      res.json({
-        success: true,
-        template: {
-          vmid: 3000,
-          exists: true,
-          isTemplate: isTemplate,
-          name: templateConfig.name,
-          status: vmStatus.status,
-          config: templateConfig,
-          rawStatus: vmStatus
-        },
-        recommendations: isTemplate ? [] : ['VM 3000 is not configured as a template. Please convert it to a template in Proxmox.']
-      });
-      
-    } catch (vmError) {
-      console.error('Template VM 3000 error:', vmError.message);
-      
-      res.json({
-        success: false,
-        error: vmError.message,
-        template: {
-          vmid: 3000,
-          exists: false
-        },
-        recommendations: [
-          'VM 3000 (Windows10T) does not exist or is not accessible.',
-          'Please create a VM with ID 3000 and configure it as a template.',
-          'Make sure the VM is named "Windows10T" and is properly templated.'
-        ]
-      });
+    const templates = [];
+    const recommendations = [];
+
+    for (const planType of Object.keys(PLANS)) {
+      const template = db.getActiveTemplate(planType);
+      if (!template) {
+        templates.push({ planType, registered: false });
+        recommendations.push(`No active template is registered for ${PLANS[planType].name}. Register and promote one under Templates.`);
+        continue;
+      }
+
+      const check = await templateRegistry.inspect(template.vmid);
+      templates.push({ planType, registered: true, version: template.version, ...check });
+
+      if (!check.exists) {
+        recommendations.push(`VM ${template.vmid} (${PLANS[planType].name} v${template.version}) does not exist or is not accessible.`);
+      } else if (!check.isTemplate) {
+        recommendations.push(`VM ${template.vmid} is not configured as a template. Please convert it to a template in Proxmox.`);
+      }
     }
-    
+
+    res.json({
+      success: recommendations.length === 0,
+      templates,
+      recommendations
+    });
+
   } catch (error) {
     console.error('Error checking template status:', error);
     res.status(500).json({ 
@@ -1146,14 +1144,279 @@ router.get('/debug/template-status', authenticateToken, requireAdmin, async (req
   }
 });
 
+// Template registry: every registered version and the VMs still on an older one
+router.get('/templates', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      templates: db.getTemplates(),
+      outdatedVMs: db.getOutdatedTemplateVMs()
+    });
+  } catch (error) {
+    console.error('Error getting templates:', error);
+    res.status(500).json({ error: 'Failed to get templates' });
+  }
+});
+
+// Register a new template version for a plan, optionally promoting it straight away
+router.post('/templates', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { planType, notes, activate = false } = req.body;
+    const vmid = parseInt(req.body.vmid);
+    const version = typeof req.body.version === 'string' ? req.body.version.trim() : '';
+
+    if (!PLANS[planType]) {
+      return res.status(400).json({ error: `Unknown plan type: ${planType}`, code: 'INVALID_PLAN' });
+    }
+    if (!Number.isInteger(vmid) || vmid < 100) {
+      return res.status(400).json({ error: 'A valid template VMID is required', code: 'INVALID_VMID' });
+    }
+    if (!version || version.length > 50) {
+      return res.status(400).json({ error: 'Version is required (up to 50 characters)', code: 'INVALID_VERSION' });
+    }
+    if (db.getTemplateByVersion(planType, version)) {
+      return res.status(409).json({
+        error: `${PLANS[planType].name} already has a template version ${version}`,
+        code: 'TEMPLATE_VERSION_EXISTS'
+      });
+    }
+
+    const check = await templateRegistry.inspect(vmid);
+    if (!check.isTemplate) {
+      return res.status(400).json({
+        error: check.exists
+          ? `VM ${vmid} is not a template. Convert it to a template in Proxmox first.`
+          : `VM ${vmid} does not exist or is not accessible`,
+        code: 'NOT_A_TEMPLATE'
+      });
+    }
+
+    let template = db.createTemplate({
+      planType,
+      vmid,
+      version,
+      notes: notes ? String(notes).slice(0, 500) : null,
+      createdBy: req.user.id
+    });
+    const previous = activate ? db.getActiveTemplate(planType) : null;
+    if (activate) {
+      template = db.activateTemplate(template.id);
+    }
+
+    const clientIP = req.ip || req.connection.remoteAddress;
+    db.logAction(req.user.id, 'template_registered', 'template', template.id.toString(), {
+      planType,
+      vmid,
+      version,
+      activated: Boolean(activate),
+      previousVersion: previous?.version || null
+    }, clientIP, req.user.id);
+
+    res.status(201).json({ message: `Template ${version} registered for ${PLANS[planType].name}`, template });
+
+  } catch (error) {
+    console.error('Error registering template:', error);
+    res.status(500).json({ error: 'Failed to register template' });
+  }
+});
+
+// Make a version the one new VMs and rebuilds of its plan are cloned from
+router.post('/templates/:templateId/promote', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const template = db.getTemplate(parseInt(req.params.templateId));
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (template.active) {
+      return res.status(409).json({ error: `Version ${template.version} is already active`, code: 'TEMPLATE_ACTIVE' });
+    }
+
+    const check = await templateRegistry.inspect(template.vmid);
+    if (!check.isTemplate) {
+      return res.status(400).json({
+        error: `VM ${template.vmid} is no longer a usable template`,
+        code: 'NOT_A_TEMPLATE'
+      });
+    }
+
+    const previous = db.getActiveTemplate(template.plan_type);
+    const promoted = db.activateTemplate(template.id);
+
+    const clientIP = req.ip || req.connection.remoteAddress;
+    db.logAction(req.user.id, 'template_promoted', 'template', template.id.toString(), {
+      planType: template.plan_type,
+      vmid: template.vmid,
+      version: template.version,
+      previousVersion: previous?.version || null
+    }, clientIP, req.user.id);
+
+    res.json({ message: `Version ${template.version} is now the active template`, template: promoted });
+
+  } catch (error) {
+    console.error('Error promoting template:', error);
+    res.status(500).json({ error: 'Failed to promote template' });
+  }
+});
+
+// Retire a version that is no longer cloned. The active version has to be
+// replaced first so the plan always has a template.
+router.post('/templates/:templateId/retire', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const template = db.getTemplate(parseInt(req.params.templateId));
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (template.active) {
+      return res.status(409).json({
+        error: 'The active template cannot be retired. Promote another version first.',
+        code: 'TEMPLATE_ACTIVE'
+      });
+    }
+    if (template.retired_at) {
+      return res.status(409).json({ error: `Version ${template.version} is already retired`, code: 'TEMPLATE_RETIRED' });
+    }
+
+    const retired = db.retireTemplate(template.id);
+
+    const clientIP = req.ip || req.connection.remoteAddress;
+    db.logAction(req.user.id, 'template_retired', 'template', template.id.toString(), {
+      planType: template.plan_type,
+      vmid: template.vmid,
+      version: template.version
+    }, clientIP, req.user.id);
+
+    res.json({ message: `Version ${template.version} retired`, template: retired });
+
+  } catch (error) {
+    console.error('Error retiring template:', error);
+    res.status(500).json({ error: 'Failed to retire template' });
+  }
+});
+
+// Drift between Proxmox and the database: orphan VMs, dangling assignments and
+// owner or setup mismatches, each with the fixes it offers
+router.get('/reconciliation', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json(await vmReconciliation.buildReport());
+  } catch (error) {
+    console.error('Error building reconciliation report:', error);
+    res.status(500).json({ error: 'Failed to build reconciliation report', details: error.message });
+  }
+});
+
+// Apply one fix (assign, unassign, destroy or sync_setup) to a finding
+router.post('/reconciliation/fix', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { findingId, action, userId } = req.body;
+    if (!findingId || !action) {
+      return res.status(400).json({ error: 'findingId and action are required', code: 'INVALID_FIX' });
+    }
+
+    const outcome = await vmReconciliation.applyFix(findingId, action, { userId });
+    if (outcome.status) {
+      return res.status(outcome.status).json({ error: outcome.error, code: outcome.code });
+    }
+
+    const { finding, result } = outcome;
+    const clientIP = req.ip || req.connection.remoteAddress;
+    db.logAction(result.assignedTo || finding.userId || null, 'reconciliation_fix_applied', 'vm', finding.vmid ? finding.vmid.toString() : null, {
+      findingId,
+      type: finding.type,
+      action,
+      ...result
+    }, clientIP, req.user.id);
+
+    res.json({ message: `${action} applied to ${finding.vmid ? `VM ${finding.vmid}` : finding.username}`, finding, result });
+
+  } catch (error) {
+    console.error('Error applying reconciliation fix:', error);
+    res.status(500).json({ error: 'Failed to apply fix', details: error.message });
+  }
+});
+
+// Farming agents: last heartbeat and bot state of every VM that has credentials
+router.get('/agents', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const agents = db.getVMAgents().map(agent => ({
+      vmid: agent.vmid,
+      userId: agent.user_id,
+      username: agent.username,
+      ...vmAgent.formatAgent(agent)
+    }));
+
+    const summary = ['ok', 'stale', 'waiting'].reduce((counts, status) => ({
+      ...counts,
+      [status]: agents.filter(agent => agent.status === status).length
+    }), { total: agents.length });
+
+    res.json({ agents, summary, staleAfterMinutes: vmAgent.staleAfterMinutes });
+  } catch (error) {
+    console.error('Error fetching agents:', error);
+    res.status(500).json({ error: 'Failed to fetch agents' });
+  }
+});
+
+// Write new agent credentials into a VM, e.g. one provisioned before heartbeats
+// existed or whose agent.json was lost. The old secret stops working.
+router.post('/agents/:vmid/credentials', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    const status = await vmStatusCache.getVMStatus(vmid).catch(() => null);
+    if (!status) {
+      return res.status(404).json({ error: 'VM not found', code: 'VM_NOT_FOUND' });
+    }
+    if (status.status !== 'running') {
+      return res.status(409).json({ error: 'The VM must be running to receive new credentials', code: 'VM_NOT_RUNNING' });
+    }
+
+    await vmAgent.issueCredential(vmid);
+
+    const owner = db.getVMCustomer(vmid);
+    db.logAction(owner?.id || null, 'vm_agent_credentials_issued', 'vm', vmid.toString(), {}, clientIP, req.user.id);
+
+    res.json({ message: `New agent credentials written to VM ${vmid}`, agent: vmAgent.formatAgent(db.getVMAgent(vmid)) });
+  } catch (error) {
+    console.error(`Error issuing agent credentials for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to issue agent credentials', details: error.message });
+  }
+});
+
+// Cluster capacity for new orders, the holds on it and the waitlist
+router.get('/capacity', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const capacity = await capacityPlanner.getCapacity();
+
+    const reservations = db.getActiveCapacityReservations().map(reservation => ({
+      id: reservation.id,
+      userId: reservation.user_id,
+      username: reservation.username,
+      kind: reservation.kind,
+      planType: reservation.plan_type,
+      vmCount: reservation.vm_count,
+      memory: reservation.memory_mb,
+      cores: reservation.cores,
+      expiresAt: new Date(`${reservation.expires_at.replace(' ', 'T')}Z`).toISOString()
+    }));
+
+    res.json({
+      enabled: capacityPlanner.enabled,
+      capacity,
+      reservations,
+      waitlist: db.getOpenWaitlist().map(entry => capacityPlanner.formatWaitlistEntry(entry))
+    });
+  } catch (error) {
+    console.error('Error fetching capacity:', error);
+    res.status(500).json({ error: 'Failed to fetch capacity', details: error.message });
+  }
+});
+
 // Production monitoring endpoints
 router.get('/monitoring/system-health', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const proxmoxService = require('../services/proxmox');
-    
     // Get system metrics
-    const nodeInfo = await proxmoxService.getNodeInfo();
-    const vms = await proxmoxService.getVMs();
+    const { nodes } = await vmStatusCache.getNodesInfo();
+    const vms = await vmStatusCache.getVMs();
     
     // Database stats
     const dbStats = await db.getSystemStats();
@@ -1187,6 +1450,10 @@ router.get('/monitoring/system-health', authenticateToken, requireAdmin, async (
       LIMIT 20
     `).all();
     
+    // Hung VMs the watchdog had to recover
+    const incidents = db.getVMIncidentSummary('-24 hours');
+    const incidentCount = Object.values(incidents).reduce((sum, vm) => sum + vm.count, 0);
+
     // VM provisioning status
     const provisioningStats = db.db.prepare(`
       SELECT 
@@ -1202,12 +1469,16 @@ router.get('/monitoring/system-health', authenticateToken, requireAdmin, async (
       timestamp: new Date().toISOString(),
       system: {
         proxmox: {
-          status: 'online',
-          node: nodeInfo.node,
-          cpu: nodeInfo.cpu,
-          memory: nodeInfo.memory,
-          uptime: nodeInfo.uptime,
-          loadAvg: nodeInfo.loadavg
+          status: nodes.every(node => node.status === 'online') ? 'online' : 'degraded',
+          nodes: nodes.map(node => ({
+            node: node.node,
+            status: node.status,
+            cpu: node.cpu,
+            memory: node.memory,
+            uptime: node.uptime,
+            loadAvg: node.loadavg,
+            vms: vms.filter(vm => vm.node === node.node && !vm.template).length
+          }))
         },
         database: {
           users: dbStats.totalUsers,
@@ -1221,16 +1492,30 @@ router.get('/monitoring/system-health', authenticateToken, requireAdmin, async (
         recentErrors: recentErrors,
         provisioning: provisioningStats
       },
+      watchdog: {
+        incidents24h: incidentCount,
+        vmsAffected24h: Object.keys(incidents).length
+      },
       alerts: [
-        ...(nodeInfo.memory.usage > 90 ? [{
+        ...nodes.filter(node => node.status !== 'online').map(node => ({
           type: 'critical',
-          message: `High memory usage: ${nodeInfo.memory.usage}%`,
+          message: `Node ${node.node} is ${node.status}`,
           component: 'proxmox'
-        }] : []),
-        ...(nodeInfo.cpu.usage > 80 ? [{
+        })),
+        ...nodes.filter(node => node.memory.usage > 90).map(node => ({
+          type: 'critical',
+          message: `High memory usage on ${node.node}: ${node.memory.usage}%`,
+          component: 'proxmox'
+        })),
+        ...nodes.filter(node => node.cpu.usage > 80).map(node => ({
           type: 'warning', 
-          message: `High CPU usage: ${nodeInfo.cpu.usage}%`,
+          message: `High CPU usage on ${node.node}: ${node.cpu.usage}%`,
           component: 'proxmox'
+        })),
+        ...(incidentCount > 0 ? [{
+          type: 'warning',
+          message: `${incidentCount} hung VM recoveries in last 24 hours`,
+          component: 'watchdog'
         }] : []),
         ...(recentErrors.length > 10 ? [{
           type: 'warning',
@@ -1246,6 +1531,50 @@ router.get('/monitoring/system-health', authenticateToken, requireAdmin, async (
   }
 });
 
+// Usage history of a Proxmox node for charts
+router.get('/monitoring/nodes/:node/metrics', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const proxmoxService = require('../services/proxmox');
+    const timeframe = req.query.timeframe || 'hour';
+
+    if (!proxmoxService.isValidMetricsTimeframe(timeframe)) {
+      return res.status(400).json({
+        error: 'Timeframe must be hour, day or week',
+        code: 'INVALID_TIMEFRAME'
+      });
+    }
+
+    const nodes = await proxmoxService.getNodes();
+    if (!nodes.some(node => node.node === req.params.node)) {
+      return res.status(404).json({ error: 'Node not found', code: 'NODE_NOT_FOUND' });
+    }
+
+    const points = await proxmoxService.getNodeMetrics(req.params.node, timeframe);
+    res.json({ node: req.params.node, timeframe, points });
+  } catch (error) {
+    console.error(`Error getting metrics for node ${req.params.node}:`, error);
+    res.status(500).json({ error: 'Failed to get node metrics' });
+  }
+});
+
+// Hung VMs recovered by the watchdog
+router.get('/monitoring/incidents', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    res.json({
+      incidents: db.getRecentVMIncidents(limit),
+      summary: {
+        last24h: db.getVMIncidentSummary('-24 hours'),
+        last7d: db.getVMIncidentSummary('-7 days')
+      }
+    });
+  } catch (error) {
+    console.error('Error getting VM incidents:', error);
+    res.status(500).json({ error: 'Failed to get VM incidents' });
+  }
+});
+
 // VM provisioning history
 router.get('/monitoring/vm-provisioning', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -1259,7 +1588,7 @@ router.get('/monitoring/vm-provisioning', authenticateToken, requireAdmin, async
         u.email
       FROM audit_logs al
       LEFT JOIN users u ON al.user_id = u.id
-      WHERE al.action IN ('vms_provisioned', 'vm_provisioning_failed', 'vm_provisioning_admin_manual')
+      WHERE al.action IN ('vms_provisioned', 'vm_provisioning_queued', 'vm_provisioning_failed', 'vm_provisioning_admin_manual')
       ORDER BY al.created_at DESC
       LIMIT ? OFFSET ?
     `).all(parseInt(limit), parseInt(offset));
@@ -1273,12 +1602,20 @@ router.get('/monitoring/vm-provisioning', authenticateToken, requireAdmin, async
       LIMIT 20
     `).all();
     
+    // Provisioning job queue
+    const jobs = db.getProvisioningJobs({
+      status: req.query.jobStatus || null,
+      limit: parseInt(req.query.jobLimit) || 50
+    });
+    
     res.json({
       provisioningHistory: provisioningHistory.map(log => ({
         ...log,
         details: JSON.parse(log.details || '{}'),
         timestamp: log.created_at
       })),
+      jobs,
+      jobCounts: db.getProvisioningJobCounts(),
       failedWebhooks,
       pagination: {
         limit: parseInt(limit),
@@ -1293,6 +1630,80 @@ router.get('/monitoring/vm-provisioning', authenticateToken, requireAdmin, async
   }
 });
 
+// Retry a failed or cancelled provisioning job
+router.post('/monitoring/vm-provisioning/jobs/:jobId/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+    const job = db.getProvisioningJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Provisioning job not found' });
+    }
+
+    const retried = await provisioningQueue.retryJob(jobId);
+    if (!retried) {
+      return res.status(409).json({
+        error: `Only failed or cancelled jobs can be retried (job is ${job.status})`,
+        code: 'JOB_NOT_RETRYABLE'
+      });
+    }
+
+    const clientIP = req.ip || req.connection.remoteAddress;
+    db.logAction(job.user_id, 'provisioning_job_retried', 'provisioning_job', jobId.toString(), {
+      vmName: job.vm_name,
+      previousStatus: job.status,
+      lastError: job.last_error,
+      retriedBy: req.user.username
+    }, clientIP, req.user.id);
+
+    res.json({
+      message: `Provisioning job ${jobId} queued for retry`,
+      job: db.getProvisioningJob(jobId)
+    });
+
+  } catch (error) {
+    console.error('Error retrying provisioning job:', error);
+    res.status(500).json({ error: 'Failed to retry provisioning job' });
+  }
+});
+
+// Cancel a provisioning job that has not finished
+router.post('/monitoring/vm-provisioning/jobs/:jobId/cancel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+    const job = db.getProvisioningJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Provisioning job not found' });
+    }
+
+    const cancelled = await provisioningQueue.cancelJob(jobId);
+    if (!cancelled) {
+      return res.status(409).json({
+        error: `Job cannot be cancelled (job is ${job.status})`,
+        code: 'JOB_NOT_CANCELLABLE'
+      });
+    }
+
+    const clientIP = req.ip || req.connection.remoteAddress;
+    db.logAction(job.user_id, 'provisioning_job_cancelled', 'provisioning_job', jobId.toString(), {
+      vmName: job.vm_name,
+      previousStatus: job.status,
+      stage: job.stage,
+      cancelledBy: req.user.username
+    }, clientIP, req.user.id);
+
+    res.json({
+      message: `Provisioning job ${jobId} cancelled`,
+      job: db.getProvisioningJob(jobId)
+    });
+
+  } catch (error) {
+    console.error('Error cancelling provisioning job:', error);
+    res.status(500).json({ error: 'Failed to cancel provisioning job' });
+  }
+});
+
 // Real-time webhook monitoring
 router.get('/monitoring/webhooks', authenticateToken, requireAdmin, async (req, res) => {
   try {
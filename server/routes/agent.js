@@ -0,0 +1,32 @@
+const express = require('express');
+const vmAgent = require('../services/vmAgent');
+
+const router = express.Router();
+
+// Heartbeat from the farming agent inside a VM, e.g.
+// { botState: 'farming', gameRunning: true, activity: 'Raid on Customs' }.
+// The agent authenticates with its VM's secret: "Authorization: Bearer <secret>".
+router.post('/heartbeat', (req, res) => {
+  try {
+    const [scheme, secret] = (req.headers.authorization || '').split(' ');
+    const agent = scheme === 'Bearer' ? vmAgent.authenticate(secret) : null;
+
+    if (!agent) {
+      return res.status(401).json({ error: 'Invalid agent credentials', code: 'INVALID_AGENT_CREDENTIALS' });
+    }
+
+    const { heartbeat, error } = vmAgent.parseHeartbeat(req.body || {});
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_HEARTBEAT' });
+    }
+
+    vmAgent.recordHeartbeat(agent, heartbeat, req.ip || req.connection.remoteAddress);
+
+    res.json({ received: true, vmid: agent.vmid, intervalSeconds: vmAgent.heartbeatInterval });
+  } catch (error) {
+    console.error('Error recording agent heartbeat:', error);
+    res.status(500).json({ error: 'Failed to record heartbeat' });
+  }
+});
+
+module.exports = router;
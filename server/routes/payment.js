@@ -3,6 +3,7 @@ const { authenticateToken } = require('../middleware/auth');
 const db = require('../services/database');
 const subscriptionManager = require('../services/subscriptionManager');
 const vmProvisioning = require('../services/vmProvisioning');
+const capacityPlanner = require('../services/capacityPlanner');
 
 const router = express.Router();
 
@@ -88,8 +89,42 @@ function calculateCustomPricing(planType, vmCount) {
   };
 }
 
+// Answer an order the cluster has no room for: join the waitlist when the
+// customer asked to (202), otherwise refuse it (409)
+function refuseForCapacity(req, res, user, order) {
+  const clientIP = req.ip || req.connection.remoteAddress;
+
+  if (req.body.joinWaitlist) {
+    const waitlist = capacityPlanner.joinWaitlist(user, order);
+    db.logAction(user.id, 'waitlist_joined', 'waitlist', waitlist.id.toString(), {
+      kind: order.kind,
+      planType: order.planType,
+      vmCount: order.vmCount
+    }, clientIP);
+
+    return res.status(202).json({
+      message: 'You are on the waitlist. We will let you know as soon as there is room for your order.',
+      waitlisted: true,
+      waitlist
+    });
+  }
+
+  db.logAction(user.id, 'order_refused_capacity', 'subscription', order.planName, {
+    kind: order.kind,
+    planType: order.planType,
+    vmCount: order.vmCount
+  }, clientIP);
+
+  return res.status(409).json({
+    error: 'We don\'t have room for this order right now. Join the waitlist and we will let you know when there is.',
+    code: 'INSUFFICIENT_CAPACITY',
+    canJoinWaitlist: true
+  });
+}
+
 // Enhanced checkout session creation that handles upgrades
 router.post('/create-checkout-session', authenticateToken, async (req, res) => {
+  let reservationId = null;
   try {
     const { planType, vmCount, planName } = req.body;
     const userId = req.user.id;
@@ -129,6 +164,14 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
       });
     }
 
+    // Hold room for the VMs until the checkout session expires
+    const order = { kind: 'checkout', planType, vmCount, planName };
+    const capacity = await capacityPlanner.reserveOrder(user, order);
+    if (!capacity.reserved) {
+      return refuseForCapacity(req, res, user, order);
+    }
+    reservationId = capacity.reservationId;
+
     let priceId;
     let sessionMetadata = {
       userId: userId.toString(),
@@ -136,6 +179,10 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
       vmCount: vmCount.toString(),
       planName: planName
     };
+    // Released once the paid order is queued for provisioning
+    if (reservationId) {
+      sessionMetadata.reservationId = reservationId.toString();
+    }
 
     // Check if we have a fixed price for this combination
     const fixedPriceKey = `${planType}_${vmCount}`;
@@ -184,10 +231,14 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
       metadata: sessionMetadata,
       subscription_data: {
         metadata: sessionMetadata
-      }
+      },
+      expires_at: Math.floor(Date.now() / 1000) + capacityPlanner.checkoutHoldMinutes * 60
     });
 
     console.log('Stripe checkout session created:', session.id);
+    if (reservationId) {
+      db.setCapacityReservationReference(reservationId, session.id);
+    }
 
     // Log the action
     const clientIP = req.ip || req.connection.remoteAddress;
@@ -206,12 +257,16 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Error creating checkout session:', error);
+    if (reservationId) {
+      db.releaseCapacityReservation(reservationId);
+    }
     res.status(500).json({ error: 'Failed to create checkout session' });
   }
 });
 
 // New endpoint for subscription upgrades/modifications
 router.post('/upgrade-subscription', authenticateToken, async (req, res) => {
+  let reservationId = null;
   try {
     const { planType, vmCount, planName } = req.body;
     const userId = req.user.id;
@@ -251,6 +306,14 @@ router.post('/upgrade-subscription', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Unable to calculate pricing for this configuration' });
     }
 
+    // Extra VMs and bigger plans need room on the cluster
+    const order = { kind: 'upgrade', planType, vmCount, planName };
+    const capacity = await capacityPlanner.reserveOrder(user, order, user.subscription.stripeSubscriptionId);
+    if (!capacity.reserved) {
+      return refuseForCapacity(req, res, user, order);
+    }
+    reservationId = capacity.reservationId;
+
     // Check if we have a fixed price for this combination or create dynamic one
     let newPriceId;
     const fixedPriceKey = `${planType}_${vmCount}`;
@@ -348,6 +411,11 @@ router.post('/upgrade-subscription', authenticateToken, async (req, res) => {
       vmCount: vmCount
     });
 
+    // The subscription is on the new plan now, so the room held for the upgrade can go
+    if (reservationId) {
+      db.releaseCapacityReservation(reservationId);
+    }
+
     // Calculate proration details for response
     const currentPeriodStart = new Date(currentSubscription.current_period_start * 1000);
     const currentPeriodEnd = new Date(currentSubscription.current_period_end * 1000);
@@ -390,6 +458,9 @@ router.post('/upgrade-subscription', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Error upgrading subscription:', error);
+    if (reservationId) {
+      db.releaseCapacityReservation(reservationId);
+    }
     res.status(500).json({ error: 'Failed to upgrade subscription' });
   }
 });
@@ -681,6 +752,37 @@ router.post('/reactivate-subscription', authenticateToken, async (req, res) => {
   }
 });
 
+// The customer's place on the capacity waitlist, or the room offered to them
+router.get('/waitlist', authenticateToken, (req, res) => {
+  try {
+    res.json({ waitlist: capacityPlanner.getWaitlistEntry(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching waitlist entry:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist entry' });
+  }
+});
+
+router.delete('/waitlist', authenticateToken, (req, res) => {
+  try {
+    const entry = capacityPlanner.getWaitlistEntry(req.user.id);
+    if (!entry || !capacityPlanner.leaveWaitlist(req.user.id)) {
+      return res.status(404).json({ error: 'You are not on the waitlist', code: 'WAITLIST_NOT_FOUND' });
+    }
+
+    const clientIP = req.ip || req.connection.remoteAddress;
+    db.logAction(req.user.id, 'waitlist_left', 'waitlist', entry.id.toString(), {
+      planType: entry.planType,
+      vmCount: entry.vmCount,
+      status: entry.status
+    }, clientIP);
+
+    res.json({ message: 'You have left the waitlist' });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({ error: 'Failed to leave waitlist' });
+  }
+});
+
 // Webhook handler for Stripe events
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -974,7 +1076,7 @@ async function handleSubscriptionUpdated(subscription) {
         console.log(`Provisioning details:`, { planType, vmCount, planName });
         
         try {
-          // Trigger VM provisioning asynchronously
+          // Queue VM provisioning; the provisioning worker creates the VMs
           const provisioningResult = await vmProvisioning.provisionVMsForUser(userId, {
             id: subscription.id,
             metadata: subscription.metadata,
@@ -984,11 +1086,11 @@ async function handleSubscriptionUpdated(subscription) {
             nickname: planName
           });
           
-          console.log(`VM provisioning completed for user ${userId}:`, provisioningResult);
+          console.log(`VM provisioning queued for user ${userId}:`, provisioningResult);
           
           // Log successful provisioning
-          db.logAction(userId, 'vm_provisioning_completed', 'subscription', subscription.id, {
-            vmsCreated: provisioningResult.vmsCreated?.length || 0,
+          db.logAction(userId, 'vm_provisioning_queued', 'subscription', subscription.id, {
+            jobIds: provisioningResult.jobIds || [],
             planType: planType,
             vmCount: vmCount
           }, 'webhook');
@@ -1117,8 +1219,8 @@ async function handleDisputeCreated(dispute) {
       dispute.currency,
       dispute.reason,
       dispute.status,
-      dispute.evidence_details?.due_by,
-      dispute.is_charge_refundable,
+      dispute.evidence_details?.due_by ?? null,
+      dispute.is_charge_refundable ? 1 : 0, // SQLite can't bind booleans
       JSON.stringify(dispute.metadata)
     );
 
@@ -1747,7 +1849,7 @@ router.post('/debug/provision-missing-vms', authenticateToken, async (req, res)
 
     res.json({
       success: true,
-      message: `VM provisioning completed for user ${user.username}`,
+      message: `VM provisioning queued for user ${user.username}`,
       result: result,
       user: {
         id: user.id,
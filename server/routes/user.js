@@ -1,7 +1,8 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const db = require('../services/database');
-const proxmoxService = require('../services/proxmox');
+const vmStatusCache = require('../services/vmStatusCache');
+const farmingTracker = require('../services/farmingTracker');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
@@ -37,7 +38,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     // Get real VM count from Proxmox
     let totalVMs = 0;
     try {
-      const allVMs = await proxmoxService.getVMs();
+      const allVMs = await vmStatusCache.getVMs();
       const realVMs = allVMs.filter(vm => vm.template !== 1);
       
       if (user.role === 'admin') {
@@ -65,7 +66,9 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
       subscription: subscriptionData,
       accountCreated: user.createdAt,
       lastLogin: user.lastLogin || new Date().toISOString(),
-      role: user.role || 'customer'
+      role: user.role || 'customer',
+      // Hours farmed by the customer's VMs; admins don't farm
+      farming: user.role === 'admin' ? null : farmingTracker.getReport(userId, 14)
     };
 
     res.json({
@@ -84,6 +87,74 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
   }
 });
 
+// Farming time of the account: totals, daily breakdown and goal progress
+router.get('/farming', authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    res.json(farmingTracker.getReport(req.user.id, days));
+  } catch (error) {
+    console.error('Error fetching farming report:', error);
+    res.status(500).json({ error: 'Failed to fetch farming report' });
+  }
+});
+
+// Daily farming time per VM as CSV
+router.get('/farming/export', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 365);
+
+    db.logAction(userId, 'farming_exported', 'farming', userId, { days }, clientIP, userId);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="farming-${req.user.username}-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(farmingTracker.toCSV(userId, days));
+  } catch (error) {
+    console.error('Error exporting farming time:', error);
+    res.status(500).json({ error: 'Failed to export farming time' });
+  }
+});
+
+// Set the farming goal, e.g. { targetHours: 100, deadline: '2025-07-01' }.
+// Progress counts from the day the goal is set.
+router.put('/farming/goal', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    const { goal, error } = farmingTracker.parseGoal(req.body || {});
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_GOAL' });
+    }
+
+    db.setFarmingGoal(userId, goal);
+    db.logAction(userId, 'farming_goal_set', 'farming', userId, goal, clientIP, userId);
+
+    res.json({ message: 'Farming goal saved', goal: farmingTracker.getGoalProgress(userId) });
+  } catch (error) {
+    console.error('Error saving farming goal:', error);
+    res.status(500).json({ error: 'Failed to save farming goal' });
+  }
+});
+
+router.delete('/farming/goal', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.deleteFarmingGoal(userId)) {
+      return res.status(404).json({ error: 'No farming goal set', code: 'GOAL_NOT_FOUND' });
+    }
+    db.logAction(userId, 'farming_goal_cleared', 'farming', userId, {}, clientIP, userId);
+
+    res.json({ message: 'Farming goal removed' });
+  } catch (error) {
+    console.error('Error removing farming goal:', error);
+    res.status(500).json({ error: 'Failed to remove farming goal' });
+  }
+});
+
 // Update user profile
 router.post('/profile/update', authenticateToken, async (req, res) => {
   try {
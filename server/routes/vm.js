@@ -3,15 +3,19 @@ const { authenticateToken } = require('../middleware/auth');
 const db = require('../services/database');
 const proxmoxService = require('../services/proxmox');
 const vmProvisioning = require('../services/vmProvisioning');
+const vmRebuild = require('../services/vmRebuild');
+const consoleProxy = require('../services/consoleProxy');
+const subscriptionManager = require('../services/subscriptionManager');
+const vmScheduler = require('../services/vmScheduler');
+const vmStatusCache = require('../services/vmStatusCache');
+const vmOperationLock = require('../services/vmOperationLock');
+const vmPlanSync = require('../services/vmPlanSync');
+const vmAgent = require('../services/vmAgent');
+const { getPlan, getPlanType } = require('../config/plans');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Simple cache for server overview to reduce Proxmox API calls
-let serverOverviewCache = null;
-let serverOverviewCacheTime = 0;
-const SERVER_OVERVIEW_CACHE_TTL = 30000; // 30 seconds
-
 // Configure multer for file uploads
 const upload = multer({
   dest: 'uploads/',
@@ -35,6 +39,7 @@ function getSetupMessage(reason) {
   const messages = {
     'no_subscription': 'No active subscription found. Purchase a subscription to get started.',
     'no_vms': 'No virtual machines assigned. VMs are created automatically after subscription activation.',
+    'provisioning': 'Your virtual machines are being created. This can take a few minutes.',
     'setup_complete_or_not_needed': 'Setup is complete or not required.',
     'error': 'Unable to determine setup status. Please try again.'
   };
@@ -63,17 +68,6 @@ const hasActiveSubscription = (user) => {
   return expiryDate > now;
 };
 
-// Helper function to check if user can perform VM operations (excluding shutdown)
-const canPerformVMOperations = (user) => {
-  // Admins can always perform operations
-  if (user.role === 'admin') {
-    return true;
-  }
-  
-  // Regular users need active subscription
-  return hasActiveSubscription(user);
-};
-
 // Helper function to automatically shutdown user VMs when subscription is inactive
 const shutdownUserVMsIfNeeded = async (user) => {
   if (user.role === 'admin') {
@@ -90,10 +84,11 @@ const shutdownUserVMsIfNeeded = async (user) => {
   
   for (const vmid of userVMIds) {
     try {
-      const vmStatus = await proxmoxService.getVMStatus(vmid);
+      const vmStatus = await vmStatusCache.getVMStatus(vmid);
       if (vmStatus.status === 'running') {
         console.log(`Auto-shutting down VM ${vmid} for user ${user.username} (no active subscription)`);
-        await proxmoxService.shutdownVM(vmid);
+        await vmOperationLock.runExclusive(vmid, 'shutdown', () => proxmoxService.shutdownVM(vmid));
+        vmStatusCache.invalidate(vmid);
         
         // Log the automatic shutdown
         db.logAction(
@@ -121,27 +116,18 @@ router.get('/server-overview', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied. Admin role required.' });
     }
 
-    // Check cache first
-    const now = Date.now();
-    if (serverOverviewCache && (now - serverOverviewCacheTime) < SERVER_OVERVIEW_CACHE_TTL) {
-      return res.json({
-        ...serverOverviewCache,
-        cached: true,
-        cacheAge: Math.round((now - serverOverviewCacheTime) / 1000)
-      });
-    }
-
-    // Fetch fresh data from Proxmox
+    const { nodes, updatedAt, cached } = await vmStatusCache.getNodesInfo();
     const serverData = {
-      server: await proxmoxService.getNodeInfo(),
-      timestamp: new Date().toISOString(),
-      cached: false
+      nodes,
+      cluster: {
+        totalNodes: nodes.length,
+        onlineNodes: nodes.filter(node => node.status === 'online').length
+      },
+      timestamp: new Date(updatedAt).toISOString(),
+      cached,
+      cacheAge: Math.round((Date.now() - updatedAt) / 1000)
     };
 
-    // Update cache
-    serverOverviewCache = serverData;
-    serverOverviewCacheTime = now;
-
     res.json(serverData);
 
   } catch (error) {
@@ -160,82 +146,121 @@ router.get('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    console.log(`Fetching VMs for user: ${user.username} (role: ${user.role || 'customer'})`);
-
     // Check if user has active subscription and shutdown VMs if needed
     const hasActiveSub = hasActiveSubscription(user);
     if (!hasActiveSub && user.role !== 'admin') {
       await shutdownUserVMsIfNeeded(user);
     }
 
-    // Get all VMs from Proxmox
-    const allVMs = await proxmoxService.getVMs();
-    console.log(`Raw VMs from Proxmox:`, allVMs.map(vm => ({
-      vmid: vm.vmid,
-      name: vm.name,
-      template: vm.template,
-      status: vm.status
-    })));
+    // Statuses come from the shared cache, refreshed in the background
+    const allVMs = await vmStatusCache.getVMs();
 
     // Filter out templates and sort by VM ID
     const realVMs = allVMs
       .filter(vm => vm.template !== 1) // Exclude templates
       .sort((a, b) => a.vmid - b.vmid); // Sort by VM ID
 
-    console.log(`Real VMs (excluding templates):`, realVMs.map(vm => ({
-      vmid: vm.vmid,
-      name: vm.name,
-      status: vm.status
-    })));
-
     // Filter VMs based on user permissions
     let userVMs;
     if (user.role === 'admin') {
-      console.log(`Admin user - showing all ${realVMs.length} VMs`);
       userVMs = realVMs;
     } else {
       const userVMIds = db.getUserVMIds(userId);
-      console.log(`Customer user - assigned VM IDs: [${userVMIds.join(', ')}]`);
       userVMs = realVMs.filter(vm => userVMIds.includes(vm.vmid));
-      console.log(`Filtered VMs for customer: ${userVMs.length} VMs`);
     }
 
     // Enhance VM data with additional info
-    const enhancedVMs = await Promise.all(
-      userVMs.map(async (vm) => {
-        try {
-          const status = await proxmoxService.getVMStatus(vm.vmid);
-          return {
-            ...vm,
-            detailedStatus: status,
-            canControl: true,
-            canStart: canPerformVMOperations(user),
-            canReboot: canPerformVMOperations(user),
-            canStop: true, // Stop is always allowed
-            canShutdown: true, // Shutdown is always allowed
-            isTemplate: vm.template === 1
-          };
-        } catch (error) {
-          console.error(`Error fetching status for VM ${vm.vmid}:`, error.message);
-          return {
-            ...vm,
-            detailedStatus: { status: 'unknown' },
-            canControl: false,
-            canStart: false,
-            canReboot: false,
-            canStop: false,
-            canShutdown: false,
-            error: 'Unable to fetch detailed status',
-            isTemplate: vm.template === 1
-          };
-        }
-      })
-    );
+    const canOperate = subscriptionManager.canPerformVMOperations(user);
+    const enhancedVMs = userVMs.map(vm => ({
+      ...vm,
+      detailedStatus: {
+        status: vm.status,
+        cpu: vm.cpu,
+        mem: vm.mem,
+        maxmem: vm.maxmem,
+        uptime: vm.uptime
+      },
+      canControl: true,
+      canStart: canOperate,
+      canReboot: canOperate,
+      canStop: true, // Stop is always allowed
+      canShutdown: true, // Shutdown is always allowed
+      isTemplate: vm.template === 1
+    }));
+
+    // Show rebuild progress. A VM being rebuilt may already be gone from Proxmox,
+    // so it is listed from the rebuild record until the new VM takes its place.
+    for (const rebuild of db.getUnfinishedVMRebuilds(userId)) {
+      const vm = enhancedVMs.find(v => v.vmid === rebuild.old_vmid);
+      if (vm) {
+        vm.rebuild = vmRebuild.formatRebuild(rebuild);
+      } else {
+        enhancedVMs.push({
+          vmid: rebuild.old_vmid,
+          name: rebuild.vm_name,
+          status: 'unknown',
+          detailedStatus: { status: 'unknown' },
+          canControl: false,
+          canStart: false,
+          canReboot: false,
+          canStop: false,
+          canShutdown: false,
+          isTemplate: false,
+          rebuild: vmRebuild.formatRebuild(rebuild)
+        });
+      }
+    }
+
+    // Plan resources each VM is configured with, e.g. a pending reboot after an upgrade
+    if (user.role !== 'admin') {
+      const assignments = new Map(db.getUserVMAssignments(userId).map(assignment => [assignment.vm_id, assignment]));
+      enhancedVMs.forEach(vm => {
+        vm.planSpec = vmPlanSync.formatPlanSpec(assignments.get(vm.vmid));
+      });
+    }
+
+    // Customer labels. Admins see the labels of the customer each VM is assigned to.
+    const labels = user.role === 'admin' ? db.getAssignedVMMetadata() : db.getUserVMMetadata(userId);
+    const labelsByVmid = new Map(labels.map(metadata => [metadata.vmid, metadata]));
+    enhancedVMs.forEach(vm => {
+      vm.metadata = formatMetadata(labelsByVmid.get(vm.vmid));
+    });
+
+    // Hung-VM recoveries by the watchdog over the last week
+    const incidents = db.getVMIncidentSummary('-7 days');
+    enhancedVMs.forEach(vm => {
+      vm.incidents = incidents[vm.vmid] || { count: 0, lastIncidentAt: null };
+    });
+
+    // Last heartbeat of the farming agent inside each VM
+    const agents = new Map(db.getVMAgents().map(agent => [agent.vmid, agent]));
+    enhancedVMs.forEach(vm => {
+      vm.agent = vmAgent.formatAgent(agents.get(vm.vmid));
+    });
 
     // Sort enhanced VMs by VM ID as well
     enhancedVMs.sort((a, b) => a.vmid - b.vmid);
 
-    console.log(`Final VM list for ${user.username}: ${enhancedVMs.length} VMs`);
+    // Attach the last automation run per VM so customers can see which VMs are farming
+    if (user.role !== 'admin') {
+      try {
+        const latestSetup = await db.getVMSetupByUser(userId);
+        const automationResults = latestSetup?.setup_data?.automationResults || [];
+        for (const vm of enhancedVMs) {
+          const result = automationResults.find(r => r.vmid === vm.vmid);
+          if (result) {
+            vm.automation = {
+              success: result.success,
+              exitCode: result.exitCode,
+              error: result.error || (result.success ? null : result.stderr),
+              finishedAt: result.finishedAt
+            };
+          }
+        }
+      } catch (setupError) {
+        console.error('Error loading automation results:', setupError);
+      }
+    }
 
     // Check setup status for non-admin users
     let setupInfo = null;
@@ -251,7 +276,7 @@ router.get('/', authenticateToken, async (req, res) => {
         };
 
         if (setupCheck.required) {
-          setupInfo.setupStatus = vmProvisioning.getSetupStatus(userId);
+          setupInfo.setupStatus = await vmProvisioning.getSetupStatus(userId);
         }
       } catch (setupError) {
         console.error('Error checking setup status:', setupError);
@@ -310,7 +335,7 @@ router.get('/:vmid', authenticateToken, async (req, res) => {
 
     // Get VM status and config
     const [status, config] = await Promise.all([
-      proxmoxService.getVMStatus(vmid),
+      vmStatusCache.getVMStatus(vmid),
       proxmoxService.getVMConfig(vmid)
     ]);
 
@@ -334,6 +359,45 @@ router.get('/:vmid', authenticateToken, async (req, res) => {
   }
 });
 
+// Usage history of a VM for charts
+router.get('/:vmid/metrics', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+    const timeframe = req.query.timeframe || 'hour';
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    if (!proxmoxService.isValidMetricsTimeframe(timeframe)) {
+      return res.status(400).json({
+        error: 'Timeframe must be hour, day or week',
+        code: 'INVALID_TIMEFRAME'
+      });
+    }
+
+    const points = await proxmoxService.getVMMetrics(vmid, timeframe);
+    res.json({ vmid, timeframe, points });
+  } catch (error) {
+    console.error(`Error fetching metrics for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to fetch VM metrics' });
+  }
+});
+
+// Plan whose power action cooldowns apply to a user; admins have none
+const getCooldownPlan = (user) => (user && user.role !== 'admin' ? user.subscription?.plan : null);
+
+// Answer a request that hit a VM busy with another task or an action cooldown
+const sendLockRestriction = (res, restriction) => {
+  res.set('Retry-After', String(restriction.retryAfter));
+  return res.status(restriction.status).json({
+    error: restriction.error,
+    code: restriction.code,
+    retryAfter: restriction.retryAfter
+  });
+};
+
 // Start VM
 router.post('/:vmid/start', authenticateToken, async (req, res) => {
   try {
@@ -357,34 +421,22 @@ router.post('/:vmid/start', authenticateToken, async (req, res) => {
     }
 
     // Check if VMs were marked as destroyed or shutdown due to expired subscription
-    let subscriptionData = {};
-    if (user.subscription_data) {
-      try {
-        subscriptionData = JSON.parse(user.subscription_data);
-      } catch (e) {
-        console.error('Error parsing subscription data:', e);
-      }
-    }
-
-    // Prevent starting VMs that were shutdown due to subscription issues
-    if (subscriptionData.vmsShutdownOnExpiry || subscriptionData.vmsShutdownOnNoSub) {
-      return res.status(403).json({ 
-        error: 'VM access restricted due to previous subscription expiry. Please contact support if you believe this is an error.',
-        code: 'VM_ACCESS_RESTRICTED',
+    const restriction = subscriptionManager.getVMAccessRestriction(userId);
+    if (restriction) {
+      return res.status(restriction.status).json({
+        error: restriction.error,
+        code: restriction.code,
         requiresSubscription: true
       });
     }
 
-    // If VMs were destroyed, they can't be started
-    if (subscriptionData.vmsDestroyed) {
-      return res.status(410).json({ 
-        error: 'This VM was destroyed due to extended subscription expiry. Please purchase a new subscription to get new VMs.',
-        code: 'VM_DESTROYED',
-        requiresSubscription: true
-      });
+    const busy = vmOperationLock.acquire(vmid, 'start', { plan: getCooldownPlan(user) });
+    if (busy) {
+      return sendLockRestriction(res, busy);
     }
 
-    const result = await proxmoxService.startVM(vmid);
+    const result = await vmOperationLock.runTask(vmid, 'start', () => proxmoxService.startVM(vmid));
+    vmStatusCache.invalidate(vmid);
     
     // Log the action
     const clientIP = req.ip || req.connection.remoteAddress;
@@ -415,7 +467,14 @@ router.post('/:vmid/stop', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied to this VM' });
     }
 
-    const result = await proxmoxService.stopVM(vmid);
+    const user = await db.findUserById(userId);
+    const busy = vmOperationLock.acquire(vmid, 'stop', { plan: getCooldownPlan(user) });
+    if (busy) {
+      return sendLockRestriction(res, busy);
+    }
+
+    const result = await vmOperationLock.runTask(vmid, 'stop', () => proxmoxService.stopVM(vmid));
+    vmStatusCache.invalidate(vmid);
     
     // Log the action
     db.logAction(userId, 'vm_stop', 'vm', vmid.toString(), { taskId: result }, clientIP, userId);
@@ -446,7 +505,14 @@ router.post('/:vmid/shutdown', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied to this VM' });
     }
 
-    const result = await proxmoxService.shutdownVM(vmid);
+    const user = await db.findUserById(userId);
+    const busy = vmOperationLock.acquire(vmid, 'shutdown', { plan: getCooldownPlan(user) });
+    if (busy) {
+      return sendLockRestriction(res, busy);
+    }
+
+    const result = await vmOperationLock.runTask(vmid, 'shutdown', () => proxmoxService.shutdownVM(vmid));
+    vmStatusCache.invalidate(vmid);
     
     // Log the action
     db.logAction(userId, 'vm_shutdown', 'vm', vmid.toString(), { taskId: result }, clientIP, userId);
@@ -489,34 +555,22 @@ router.post('/:vmid/reboot', authenticateToken, async (req, res) => {
     }
 
     // Check if VMs were marked as destroyed or shutdown due to expired subscription
-    let subscriptionData = {};
-    if (user.subscription_data) {
-      try {
-        subscriptionData = JSON.parse(user.subscription_data);
-      } catch (e) {
-        console.error('Error parsing subscription data:', e);
-      }
-    }
-
-    // Prevent rebooting VMs that were shutdown due to subscription issues
-    if (subscriptionData.vmsShutdownOnExpiry || subscriptionData.vmsShutdownOnNoSub) {
-      return res.status(403).json({ 
-        error: 'VM access restricted due to previous subscription expiry. Please contact support if you believe this is an error.',
-        code: 'VM_ACCESS_RESTRICTED',
+    const restriction = subscriptionManager.getVMAccessRestriction(userId);
+    if (restriction) {
+      return res.status(restriction.status).json({
+        error: restriction.error,
+        code: restriction.code,
         requiresSubscription: true
       });
     }
 
-    // If VMs were destroyed, they can't be rebooted
-    if (subscriptionData.vmsDestroyed) {
-      return res.status(410).json({ 
-        error: 'This VM was destroyed due to extended subscription expiry. Please purchase a new subscription to get new VMs.',
-        code: 'VM_DESTROYED',
-        requiresSubscription: true
-      });
+    const busy = vmOperationLock.acquire(vmid, 'reboot', { plan: getCooldownPlan(user) });
+    if (busy) {
+      return sendLockRestriction(res, busy);
     }
 
-    const result = await proxmoxService.rebootVM(vmid);
+    const result = await vmOperationLock.runTask(vmid, 'reboot', () => proxmoxService.rebootVM(vmid));
+    vmStatusCache.invalidate(vmid);
     
     // Log the action
     const clientIP = req.ip || req.connection.remoteAddress;
@@ -536,6 +590,626 @@ router.post('/:vmid/reboot', authenticateToken, async (req, res) => {
   }
 });
 
+// Snapshot names must satisfy Proxmox: a letter first, then letters, digits, '-' or '_'
+const SNAPSHOT_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{1,39}$/;
+
+// Number of snapshots a user may keep per VM; null means unlimited
+const getSnapshotLimit = (user) => {
+  if (user.role === 'admin') {
+    return null;
+  }
+
+  const plan = getPlan(user.subscription?.plan);
+  return plan ? plan.snapshotLimit : 0;
+};
+
+// List snapshots of a VM
+router.get('/:vmid/snapshots', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const user = await db.findUserById(userId);
+    const snapshots = await proxmoxService.getSnapshots(vmid);
+
+    res.json({
+      vmid,
+      snapshots: snapshots
+        .map(snapshot => ({
+          name: snapshot.name,
+          description: snapshot.description || '',
+          createdAt: snapshot.snaptime ? new Date(snapshot.snaptime * 1000).toISOString() : null,
+          includesRAM: Boolean(snapshot.vmstate)
+        }))
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')),
+      limit: getSnapshotLimit(user)
+    });
+  } catch (error) {
+    console.error(`Error fetching snapshots for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to fetch snapshots' });
+  }
+});
+
+// Take a snapshot of a VM
+router.post('/:vmid/snapshots', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const user = await db.findUserById(userId);
+    if (!subscriptionManager.canPerformVMOperations(user)) {
+      return res.status(403).json({
+        error: 'Active subscription required to take snapshots. Please renew your subscription to continue.',
+        code: 'SUBSCRIPTION_REQUIRED',
+        requiresSubscription: true
+      });
+    }
+
+    const name = req.body.name || `snap_${new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15)}`;
+    const description = String(req.body.description || '').slice(0, 200);
+
+    if (!SNAPSHOT_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        error: 'Snapshot names must start with a letter and contain only letters, numbers, "-" and "_" (2-40 characters)',
+        code: 'INVALID_SNAPSHOT_NAME'
+      });
+    }
+
+    const snapshots = await proxmoxService.getSnapshots(vmid);
+    const limit = getSnapshotLimit(user);
+
+    if (snapshots.some(snapshot => snapshot.name === name)) {
+      return res.status(409).json({ error: `A snapshot named "${name}" already exists`, code: 'SNAPSHOT_EXISTS' });
+    }
+
+    if (limit !== null && snapshots.length >= limit) {
+      return res.status(409).json({
+        error: limit === 0
+          ? 'Your plan does not include snapshots.'
+          : `Your plan allows ${limit} snapshot${limit === 1 ? '' : 's'} per VM. Delete an old snapshot first.`,
+        code: 'SNAPSHOT_LIMIT_REACHED',
+        limit
+      });
+    }
+
+    const busy = vmOperationLock.acquire(vmid, 'snapshot');
+    if (busy) {
+      return sendLockRestriction(res, busy);
+    }
+
+    const taskId = await vmOperationLock.runTask(vmid, 'snapshot', () => proxmoxService.createSnapshot(vmid, name, { description }));
+
+    db.logAction(userId, 'vm_snapshot_created', 'vm', vmid.toString(), { snapshot: name, description, taskId }, clientIP, userId);
+
+    res.status(201).json({
+      message: `Snapshot "${name}" of VM ${vmid} is being created`,
+      vmid,
+      snapshot: name,
+      taskId
+    });
+  } catch (error) {
+    console.error(`Error creating snapshot of VM ${req.params.vmid}:`, error);
+    db.logAction(req.user.id, 'vm_snapshot_create_failed', 'vm', req.params.vmid, { error: error.message }, req.ip, req.user.id);
+    res.status(500).json({ error: 'Failed to create snapshot' });
+  }
+});
+
+// Roll a VM back to a snapshot
+router.post('/:vmid/snapshots/:snapname/rollback', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const { snapname } = req.params;
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const user = await db.findUserById(userId);
+    if (!subscriptionManager.canPerformVMOperations(user)) {
+      return res.status(403).json({
+        error: 'Active subscription required to restore snapshots. Please renew your subscription to continue.',
+        code: 'SUBSCRIPTION_REQUIRED',
+        requiresSubscription: true
+      });
+    }
+
+    const snapshots = await proxmoxService.getSnapshots(vmid);
+    if (!snapshots.some(snapshot => snapshot.name === snapname)) {
+      return res.status(404).json({ error: 'Snapshot not found', code: 'SNAPSHOT_NOT_FOUND' });
+    }
+
+    const busy = vmOperationLock.acquire(vmid, 'rollback');
+    if (busy) {
+      return sendLockRestriction(res, busy);
+    }
+
+    const taskId = await vmOperationLock.runTask(vmid, 'rollback', () => proxmoxService.rollbackSnapshot(vmid, snapname));
+    vmStatusCache.invalidate(vmid);
+
+    db.logAction(userId, 'vm_snapshot_restored', 'vm', vmid.toString(), { snapshot: snapname, taskId }, clientIP, userId);
+
+    res.json({
+      message: `VM ${vmid} is being restored to snapshot "${snapname}"`,
+      vmid,
+      snapshot: snapname,
+      taskId
+    });
+  } catch (error) {
+    console.error(`Error restoring snapshot of VM ${req.params.vmid}:`, error);
+    db.logAction(req.user.id, 'vm_snapshot_restore_failed', 'vm', req.params.vmid, {
+      snapshot: req.params.snapname,
+      error: error.message
+    }, req.ip, req.user.id);
+    res.status(500).json({ error: 'Failed to restore snapshot' });
+  }
+});
+
+// Delete a snapshot - always allowed so users can get back under their limit
+router.delete('/:vmid/snapshots/:snapname', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const { snapname } = req.params;
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const snapshots = await proxmoxService.getSnapshots(vmid);
+    if (!snapshots.some(snapshot => snapshot.name === snapname)) {
+      return res.status(404).json({ error: 'Snapshot not found', code: 'SNAPSHOT_NOT_FOUND' });
+    }
+
+    const busy = vmOperationLock.acquire(vmid, 'delsnapshot');
+    if (busy) {
+      return sendLockRestriction(res, busy);
+    }
+
+    const taskId = await vmOperationLock.runTask(vmid, 'delsnapshot', () => proxmoxService.deleteSnapshot(vmid, snapname));
+
+    db.logAction(userId, 'vm_snapshot_deleted', 'vm', vmid.toString(), { snapshot: snapname, taskId }, clientIP, userId);
+
+    res.json({
+      message: `Snapshot "${snapname}" of VM ${vmid} is being deleted`,
+      vmid,
+      snapshot: snapname,
+      taskId
+    });
+  } catch (error) {
+    console.error(`Error deleting snapshot of VM ${req.params.vmid}:`, error);
+    db.logAction(req.user.id, 'vm_snapshot_delete_failed', 'vm', req.params.vmid, {
+      snapshot: req.params.snapname,
+      error: error.message
+    }, req.ip, req.user.id);
+    res.status(500).json({ error: 'Failed to delete snapshot' });
+  }
+});
+
+// Scheduled power actions
+const MAX_SCHEDULES_PER_VM = 10;
+
+// Merge a create/update body over an existing schedule and validate it. Returns
+// { schedule } with the values to store, or { error } for a 400 response.
+const buildSchedule = (body, existing = {}) => {
+  const schedule = {
+    action: body.action ?? existing.action,
+    cronExpression: body.cron ?? existing.cron_expression,
+    timezone: body.timezone ?? existing.timezone ?? 'UTC',
+    enabled: body.enabled ?? existing.enabled ?? true
+  };
+
+  if (!vmScheduler.isValidAction(schedule.action)) {
+    return { error: 'Action must be start, stop, shutdown or reboot' };
+  }
+  if (typeof schedule.enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' };
+  }
+
+  try {
+    schedule.nextRunAt = vmScheduler.getNextRun(schedule.cronExpression, schedule.timezone);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { schedule };
+};
+
+// Start and reboot schedules need the same subscription as the manual actions
+const requiresActiveSubscription = (action) => ['start', 'reboot'].includes(action);
+
+// List a VM's schedules
+router.get('/:vmid/schedules', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+
+    if (!db.canAccessVM(req.user.id, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    res.json({
+      vmid,
+      schedules: db.getVMSchedulesForVM(vmid).map(schedule => vmScheduler.formatSchedule(schedule))
+    });
+  } catch (error) {
+    console.error(`Error fetching schedules for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to fetch schedules' });
+  }
+});
+
+// Create a schedule, e.g. { action: 'reboot', cron: '0 4 * * *', timezone: 'Europe/Berlin' }
+router.post('/:vmid/schedules', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const { schedule, error } = buildSchedule(req.body || {});
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_SCHEDULE' });
+    }
+
+    const user = await db.findUserById(userId);
+    if (requiresActiveSubscription(schedule.action) && !subscriptionManager.canPerformVMOperations(user)) {
+      return res.status(403).json({
+        error: `Active subscription required to schedule a VM ${schedule.action}. Please renew your subscription to continue.`,
+        code: 'SUBSCRIPTION_REQUIRED',
+        requiresSubscription: true
+      });
+    }
+
+    if (db.getVMSchedulesForVM(vmid).length >= MAX_SCHEDULES_PER_VM) {
+      return res.status(409).json({
+        error: `A VM can have at most ${MAX_SCHEDULES_PER_VM} schedules`,
+        code: 'SCHEDULE_LIMIT_REACHED'
+      });
+    }
+
+    const created = db.createVMSchedule({ userId, vmid, ...schedule });
+
+    db.logAction(userId, 'vm_schedule_created', 'vm', vmid.toString(), {
+      scheduleId: created.id,
+      action: created.action,
+      cron: created.cron_expression,
+      timezone: created.timezone
+    }, clientIP, userId);
+
+    res.status(201).json({ message: 'Schedule created', schedule: vmScheduler.formatSchedule(created) });
+  } catch (error) {
+    console.error(`Error creating schedule for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+// Change a schedule; omitted fields keep their value
+router.put('/:vmid/schedules/:scheduleId', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const existing = db.getVMSchedule(parseInt(req.params.scheduleId));
+    if (!existing || existing.vmid !== vmid) {
+      return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_NOT_FOUND' });
+    }
+
+    const { schedule, error } = buildSchedule(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_SCHEDULE' });
+    }
+
+    const user = await db.findUserById(userId);
+    if (schedule.enabled && requiresActiveSubscription(schedule.action) && !subscriptionManager.canPerformVMOperations(user)) {
+      return res.status(403).json({
+        error: `Active subscription required to schedule a VM ${schedule.action}. Please renew your subscription to continue.`,
+        code: 'SUBSCRIPTION_REQUIRED',
+        requiresSubscription: true
+      });
+    }
+
+    const updated = db.updateVMSchedule(existing.id, schedule);
+
+    db.logAction(userId, 'vm_schedule_updated', 'vm', vmid.toString(), {
+      scheduleId: updated.id,
+      action: updated.action,
+      cron: updated.cron_expression,
+      timezone: updated.timezone,
+      enabled: updated.enabled
+    }, clientIP, userId);
+
+    res.json({ message: 'Schedule updated', schedule: vmScheduler.formatSchedule(updated) });
+  } catch (error) {
+    console.error(`Error updating schedule for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+router.delete('/:vmid/schedules/:scheduleId', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const existing = db.getVMSchedule(parseInt(req.params.scheduleId));
+    if (!existing || existing.vmid !== vmid) {
+      return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_NOT_FOUND' });
+    }
+
+    db.deleteVMSchedule(existing.id);
+
+    db.logAction(userId, 'vm_schedule_deleted', 'vm', vmid.toString(), {
+      scheduleId: existing.id,
+      action: existing.action,
+      cron: existing.cron_expression
+    }, clientIP, userId);
+
+    res.json({ message: 'Schedule deleted' });
+  } catch (error) {
+    console.error(`Error deleting schedule for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// Customer labels: nickname, colour tag and notes
+const METADATA_COLORS = ['gray', 'red', 'orange', 'amber', 'green', 'teal', 'blue', 'purple', 'pink'];
+const METADATA_LIMITS = { nickname: 40, tag: 24, notes: 2000 };
+
+const formatMetadata = (metadata) => ({
+  nickname: metadata?.nickname || null,
+  tag: metadata?.tag || null,
+  color: metadata?.color || null,
+  notes: metadata?.notes || null,
+  updatedAt: metadata?.updated_at || null,
+  ...(metadata?.username ? { owner: metadata.username } : {})
+});
+
+// Merge an update body over the stored labels and validate it. Empty strings
+// clear a field. Returns { metadata } to store, or { error } for a 400 response.
+const buildMetadata = (body, existing = {}) => {
+  const metadata = {};
+
+  for (const field of ['nickname', 'tag', 'color', 'notes']) {
+    const value = body[field] === undefined ? existing[field] : body[field];
+    if (value !== null && value !== undefined && typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    metadata[field] = value?.trim() || null;
+  }
+
+  for (const [field, limit] of Object.entries(METADATA_LIMITS)) {
+    if (metadata[field] && metadata[field].length > limit) {
+      return { error: `${field} can be at most ${limit} characters` };
+    }
+  }
+  if (metadata.color && !METADATA_COLORS.includes(metadata.color)) {
+    return { error: `color must be one of ${METADATA_COLORS.join(', ')}` };
+  }
+
+  return { metadata };
+};
+
+// Labels are stored for the customer the VM is assigned to, so an admin editing
+// them changes what the customer sees
+const getMetadataOwner = (user, vmid) => (user.role === 'admin' ? db.getVMCustomer(vmid) : user);
+
+router.get('/:vmid/metadata', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+
+    if (!db.canAccessVM(req.user.id, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const owner = getMetadataOwner(req.user, vmid);
+    const metadata = owner ? db.getVMMetadata(owner.id, vmid) : null;
+
+    res.json({ vmid, metadata: formatMetadata(metadata && { ...metadata, username: owner.username }) });
+  } catch (error) {
+    console.error(`Error fetching metadata for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to fetch VM labels' });
+  }
+});
+
+// Update labels, e.g. { nickname: 'Raid alt', tag: 'Customs', color: 'green' };
+// omitted fields keep their value
+router.put('/:vmid/metadata', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const owner = getMetadataOwner(req.user, vmid);
+    if (!owner) {
+      return res.status(409).json({ error: 'This VM is not assigned to a customer', code: 'VM_NOT_ASSIGNED' });
+    }
+
+    const { metadata, error } = buildMetadata(req.body || {}, db.getVMMetadata(owner.id, vmid) || {});
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_METADATA' });
+    }
+
+    const saved = db.setVMMetadata(owner.id, vmid, metadata);
+
+    db.logAction(owner.id, 'vm_metadata_updated', 'vm', vmid.toString(), metadata, clientIP, userId);
+
+    res.json({ message: 'VM labels saved', metadata: formatMetadata({ ...saved, username: owner.username }) });
+  } catch (error) {
+    console.error(`Error updating metadata for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to save VM labels' });
+  }
+});
+
+// Open a browser console (noVNC) session. The returned token is good for one
+// websocket connection to /api/vm/console/ws within a minute.
+router.post('/:vmid/console', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    if (!db.canAccessVM(userId, vmid)) {
+      return res.status(403).json({ error: 'Access denied to this VM' });
+    }
+
+    const user = await db.findUserById(userId);
+    if (!hasActiveSubscription(user)) {
+      return res.status(403).json({
+        error: 'Active subscription required to open the VM console. Please renew your subscription to continue.',
+        code: 'SUBSCRIPTION_REQUIRED',
+        requiresSubscription: true
+      });
+    }
+
+    const status = await vmStatusCache.getVMStatus(vmid);
+    if (status.status !== 'running') {
+      return res.status(409).json({ error: 'Start the VM to open its console', code: 'VM_NOT_RUNNING' });
+    }
+
+    const session = await consoleProxy.createSession({ user, vmid, ipAddress: clientIP });
+
+    db.logAction(userId, 'vm_console_session_created', 'vm', vmid.toString(), {
+      node: session.node,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    }, clientIP, userId);
+
+    res.json({
+      vmid,
+      websocketPath: consoleProxy.getWebSocketPath(session),
+      password: session.vncTicket,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    });
+  } catch (error) {
+    console.error(`Error opening console for VM ${req.params.vmid}:`, error);
+    db.logAction(req.user.id, 'vm_console_failed', 'vm', req.params.vmid, { error: error.message }, req.ip, req.user.id);
+    res.status(500).json({ error: 'Failed to open console' });
+  }
+});
+
+// Rebuild a VM: destroy it and reclone it from the plan template into the same
+// UUID-NN slot, then deliver the stored setup file again
+router.post('/:vmid/rebuild', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    // Only the owner can rebuild, the new VM is cloned into their numbering
+    if (!db.getUserVMs(userId).includes(vmid)) {
+      return res.status(403).json({ error: 'VM not assigned to user' });
+    }
+
+    const user = await db.findUserById(userId);
+    if (!hasActiveSubscription(user)) {
+      return res.status(403).json({
+        error: 'Active subscription required to rebuild VMs. Please renew your subscription to continue.',
+        code: 'SUBSCRIPTION_REQUIRED',
+        requiresSubscription: true
+      });
+    }
+
+    const inProgress = (running) => res.status(409).json({
+      error: 'This VM is already being rebuilt',
+      code: 'REBUILD_IN_PROGRESS',
+      rebuild: vmRebuild.formatRebuild(running)
+    });
+
+    const latestRebuild = db.getLatestVMRebuild(userId, vmid);
+    if (latestRebuild && latestRebuild.status === 'running') {
+      return inProgress(latestRebuild);
+    }
+
+    // A failed rebuild may already have destroyed the VM; retry into the same slot
+    const config = await proxmoxService.getVMConfig(vmid).catch(() => null);
+    const vmName = config?.name || (latestRebuild?.status === 'failed' ? latestRebuild.vm_name : null);
+    if (!vmName) {
+      return res.status(404).json({ error: 'VM not found' });
+    }
+
+    const slot = vmName.match(/^(.+)-(\d+)$/);
+    if (!slot || slot[1] !== user.uuid) {
+      return res.status(400).json({
+        error: 'This VM can\'t be rebuilt automatically. Please contact support.',
+        code: 'VM_NOT_REBUILDABLE'
+      });
+    }
+
+    const setup = await db.getVMSetupByUser(userId);
+    const planType = getPlanType(user.subscription.plan) || setup?.plan_type;
+    if (!planType) {
+      return res.status(400).json({
+        error: 'Unable to determine the plan for this VM. Please contact support.',
+        code: 'VM_NOT_REBUILDABLE'
+      });
+    }
+
+    // Another request may have started a rebuild while this one read the VM config
+    const rebuild = vmRebuild.rebuild({ user, vmid, vmName, vmNumber: parseInt(slot[2]), planType });
+    if (!rebuild) {
+      return inProgress(db.getRunningVMRebuild(vmid));
+    }
+
+    db.logAction(userId, 'vm_rebuild_requested', 'vm', vmid.toString(), {
+      rebuildId: rebuild.id,
+      vmName,
+      planType
+    }, clientIP, userId);
+
+    res.status(202).json({
+      message: `VM ${vmName} is being rebuilt`,
+      rebuild: vmRebuild.formatRebuild(rebuild)
+    });
+  } catch (error) {
+    console.error(`Error rebuilding VM ${req.params.vmid}:`, error);
+    db.logAction(req.user.id, 'vm_rebuild_request_failed', 'vm', req.params.vmid, { error: error.message }, req.ip, req.user.id);
+    res.status(500).json({ error: 'Failed to start VM rebuild' });
+  }
+});
+
+// Progress of the latest rebuild of a VM
+router.get('/:vmid/rebuild', authenticateToken, async (req, res) => {
+  try {
+    const vmid = parseInt(req.params.vmid);
+    const userId = req.user.id;
+
+    const rebuild = db.getLatestVMRebuild(userId, vmid);
+    if (!rebuild) {
+      return res.status(404).json({ error: 'No rebuild found for this VM' });
+    }
+
+    res.json({ rebuild: vmRebuild.formatRebuild(rebuild) });
+  } catch (error) {
+    console.error(`Error fetching rebuild status for VM ${req.params.vmid}:`, error);
+    res.status(500).json({ error: 'Failed to fetch rebuild status' });
+  }
+});
+
 // Get VM setup status for authenticated user
 router.get('/setup/status', authenticateToken, async (req, res) => {
   try {
@@ -553,7 +1227,7 @@ router.get('/setup/status', authenticateToken, async (req, res) => {
     }
 
     // Get detailed setup status
-    const setupStatus = vmProvisioning.getSetupStatus(userId);
+    const setupStatus = await vmProvisioning.getSetupStatus(userId);
     
     res.json({
       setupRequired: true,
@@ -583,7 +1257,7 @@ router.post('/setup/initiate', authenticateToken, async (req, res) => {
     }
 
     // Initiate setup
-    const initiated = vmProvisioning.initiateSetup(userId);
+    const initiated = await vmProvisioning.initiateSetup(userId);
     if (!initiated) {
       return res.status(400).json({ error: 'Failed to initiate setup' });
     }
@@ -597,7 +1271,7 @@ router.post('/setup/initiate', authenticateToken, async (req, res) => {
 
     res.json({
       message: 'Setup initiated successfully',
-      setupStatus: vmProvisioning.getSetupStatus(userId)
+      setupStatus: await vmProvisioning.getSetupStatus(userId)
     });
 
   } catch (error) {
@@ -635,10 +1309,20 @@ router.post('/setup/upload', authenticateToken, upload.single('hwhoFile'), async
       console.error('Error cleaning up uploaded file:', cleanupError);
     }
 
+    if (uploadResult.distributedToVMs === 0) {
+      return res.status(502).json({
+        error: 'The file could not be delivered to any of your VMs. Please try again.',
+        code: 'FILE_DELIVERY_FAILED',
+        result: uploadResult
+      });
+    }
+
     res.json({
-      message: 'File uploaded and distributed successfully',
+      message: uploadResult.success
+        ? 'File uploaded and distributed successfully'
+        : `File delivered to ${uploadResult.distributedToVMs} of ${uploadResult.totalVMs} VMs`,
       result: uploadResult,
-      setupStatus: vmProvisioning.getSetupStatus(userId)
+      setupStatus: await vmProvisioning.getSetupStatus(userId)
     });
 
   } catch (error) {
@@ -661,14 +1345,26 @@ router.post('/setup/upload', authenticateToken, upload.single('hwhoFile'), async
 router.post('/setup/complete', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    
-    // Complete setup
-    const completionResult = await vmProvisioning.completeSetup(userId);
-    
-    res.json({
-      message: 'Setup completed successfully',
-      result: completionResult,
-      setupStatus: vmProvisioning.getSetupStatus(userId)
+
+    const setup = await db.getActiveVMSetup(userId);
+    if (!setup || !vmProvisioning.formatSetupStatus(setup).setupRequired) {
+      return res.status(400).json({ error: 'No setup process found', code: 'SETUP_NOT_FOUND' });
+    }
+
+    if (vmProvisioning.isAutomationRunning(setup)) {
+      return res.status(409).json({
+        error: 'The automation is already starting on your VMs',
+        code: 'AUTOMATION_RUNNING',
+        setupStatus: vmProvisioning.formatSetupStatus(setup)
+      });
+    }
+
+    // The scripts run in the background; the outcome arrives as a setup.status event
+    const { totalVMs } = await vmProvisioning.completeSetup(userId, setup);
+
+    res.status(202).json({
+      message: `Starting the automation on ${totalVMs} VM${totalVMs === 1 ? '' : 's'}`,
+      setupStatus: await vmProvisioning.getSetupStatus(userId)
     });
 
   } catch (error) {
@@ -0,0 +1,15 @@
+const ProxmoxSimulator = require('../simulator/proxmoxSimulator');
+
+// Starts the in-memory Proxmox API. Point the server at it with
+// PROXMOX_HOST=http://localhost:8006 (any username/password is accepted).
+const port = parseInt(process.env.SIMULATOR_PORT) || 8006;
+const nodes = (process.env.SIMULATOR_NODES || 'pve').split(',').map(node => node.trim()).filter(Boolean);
+const taskDuration = parseInt(process.env.SIMULATOR_TASK_DURATION_MS) || 2000;
+
+const simulator = new ProxmoxSimulator({ nodes, taskDuration });
+
+simulator.listen(port).then(url => {
+  console.log(`🧪 Proxmox simulator listening on ${url}`);
+  console.log(`   Nodes: ${nodes.join(', ')} | Template: 3000 (Windows10T)`);
+  console.log(`   Use PROXMOX_HOST=${url} PROXMOX_NODE=${nodes[0]}`);
+});
@@ -0,0 +1,266 @@
+const vmStatusCache = require('./vmStatusCache');
+const eventBus = require('./eventBus');
+const db = require('./database');
+const { PLANS, getPlanType } = require('../config/plans');
+
+const fromSqliteDate = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null);
+
+// Decides whether the cluster has room for an order before the customer pays.
+// Capacity is the RAM and cores of the online nodes (getNodeInfo), less a
+// reserve per node for Proxmox itself. It is taken by:
+//   committed  every VM in the cluster at its allocated size (stopped VMs will
+//              want their RAM back) and provisioning jobs whose clone doesn't exist yet
+//   reserved   checkouts and upgrades in progress, and room offered to waitlisted customers
+// Orders that don't fit are refused or put on a waitlist, which is offered
+// freed capacity first come first served.
+class CapacityPlanner {
+  constructor() {
+    this.enabled = process.env.CAPACITY_CHECK_ENABLED !== 'false';
+    this.nodeReserveMemory = parseInt(process.env.CAPACITY_NODE_RESERVE_MB) || 4096;
+    this.cpuOvercommit = parseFloat(process.env.CAPACITY_CPU_OVERCOMMIT) || 2; // vCPUs sold per physical core
+    // The checkout session expires with the hold, and Stripe wants that more than 30 minutes out
+    this.checkoutHoldMinutes = Math.max(parseInt(process.env.CAPACITY_CHECKOUT_HOLD_MINUTES) || 31, 31);
+    this.waitlistOfferHours = parseInt(process.env.CAPACITY_WAITLIST_OFFER_HOURS) || 24;
+    this.checkInterval = (parseInt(process.env.CAPACITY_WAITLIST_INTERVAL_MINUTES) || 5) * 60 * 1000;
+    this.interval = null;
+    this.processing = false;
+  }
+
+  start() {
+    if (this.interval || !this.enabled) {
+      return;
+    }
+
+    this.interval = setInterval(() => this.processWaitlist(), this.checkInterval);
+    console.log('📦 Capacity waitlist check started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // RAM (MB) and cores of vmCount VMs of a plan
+  getDemand(planType, vmCount) {
+    const plan = PLANS[planType];
+    return {
+      memory: plan ? plan.memory * vmCount : 0,
+      cores: plan ? plan.cores * vmCount : 0
+    };
+  }
+
+  // What an order adds to the cluster. Upgrades resize the customer's existing
+  // VMs, so only the growth over what they have now counts.
+  getOrderDemand(user, { kind, planType, vmCount }) {
+    const demand = this.getDemand(planType, vmCount);
+    if (kind !== 'upgrade') {
+      return demand;
+    }
+
+    const current = this.getDemand(getPlanType(user.subscription?.plan), db.getUserVMIds(user.id).length);
+    return {
+      memory: Math.max(demand.memory - current.memory, 0),
+      cores: Math.max(demand.cores - current.cores, 0)
+    };
+  }
+
+  // Totals in MB and vCPUs. Reservations of excludeUserId are left out, so a
+  // customer's own hold counts towards their order.
+  async getCapacity({ excludeUserId = null } = {}) {
+    const [{ nodes }, vms] = await Promise.all([vmStatusCache.getNodesInfo(), vmStatusCache.getVMs()]);
+    const online = nodes.filter(node => node.status === 'online');
+
+    const total = {
+      memory: online.reduce((sum, node) => sum + Math.max(Math.round(node.memory.total * 1024) - this.nodeReserveMemory, 0), 0),
+      cores: Math.floor(online.reduce((sum, node) => sum + (Number(node.cpu.cores) || 0), 0) * this.cpuOvercommit)
+    };
+
+    const clones = vms.filter(vm => !vm.template);
+    const existing = new Set(clones.map(vm => vm.vmid));
+    const committed = clones.reduce((sum, vm) => ({
+      memory: sum.memory + Math.round((vm.maxmem || 0) / 1024 / 1024),
+      cores: sum.cores + (vm.maxcpu || 0)
+    }), { memory: 0, cores: 0 });
+
+    db.getActiveProvisioningJobs()
+      .filter(job => !existing.has(job.vmid))
+      .forEach(job => {
+        const demand = this.getDemand(job.plan_type, 1);
+        committed.memory += demand.memory;
+        committed.cores += demand.cores;
+      });
+
+    const reserved = db.getActiveCapacityReservations()
+      .filter(reservation => reservation.user_id !== excludeUserId)
+      .reduce((sum, reservation) => ({
+        memory: sum.memory + reservation.memory_mb,
+        cores: sum.cores + reservation.cores
+      }), { memory: 0, cores: 0 });
+
+    return {
+      nodes: online.length,
+      total,
+      committed,
+      reserved,
+      free: {
+        memory: Math.max(total.memory - committed.memory - reserved.memory, 0),
+        cores: Math.max(total.cores - committed.cores - reserved.cores, 0)
+      }
+    };
+  }
+
+  fits(demand, capacity) {
+    // Nodes that don't report their core count only limit RAM
+    return demand.memory <= capacity.free.memory && (capacity.total.cores === 0 || demand.cores <= capacity.free.cores);
+  }
+
+  // Room for reservations, i.e. what isn't committed to VMs. The database checks
+  // the holds against it when one is taken, see db.reserveCapacity.
+  getReservableRoom(capacity) {
+    return {
+      memory: capacity.total.memory - capacity.committed.memory,
+      cores: capacity.total.cores === 0 ? null : capacity.total.cores - capacity.committed.cores
+    };
+  }
+
+  // Check an order against free capacity and hold room for it while the
+  // customer pays. Returns { reserved, reservationId, demand }. The hold
+  // replaces any earlier one of the customer, including a waitlist offer,
+  // which is then fulfilled.
+  async reserveOrder(user, order, reference = null) {
+    const demand = this.getOrderDemand(user, order);
+    if (!this.enabled || (demand.memory === 0 && demand.cores === 0)) {
+      return { reserved: true, reservationId: null, demand };
+    }
+
+    const capacity = await this.getCapacity({ excludeUserId: user.id });
+    const reservationId = this.fits(demand, capacity) && db.reserveCapacity({
+      userId: user.id,
+      kind: order.kind,
+      planType: order.planType,
+      vmCount: order.vmCount,
+      memory: demand.memory,
+      cores: demand.cores,
+      reference,
+      minutes: this.checkoutHoldMinutes,
+      limit: this.getReservableRoom(capacity)
+    });
+    if (!reservationId) {
+      console.log(`📦 No capacity for ${order.vmCount}x ${order.planType} (${order.kind}) of ${user.username}: needs ${demand.memory} MB, ${capacity.free.memory} MB free`);
+      return { reserved: false, reservationId: null, demand };
+    }
+    db.closeWaitlistEntries(user.id, 'fulfilled');
+
+    return { reserved: true, reservationId, demand };
+  }
+
+  joinWaitlist(user, order) {
+    const entry = db.joinWaitlist({
+      userId: user.id,
+      kind: order.kind,
+      planType: order.planType,
+      planName: order.planName,
+      vmCount: order.vmCount
+    });
+    console.log(`⏳ ${user.username} joined the capacity waitlist for ${order.vmCount}x ${order.planType}`);
+    return this.formatWaitlistEntry(entry);
+  }
+
+  // Cancel the customer's waitlist entry and the room offered to it, if any
+  leaveWaitlist(userId) {
+    const entry = db.getOpenWaitlistEntry(userId);
+    if (!entry || db.closeWaitlistEntries(userId, 'cancelled') === 0) {
+      return false;
+    }
+    db.releaseCapacityReservationByReference(userId, 'waitlist', entry.id.toString());
+    return true;
+  }
+
+  getWaitlistEntry(userId) {
+    const entry = db.getOpenWaitlistEntry(userId);
+    return entry ? this.formatWaitlistEntry(entry) : null;
+  }
+
+  // Offer freed capacity to waiting orders, oldest first. An order that still
+  // doesn't fit holds up the ones behind it so large orders aren't starved.
+  async processWaitlist() {
+    if (this.processing) {
+      return 0;
+    }
+    this.processing = true;
+
+    let notified = 0;
+    try {
+      db.expireWaitlistOffers();
+
+      const waiting = db.getOpenWaitlist().filter(entry => entry.status === 'waiting');
+      if (waiting.length === 0) {
+        return 0;
+      }
+
+      const capacity = await this.getCapacity();
+      for (const entry of waiting) {
+        const user = await db.findUserById(entry.user_id);
+        const demand = this.getOrderDemand(user, { kind: entry.kind, planType: entry.plan_type, vmCount: entry.vm_count });
+        if (!this.fits(demand, capacity)) {
+          break;
+        }
+
+        const reservationId = db.reserveCapacity({
+          userId: entry.user_id,
+          kind: 'waitlist',
+          planType: entry.plan_type,
+          vmCount: entry.vm_count,
+          memory: demand.memory,
+          cores: demand.cores,
+          reference: entry.id.toString(),
+          minutes: this.waitlistOfferHours * 60,
+          limit: this.getReservableRoom(capacity)
+        });
+        if (!reservationId) {
+          // A checkout took the room in the meantime
+          break;
+        }
+        db.notifyWaitlistEntry(entry.id, this.waitlistOfferHours);
+        capacity.free.memory -= demand.memory;
+        capacity.free.cores -= demand.cores;
+        notified++;
+
+        const offer = this.formatWaitlistEntry(db.getWaitlistEntry(entry.id));
+        eventBus.publish('capacity.available', { userId: entry.user_id, waitlist: offer });
+        db.logAction(entry.user_id, 'waitlist_notified', 'waitlist', entry.id.toString(), {
+          planType: entry.plan_type,
+          vmCount: entry.vm_count,
+          offerExpiresAt: offer.offerExpiresAt
+        }, 'system');
+        console.log(`📣 Capacity offered to ${user.username} for ${entry.vm_count}x ${entry.plan_type}`);
+      }
+    } catch (error) {
+      console.error('❌ Capacity waitlist check error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+
+    return notified;
+  }
+
+  formatWaitlistEntry(entry) {
+    return {
+      id: entry.id,
+      kind: entry.kind,
+      planType: entry.plan_type,
+      planName: entry.plan_name,
+      vmCount: entry.vm_count,
+      status: entry.status,
+      position: entry.status === 'waiting' ? db.getWaitlistPosition(entry.id) : null,
+      createdAt: fromSqliteDate(entry.created_at),
+      notifiedAt: fromSqliteDate(entry.notified_at),
+      offerExpiresAt: fromSqliteDate(entry.offer_expires_at),
+      ...(entry.username && { username: entry.username })
+    };
+  }
+}
+
+module.exports = new CapacityPlanner();
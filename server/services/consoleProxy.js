@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const proxmoxService = require('./proxmox');
+const db = require('./database');
+const websocketUpgrades = require('./websocketUpgrades');
+
+// Browsers connect here; the Proxmox websocket is never exposed to them
+const CONSOLE_WEBSOCKET_PATH = '/api/vm/console/ws';
+
+// Close code sent to the browser when a session runs out of time
+const SESSION_EXPIRED_CODE = 4000;
+
+// Proxies noVNC console websockets to Proxmox. A session is created by an
+// authenticated API call and handed out as a one-time token, because browsers
+// can't send an Authorization header on a websocket upgrade.
+class ConsoleProxyService {
+  constructor() {
+    this.maxSessionMs = (parseInt(process.env.CONSOLE_SESSION_MAX_MINUTES) || 30) * 60 * 1000;
+    this.connectWindowMs = 60 * 1000; // Time to use the token, Proxmox VNC tickets are short-lived too
+    this.sessions = new Map(); // token -> session waiting for its websocket
+    this.connections = new Set(); // open browser websockets
+    this.wss = new WebSocket.Server({ noServer: true });
+  }
+
+  // Handle console websocket upgrades on the HTTP server
+  attach(server) {
+    websocketUpgrades.route(server, CONSOLE_WEBSOCKET_PATH, (req, socket, head) => this.handleUpgrade(req, socket, head));
+  }
+
+  // Close every open console, e.g. on shutdown
+  stop() {
+    this.sessions.clear();
+    for (const client of this.connections) {
+      client.close(1001, 'Server shutting down');
+    }
+  }
+
+  async createSession({ user, vmid, ipAddress }) {
+    const proxy = await proxmoxService.createVNCProxy(vmid);
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    // Never outlive the subscription that allowed the console to be opened
+    let expiresAt = now + this.maxSessionMs;
+    if (user.role !== 'admin' && user.subscription?.expiresAt) {
+      expiresAt = Math.min(expiresAt, new Date(user.subscription.expiresAt).getTime());
+    }
+
+    const session = {
+      token,
+      userId: user.id,
+      vmid,
+      node: proxy.node,
+      port: proxy.port,
+      vncTicket: proxy.ticket,
+      ipAddress,
+      connectBy: now + this.connectWindowMs,
+      expiresAt
+    };
+
+    this.sessions.set(token, session);
+    setTimeout(() => this.sessions.delete(token), this.connectWindowMs).unref();
+
+    return session;
+  }
+
+  getWebSocketPath(session) {
+    return `${CONSOLE_WEBSOCKET_PATH}?token=${session.token}`;
+  }
+
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Tokens are single use
+    const token = url.searchParams.get('token');
+    const session = token ? this.sessions.get(token) : null;
+    this.sessions.delete(token);
+
+    if (!session || Date.now() > session.connectBy || Date.now() >= session.expiresAt) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, client => {
+      this.bridge(client, session).catch(error => {
+        console.error(`❌ Console proxy error for VM ${session.vmid}:`, error.message);
+        client.close(1011, 'Console unavailable');
+      });
+    });
+  }
+
+  // Pipe frames between the browser and Proxmox until either side closes or
+  // the session runs out of time
+  async bridge(client, session) {
+    const openedAt = Date.now();
+    let closeReason = 'client_closed';
+    let upstream = null;
+    this.connections.add(client);
+
+    db.logAction(session.userId, 'vm_console_connected', 'vm', session.vmid.toString(), {
+      node: session.node,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    }, session.ipAddress, session.userId);
+
+    // Frames sent before Proxmox answers are held back
+    const pending = [];
+    client.on('message', (data, isBinary) => {
+      if (upstream && upstream.readyState === WebSocket.OPEN) {
+        upstream.send(data, { binary: isBinary });
+      } else {
+        pending.push([data, isBinary]);
+      }
+    });
+
+    const timer = setTimeout(() => {
+      closeReason = 'time_limit';
+      client.close(SESSION_EXPIRED_CODE, 'Console session time limit reached');
+    }, session.expiresAt - openedAt);
+
+    client.on('close', () => {
+      clearTimeout(timer);
+      this.connections.delete(client);
+      if (upstream) {
+        upstream.close();
+      }
+
+      db.logAction(session.userId, 'vm_console_closed', 'vm', session.vmid.toString(), {
+        reason: closeReason,
+        durationSeconds: Math.round((Date.now() - openedAt) / 1000)
+      }, session.ipAddress, session.userId);
+    });
+
+    try {
+      upstream = await proxmoxService.openVNCWebSocket(session.node, session.vmid, {
+        port: session.port,
+        ticket: session.vncTicket
+      });
+    } catch (error) {
+      closeReason = 'upstream_error';
+      throw error;
+    }
+
+    // Registered first: closing a socket that is still connecting emits an error
+    upstream.on('error', (error) => {
+      console.error(`❌ Proxmox console websocket error for VM ${session.vmid}:`, error.message);
+      if (client.readyState === WebSocket.OPEN) {
+        closeReason = 'upstream_error';
+        client.close(1011, 'Console unavailable');
+      }
+    });
+
+    // The browser may have gone away while Proxmox was being contacted
+    if (client.readyState !== WebSocket.OPEN) {
+      upstream.close();
+      return;
+    }
+
+    upstream.on('open', () => {
+      pending.splice(0).forEach(([data, isBinary]) => upstream.send(data, { binary: isBinary }));
+    });
+    upstream.on('message', (data, isBinary) => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data, { binary: isBinary });
+      }
+    });
+    upstream.on('close', () => {
+      if (client.readyState === WebSocket.OPEN) {
+        closeReason = 'vm_closed';
+        client.close(1000, 'Console closed by the VM host');
+      }
+    });
+  }
+}
+
+module.exports = new ConsoleProxyService();
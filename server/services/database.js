@@ -3,15 +3,18 @@ const bcrypt = require('bcryptjs');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const eventBus = require('./eventBus');
 
 class DatabaseService {
   constructor() {
-    const dataDir = path.join(__dirname, '../data');
+    // DATABASE_PATH lets tests and other deployments use their own database file
+    const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../data/database.db');
+    const dataDir = path.dirname(dbPath);
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
     }
     
-    const dbPath = path.join(dataDir, 'database.db');
+    this.dataDir = dataDir;
     this.db = new Database(dbPath);
     
     // Configure SQLite for better performance and stability
@@ -175,7 +178,7 @@ class DatabaseService {
         plan_type TEXT NOT NULL, -- hour_booster, dual_mode, kd_drop
         vm_count INTEGER NOT NULL,
         vm_ids TEXT, -- JSON array of VM IDs
-        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'setup_in_progress', 'file_uploaded', 'completed', 'failed')),
+        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'provisioning', 'ready_for_setup', 'setup_in_progress', 'file_uploaded', 'completed', 'failed')),
         setup_data TEXT, -- JSON data for setup progress
         hwho_file_path TEXT, -- Path to uploaded hwho.dat file
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -187,6 +190,221 @@ class DatabaseService {
       CREATE INDEX IF NOT EXISTS idx_vm_setup_user_id ON vm_setup(user_id);
       CREATE INDEX IF NOT EXISTS idx_vm_setup_status ON vm_setup(status);
 
+      -- VM provisioning job queue (one job per VM)
+      CREATE TABLE IF NOT EXISTS provisioning_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        setup_id INTEGER, -- vm_setup row the job belongs to
+        plan_type TEXT NOT NULL,
+        vm_number INTEGER NOT NULL, -- slot in the UUID-NN naming scheme
+        vm_name TEXT NOT NULL,
+        template_vmid INTEGER NOT NULL,
+        vmid INTEGER, -- set once a VMID has been picked for the clone
+        stage TEXT DEFAULT 'clone', -- clone, configure, start, setup
+        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        payload TEXT, -- JSON data (subscription id, plan details)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_provisioning_jobs_status ON provisioning_jobs(status, next_run_at);
+      CREATE INDEX IF NOT EXISTS idx_provisioning_jobs_setup_id ON provisioning_jobs(setup_id);
+      CREATE INDEX IF NOT EXISTS idx_provisioning_jobs_user_id ON provisioning_jobs(user_id);
+
+      -- Customer-requested rebuilds: one VM destroyed and recloned into the same UUID-NN slot
+      CREATE TABLE IF NOT EXISTS vm_rebuilds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        old_vmid INTEGER NOT NULL, -- VM being replaced; stays assigned until the new one exists
+        new_vmid INTEGER,
+        vm_name TEXT NOT NULL,
+        vm_number INTEGER NOT NULL,
+        plan_type TEXT NOT NULL,
+        stage TEXT DEFAULT 'destroy', -- destroy, clone, assign, setup
+        status TEXT DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+        last_error TEXT,
+        result TEXT, -- JSON data (setup file upload and automation results)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_vm_rebuilds_user_id ON vm_rebuilds(user_id, old_vmid);
+
+      -- Power actions customers scheduled on their VMs, e.g. a nightly reboot
+      CREATE TABLE IF NOT EXISTS vm_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vmid INTEGER NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('start', 'stop', 'shutdown', 'reboot')),
+        cron_expression TEXT NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'UTC',
+        enabled BOOLEAN DEFAULT 1,
+        next_run_at DATETIME,
+        last_run_at DATETIME,
+        last_status TEXT, -- success, skipped, failed
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_vm_schedules_vmid ON vm_schedules(vmid);
+      CREATE INDEX IF NOT EXISTS idx_vm_schedules_next_run ON vm_schedules(enabled, next_run_at);
+
+      -- Hung VMs found by the watchdog and what was done about them
+      CREATE TABLE IF NOT EXISTS vm_incidents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        vmid INTEGER NOT NULL,
+        type TEXT NOT NULL DEFAULT 'hung',
+        action TEXT NOT NULL, -- reset, reboot
+        status TEXT NOT NULL CHECK (status IN ('recovered', 'failed')),
+        details TEXT, -- JSON data (failed checks, CPU readings, error)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_vm_incidents_vmid ON vm_incidents(vmid, created_at);
+
+      -- VMIDs held by clones that are in flight, so two clones never pick the same ID
+      CREATE TABLE IF NOT EXISTS vmid_reservations (
+        vmid INTEGER PRIMARY KEY,
+        job_id INTEGER, -- provisioning job holding the reservation, if any
+        user_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Proxmox templates customer VMs are cloned from, versioned per plan. New VMs
+      -- use the plan's active version; retired versions are kept for history.
+      CREATE TABLE IF NOT EXISTS templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        plan_type TEXT NOT NULL,
+        vmid INTEGER NOT NULL,
+        version TEXT NOT NULL,
+        notes TEXT,
+        active BOOLEAN DEFAULT 0,
+        retired_at DATETIME,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL,
+        UNIQUE(plan_type, version)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_templates_plan_type ON templates(plan_type, active);
+
+      -- Customer labels for their VMs. Kept per owner, so a VM handed to another
+      -- customer doesn't carry the previous owner's notes.
+      CREATE TABLE IF NOT EXISTS vm_metadata (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vmid INTEGER NOT NULL,
+        nickname TEXT,
+        tag TEXT,
+        color TEXT,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(user_id, vmid)
+      );
+
+      -- Farming agent inside each VM. Only a hash of the VM's secret is kept; the
+      -- secret itself is written into the VM when it is issued.
+      CREATE TABLE IF NOT EXISTS vm_agents (
+        vmid INTEGER PRIMARY KEY,
+        secret_hash TEXT NOT NULL UNIQUE,
+        issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_heartbeat_at DATETIME,
+        bot_state TEXT,
+        game_running BOOLEAN,
+        activity TEXT,
+        agent_version TEXT,
+        last_ip TEXT,
+        stale_since DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS vm_heartbeats (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        vmid INTEGER NOT NULL,
+        bot_state TEXT NOT NULL,
+        game_running BOOLEAN NOT NULL DEFAULT 0,
+        activity TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_vm_heartbeats_vmid ON vm_heartbeats(vmid, received_at);
+
+      -- Seconds each customer VM was up and farming, per UTC day and plan
+      CREATE TABLE IF NOT EXISTS farming_time (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vmid INTEGER NOT NULL,
+        plan_type TEXT NOT NULL,
+        day DATE NOT NULL,
+        uptime_seconds INTEGER NOT NULL DEFAULT 0,
+        farming_seconds INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(user_id, vmid, plan_type, day)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_farming_time_user_day ON farming_time(user_id, day);
+
+      -- Farming hours a customer is aiming for, counted from the day it was set
+      CREATE TABLE IF NOT EXISTS farming_goals (
+        user_id INTEGER PRIMARY KEY,
+        target_hours INTEGER NOT NULL,
+        deadline DATE,
+        started_on DATE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      -- Cluster capacity held for orders that aren't provisioned yet: checkouts
+      -- and upgrades in progress, and room offered to waitlisted customers
+      CREATE TABLE IF NOT EXISTS capacity_reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('checkout', 'upgrade', 'waitlist')),
+        plan_type TEXT NOT NULL,
+        vm_count INTEGER NOT NULL,
+        memory_mb INTEGER NOT NULL,
+        cores INTEGER NOT NULL,
+        reference TEXT, -- Stripe checkout session or subscription, or waitlist entry id
+        expires_at DATETIME NOT NULL,
+        released_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_capacity_reservations_active ON capacity_reservations(released_at, expires_at);
+
+      -- Orders the cluster had no room for, offered capacity first come first served
+      CREATE TABLE IF NOT EXISTS capacity_waitlist (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('checkout', 'upgrade')),
+        plan_type TEXT NOT NULL,
+        plan_name TEXT,
+        vm_count INTEGER NOT NULL,
+        status TEXT DEFAULT 'waiting' CHECK (status IN ('waiting', 'notified', 'fulfilled', 'expired', 'cancelled')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        notified_at DATETIME,
+        offer_expires_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_capacity_waitlist_status ON capacity_waitlist(status, id);
+
       -- Indexes for better performance
       CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
       CREATE INDEX IF NOT EXISTS idx_payments_stripe_payment_intent_id ON payments(stripe_payment_intent_id);
@@ -259,9 +477,11 @@ class DatabaseService {
     
     // Add missing columns migration BEFORE preparing statements
     this.addMissingColumns();
+    this.migrateVMSetupStatuses();
     
     // Prepare common statements
     this.prepareStatements();
+    this.seedDefaultTemplates();
     
     // Initialize account settings schema
     this.initializeAccountSettingsSchema();
@@ -344,6 +564,86 @@ class DatabaseService {
         console.error('Error adding updated_at column to payment_disputes:', error);
       }
     }
+
+    // Plan spec each VM is configured with. plan_status is 'applied', or
+    // 'pending_reboot' until the running VM is rebooted at plan_reboot_at.
+    const planColumns = [
+      'plan_type TEXT',
+      'plan_cores INTEGER',
+      'plan_memory INTEGER',
+      'plan_status TEXT',
+      'plan_reboot_at DATETIME',
+      'plan_updated_at DATETIME'
+    ];
+    for (const column of planColumns) {
+      try {
+        this.db.exec(`ALTER TABLE vm_assignments ADD COLUMN ${column}`);
+      } catch (error) {
+        if (!error.message.includes('duplicate column name')) {
+          console.error(`Error adding ${column.split(' ')[0]} column to vm_assignments:`, error);
+        }
+      }
+    }
+
+    // Template each VM was cloned from, and the template a provisioning job clones
+    const templateColumns = [
+      ['vm_assignments', 'template_id INTEGER'],
+      ['vm_assignments', 'template_version TEXT'],
+      ['provisioning_jobs', 'template_id INTEGER']
+    ];
+    for (const [table, column] of templateColumns) {
+      try {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+      } catch (error) {
+        if (!error.message.includes('duplicate column name')) {
+          console.error(`Error adding ${column.split(' ')[0]} column to ${table}:`, error);
+        }
+      }
+    }
+  }
+  
+  // Older databases created vm_setup without the provisioning statuses. SQLite
+  // cannot change a CHECK constraint in place, so the table is rebuilt.
+  migrateVMSetupStatuses() {
+    try {
+      const table = this.db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'vm_setup'`).get();
+      if (!table || table.sql.includes('ready_for_setup')) {
+        return;
+      }
+
+      this.db.transaction(() => {
+        this.db.exec(`
+          CREATE TABLE vm_setup_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            plan_type TEXT NOT NULL,
+            vm_count INTEGER NOT NULL,
+            vm_ids TEXT,
+            status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'provisioning', 'ready_for_setup', 'setup_in_progress', 'file_uploaded', 'completed', 'failed')),
+            setup_data TEXT,
+            hwho_file_path TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+          );
+
+          INSERT INTO vm_setup_new SELECT id, user_id, plan_type, vm_count, vm_ids, status, setup_data,
+            hwho_file_path, created_at, updated_at, completed_at FROM vm_setup
+            WHERE user_id IN (SELECT id FROM users);
+
+          DROP TABLE vm_setup;
+          ALTER TABLE vm_setup_new RENAME TO vm_setup;
+
+          CREATE INDEX IF NOT EXISTS idx_vm_setup_user_id ON vm_setup(user_id);
+          CREATE INDEX IF NOT EXISTS idx_vm_setup_status ON vm_setup(status);
+        `);
+      })();
+
+      console.log('✅ Migrated vm_setup table to provisioning statuses');
+    } catch (error) {
+      console.error('❌ Error migrating vm_setup statuses:', error);
+    }
   }
   
   prepareStatements() {
@@ -462,6 +762,24 @@ class DatabaseService {
       
       // VM assignments
       getUserVMs: this.db.prepare('SELECT vm_id FROM vm_assignments WHERE user_id = ?'),
+      getAllVMAssignments: this.db.prepare('SELECT user_id, vm_id FROM vm_assignments ORDER BY vm_id'),
+      getUserVMAssignments: this.db.prepare('SELECT * FROM vm_assignments WHERE user_id = ? ORDER BY vm_id'),
+      setVMPlanSpec: this.db.prepare(`
+        UPDATE vm_assignments
+        SET plan_type = ?, plan_cores = ?, plan_memory = ?, plan_status = ?, plan_reboot_at = datetime(?),
+            plan_updated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE vm_id = ?
+      `),
+      setVMPlanApplied: this.db.prepare(`
+        UPDATE vm_assignments
+        SET plan_status = 'applied', plan_reboot_at = NULL, plan_updated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE vm_id = ?
+      `),
+      getDuePlanReboots: this.db.prepare(`
+        SELECT * FROM vm_assignments
+        WHERE plan_status = 'pending_reboot' AND plan_reboot_at <= datetime('now')
+        ORDER BY plan_reboot_at
+      `),
       clearUserVMs: this.db.prepare('DELETE FROM vm_assignments WHERE user_id = ?'),
       
       // Subscription operations
@@ -599,1684 +917,2921 @@ class DatabaseService {
       updateVMSetupStatus: this.db.prepare(`
         UPDATE vm_setup SET 
           status = ?, setup_data = ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE user_id = ? AND status != 'completed'
+        WHERE id = ?
+      `),
+
+      updateVMSetupVMs: this.db.prepare(`
+        UPDATE vm_setup SET 
+          vm_ids = ?, setup_data = ?, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ?
       `),
 
       updateVMSetupFile: this.db.prepare(`
         UPDATE vm_setup SET 
           hwho_file_path = ?, status = ?, setup_data = ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE user_id = ? AND status != 'completed'
+        WHERE id = ?
       `),
 
       completeVMSetup: this.db.prepare(`
         UPDATE vm_setup SET 
           status = 'completed', setup_data = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
-        WHERE user_id = ? AND status != 'completed'
+        WHERE id = ?
       `),
 
       getVMSetupByUser: this.db.prepare(`
-        SELECT * FROM vm_setup WHERE user_id = ? ORDER BY created_at DESC LIMIT 1
+        SELECT * FROM vm_setup WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1
+      `),
+
+      getVMSetupById: this.db.prepare(`
+        SELECT * FROM vm_setup WHERE id = ?
       `),
 
       getActiveVMSetup: this.db.prepare(`
-        SELECT * FROM vm_setup WHERE user_id = ? AND status != 'completed' ORDER BY created_at DESC LIMIT 1
-      `)
-    };
-  }
-  
-  // Generate simplified unique ID (6 characters: letters + numbers)
-  generateSimplifiedUuid() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    
-    // Generate 6 random characters
-    for (let i = 0; i < 6; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    
-    return result;
-  }
-  
-  // Ensure UUID is unique by checking database
-  async generateUniqueSimplifiedUuid() {
-    let uuid;
-    let attempts = 0;
-    const maxAttempts = 100;
-    
-    do {
-      uuid = this.generateSimplifiedUuid();
-      attempts++;
-      
-      if (attempts >= maxAttempts) {
-        throw new Error('Failed to generate unique UUID after maximum attempts');
-      }
-    } while (this.checkUuidExists(uuid));
-    
-    return uuid;
-  }
-  
-  checkUuidExists(uuid) {
-    const stmt = this.db.prepare('SELECT 1 FROM users WHERE uuid = ? LIMIT 1');
-    return !!stmt.get(uuid);
-  }
-  
-  // User management methods
-  async findUserByUsername(username) {
-    const user = this.statements.findUserByUsername.get(username);
-    if (!user) return null;
-    
-    return this.formatUser(user);
-  }
-  
-  // Find user for login validation (includes suspended/banned users)
-  async findUserForLogin(username) {
-    const user = this.statements.findUserForLogin.get(username);
-    if (!user) return null;
-    
-    return this.formatUser(user);
-  }
-  
-  async findUserByEmail(email) {
-    const user = this.statements.findUserByEmail.get(email);
-    if (!user) return null;
-    
-    return this.formatUser(user);
-  }
-  
-  async findUserById(id) {
-    const user = this.statements.findUserById.get(id);
-    if (!user) return null;
-    
-    return this.formatUser(user);
-  }
-  
-  // Find user by ID for auth validation (includes suspended/banned users)
-  async findUserByIdForAuth(id) {
-    const user = this.statements.findUserByIdForAuth.get(id);
-    if (!user) return null;
-    
-    return this.formatUser(user);
-  }
-  
-  async findUserByUuid(uuid) {
-    const user = this.statements.findUserByUuid.get(uuid);
-    if (!user) return null;
-    
-    return this.formatUser(user);
-  }
-  
-  formatUser(user) {
-    let subscription = {
-      plan: user.subscription_plan || 'none',
-      expiresAt: user.subscription_expires_at
-    };
+        SELECT * FROM vm_setup WHERE user_id = ? AND status != 'completed' ORDER BY created_at DESC, id DESC LIMIT 1
+      `),
 
-    // Parse additional subscription data if available
-    if (user.subscription_data) {
-      try {
-        const parsedData = JSON.parse(user.subscription_data);
-        subscription = { ...subscription, ...parsedData };
-      } catch (error) {
-        console.error('Error parsing subscription data:', error);
-      }
-    }
+      getVMSetupsByStatus: this.db.prepare(`
+        SELECT * FROM vm_setup WHERE status = ? ORDER BY created_at ASC
+      `),
 
-    return {
-      id: user.id,
-      uuid: user.uuid,
-      username: user.username,
-      email: user.email,
-      password: user.password_hash, // Keep same interface
-      role: user.role,
-      active: Boolean(user.active),
-      status: user.status || 'active',
-      createdAt: user.created_at,
-      lastLogin: user.last_login,
-      vmIds: user.vm_ids ? user.vm_ids.split(',').map(Number) : [],
-      subscription
-    };
-  }
-  
-  async createUser(userData) {
-    const { username, email, password, role = 'customer', vmIds = [], subscriptionPlan, subscriptionExpiresAt } = userData;
-    
-    // Hash password with high cost factor for production
-    const passwordHash = await bcrypt.hash(password, 12);
-    
-    const uuid = await this.generateUniqueSimplifiedUuid();
-    
-    try {
-      const result = this.statements.createUser.run(
-        uuid,
-        username,
-        email,
-        passwordHash,
-        role,
-        subscriptionPlan || null,
-        subscriptionExpiresAt || null
-      );
-      
-      const userId = result.lastInsertRowid;
-      
-      // Assign VMs
+      // Provisioning job queue
+      insertProvisioningJob: this.db.prepare(`
+        INSERT INTO provisioning_jobs (user_id, setup_id, plan_type, vm_number, vm_name, template_vmid, template_id, max_attempts, payload)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+
+      getProvisioningJob: this.db.prepare(`
+        SELECT * FROM provisioning_jobs WHERE id = ?
+      `),
+
+      getNextDueProvisioningJob: this.db.prepare(`
+        SELECT * FROM provisioning_jobs
+        WHERE status = 'pending' AND next_run_at <= datetime('now')
+        ORDER BY next_run_at ASC, id ASC
+        LIMIT 1
+      `),
+
+      claimProvisioningJob: this.db.prepare(`
+        UPDATE provisioning_jobs SET status = 'running', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `),
+
+      updateProvisioningJobStage: this.db.prepare(`
+        UPDATE provisioning_jobs SET stage = ?, vmid = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `),
+
+      completeProvisioningJob: this.db.prepare(`
+        UPDATE provisioning_jobs SET 
+          status = 'completed', last_error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running'
+      `),
+
+      scheduleProvisioningJobRetry: this.db.prepare(`
+        UPDATE provisioning_jobs SET 
+          status = 'pending', attempts = ?, last_error = ?, next_run_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running'
+      `),
+
+      failProvisioningJob: this.db.prepare(`
+        UPDATE provisioning_jobs SET 
+          status = 'failed', attempts = ?, last_error = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running'
+      `),
+
+      resetRunningProvisioningJobs: this.db.prepare(`
+        UPDATE provisioning_jobs SET status = 'pending', next_run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'
+      `),
+
+      requeueProvisioningJob: this.db.prepare(`
+        UPDATE provisioning_jobs SET 
+          status = 'pending', attempts = 0, next_run_at = CURRENT_TIMESTAMP, completed_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN ('failed', 'cancelled')
+      `),
+
+      cancelProvisioningJob: this.db.prepare(`
+        UPDATE provisioning_jobs SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN ('pending', 'running', 'failed')
+      `),
+
+      getProvisioningJobsForSetup: this.db.prepare(`
+        SELECT * FROM provisioning_jobs WHERE setup_id = ? ORDER BY vm_number ASC
+      `),
+
+      getProvisioningJobCounts: this.db.prepare(`
+        SELECT status, COUNT(*) as count FROM provisioning_jobs GROUP BY status
+      `),
+
+      // VM rebuilds
+      insertVMRebuild: this.db.prepare(`
+        INSERT INTO vm_rebuilds (user_id, old_vmid, vm_name, vm_number, plan_type) VALUES (?, ?, ?, ?, ?)
+      `),
+
+      getVMRebuild: this.db.prepare(`
+        SELECT * FROM vm_rebuilds WHERE id = ?
+      `),
+
+      getRunningVMRebuild: this.db.prepare(`
+        SELECT * FROM vm_rebuilds WHERE old_vmid = ? AND status = 'running' ORDER BY id DESC LIMIT 1
+      `),
+
+      getLatestVMRebuild: this.db.prepare(`
+        SELECT * FROM vm_rebuilds WHERE user_id = ? AND old_vmid = ? ORDER BY id DESC LIMIT 1
+      `),
+
+      getUnfinishedVMRebuilds: this.db.prepare(`
+        SELECT r.* FROM vm_rebuilds r
+        WHERE r.user_id = ?
+          AND r.id = (SELECT MAX(id) FROM vm_rebuilds WHERE user_id = r.user_id AND old_vmid = r.old_vmid)
+          AND (r.status = 'running' OR (r.status = 'failed'
+            AND r.old_vmid IN (SELECT vm_id FROM vm_assignments WHERE user_id = r.user_id)))
+      `),
+
+      updateVMRebuildStage: this.db.prepare(`
+        UPDATE vm_rebuilds SET stage = ?, new_vmid = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `),
+
+      completeVMRebuild: this.db.prepare(`
+        UPDATE vm_rebuilds SET 
+          status = 'completed', result = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running'
+      `),
+
+      failVMRebuild: this.db.prepare(`
+        UPDATE vm_rebuilds SET 
+          status = 'failed', last_error = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running'
+      `),
+
+      failRunningVMRebuilds: this.db.prepare(`
+        UPDATE vm_rebuilds SET 
+          status = 'failed', last_error = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'
+      `),
+
+      // VM schedules
+      insertVMSchedule: this.db.prepare(`
+        INSERT INTO vm_schedules (user_id, vmid, action, cron_expression, timezone, enabled, next_run_at)
+        VALUES (?, ?, ?, ?, ?, ?, datetime(?))
+      `),
+
+      getVMSchedule: this.db.prepare(`
+        SELECT * FROM vm_schedules WHERE id = ?
+      `),
+
+      getVMSchedulesForVM: this.db.prepare(`
+        SELECT * FROM vm_schedules WHERE vmid = ? ORDER BY id
+      `),
+
+      updateVMSchedule: this.db.prepare(`
+        UPDATE vm_schedules SET 
+          action = ?, cron_expression = ?, timezone = ?, enabled = ?, next_run_at = datetime(?), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `),
+
+      deleteVMSchedule: this.db.prepare(`
+        DELETE FROM vm_schedules WHERE id = ?
+      `),
+
+      getDueVMSchedules: this.db.prepare(`
+        SELECT * FROM vm_schedules
+        WHERE enabled = 1 AND next_run_at <= datetime('now')
+        ORDER BY next_run_at ASC, id ASC
+      `),
+
+      setVMScheduleNextRun: this.db.prepare(`
+        UPDATE vm_schedules SET next_run_at = datetime(?), updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `),
+
+      recordVMScheduleRun: this.db.prepare(`
+        UPDATE vm_schedules SET 
+          last_run_at = CURRENT_TIMESTAMP, last_status = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `),
+
+      moveVMSchedules: this.db.prepare(`
+        UPDATE vm_schedules SET vmid = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND vmid = ?
+      `),
+
+      // VM incidents
+      insertVMIncident: this.db.prepare(`
+        INSERT INTO vm_incidents (user_id, vmid, type, action, status, details) VALUES (?, ?, ?, ?, ?, ?)
+      `),
+
+      getVMIncidentSummary: this.db.prepare(`
+        SELECT vmid, COUNT(*) as count, MAX(created_at) as last_incident_at
+        FROM vm_incidents
+        WHERE created_at >= datetime('now', ?)
+        GROUP BY vmid
+      `),
+
+      getRecentVMIncidents: this.db.prepare(`
+        SELECT i.*, u.username
+        FROM vm_incidents i
+        LEFT JOIN users u ON i.user_id = u.id
+        ORDER BY i.created_at DESC, i.id DESC
+        LIMIT ?
+      `),
+
+      // VMID reservations
+      getReservedVMIDsInRange: this.db.prepare(`
+        SELECT vmid FROM vmid_reservations WHERE vmid BETWEEN ? AND ?
+      `),
+
+      insertVMIDReservation: this.db.prepare(`
+        INSERT INTO vmid_reservations (vmid, job_id, user_id) VALUES (?, ?, ?)
+      `),
+
+      deleteVMIDReservation: this.db.prepare(`
+        DELETE FROM vmid_reservations WHERE vmid = ?
+      `),
+
+      deleteStaleVMIDReservations: this.db.prepare(`
+        DELETE FROM vmid_reservations
+        WHERE created_at < datetime('now', '-1 day')
+           OR job_id IN (SELECT id FROM provisioning_jobs WHERE status IN ('completed', 'failed', 'cancelled'))
+      `),
+
+      // Templates
+      getTemplates: this.db.prepare(`
+        SELECT t.*, u.username as created_by_username,
+               (SELECT COUNT(*) FROM vm_assignments va WHERE va.template_id = t.id) as vm_count
+        FROM templates t
+        LEFT JOIN users u ON t.created_by = u.id
+        ORDER BY t.plan_type, t.created_at DESC, t.id DESC
+      `),
+
+      getTemplate: this.db.prepare(`
+        SELECT * FROM templates WHERE id = ?
+      `),
+
+      getActiveTemplate: this.db.prepare(`
+        SELECT * FROM templates WHERE plan_type = ? AND active = 1
+      `),
+
+      getTemplateByVersion: this.db.prepare(`
+        SELECT * FROM templates WHERE plan_type = ? AND version = ?
+      `),
+
+      countTemplates: this.db.prepare(`
+        SELECT COUNT(*) as count FROM templates
+      `),
+
+      insertTemplate: this.db.prepare(`
+        INSERT INTO templates (plan_type, vmid, version, notes, active, created_by) VALUES (?, ?, ?, ?, ?, ?)
+      `),
+
+      deactivatePlanTemplates: this.db.prepare(`
+        UPDATE templates SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE plan_type = ? AND active = 1
+      `),
+
+      activateTemplate: this.db.prepare(`
+        UPDATE templates SET active = 1, retired_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `),
+
+      retireTemplate: this.db.prepare(`
+        UPDATE templates SET active = 0, retired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `),
+
+      setVMTemplate: this.db.prepare(`
+        UPDATE vm_assignments
+        SET template_id = ?, template_version = (SELECT version FROM templates WHERE id = ?), updated_at = CURRENT_TIMESTAMP
+        WHERE vm_id = ?
+      `),
+
+      // VM metadata
+      getVMMetadata: this.db.prepare(`
+        SELECT * FROM vm_metadata WHERE user_id = ? AND vmid = ?
+      `),
+
+      getUserVMMetadata: this.db.prepare(`
+        SELECT * FROM vm_metadata WHERE user_id = ?
+      `),
+
+      // Labels of every VM as set by the customer it is assigned to
+      getAssignedVMMetadata: this.db.prepare(`
+        SELECT m.*, u.username
+        FROM vm_metadata m
+        JOIN vm_assignments va ON va.user_id = m.user_id AND va.vm_id = m.vmid
+        JOIN users u ON m.user_id = u.id
+        WHERE u.role != 'admin'
+      `),
+
+      upsertVMMetadata: this.db.prepare(`
+        INSERT INTO vm_metadata (user_id, vmid, nickname, tag, color, notes) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, vmid) DO UPDATE SET
+          nickname = excluded.nickname, tag = excluded.tag, color = excluded.color, notes = excluded.notes,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+
+      moveVMMetadata: this.db.prepare(`
+        UPDATE vm_metadata SET vmid = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND vmid = ?
+      `),
+
+      getVMCustomer: this.db.prepare(`
+        SELECT u.id, u.username, u.subscription_plan, va.plan_type
+        FROM vm_assignments va
+        JOIN users u ON va.user_id = u.id
+        WHERE va.vm_id = ? AND u.role != 'admin'
+        ORDER BY va.created_at, va.id
+        LIMIT 1
+      `),
+
+      // Farming agents
+      setVMAgentSecret: this.db.prepare(`
+        INSERT INTO vm_agents (vmid, secret_hash) VALUES (?, ?)
+        ON CONFLICT(vmid) DO UPDATE SET
+          secret_hash = excluded.secret_hash, issued_at = CURRENT_TIMESTAMP, stale_since = NULL
+      `),
+
+      getVMAgent: this.db.prepare(`
+        SELECT * FROM vm_agents WHERE vmid = ?
+      `),
+
+      getVMAgentBySecretHash: this.db.prepare(`
+        SELECT * FROM vm_agents WHERE secret_hash = ?
+      `),
+
+      // Every agent with the customer its VM is assigned to
+      getVMAgents: this.db.prepare(`
+        SELECT a.*, owner.id AS user_id, owner.username
+        FROM vm_agents a
+        LEFT JOIN (
+          SELECT va.vm_id, u.id, u.username
+          FROM vm_assignments va
+          JOIN users u ON va.user_id = u.id
+          WHERE u.role != 'admin'
+        ) owner ON owner.vm_id = a.vmid
+        GROUP BY a.vmid
+        ORDER BY a.vmid
+      `),
+
+      updateVMAgentHeartbeat: this.db.prepare(`
+        UPDATE vm_agents
+        SET last_heartbeat_at = CURRENT_TIMESTAMP, bot_state = ?, game_running = ?, activity = ?,
+            agent_version = ?, last_ip = ?, stale_since = NULL
+        WHERE vmid = ?
+      `),
+
+      insertVMHeartbeat: this.db.prepare(`
+        INSERT INTO vm_heartbeats (vmid, bot_state, game_running, activity) VALUES (?, ?, ?, ?)
+      `),
+
+      // Agents that reported before but have been silent since the given offset, e.g. '-5 minutes'
+      getSilentVMAgents: this.db.prepare(`
+        SELECT * FROM vm_agents
+        WHERE stale_since IS NULL AND last_heartbeat_at IS NOT NULL AND last_heartbeat_at < datetime('now', ?)
+      `),
+
+      markVMAgentStale: this.db.prepare(`
+        UPDATE vm_agents SET stale_since = CURRENT_TIMESTAMP WHERE vmid = ? AND stale_since IS NULL
+      `),
+
+      deleteVMAgent: this.db.prepare(`
+        DELETE FROM vm_agents WHERE vmid = ?
+      `),
+
+      pruneVMHeartbeats: this.db.prepare(`
+        DELETE FROM vm_heartbeats WHERE received_at < datetime('now', ?)
+      `),
+
+      // Farming time
+      getCustomerVMAssignments: this.db.prepare(`
+        SELECT va.user_id, va.vm_id, va.plan_type, u.subscription_plan
+        FROM vm_assignments va
+        JOIN users u ON va.user_id = u.id
+        WHERE u.role != 'admin'
+        ORDER BY va.vm_id
+      `),
+
+      addFarmingTime: this.db.prepare(`
+        INSERT INTO farming_time (user_id, vmid, plan_type, day, uptime_seconds, farming_seconds) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, vmid, plan_type, day) DO UPDATE SET
+          uptime_seconds = uptime_seconds + excluded.uptime_seconds,
+          farming_seconds = farming_seconds + excluded.farming_seconds,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+
+      getFarmingTotalsByPlan: this.db.prepare(`
+        SELECT plan_type, SUM(uptime_seconds) AS uptime_seconds, SUM(farming_seconds) AS farming_seconds
+        FROM farming_time
+        WHERE user_id = ?
+        GROUP BY plan_type
+        ORDER BY plan_type
+      `),
+
+      getFarmingTotalsByVM: this.db.prepare(`
+        SELECT vmid, SUM(uptime_seconds) AS uptime_seconds, SUM(farming_seconds) AS farming_seconds, MAX(day) AS last_day
+        FROM farming_time
+        WHERE user_id = ?
+        GROUP BY vmid
+        ORDER BY vmid
+      `),
+
+      getFarmingDaily: this.db.prepare(`
+        SELECT day, SUM(uptime_seconds) AS uptime_seconds, SUM(farming_seconds) AS farming_seconds
+        FROM farming_time
+        WHERE user_id = ? AND day >= date('now', ?)
+        GROUP BY day
+        ORDER BY day
+      `),
+
+      getFarmingRows: this.db.prepare(`
+        SELECT day, vmid, plan_type, uptime_seconds, farming_seconds
+        FROM farming_time
+        WHERE user_id = ? AND day >= date('now', ?)
+        ORDER BY day, vmid, plan_type
+      `),
+
+      getFarmingSecondsSince: this.db.prepare(`
+        SELECT COALESCE(SUM(farming_seconds), 0) AS farming_seconds
+        FROM farming_time
+        WHERE user_id = ? AND day >= ?
+      `),
+
+      getFarmingGoal: this.db.prepare(`
+        SELECT * FROM farming_goals WHERE user_id = ?
+      `),
+
+      setFarmingGoal: this.db.prepare(`
+        INSERT INTO farming_goals (user_id, target_hours, deadline, started_on) VALUES (?, ?, ?, date('now'))
+        ON CONFLICT(user_id) DO UPDATE SET
+          target_hours = excluded.target_hours, deadline = excluded.deadline,
+          started_on = excluded.started_on, created_at = CURRENT_TIMESTAMP
+      `),
+
+      deleteFarmingGoal: this.db.prepare(`
+        DELETE FROM farming_goals WHERE user_id = ?
+      `),
+
+      // Capacity
+      getActiveProvisioningJobs: this.db.prepare(`
+        SELECT id, user_id, plan_type, vmid FROM provisioning_jobs WHERE status IN ('pending', 'running')
+      `),
+
+      getActiveCapacityReservations: this.db.prepare(`
+        SELECT r.*, u.username
+        FROM capacity_reservations r
+        JOIN users u ON u.id = r.user_id
+        WHERE r.released_at IS NULL AND r.expires_at > CURRENT_TIMESTAMP
+        ORDER BY r.id
+      `),
+
+      getOtherCapacityReserved: this.db.prepare(`
+        SELECT COALESCE(SUM(memory_mb), 0) AS memory, COALESCE(SUM(cores), 0) AS cores
+        FROM capacity_reservations
+        WHERE user_id != ? AND released_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `),
+
+      insertCapacityReservation: this.db.prepare(`
+        INSERT INTO capacity_reservations (user_id, kind, plan_type, vm_count, memory_mb, cores, reference, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+      `),
+
+      setCapacityReservationReference: this.db.prepare(`
+        UPDATE capacity_reservations SET reference = ? WHERE id = ?
+      `),
+
+      releaseCapacityReservations: this.db.prepare(`
+        UPDATE capacity_reservations SET released_at = CURRENT_TIMESTAMP WHERE user_id = ? AND released_at IS NULL
+      `),
+
+      releaseCapacityReservation: this.db.prepare(`
+        UPDATE capacity_reservations SET released_at = CURRENT_TIMESTAMP WHERE id = ? AND released_at IS NULL
+      `),
+
+      releaseCapacityReservationByReference: this.db.prepare(`
+        UPDATE capacity_reservations SET released_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND kind = ? AND reference = ? AND released_at IS NULL
+      `),
+
+      insertWaitlistEntry: this.db.prepare(`
+        INSERT INTO capacity_waitlist (user_id, kind, plan_type, plan_name, vm_count) VALUES (?, ?, ?, ?, ?)
+      `),
+
+      getWaitlistEntry: this.db.prepare(`
+        SELECT * FROM capacity_waitlist WHERE id = ?
+      `),
+
+      getOpenWaitlistEntry: this.db.prepare(`
+        SELECT * FROM capacity_waitlist WHERE user_id = ? AND status IN ('waiting', 'notified') ORDER BY id DESC LIMIT 1
+      `),
+
+      getOpenWaitlist: this.db.prepare(`
+        SELECT w.*, u.username
+        FROM capacity_waitlist w
+        JOIN users u ON u.id = w.user_id
+        WHERE w.status IN ('waiting', 'notified')
+        ORDER BY w.id
+      `),
+
+      getWaitlistPosition: this.db.prepare(`
+        SELECT COUNT(*) AS position FROM capacity_waitlist WHERE status = 'waiting' AND id <= ?
+      `),
+
+      closeWaitlistEntries: this.db.prepare(`
+        UPDATE capacity_waitlist SET status = ? WHERE user_id = ? AND status IN ('waiting', 'notified')
+      `),
+
+      notifyWaitlistEntry: this.db.prepare(`
+        UPDATE capacity_waitlist SET status = 'notified', notified_at = CURRENT_TIMESTAMP, offer_expires_at = datetime('now', ?)
+        WHERE id = ? AND status = 'waiting'
+      `),
+
+      expireWaitlistOffers: this.db.prepare(`
+        UPDATE capacity_waitlist SET status = 'expired' WHERE status = 'notified' AND offer_expires_at <= CURRENT_TIMESTAMP
+      `),
+
+      // Reconciliation
+      getVMAssignmentOwners: this.db.prepare(`
+        SELECT va.user_id, va.vm_id, u.username, u.uuid, u.role
+        FROM vm_assignments va
+        JOIN users u ON va.user_id = u.id
+        ORDER BY va.vm_id, va.user_id
+      `),
+
+      getUserAccountIds: this.db.prepare(`
+        SELECT id, uuid, username, role FROM users WHERE uuid IS NOT NULL
+      `),
+
+      // VMIDs a clone, provisioning job or rebuild is still working on
+      getInFlightVMIDs: this.db.prepare(`
+        SELECT vmid FROM vmid_reservations
+        UNION SELECT vmid FROM provisioning_jobs WHERE status IN ('pending', 'running') AND vmid IS NOT NULL
+        UNION SELECT old_vmid FROM vm_rebuilds WHERE status = 'running'
+        UNION SELECT new_vmid FROM vm_rebuilds WHERE status = 'running' AND new_vmid IS NOT NULL
+      `),
+
+      // Latest vm_setup row of every user whose VMs are not still being provisioned
+      getLatestSettledVMSetups: this.db.prepare(`
+        SELECT s.* FROM vm_setup s
+        WHERE s.id = (SELECT id FROM vm_setup WHERE user_id = s.user_id ORDER BY created_at DESC, id DESC LIMIT 1)
+          AND s.status != 'provisioning'
+      `),
+
+      // Assigned VMs not cloned from their plan's active template (or from an unknown one)
+      getOutdatedTemplateVMs: this.db.prepare(`
+        SELECT va.vm_id as vmid, va.user_id, u.username, va.plan_type, va.template_id, va.template_version,
+               t.id as current_template_id, t.version as current_version
+        FROM vm_assignments va
+        JOIN users u ON va.user_id = u.id
+        JOIN templates t ON t.plan_type = va.plan_type AND t.active = 1
+        WHERE va.template_id IS NULL OR va.template_id != t.id
+        ORDER BY va.plan_type, va.vm_id
+      `)
+    };
+  }
+  
+  // Generate simplified unique ID (6 characters: letters + numbers)
+  generateSimplifiedUuid() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let result = '';
+    
+    // Generate 6 random characters
+    for (let i = 0; i < 6; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    
+    return result;
+  }
+  
+  // Ensure UUID is unique by checking database
+  async generateUniqueSimplifiedUuid() {
+    let uuid;
+    let attempts = 0;
+    const maxAttempts = 100;
+    
+    do {
+      uuid = this.generateSimplifiedUuid();
+      attempts++;
+      
+      if (attempts >= maxAttempts) {
+        throw new Error('Failed to generate unique UUID after maximum attempts');
+      }
+    } while (this.checkUuidExists(uuid));
+    
+    return uuid;
+  }
+  
+  checkUuidExists(uuid) {
+    const stmt = this.db.prepare('SELECT 1 FROM users WHERE uuid = ? LIMIT 1');
+    return !!stmt.get(uuid);
+  }
+  
+  // User management methods
+  async findUserByUsername(username) {
+    const user = this.statements.findUserByUsername.get(username);
+    if (!user) return null;
+    
+    return this.formatUser(user);
+  }
+  
+  // Find user for login validation (includes suspended/banned users)
+  async findUserForLogin(username) {
+    const user = this.statements.findUserForLogin.get(username);
+    if (!user) return null;
+    
+    return this.formatUser(user);
+  }
+  
+  async findUserByEmail(email) {
+    const user = this.statements.findUserByEmail.get(email);
+    if (!user) return null;
+    
+    return this.formatUser(user);
+  }
+  
+  async findUserById(id) {
+    const user = this.statements.findUserById.get(id);
+    if (!user) return null;
+    
+    return this.formatUser(user);
+  }
+  
+  // Find user by ID for auth validation (includes suspended/banned users)
+  async findUserByIdForAuth(id) {
+    const user = this.statements.findUserByIdForAuth.get(id);
+    if (!user) return null;
+    
+    return this.formatUser(user);
+  }
+  
+  async findUserByUuid(uuid) {
+    const user = this.statements.findUserByUuid.get(uuid);
+    if (!user) return null;
+    
+    return this.formatUser(user);
+  }
+  
+  formatUser(user) {
+    let subscription = {
+      plan: user.subscription_plan || 'none',
+      expiresAt: user.subscription_expires_at
+    };
+
+    // Parse additional subscription data if available
+    if (user.subscription_data) {
+      try {
+        const parsedData = JSON.parse(user.subscription_data);
+        subscription = { ...subscription, ...parsedData };
+      } catch (error) {
+        console.error('Error parsing subscription data:', error);
+      }
+    }
+
+    return {
+      id: user.id,
+      uuid: user.uuid,
+      username: user.username,
+      email: user.email,
+      password: user.password_hash, // Keep same interface
+      role: user.role,
+      active: Boolean(user.active),
+      status: user.status || 'active',
+      createdAt: user.created_at,
+      lastLogin: user.last_login,
+      vmIds: user.vm_ids ? user.vm_ids.split(',').map(Number) : [],
+      subscription
+    };
+  }
+  
+  async createUser(userData) {
+    const { username, email, password, role = 'customer', vmIds = [], subscriptionPlan, subscriptionExpiresAt } = userData;
+    
+    // Hash password with high cost factor for production
+    const passwordHash = await bcrypt.hash(password, 12);
+    
+    const uuid = await this.generateUniqueSimplifiedUuid();
+    
+    try {
+      const result = this.statements.createUser.run(
+        uuid,
+        username,
+        email,
+        passwordHash,
+        role,
+        subscriptionPlan || null,
+        subscriptionExpiresAt || null
+      );
+      
+      const userId = result.lastInsertRowid;
+      
+      // Assign VMs
       for (const vmId of vmIds) {
         this.statements.assignVMToUser.run(userId, vmId);
       }
       
-      return await this.findUserById(userId);
+      return await this.findUserById(userId);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error('Username or email already exists');
+      }
+      throw error;
+    }
+  }
+  
+  async verifyPassword(plainPassword, hashedPassword) {
+    return await bcrypt.compare(plainPassword, hashedPassword);
+  }
+  
+  async updateLastLogin(userId) {
+    this.statements.updateLastLogin.run(userId);
+  }
+  
+  getUserVMIds(userId) {
+    const rows = this.statements.getUserVMIds.all(userId);
+    return rows.map(row => row.vm_id);
+  }
+  
+  // Alias for subscription manager compatibility
+  getUserVMs(userId) {
+    return this.getUserVMIds(userId);
+  }
+
+  // Every customer VM with its owner, as [{ user_id, vm_id }]
+  getAllVMAssignments() {
+    return this.statements.getAllVMAssignments.all();
+  }
+  
+  // Assignment rows with the plan spec each VM is configured with
+  getUserVMAssignments(userId) {
+    return this.statements.getUserVMAssignments.all(userId);
+  }
+
+  setVMPlanSpec(vmid, { planType, cores, memory, status = 'applied', rebootAt = null }) {
+    this.statements.setVMPlanSpec.run(planType, cores, memory, status, rebootAt ? new Date(rebootAt).toISOString() : null, vmid);
+  }
+
+  setVMPlanApplied(vmid) {
+    this.statements.setVMPlanApplied.run(vmid);
+  }
+
+  getDuePlanReboots() {
+    return this.statements.getDuePlanReboots.all();
+  }
+  
+  canAccessVM(userId, vmId) {
+    const user = this.statements.findUserById.get(userId);
+    if (!user) return false;
+    
+    // Admin can access all VMs
+    if (user.role === 'admin') return true;
+    
+    // Check if user has access to this specific VM
+    const vmIds = this.getUserVMIds(userId);
+    return vmIds.includes(parseInt(vmId));
+  }
+  
+  // Audit logging
+  logAction(userId, action, resourceType = null, resourceId = null, details = null, ipAddress = null, performedByUserId = null) {
+    try {
+      this.statements.addAuditLog.run(
+        userId,
+        performedByUserId || userId, // Use performedByUserId if provided, otherwise use userId as fallback
+        action,
+        resourceType,
+        resourceId,
+        details ? JSON.stringify(details) : null,
+        ipAddress
+      );
+    } catch (error) {
+      console.error('Failed to log audit action:', error);
+    }
+  }
+  
+  // Session management
+  createSession(userId, tokenHash, expiresAt, ipAddress = null, userAgent = null) {
+    try {
+      this.statements.createSession.run(userId, tokenHash, expiresAt, ipAddress, userAgent);
+    } catch (error) {
+      console.error('Failed to create session:', error);
+    }
+  }
+  
+  deleteSession(tokenHash) {
+    this.statements.deleteSession.run(tokenHash);
+  }
+  
+  cleanupExpiredSessions() {
+    this.statements.cleanExpiredSessions.run();
+  }
+  
+  // VM assignment management
+  assignVMToUser(userId, vmId) {
+    this.statements.assignVMToUser.run(userId, vmId);
+  }
+  
+  removeVMFromUser(userId, vmId) {
+    this.statements.removeVMFromUser.run(userId, vmId);
+  }
+  
+  // Subscription management
+  async updateUserSubscription(userId, subscriptionData) {
+    const {
+      plan,
+      stripeCustomerId,
+      stripeSubscriptionId,
+      status,
+      expiresAt,
+      currentPeriodEnd,
+      canceledAt
+    } = subscriptionData;
+
+    console.log('Updating subscription for user:', userId, subscriptionData);
+    
+    try {
+      // Check database health before proceeding
+      if (!this.isHealthy()) {
+        throw new Error('Database is not healthy - aborting subscription update');
+      }
+
+      // Use immediate transaction mode to prevent race conditions
+      this.db.pragma('synchronous = NORMAL'); // Ensure immediate writes
+      
+      // Create transaction with explicit locks to prevent concurrent updates
+      const updateTransaction = this.db.transaction((userId, subscriptionData) => {
+        // The IMMEDIATE transaction already holds the write lock; SQLite has no FOR UPDATE
+        const lockStmt = this.db.prepare('SELECT id FROM users WHERE id = ?');
+        const userLock = lockStmt.get(userId);
+        if (!userLock) {
+          throw new Error(`User ${userId} not found or locked`);
+        }
+
+        return this._performSubscriptionUpdate(userId, subscriptionData);
+      });
+      
+      const result = updateTransaction.immediate(userId, subscriptionData);
+      
+      console.log(`Successfully updated subscription for user ${userId}`);
+      eventBus.publish('subscription.changed', { userId, reason: 'updated', status: status || null });
+      return result;
+      
+    } catch (error) {
+      console.error('Critical error updating user subscription:', error);
+      console.error('Failed subscription data:', subscriptionData);
+      console.error('User ID:', userId);
+      
+      // Verify database integrity after error
+      try {
+        const integrityCheck = this.db.pragma('integrity_check');
+        if (integrityCheck[0] !== 'ok') {
+          console.error('DATABASE INTEGRITY CHECK FAILED:', integrityCheck);
+        }
+      } catch (integrityError) {
+        console.error('Cannot perform integrity check:', integrityError);
+      }
+      
+      throw new Error(`Subscription update failed for user ${userId}: ${error.message}`);
+    }
+  }
+
+  _performSubscriptionUpdate(userId, subscriptionData) {
+    const {
+      plan,
+      stripeCustomerId,
+      stripeSubscriptionId,
+      status,
+      expiresAt,
+      currentPeriodEnd,
+      canceledAt
+    } = subscriptionData;
+
+    // Get current user data
+    const getUserStmt = this.db.prepare('SELECT * FROM users WHERE id = ?');
+    const user = getUserStmt.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Parse existing subscription data
+    let currentSubscription = {};
+    try {
+      currentSubscription = user.subscription_data ? JSON.parse(user.subscription_data) : {};
+    } catch (error) {
+      console.error('Error parsing existing subscription data:', error);
+      currentSubscription = {};
+    }
+
+    console.log('Current user subscription:', currentSubscription);
+
+    // Properly handle date conversion
+    const formatDate = (date) => {
+      if (!date) return null;
+      if (typeof date === 'string') return date;
+      if (date instanceof Date) return date.toISOString();
+      // Handle case where date might be passed as timestamp
+      if (typeof date === 'number') return new Date(date).toISOString();
+      return date;
+    };
+
+    // Merge with existing subscription data
+    const updatedSubscription = {
+      ...currentSubscription,
+      ...(plan && { plan }),
+      ...(stripeCustomerId && { stripeCustomerId }),
+      ...(stripeSubscriptionId && { stripeSubscriptionId }),
+      ...(status && { status }),
+      ...(expiresAt && { expiresAt: formatDate(expiresAt) }),
+      ...(currentPeriodEnd && { currentPeriodEnd: formatDate(currentPeriodEnd) }),
+      ...(canceledAt && { canceledAt: formatDate(canceledAt) })
+    };
+
+    console.log('Updated subscription data:', updatedSubscription);
+
+    // Update user record with new subscription data using prepared statement
+    const updateSubscription = this.db.prepare(`
+      UPDATE users 
+      SET subscription_plan = ?, 
+          subscription_expires_at = ?,
+          subscription_data = ?
+      WHERE id = ?
+    `);
+
+    const result = updateSubscription.run(
+      updatedSubscription.plan || null,
+      updatedSubscription.expiresAt || null,
+      JSON.stringify(updatedSubscription),
+      userId
+    );
+
+    if (result.changes === 0) {
+      throw new Error('Failed to update user subscription - no rows affected');
+    }
+
+    console.log(`Updated subscription for user ${userId}:`, updatedSubscription);
+    console.log('Database update result:', { changes: result.changes, lastInsertRowid: result.lastInsertRowid });
+
+    return updatedSubscription;
+  }
+  
+  // Admin user management functions
+  async getAllUsers() {
+    const stmt = this.db.prepare(`
+      SELECT u.*, 
+             GROUP_CONCAT(va.vm_id) as vm_ids
+      FROM users u
+      LEFT JOIN vm_assignments va ON u.id = va.user_id
+      GROUP BY u.id
+      ORDER BY u.created_at DESC
+    `);
+    
+    const users = stmt.all();
+    return users.map(user => this.formatUser(user));
+  }
+
+  async updateUser(userId, userData) {
+    const { email, role, username } = userData;
+    
+    try {
+      // Build dynamic SQL based on what fields are being updated
+      const fields = [];
+      const values = [];
+      
+      if (email) {
+        fields.push('email = ?');
+        values.push(email);
+      }
+      
+      if (role) {
+        fields.push('role = ?');
+        values.push(role);
+      }
+      
+      if (username) {
+        fields.push('username = ?');
+        values.push(username);
+      }
+      
+      if (fields.length === 0) {
+        throw new Error('No fields to update');
+      }
+      
+      values.push(userId); // Add userId for WHERE clause
+      
+      const updateStmt = this.db.prepare(`
+        UPDATE users 
+        SET ${fields.join(', ')}
+        WHERE id = ?
+      `);
+      
+      const result = updateStmt.run(...values);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating user:', error);
+      throw error;
+    }
+  }
+
+  async updateUserVMAssignments(userId, vmIds) {
+    try {
+      // Begin transaction
+      const transaction = this.db.transaction(() => {
+        // Remove all existing VM assignments for this user
+        const deleteStmt = this.db.prepare('DELETE FROM vm_assignments WHERE user_id = ?');
+        deleteStmt.run(userId);
+        
+        // Add new VM assignments
+        if (vmIds && vmIds.length > 0) {
+          const insertStmt = this.db.prepare('INSERT INTO vm_assignments (user_id, vm_id) VALUES (?, ?)');
+          for (const vmId of vmIds) {
+            insertStmt.run(userId, vmId);
+          }
+        }
+      });
+      
+      transaction();
+      return true;
+    } catch (error) {
+      console.error('Error updating VM assignments:', error);
+      throw error;
+    }
+  }
+
+  async updateUserStatus(userId, active) {
+    try {
+      const result = this.statements.updateUserStatus.run(
+        active ? 'active' : 'suspended',
+        active ? 1 : 0,
+        userId
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating user status:', error);
+      throw error;
+    }
+  }
+
+  async updateUserStatusTo(userId, status) {
+    try {
+      // Map status to active boolean
+      const active = status === 'active' ? 1 : 0;
+      
+      const result = this.statements.updateUserStatus.run(status, active, userId);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating user status to:', status, error);
+      throw error;
+    }
+  }
+
+  async updateUserPassword(userId, hashedPassword) {
+    try {
+      const updateStmt = this.db.prepare(`
+        UPDATE users 
+        SET password_hash = ?
+        WHERE id = ?
+      `);
+      
+      const result = updateStmt.run(hashedPassword, userId);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating user password:', error);
+      throw error;
+    }
+  }
+
+  async deleteUser(userId) {
+    try {
+      // Delete user (VM assignments will be deleted automatically due to foreign key)
+      const deleteStmt = this.db.prepare(`
+        DELETE FROM users WHERE id = ?
+      `);
+      
+      const result = deleteStmt.run(userId);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      throw error;
+    }
+  }
+
+  async deleteUserWithAudit(userId, auditDetails, ipAddress) {
+    try {
+      // Use a transaction to ensure atomicity
+      const transaction = this.db.transaction(() => {
+        // First log the action while the user still exists
+        this.statements.addAuditLog.run(
+          userId,
+          userId, // performed_by_user_id - user is deleting their own account
+          'account_deleted',
+          'account',
+          userId,
+          JSON.stringify(auditDetails),
+          ipAddress
+        );
+        
+        // Then delete the user (VM assignments will be deleted automatically due to foreign key)
+        const deleteStmt = this.db.prepare(`
+          DELETE FROM users WHERE id = ?
+        `);
+        
+        const result = deleteStmt.run(userId);
+        if (result.changes === 0) {
+          throw new Error('User not found or already deleted');
+        }
+        
+        return result.changes > 0;
+      });
+      
+      return transaction();
+    } catch (error) {
+      console.error('Error deleting user with audit:', error);
+      throw error;
+    }
+  }
+
+  async getUserAuditLogs(userId, limit = 50) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT * FROM audit_logs 
+        WHERE user_id = ? 
+        ORDER BY created_at DESC 
+        LIMIT ?
+      `);
+      
+      return stmt.all(userId, limit);
+    } catch (error) {
+      console.error('Error fetching user audit logs:', error);
+      throw error;
+    }
+  }
+
+  async getSystemStats() {
+    try {
+      const totalUsers = this.db.prepare('SELECT COUNT(*) as count FROM users WHERE role = "customer"').get().count;
+      
+      const activeSubscriptions = this.db.prepare(`
+        SELECT COUNT(*) as count FROM users 
+        WHERE subscription_data IS NOT NULL 
+        AND JSON_EXTRACT(subscription_data, '$.status') = 'active'
+        AND JSON_EXTRACT(subscription_data, '$.plan') != 'none'
+      `).get().count;
+      
+      const totalVMAssignments = this.db.prepare('SELECT COUNT(*) as count FROM vm_assignments').get().count;
+      
+      const recentErrors = this.db.prepare(`
+        SELECT COUNT(*) as count FROM audit_logs 
+        WHERE (action LIKE '%failed%' OR action LIKE '%error%') 
+        AND created_at >= datetime('now', '-24 hours')
+      `).get().count;
+      
+      const recentProvisionings = this.db.prepare(`
+        SELECT COUNT(*) as count FROM audit_logs 
+        WHERE action = 'vms_provisioned' 
+        AND created_at >= datetime('now', '-7 days')
+      `).get().count;
+      
+      return {
+        totalUsers,
+        activeSubscriptions,
+        totalVMAssignments,
+        recentErrors,
+        recentProvisionings,
+        lastUpdated: new Date().toISOString()
+      };
+      
     } catch (error) {
-      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-        throw new Error('Username or email already exists');
-      }
-      throw error;
+      console.error('Error getting system statistics:', error);
+      return {
+        totalUsers: 0,
+        activeSubscriptions: 0,
+        totalVMAssignments: 0,
+        recentErrors: 0,
+        recentProvisionings: 0,
+        lastUpdated: new Date().toISOString(),
+        error: error.message
+      };
     }
   }
   
-  async verifyPassword(plainPassword, hashedPassword) {
-    return await bcrypt.compare(plainPassword, hashedPassword);
-  }
-  
-  async updateLastLogin(userId) {
-    this.statements.updateLastLogin.run(userId);
-  }
-  
-  getUserVMIds(userId) {
-    const rows = this.statements.getUserVMIds.all(userId);
-    return rows.map(row => row.vm_id);
-  }
-  
-  // Alias for subscription manager compatibility
-  getUserVMs(userId) {
-    return this.getUserVMIds(userId);
-  }
-  
-  canAccessVM(userId, vmId) {
-    const user = this.statements.findUserById.get(userId);
-    if (!user) return false;
-    
-    // Admin can access all VMs
-    if (user.role === 'admin') return true;
+  // Get normalized subscription status for a user
+  getSubscriptionStatus(subscription, userRole = null) {
+    // Admins always have active access regardless of subscription
+    if (userRole === 'admin') {
+      return {
+        plan: 'admin',
+        status: 'active',
+        isActive: true,
+        isExpired: false,
+        isCancelled: false,
+        expiresAt: null
+      };
+    }
     
-    // Check if user has access to this specific VM
-    const vmIds = this.getUserVMIds(userId);
-    return vmIds.includes(parseInt(vmId));
-  }
-  
-  // Audit logging
-  logAction(userId, action, resourceType = null, resourceId = null, details = null, ipAddress = null, performedByUserId = null) {
-    try {
-      this.statements.addAuditLog.run(
-        userId,
-        performedByUserId || userId, // Use performedByUserId if provided, otherwise use userId as fallback
-        action,
-        resourceType,
-        resourceId,
-        details ? JSON.stringify(details) : null,
-        ipAddress
-      );
-    } catch (error) {
-      console.error('Failed to log audit action:', error);
+    if (!subscription || !subscription.plan || subscription.plan === 'none') {
+      return {
+        plan: 'none',
+        status: 'inactive',
+        isActive: false,
+        isExpired: false,
+        isCancelled: false,
+        expiresAt: null
+      };
+    }
+
+    if (!subscription.expiresAt) {
+      return {
+        ...subscription,
+        status: subscription.status || 'active',
+        isActive: true,
+        isExpired: false,
+        isCancelled: subscription.status === 'cancel_at_period_end'
+      };
     }
+
+    const expiryDate = new Date(subscription.expiresAt);
+    const now = new Date();
+    const isExpired = expiryDate <= now;
+    const isCancelled = subscription.status === 'cancel_at_period_end';
+    const isActive = !isExpired && !isCancelled;
+
+    return {
+      ...subscription,
+      status: subscription.status || (isExpired ? 'expired' : 'active'),
+      isActive,
+      isExpired,
+      isCancelled
+    };
   }
   
-  // Session management
-  createSession(userId, tokenHash, expiresAt, ipAddress = null, userAgent = null) {
+  // Health check
+  isHealthy() {
     try {
-      this.statements.createSession.run(userId, tokenHash, expiresAt, ipAddress, userAgent);
+      this.db.prepare('SELECT 1').get();
+      return true;
     } catch (error) {
-      console.error('Failed to create session:', error);
+      console.error('Database health check failed:', error);
+      return false;
     }
   }
   
-  deleteSession(tokenHash) {
-    this.statements.deleteSession.run(tokenHash);
-  }
-  
-  cleanupExpiredSessions() {
-    this.statements.cleanExpiredSessions.run();
-  }
-  
-  // VM assignment management
-  assignVMToUser(userId, vmId) {
-    this.statements.assignVMToUser.run(userId, vmId);
+  close() {
+    this.db.close();
   }
-  
-  removeVMFromUser(userId, vmId) {
-    this.statements.removeVMFromUser.run(userId, vmId);
+
+  // New comprehensive analytics methods
+  async getAnalytics() {
+    try {
+      // User Growth Analytics - Fixed to ensure unique users per day
+      const userGrowthStmt = this.db.prepare(`
+        SELECT 
+          date(created_at) as date,
+          COUNT(*) as new_users
+        FROM users 
+        WHERE created_at >= date('now', '-30 days')
+        GROUP BY date(created_at)
+        ORDER BY date(created_at)
+      `);
+
+      // Login Activity Analytics
+      const loginActivityStmt = this.db.prepare(`
+        SELECT 
+          date(last_login) as date,
+          COUNT(DISTINCT id) as active_users
+        FROM users 
+        WHERE last_login >= datetime('now', '-30 days')
+        GROUP BY date(last_login)
+        ORDER BY date(last_login)
+      `);
+
+      // User Status Distribution
+      const statusDistributionStmt = this.db.prepare(`
+        SELECT 
+          status,
+          COUNT(*) as count
+        FROM users
+        GROUP BY status
+      `);
+
+      // Subscription Analytics - Updated to group new plan types properly
+      const subscriptionAnalyticsStmt = this.db.prepare(`
+        SELECT 
+          CASE 
+            WHEN subscription_plan LIKE '%Hour Booster%' OR subscription_plan LIKE '%hour_booster%' THEN 'Hour Booster'
+            WHEN subscription_plan LIKE '%KD Drop%' OR subscription_plan LIKE '%kd_drop%' THEN 'KD Drop'
+            WHEN subscription_plan LIKE '%Dual Mode%' OR subscription_plan LIKE '%dual_mode%' THEN 'Dual Mode'
+            WHEN subscription_plan = 'Basic' THEN 'Hour Booster'
+            WHEN subscription_plan = 'Premium' THEN 'KD Drop'
+            ELSE subscription_plan
+          END as subscription_plan,
+          COUNT(*) as count,
+          COUNT(CASE WHEN subscription_expires_at > datetime('now') THEN 1 END) as active_count
+        FROM users
+        WHERE subscription_plan IS NOT NULL AND subscription_plan != 'none'
+        GROUP BY CASE 
+          WHEN subscription_plan LIKE '%Hour Booster%' OR subscription_plan LIKE '%hour_booster%' THEN 'Hour Booster'
+          WHEN subscription_plan LIKE '%KD Drop%' OR subscription_plan LIKE '%kd_drop%' THEN 'KD Drop'
+          WHEN subscription_plan LIKE '%Dual Mode%' OR subscription_plan LIKE '%dual_mode%' THEN 'Dual Mode'
+          WHEN subscription_plan = 'Basic' THEN 'Hour Booster'
+          WHEN subscription_plan = 'Premium' THEN 'KD Drop'
+          ELSE subscription_plan
+        END
+        ORDER BY count DESC
+      `);
+
+      // VM Assignment Analytics
+      const vmAnalyticsStmt = this.db.prepare(`
+        SELECT 
+          u.role,
+          COUNT(DISTINCT va.vm_id) as vms_assigned,
+          COUNT(DISTINCT u.id) as users_with_vms
+        FROM users u
+        LEFT JOIN vm_assignments va ON u.id = va.user_id
+        GROUP BY u.role
+      `);
+
+      // Recent Activity Analytics - Filtered to exclude server overview access
+      const recentActivityStmt = this.db.prepare(`
+        SELECT 
+          action,
+          resource_type,
+          COUNT(*) as count,
+          datetime(MAX(created_at)) as last_occurrence
+        FROM audit_logs 
+        WHERE created_at >= datetime('now', '-7 days')
+          AND action NOT LIKE '%server_overview%'
+          AND action NOT LIKE '%server-overview%'
+          AND action != 'access_server_overview'
+          AND action != 'view_server_overview'
+          AND action != 'fetch_server_overview'
+        GROUP BY action, resource_type
+        ORDER BY count DESC
+        LIMIT 10
+      `);
+
+      // Top Active Users
+      const topUsersStmt = this.db.prepare(`
+        SELECT 
+          u.username,
+          u.email,
+          u.role,
+          u.last_login,
+          COUNT(al.id) as activity_count
+        FROM users u
+        LEFT JOIN audit_logs al ON u.id = al.user_id AND al.created_at >= datetime('now', '-30 days')
+        WHERE u.active = 1
+        GROUP BY u.id
+        ORDER BY activity_count DESC, u.last_login DESC
+        LIMIT 10
+      `);
+
+      // Registration Trends (by month)
+      const registrationTrendsStmt = this.db.prepare(`
+        SELECT 
+          strftime('%Y-%m', created_at) as month,
+          COUNT(*) as registrations
+        FROM users
+        WHERE created_at >= date('now', '-12 months')
+        GROUP BY strftime('%Y-%m', created_at)
+        ORDER BY month
+      `);
+
+      return {
+        userGrowth: userGrowthStmt.all(),
+        loginActivity: loginActivityStmt.all(),
+        statusDistribution: statusDistributionStmt.all(),
+        subscriptionAnalytics: subscriptionAnalyticsStmt.all(),
+        vmAnalytics: vmAnalyticsStmt.all(),
+        recentActivity: recentActivityStmt.all(),
+        topUsers: topUsersStmt.all(),
+        registrationTrends: registrationTrendsStmt.all()
+      };
+    } catch (error) {
+      console.error('Error fetching analytics:', error);
+      throw error;
+    }
   }
-  
-  // Subscription management
-  async updateUserSubscription(userId, subscriptionData) {
-    const {
-      plan,
-      stripeCustomerId,
-      stripeSubscriptionId,
-      status,
-      expiresAt,
-      currentPeriodEnd,
-      canceledAt
-    } = subscriptionData;
 
-    console.log('Updating subscription for user:', userId, subscriptionData);
-    
+  async getUserActivityMetrics(userId) {
     try {
-      // Check database health before proceeding
-      if (!this.isHealthy()) {
-        throw new Error('Database is not healthy - aborting subscription update');
-      }
+      // Get user's activity breakdown
+      const activityBreakdownStmt = this.db.prepare(`
+        SELECT 
+          action,
+          resource_type,
+          COUNT(*) as count,
+          datetime(MAX(created_at)) as last_occurrence
+        FROM audit_logs 
+        WHERE user_id = ? AND created_at >= datetime('now', '-30 days')
+        GROUP BY action, resource_type
+        ORDER BY count DESC
+      `);
 
-      // Use immediate transaction mode to prevent race conditions
-      this.db.pragma('synchronous = NORMAL'); // Ensure immediate writes
-      
-      // Create transaction with explicit locks to prevent concurrent updates
-      const updateTransaction = this.db.transaction((userId, subscriptionData) => {
-        // First, lock the user record to prevent concurrent modifications
-        const lockStmt = this.db.prepare('SELECT id FROM users WHERE id = ? FOR UPDATE');
-        const userLock = lockStmt.get(userId);
-        if (!userLock) {
-          throw new Error(`User ${userId} not found or locked`);
-        }
+      // Get user's daily activity for the last 30 days
+      const dailyActivityStmt = this.db.prepare(`
+        SELECT 
+          date(created_at) as date,
+          COUNT(*) as activity_count
+        FROM audit_logs 
+        WHERE user_id = ? AND created_at >= datetime('now', '-30 days')
+        GROUP BY date(created_at)
+        ORDER BY date(created_at)
+      `);
 
-        return this._performSubscriptionUpdate(userId, subscriptionData);
-      });
-      
-      const result = updateTransaction.immediate(userId, subscriptionData);
-      
-      console.log(`Successfully updated subscription for user ${userId}`);
-      return result;
-      
+      // Get user's VM usage
+      const vmUsageStmt = this.db.prepare(`
+        SELECT vm_id FROM vm_assignments WHERE user_id = ?
+      `);
+
+      return {
+        activityBreakdown: activityBreakdownStmt.all(userId),
+        dailyActivity: dailyActivityStmt.all(userId),
+        vmUsage: vmUsageStmt.all(userId)
+      };
     } catch (error) {
-      console.error('Critical error updating user subscription:', error);
-      console.error('Failed subscription data:', subscriptionData);
-      console.error('User ID:', userId);
-      
-      // Verify database integrity after error
-      try {
-        const integrityCheck = this.db.pragma('integrity_check');
-        if (integrityCheck[0] !== 'ok') {
-          console.error('DATABASE INTEGRITY CHECK FAILED:', integrityCheck);
-        }
-      } catch (integrityError) {
-        console.error('Cannot perform integrity check:', integrityError);
-      }
-      
-      throw new Error(`Subscription update failed for user ${userId}: ${error.message}`);
+      console.error('Error fetching user activity metrics:', error);
+      throw error;
     }
   }
 
-  _performSubscriptionUpdate(userId, subscriptionData) {
-    const {
-      plan,
-      stripeCustomerId,
-      stripeSubscriptionId,
-      status,
-      expiresAt,
-      currentPeriodEnd,
-      canceledAt
-    } = subscriptionData;
-
-    // Get current user data
-    const getUserStmt = this.db.prepare('SELECT * FROM users WHERE id = ?');
-    const user = getUserStmt.get(userId);
-    if (!user) {
-      throw new Error('User not found');
+  // Add missing database columns and methods for account settings
+  async initializeAccountSettingsSchema() {
+    try {
+      // Add new columns for extended profile data
+      this.db.exec(`
+        ALTER TABLE users ADD COLUMN display_name TEXT;
+        ALTER TABLE users ADD COLUMN bio TEXT;
+        ALTER TABLE users ADD COLUMN timezone TEXT;
+        ALTER TABLE users ADD COLUMN language TEXT DEFAULT 'en';
+        ALTER TABLE users ADD COLUMN preferences TEXT; -- JSON data for user preferences
+      `);
+      console.log('✅ Added account settings columns to users table');
+    } catch (error) {
+      // Columns probably already exist
+      if (!error.message.includes('duplicate column name')) {
+        console.error('❌ Error adding account settings columns:', error);
+      }
     }
 
-    // Parse existing subscription data
-    let currentSubscription = {};
+    // Create login_history table
     try {
-      currentSubscription = user.subscription_data ? JSON.parse(user.subscription_data) : {};
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS login_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          ip_address TEXT,
+          user_agent TEXT,
+          success BOOLEAN NOT NULL,
+          failure_reason TEXT,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        );
+      `);
+      console.log('✅ Created login_history table');
     } catch (error) {
-      console.error('Error parsing existing subscription data:', error);
-      currentSubscription = {};
+      console.error('❌ Error creating login_history table:', error);
     }
 
-    console.log('Current user subscription:', currentSubscription);
-
-    // Properly handle date conversion
-    const formatDate = (date) => {
-      if (!date) return null;
-      if (typeof date === 'string') return date;
-      if (date instanceof Date) return date.toISOString();
-      // Handle case where date might be passed as timestamp
-      if (typeof date === 'number') return new Date(date).toISOString();
-      return date;
-    };
-
-    // Merge with existing subscription data
-    const updatedSubscription = {
-      ...currentSubscription,
-      ...(plan && { plan }),
-      ...(stripeCustomerId && { stripeCustomerId }),
-      ...(stripeSubscriptionId && { stripeSubscriptionId }),
-      ...(status && { status }),
-      ...(expiresAt && { expiresAt: formatDate(expiresAt) }),
-      ...(currentPeriodEnd && { currentPeriodEnd: formatDate(currentPeriodEnd) }),
-      ...(canceledAt && { canceledAt: formatDate(canceledAt) })
-    };
-
-    console.log('Updated subscription data:', updatedSubscription);
-
-    // Update user record with new subscription data using prepared statement
-    const updateSubscription = this.db.prepare(`
-      UPDATE users 
-      SET subscription_plan = ?, 
-          subscription_expires_at = ?,
-          subscription_data = ?
-      WHERE id = ?
-    `);
-
-    const result = updateSubscription.run(
-      updatedSubscription.plan || null,
-      updatedSubscription.expiresAt || null,
-      JSON.stringify(updatedSubscription),
-      userId
-    );
-
-    if (result.changes === 0) {
-      throw new Error('Failed to update user subscription - no rows affected');
+    // Add indexes for performance
+    try {
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_login_history_user_id ON login_history(user_id);
+        CREATE INDEX IF NOT EXISTS idx_login_history_timestamp ON login_history(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
+      `);
+      console.log('✅ Created performance indexes');
+    } catch (error) {
+      console.error('❌ Error creating indexes:', error);
     }
-
-    console.log(`Updated subscription for user ${userId}:`, updatedSubscription);
-    console.log('Database update result:', { changes: result.changes, lastInsertRowid: result.lastInsertRowid });
-
-    return updatedSubscription;
-  }
-  
-  // Admin user management functions
-  async getAllUsers() {
-    const stmt = this.db.prepare(`
-      SELECT u.*, 
-             GROUP_CONCAT(va.vm_id) as vm_ids
-      FROM users u
-      LEFT JOIN vm_assignments va ON u.id = va.user_id
-      GROUP BY u.id
-      ORDER BY u.created_at DESC
-    `);
-    
-    const users = stmt.all();
-    return users.map(user => this.formatUser(user));
   }
 
-  async updateUser(userId, userData) {
-    const { email, role, username } = userData;
-    
-    try {
-      // Build dynamic SQL based on what fields are being updated
-      const fields = [];
-      const values = [];
-      
-      if (email) {
-        fields.push('email = ?');
-        values.push(email);
-      }
-      
-      if (role) {
-        fields.push('role = ?');
-        values.push(role);
-      }
-      
-      if (username) {
-        fields.push('username = ?');
-        values.push(username);
-      }
-      
-      if (fields.length === 0) {
-        throw new Error('No fields to update');
-      }
-      
-      values.push(userId); // Add userId for WHERE clause
+  // Update user profile with extended fields
+  async updateUserProfile(userId, profileData) {
+    const { email, username } = profileData;
+    
+    try {
+      const updateStmt = this.db.prepare(`
+        UPDATE users 
+        SET email = ?, 
+            username = ?
+        WHERE id = ?
+      `);
       
+      const result = updateStmt.run(email, username, userId);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating user profile:', error);
+      throw error;
+    }
+  }
+
+  // Update user preferences
+  async updateUserPreferences(userId, preferences) {
+    try {
       const updateStmt = this.db.prepare(`
         UPDATE users 
-        SET ${fields.join(', ')}
+        SET preferences = ?
         WHERE id = ?
       `);
       
-      const result = updateStmt.run(...values);
+      const result = updateStmt.run(JSON.stringify(preferences), userId);
       return result.changes > 0;
     } catch (error) {
-      console.error('Error updating user:', error);
+      console.error('Error updating user preferences:', error);
       throw error;
     }
   }
 
-  async updateUserVMAssignments(userId, vmIds) {
+  // Get user sessions
+  async getUserSessions(userId) {
     try {
-      // Begin transaction
-      const transaction = this.db.transaction(() => {
-        // Remove all existing VM assignments for this user
-        const deleteStmt = this.db.prepare('DELETE FROM vm_assignments WHERE user_id = ?');
-        deleteStmt.run(userId);
-        
-        // Add new VM assignments
-        if (vmIds && vmIds.length > 0) {
-          const insertStmt = this.db.prepare('INSERT INTO vm_assignments (user_id, vm_id) VALUES (?, ?)');
-          for (const vmId of vmIds) {
-            insertStmt.run(userId, vmId);
-          }
-        }
-      });
+      const stmt = this.db.prepare(`
+        SELECT id, token_hash, ip_address, user_agent, created_at, expires_at
+        FROM sessions 
+        WHERE user_id = ? AND expires_at > datetime('now')
+        ORDER BY created_at DESC
+      `);
       
-      transaction();
-      return true;
+      return stmt.all(userId);
     } catch (error) {
-      console.error('Error updating VM assignments:', error);
+      console.error('Error fetching user sessions:', error);
       throw error;
     }
   }
 
-  async updateUserStatus(userId, active) {
+  // Get session by ID
+  async getSessionById(sessionId) {
     try {
-      const result = this.statements.updateUserStatus.run(
-        active ? 'active' : 'suspended',
-        active ? 1 : 0,
-        userId
-      );
-      return result.changes > 0;
+      const stmt = this.db.prepare(`
+        SELECT * FROM sessions WHERE id = ?
+      `);
+      
+      return stmt.get(sessionId);
     } catch (error) {
-      console.error('Error updating user status:', error);
+      console.error('Error fetching session by ID:', error);
       throw error;
     }
   }
 
-  async updateUserStatusTo(userId, status) {
+  // Terminate a session
+  async terminateSession(sessionId) {
     try {
-      // Map status to active boolean
-      const active = status === 'active' ? 1 : 0;
+      const stmt = this.db.prepare(`
+        DELETE FROM sessions WHERE id = ?
+      `);
       
-      const result = this.statements.updateUserStatus.run(status, active, userId);
+      const result = stmt.run(sessionId);
       return result.changes > 0;
     } catch (error) {
-      console.error('Error updating user status to:', status, error);
+      console.error('Error terminating session:', error);
       throw error;
     }
   }
 
-  async updateUserPassword(userId, hashedPassword) {
+  // Invalidate all user sessions except current one
+  async invalidateUserSessions(userId, currentSessionId) {
     try {
-      const updateStmt = this.db.prepare(`
-        UPDATE users 
-        SET password_hash = ?
-        WHERE id = ?
+      const stmt = this.db.prepare(`
+        DELETE FROM sessions 
+        WHERE user_id = ? AND id != ?
       `);
       
-      const result = updateStmt.run(hashedPassword, userId);
-      return result.changes > 0;
+      const result = stmt.run(userId, currentSessionId || 0);
+      return result.changes;
     } catch (error) {
-      console.error('Error updating user password:', error);
+      console.error('Error invalidating user sessions:', error);
       throw error;
     }
   }
 
-  async deleteUser(userId) {
+  // Log login attempt
+  async logLoginAttempt(userId, success, ipAddress, userAgent, failureReason = null) {
     try {
-      // Delete user (VM assignments will be deleted automatically due to foreign key)
-      const deleteStmt = this.db.prepare(`
-        DELETE FROM users WHERE id = ?
+      const stmt = this.db.prepare(`
+        INSERT INTO login_history (user_id, ip_address, user_agent, success, failure_reason)
+        VALUES (?, ?, ?, ?, ?)
       `);
       
-      const result = deleteStmt.run(userId);
-      return result.changes > 0;
+      stmt.run(userId, ipAddress, userAgent, success ? 1 : 0, failureReason);
     } catch (error) {
-      console.error('Error deleting user:', error);
+      console.error('Error logging login attempt:', error);
+    }
+  }
+
+  // Get user login history
+  async getUserLoginHistory(userId, limit = 50) {
+    try {
+      const stmt = this.db.prepare(`
+        SELECT ip_address, user_agent, success, failure_reason, timestamp
+        FROM login_history 
+        WHERE user_id = ?
+        ORDER BY timestamp DESC 
+        LIMIT ?
+      `);
+      
+      return stmt.all(userId, limit);
+    } catch (error) {
+      console.error('Error fetching login history:', error);
       throw error;
     }
   }
 
-  async deleteUserWithAudit(userId, auditDetails, ipAddress) {
+  // Get user profile with extended fields
+  async getUserProfile(userId) {
     try {
-      // Use a transaction to ensure atomicity
-      const transaction = this.db.transaction(() => {
-        // First log the action while the user still exists
-        this.statements.addAuditLog.run(
-          userId,
-          userId, // performed_by_user_id - user is deleting their own account
-          'account_deleted',
-          'account',
-          userId,
-          JSON.stringify(auditDetails),
-          ipAddress
-        );
-        
-        // Then delete the user (VM assignments will be deleted automatically due to foreign key)
-        const deleteStmt = this.db.prepare(`
-          DELETE FROM users WHERE id = ?
-        `);
-        
-        const result = deleteStmt.run(userId);
-        if (result.changes === 0) {
-          throw new Error('User not found or already deleted');
+      const stmt = this.db.prepare(`
+        SELECT 
+          id, uuid, username, email, display_name, bio, timezone, language, 
+          preferences, role, active, status, created_at, last_login,
+          subscription_plan, subscription_expires_at, subscription_data
+        FROM users 
+        WHERE id = ?
+      `);
+      
+      const user = stmt.get(userId);
+      if (!user) return null;
+
+      // Parse preferences
+      let preferences = {};
+      if (user.preferences) {
+        try {
+          preferences = JSON.parse(user.preferences);
+        } catch (error) {
+          console.error('Error parsing user preferences:', error);
         }
-        
-        return result.changes > 0;
-      });
+      }
+
+      // Parse subscription data
+      let subscription = {
+        plan: user.subscription_plan || 'none',
+        expiresAt: user.subscription_expires_at
+      };
+
+      if (user.subscription_data) {
+        try {
+          const parsedData = JSON.parse(user.subscription_data);
+          subscription = { ...subscription, ...parsedData };
+        } catch (error) {
+          console.error('Error parsing subscription data:', error);
+        }
+      }
+
+      return {
+        id: user.id,
+        uuid: user.uuid,
+        username: user.username,
+        email: user.email,
+        displayName: user.display_name || user.username,
+        bio: user.bio,
+        timezone: user.timezone,
+        language: user.language || 'en',
+        preferences,
+        role: user.role,
+        active: Boolean(user.active),
+        status: user.status || 'active',
+        createdAt: user.created_at,
+        lastLogin: user.last_login,
+        subscription
+      };
+    } catch (error) {
+      console.error('Error fetching user profile:', error);
+      throw error;
+    }
+  }
+
+  // Export comprehensive user data
+  async exportUserData(userId) {
+    try {
+      // Get user profile
+      const profile = await this.getUserProfile(userId);
       
-      return transaction();
+      // Get user sessions
+      const sessions = await this.getUserSessions(userId);
+      
+      // Get audit logs
+      const auditLogs = await this.getUserAuditLogs(userId, 1000);
+      
+      // Get login history
+      const loginHistory = await this.getUserLoginHistory(userId, 1000);
+      
+      // Get VM assignments
+      const vmAssignments = this.getUserVMIds(userId);
+
+      return {
+        account: {
+          id: profile.id,
+          uuid: profile.uuid,
+          createdAt: profile.createdAt,
+          role: profile.role,
+          status: profile.status
+        },
+        profile: {
+          username: profile.username,
+          email: profile.email,
+          displayName: profile.displayName,
+          bio: profile.bio,
+          timezone: profile.timezone,
+          language: profile.language,
+          lastLogin: profile.lastLogin
+        },
+        preferences: profile.preferences,
+        sessions: sessions.map(session => ({
+          id: session.id,
+          ipAddress: session.ip_address,
+          userAgent: session.user_agent,
+          createdAt: session.created_at,
+          expiresAt: session.expires_at
+        })),
+        auditLogs: auditLogs.map(log => ({
+          action: log.action,
+          resourceType: log.resource_type,
+          resourceId: log.resource_id,
+          details: log.details,
+          ipAddress: log.ip_address,
+          timestamp: log.created_at
+        })),
+        subscriptions: profile.subscription,
+        vmAssignments: vmAssignments,
+        loginHistory: loginHistory
+      };
     } catch (error) {
-      console.error('Error deleting user with audit:', error);
+      console.error('Error exporting user data:', error);
       throw error;
     }
   }
 
-  async getUserAuditLogs(userId, limit = 50) {
+  // Get admin count
+  async getAdminCount() {
     try {
       const stmt = this.db.prepare(`
-        SELECT * FROM audit_logs 
-        WHERE user_id = ? 
-        ORDER BY created_at DESC 
-        LIMIT ?
+        SELECT COUNT(*) as count 
+        FROM users 
+        WHERE role = 'admin' AND active = 1
       `);
       
-      return stmt.all(userId, limit);
+      const result = stmt.get();
+      return result.count;
     } catch (error) {
-      console.error('Error fetching user audit logs:', error);
+      console.error('Error getting admin count:', error);
       throw error;
     }
   }
 
-  async getSystemStats() {
-    try {
-      const totalUsers = this.db.prepare('SELECT COUNT(*) as count FROM users WHERE role = "customer"').get().count;
-      
-      const activeSubscriptions = this.db.prepare(`
-        SELECT COUNT(*) as count FROM users 
-        WHERE subscription_data IS NOT NULL 
-        AND JSON_EXTRACT(subscription_data, '$.status') = 'active'
-        AND JSON_EXTRACT(subscription_data, '$.plan') != 'none'
-      `).get().count;
-      
-      const totalVMAssignments = this.db.prepare('SELECT COUNT(*) as count FROM vm_assignments').get().count;
-      
-      const recentErrors = this.db.prepare(`
-        SELECT COUNT(*) as count FROM audit_logs 
-        WHERE (action LIKE '%failed%' OR action LIKE '%error%') 
-        AND created_at >= datetime('now', '-24 hours')
-      `).get().count;
-      
-      const recentProvisionings = this.db.prepare(`
-        SELECT COUNT(*) as count FROM audit_logs 
-        WHERE action = 'vms_provisioned' 
-        AND created_at >= datetime('now', '-7 days')
-      `).get().count;
-      
-      return {
-        totalUsers,
-        activeSubscriptions,
-        totalVMAssignments,
-        recentErrors,
-        recentProvisionings,
-        lastUpdated: new Date().toISOString()
-      };
-      
-    } catch (error) {
-      console.error('Error getting system statistics:', error);
-      return {
-        totalUsers: 0,
-        activeSubscriptions: 0,
-        totalVMAssignments: 0,
-        recentErrors: 0,
-        recentProvisionings: 0,
-        lastUpdated: new Date().toISOString(),
-        error: error.message
-      };
-    }
-  }
-  
-  // Get normalized subscription status for a user
-  getSubscriptionStatus(subscription, userRole = null) {
-    // Admins always have active access regardless of subscription
-    if (userRole === 'admin') {
-      return {
-        plan: 'admin',
-        status: 'active',
-        isActive: true,
-        isExpired: false,
-        isCancelled: false,
-        expiresAt: null
-      };
+  // Enhanced formatUser to include new fields
+  formatUser(user) {
+    let subscription = {
+      plan: user.subscription_plan || 'none',
+      expiresAt: user.subscription_expires_at
+    };
+
+    // Parse additional subscription data if available
+    if (user.subscription_data) {
+      try {
+        const parsedData = JSON.parse(user.subscription_data);
+        subscription = { ...subscription, ...parsedData };
+      } catch (error) {
+        console.error('Error parsing subscription data:', error);
+      }
     }
-    
-    if (!subscription || !subscription.plan || subscription.plan === 'none') {
-      return {
-        plan: 'none',
-        status: 'inactive',
-        isActive: false,
-        isExpired: false,
-        isCancelled: false,
-        expiresAt: null
-      };
+
+    // Parse preferences
+    let preferences = {};
+    if (user.preferences) {
+      try {
+        preferences = JSON.parse(user.preferences);
+      } catch (error) {
+        console.error('Error parsing user preferences:', error);
+      }
     }
 
-    if (!subscription.expiresAt) {
-      return {
-        ...subscription,
-        status: subscription.status || 'active',
-        isActive: true,
-        isExpired: false,
-        isCancelled: subscription.status === 'cancel_at_period_end'
-      };
+    return {
+      id: user.id,
+      uuid: user.uuid,
+      username: user.username,
+      email: user.email,
+      displayName: user.display_name || user.username,
+      bio: user.bio,
+      timezone: user.timezone,
+      language: user.language || 'en',
+      preferences,
+      password: user.password_hash, // Keep same interface
+      role: user.role,
+      active: Boolean(user.active),
+      status: user.status || 'active',
+      createdAt: user.created_at,
+      lastLogin: user.last_login,
+      vmIds: user.vm_ids ? user.vm_ids.split(',').map(Number) : [],
+      subscription
+    };
+  }
+
+  // Payment Methods
+  async recordPayment(paymentData) {
+    try {
+      console.log('Recording payment:', {
+        userId: paymentData.userId,
+        stripePaymentIntentId: paymentData.stripePaymentIntentId,
+        stripeCheckoutSessionId: paymentData.stripeCheckoutSessionId,
+        amount: paymentData.amount,
+        status: paymentData.status
+      });
+
+      // Check for duplicates by multiple fields to prevent webhook + client verification duplicates
+      let existingPayment = null;
+
+      // First check by payment intent ID (most reliable)
+      if (paymentData.stripePaymentIntentId) {
+        existingPayment = this.statements.getPaymentByStripeId.get(paymentData.stripePaymentIntentId);
+        if (existingPayment) {
+          console.log('Payment already exists by payment intent ID:', existingPayment.id);
+          return existingPayment.id;
+        }
+      }
+
+      // Then check by checkout session ID
+      if (paymentData.stripeCheckoutSessionId) {
+        const sessionPayment = this.db.prepare(`
+          SELECT * FROM payments WHERE stripe_checkout_session_id = ?
+        `).get(paymentData.stripeCheckoutSessionId);
+        
+        if (sessionPayment) {
+          console.log('Payment already exists by checkout session ID:', sessionPayment.id);
+          return sessionPayment.id;
+        }
+      }
+
+      // Check for duplicate by user + amount + recent timeframe (last 5 minutes) to catch edge cases
+      const recentDuplicate = this.db.prepare(`
+        SELECT * FROM payments 
+        WHERE user_id = ? AND amount = ? AND status = 'succeeded' 
+        AND created_at > datetime('now', '-5 minutes')
+        ORDER BY created_at DESC LIMIT 1
+      `).get(paymentData.userId, paymentData.amount);
+
+      if (recentDuplicate) {
+        console.log('Potential duplicate payment detected (same user, amount, recent):', recentDuplicate.id);
+        // Only skip if it has the same payment intent or session ID
+        if (paymentData.stripePaymentIntentId && recentDuplicate.stripe_payment_intent_id === paymentData.stripePaymentIntentId) {
+          console.log('Confirmed duplicate by payment intent, skipping');
+          return recentDuplicate.id;
+        }
+        if (paymentData.stripeCheckoutSessionId && recentDuplicate.stripe_checkout_session_id === paymentData.stripeCheckoutSessionId) {
+          console.log('Confirmed duplicate by session ID, skipping');
+          return recentDuplicate.id;
+        }
+      }
+
+      console.log('No duplicate found, creating new payment record');
+
+      const result = this.statements.insertPayment.run(
+        paymentData.userId,
+        paymentData.stripePaymentIntentId || null,
+        paymentData.stripeCheckoutSessionId || null,
+        paymentData.stripeSubscriptionId || null,
+        paymentData.stripeCustomerId || null,
+        paymentData.amount,
+        paymentData.currency || 'usd',
+        paymentData.status,
+        paymentData.paymentMethod || null,
+        paymentData.planId || null,
+        paymentData.planName || null,
+        paymentData.metadata ? JSON.stringify(paymentData.metadata) : null
+      );
+
+      // Log the payment recording
+      this.logAction(
+        paymentData.userId,
+        'payment_recorded',
+        'payment',
+        result.lastInsertRowid.toString(),
+        {
+          amount: paymentData.amount,
+          currency: paymentData.currency,
+          status: paymentData.status,
+          plan: paymentData.planName,
+          source: paymentData.metadata?.verificationMethod || 'webhook'
+        },
+        'system',
+        paymentData.performedBy || paymentData.userId
+      );
+
+      console.log('Payment recorded successfully with ID:', result.lastInsertRowid);
+      return result.lastInsertRowid;
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      throw error;
     }
+  }
 
-    const expiryDate = new Date(subscription.expiresAt);
-    const now = new Date();
-    const isExpired = expiryDate <= now;
-    const isCancelled = subscription.status === 'cancel_at_period_end';
-    const isActive = !isExpired && !isCancelled;
+  async updatePaymentStatus(paymentId, status, paymentMethod = null, metadata = null) {
+    try {
+      const result = this.statements.updatePayment.run(
+        status,
+        paymentMethod,
+        metadata ? JSON.stringify(metadata) : null,
+        paymentId
+      );
 
-    return {
-      ...subscription,
-      status: subscription.status || (isExpired ? 'expired' : 'active'),
-      isActive,
-      isExpired,
-      isCancelled
-    };
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error updating payment status:', error);
+      throw error;
+    }
   }
-  
-  // Health check
-  isHealthy() {
+
+  async getPaymentHistory(userId, limit = 50, offset = 0) {
     try {
-      this.db.prepare('SELECT 1').get();
-      return true;
+      const payments = this.statements.getPaymentsByUser.all(userId, limit, offset);
+      
+      // Parse metadata for each payment
+      return payments.map(payment => ({
+        ...payment,
+        metadata: payment.metadata ? JSON.parse(payment.metadata) : null,
+        amountFormatted: `$${(payment.amount / 100).toFixed(2)}`
+      }));
     } catch (error) {
-      console.error('Database health check failed:', error);
-      return false;
+      console.error('Error getting payment history:', error);
+      throw error;
     }
   }
-  
-  close() {
-    this.db.close();
+
+  async recordPaymentAttempt(attemptData) {
+    try {
+      const result = this.statements.insertPaymentAttempt.run(
+        attemptData.paymentId || null,
+        attemptData.userId,
+        attemptData.stripePaymentIntentId || null,
+        attemptData.amount,
+        attemptData.currency || 'usd',
+        attemptData.status,
+        attemptData.failureCode || null,
+        attemptData.failureMessage || null,
+        attemptData.paymentMethodId || null,
+        attemptData.lastPaymentError ? JSON.stringify(attemptData.lastPaymentError) : null
+      );
+
+      return result.lastInsertRowid;
+    } catch (error) {
+      console.error('Error recording payment attempt:', error);
+      throw error;
+    }
   }
 
-  // New comprehensive analytics methods
-  async getAnalytics() {
+  async recordRefund(refundData) {
     try {
-      // User Growth Analytics - Fixed to ensure unique users per day
-      const userGrowthStmt = this.db.prepare(`
-        SELECT 
-          date(created_at) as date,
-          COUNT(*) as new_users
-        FROM users 
-        WHERE created_at >= date('now', '-30 days')
-        GROUP BY date(created_at)
-        ORDER BY date(created_at)
-      `);
+      const result = this.statements.insertRefund.run(
+        refundData.paymentId || null,
+        refundData.userId,
+        refundData.stripeRefundId,
+        refundData.stripePaymentIntentId,
+        refundData.amount,
+        refundData.currency || 'usd',
+        refundData.reason || 'requested_by_customer',
+        refundData.status,
+        refundData.metadata ? JSON.stringify(refundData.metadata) : null,
+        refundData.adminUserId || null,
+        refundData.adminReason || null
+      );
 
-      // Login Activity Analytics
-      const loginActivityStmt = this.db.prepare(`
-        SELECT 
-          date(last_login) as date,
-          COUNT(DISTINCT id) as active_users
-        FROM users 
-        WHERE last_login >= datetime('now', '-30 days')
-        GROUP BY date(last_login)
-        ORDER BY date(last_login)
-      `);
+      // Log the refund
+      this.logAction(
+        refundData.userId,
+        'refund_recorded',
+        'refund',
+        refundData.stripeRefundId,
+        {
+          amount: refundData.amount,
+          reason: refundData.reason,
+          adminReason: refundData.adminReason
+        },
+        'system',
+        refundData.adminUserId || refundData.userId
+      );
 
-      // User Status Distribution
-      const statusDistributionStmt = this.db.prepare(`
-        SELECT 
-          status,
-          COUNT(*) as count
-        FROM users
-        GROUP BY status
-      `);
+      return result.lastInsertRowid;
+    } catch (error) {
+      console.error('Error recording refund:', error);
+      throw error;
+    }
+  }
 
-      // Subscription Analytics - Updated to group new plan types properly
-      const subscriptionAnalyticsStmt = this.db.prepare(`
-        SELECT 
-          CASE 
-            WHEN subscription_plan LIKE '%Hour Booster%' OR subscription_plan LIKE '%hour_booster%' THEN 'Hour Booster'
-            WHEN subscription_plan LIKE '%KD Drop%' OR subscription_plan LIKE '%kd_drop%' THEN 'KD Drop'
-            WHEN subscription_plan LIKE '%Dual Mode%' OR subscription_plan LIKE '%dual_mode%' THEN 'Dual Mode'
-            WHEN subscription_plan = 'Basic' THEN 'Hour Booster'
-            WHEN subscription_plan = 'Premium' THEN 'KD Drop'
-            ELSE subscription_plan
-          END as subscription_plan,
-          COUNT(*) as count,
-          COUNT(CASE WHEN subscription_expires_at > datetime('now') THEN 1 END) as active_count
-        FROM users
-        WHERE subscription_plan IS NOT NULL AND subscription_plan != 'none'
-        GROUP BY CASE 
-          WHEN subscription_plan LIKE '%Hour Booster%' OR subscription_plan LIKE '%hour_booster%' THEN 'Hour Booster'
-          WHEN subscription_plan LIKE '%KD Drop%' OR subscription_plan LIKE '%kd_drop%' THEN 'KD Drop'
-          WHEN subscription_plan LIKE '%Dual Mode%' OR subscription_plan LIKE '%dual_mode%' THEN 'Dual Mode'
-          WHEN subscription_plan = 'Basic' THEN 'Hour Booster'
-          WHEN subscription_plan = 'Premium' THEN 'KD Drop'
-          ELSE subscription_plan
-        END
-        ORDER BY count DESC
-      `);
+  async recordWebhook(webhookData) {
+    try {
+      const existing = this.statements.getWebhookByEventId.get(webhookData.stripeEventId);
+      if (existing) {
+        console.log(`Webhook ${webhookData.stripeEventId} already processed, skipping`);
+        return existing.id;
+      }
 
-      // VM Assignment Analytics
-      const vmAnalyticsStmt = this.db.prepare(`
-        SELECT 
-          u.role,
-          COUNT(DISTINCT va.vm_id) as vms_assigned,
-          COUNT(DISTINCT u.id) as users_with_vms
-        FROM users u
-        LEFT JOIN vm_assignments va ON u.id = va.user_id
-        GROUP BY u.role
-      `);
+      const result = this.statements.insertWebhook.run(
+        webhookData.stripeEventId,
+        webhookData.eventType,
+        webhookData.objectId || null,
+        webhookData.userId || null,
+        JSON.stringify(webhookData.rawData)
+      );
 
-      // Recent Activity Analytics - Filtered to exclude server overview access
-      const recentActivityStmt = this.db.prepare(`
-        SELECT 
-          action,
-          resource_type,
-          COUNT(*) as count,
-          datetime(MAX(created_at)) as last_occurrence
-        FROM audit_logs 
-        WHERE created_at >= datetime('now', '-7 days')
-          AND action NOT LIKE '%server_overview%'
-          AND action NOT LIKE '%server-overview%'
-          AND action != 'access_server_overview'
-          AND action != 'view_server_overview'
-          AND action != 'fetch_server_overview'
-        GROUP BY action, resource_type
-        ORDER BY count DESC
-        LIMIT 10
-      `);
+      return result.lastInsertRowid;
+    } catch (error) {
+      console.error('Error recording webhook:', error);
+      throw error;
+    }
+  }
 
-      // Top Active Users
-      const topUsersStmt = this.db.prepare(`
-        SELECT 
-          u.username,
-          u.email,
-          u.role,
-          u.last_login,
-          COUNT(al.id) as activity_count
-        FROM users u
-        LEFT JOIN audit_logs al ON u.id = al.user_id AND al.created_at >= datetime('now', '-30 days')
-        WHERE u.active = 1
-        GROUP BY u.id
-        ORDER BY activity_count DESC, u.last_login DESC
-        LIMIT 10
-      `);
+  async markWebhookProcessed(eventId, error = null) {
+    try {
+      const result = this.statements.updateWebhookProcessed.run(
+        error ? error.message : null,
+        eventId
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error marking webhook as processed:', error);
+      throw error;
+    }
+  }
 
-      // Registration Trends (by month)
-      const registrationTrendsStmt = this.db.prepare(`
-        SELECT 
-          strftime('%Y-%m', created_at) as month,
-          COUNT(*) as registrations
-        FROM users
-        WHERE created_at >= date('now', '-12 months')
-        GROUP BY strftime('%Y-%m', created_at)
-        ORDER BY month
-      `);
+  async getPaymentAnalytics() {
+    try {
+      const stats = this.statements.getPaymentStats.get();
+      const revenueByPlan = this.statements.getRevenueByPlan.all();
 
       return {
-        userGrowth: userGrowthStmt.all(),
-        loginActivity: loginActivityStmt.all(),
-        statusDistribution: statusDistributionStmt.all(),
-        subscriptionAnalytics: subscriptionAnalyticsStmt.all(),
-        vmAnalytics: vmAnalyticsStmt.all(),
-        recentActivity: recentActivityStmt.all(),
-        topUsers: topUsersStmt.all(),
-        registrationTrends: registrationTrendsStmt.all()
+        stats: {
+          ...stats,
+          totalRevenueFormatted: `$${((stats.total_revenue || 0) / 100).toFixed(2)}`,
+          avgPaymentAmountFormatted: `$${((stats.avg_payment_amount || 0) / 100).toFixed(2)}`,
+          successRate: stats.total_payments > 0 ? ((stats.successful_payments / stats.total_payments) * 100).toFixed(1) : 0
+        },
+        revenueByPlan: revenueByPlan.map(plan => ({
+          ...plan,
+          totalRevenueFormatted: `$${(plan.total_revenue / 100).toFixed(2)}`,
+          avgRevenuePerPayment: `$${(plan.total_revenue / plan.payment_count / 100).toFixed(2)}`
+        }))
       };
     } catch (error) {
-      console.error('Error fetching analytics:', error);
+      console.error('Error getting payment analytics:', error);
       throw error;
     }
   }
 
-  async getUserActivityMetrics(userId) {
+  async getUserRefunds(userId) {
     try {
-      // Get user's activity breakdown
-      const activityBreakdownStmt = this.db.prepare(`
-        SELECT 
-          action,
-          resource_type,
-          COUNT(*) as count,
-          datetime(MAX(created_at)) as last_occurrence
-        FROM audit_logs 
-        WHERE user_id = ? AND created_at >= datetime('now', '-30 days')
-        GROUP BY action, resource_type
-        ORDER BY count DESC
-      `);
-
-      // Get user's daily activity for the last 30 days
-      const dailyActivityStmt = this.db.prepare(`
-        SELECT 
-          date(created_at) as date,
-          COUNT(*) as activity_count
-        FROM audit_logs 
-        WHERE user_id = ? AND created_at >= datetime('now', '-30 days')
-        GROUP BY date(created_at)
-        ORDER BY date(created_at)
-      `);
-
-      // Get user's VM usage
-      const vmUsageStmt = this.db.prepare(`
-        SELECT vm_id FROM vm_assignments WHERE user_id = ?
-      `);
-
-      return {
-        activityBreakdown: activityBreakdownStmt.all(userId),
-        dailyActivity: dailyActivityStmt.all(userId),
-        vmUsage: vmUsageStmt.all(userId)
-      };
+      const refunds = this.statements.getRefundsByUser.all(userId);
+      
+      return refunds.map(refund => ({
+        ...refund,
+        metadata: refund.metadata ? JSON.parse(refund.metadata) : null,
+        amountFormatted: `$${(refund.amount / 100).toFixed(2)}`,
+        originalAmountFormatted: `$${((refund.original_amount || 0) / 100).toFixed(2)}`
+      }));
     } catch (error) {
-      console.error('Error fetching user activity metrics:', error);
+      console.error('Error getting user refunds:', error);
       throw error;
     }
   }
 
-  // Add missing database columns and methods for account settings
-  async initializeAccountSettingsSchema() {
+  async cleanupDuplicatePayments() {
     try {
-      // Add new columns for extended profile data
-      this.db.exec(`
-        ALTER TABLE users ADD COLUMN display_name TEXT;
-        ALTER TABLE users ADD COLUMN bio TEXT;
-        ALTER TABLE users ADD COLUMN timezone TEXT;
-        ALTER TABLE users ADD COLUMN language TEXT DEFAULT 'en';
-        ALTER TABLE users ADD COLUMN preferences TEXT; -- JSON data for user preferences
-      `);
-      console.log('✅ Added account settings columns to users table');
-    } catch (error) {
-      // Columns probably already exist
-      if (!error.message.includes('duplicate column name')) {
-        console.error('❌ Error adding account settings columns:', error);
+      console.log('🧹 Starting duplicate payment cleanup...');
+      
+      // Find duplicates by payment_intent_id
+      const duplicates = this.db.prepare(`
+        SELECT stripe_payment_intent_id, COUNT(*) as count, MIN(id) as keep_id
+        FROM payments 
+        WHERE stripe_payment_intent_id IS NOT NULL 
+        GROUP BY stripe_payment_intent_id 
+        HAVING count > 1
+      `).all();
+
+      console.log(`🔍 Found ${duplicates.length} sets of duplicate payments`);
+
+      let totalDeleted = 0;
+      for (const duplicate of duplicates) {
+        // Keep the first payment (lowest ID) and delete the rest
+        const deleteResult = this.db.prepare(`
+          DELETE FROM payments 
+          WHERE stripe_payment_intent_id = ? AND id != ?
+        `).run(duplicate.stripe_payment_intent_id, duplicate.keep_id);
+
+        totalDeleted += deleteResult.changes;
+        console.log(`🗑️ Deleted ${deleteResult.changes} duplicate payments for intent: ${duplicate.stripe_payment_intent_id}`);
       }
+
+      console.log(`✅ Cleanup completed. Deleted ${totalDeleted} duplicate payment records.`);
+      return { duplicates: duplicates.length, deleted: totalDeleted };
+    } catch (error) {
+      console.error('❌ Error cleaning up duplicate payments:', error);
+      throw error;
     }
+  }
 
-    // Create login_history table
+  // VM Setup Management Methods
+  async createVMSetup(userId, planType, vmCount, vmIds, status = 'pending', extraData = {}) {
     try {
-      this.db.exec(`
-        CREATE TABLE IF NOT EXISTS login_history (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER NOT NULL,
-          ip_address TEXT,
-          user_agent TEXT,
-          success BOOLEAN NOT NULL,
-          failure_reason TEXT,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-        );
-      `);
-      console.log('✅ Created login_history table');
+      const setupData = {
+        ...extraData,
+        createdAt: new Date().toISOString(),
+        vmIds: vmIds,
+        planType: planType
+      };
+
+      const result = this.statements.insertVMSetup.run(
+        userId,
+        planType,
+        vmCount,
+        JSON.stringify(vmIds),
+        status,
+        JSON.stringify(setupData)
+      );
+
+      return result.lastInsertRowid;
     } catch (error) {
-      console.error('❌ Error creating login_history table:', error);
+      console.error('Error creating VM setup:', error);
+      throw error;
     }
+  }
 
-    // Add indexes for performance
+  async updateVMSetupStatus(userId, status, setupData = {}) {
     try {
-      this.db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_login_history_user_id ON login_history(user_id);
-        CREATE INDEX IF NOT EXISTS idx_login_history_timestamp ON login_history(timestamp);
-        CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
-        CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
-      `);
-      console.log('✅ Created performance indexes');
+      const currentSetup = this.statements.getActiveVMSetup.get(userId);
+      if (!currentSetup) {
+        throw new Error('No active VM setup found for user');
+      }
+
+      const existingData = currentSetup.setup_data ? JSON.parse(currentSetup.setup_data) : {};
+      const updatedData = {
+        ...existingData,
+        ...setupData,
+        lastUpdated: new Date().toISOString()
+      };
+
+      const result = this.statements.updateVMSetupStatus.run(
+        status,
+        JSON.stringify(updatedData),
+        currentSetup.id
+      );
+
+      return result.changes > 0;
     } catch (error) {
-      console.error('❌ Error creating indexes:', error);
+      console.error('Error updating VM setup status:', error);
+      throw error;
     }
   }
 
-  // Update user profile with extended fields
-  async updateUserProfile(userId, profileData) {
-    const { email, username } = profileData;
-    
+  async updateVMSetupVMs(userId, vmIds, setupData = {}) {
     try {
-      const updateStmt = this.db.prepare(`
-        UPDATE users 
-        SET email = ?, 
-            username = ?
-        WHERE id = ?
-      `);
-      
-      const result = updateStmt.run(email, username, userId);
+      const currentSetup = this.statements.getActiveVMSetup.get(userId);
+      if (!currentSetup) {
+        throw new Error('No active VM setup found for user');
+      }
+
+      const existingData = currentSetup.setup_data ? JSON.parse(currentSetup.setup_data) : {};
+      const updatedData = {
+        ...existingData,
+        ...setupData,
+        vmIds: vmIds,
+        lastUpdated: new Date().toISOString()
+      };
+
+      const result = this.statements.updateVMSetupVMs.run(
+        JSON.stringify(vmIds),
+        JSON.stringify(updatedData),
+        currentSetup.id
+      );
+
       return result.changes > 0;
     } catch (error) {
-      console.error('Error updating user profile:', error);
+      console.error('Error updating VM setup VMs:', error);
       throw error;
     }
   }
 
-  // Update user preferences
-  async updateUserPreferences(userId, preferences) {
+  async updateVMSetupFile(userId, filePath, setupData = {}) {
     try {
-      const updateStmt = this.db.prepare(`
-        UPDATE users 
-        SET preferences = ?
-        WHERE id = ?
-      `);
-      
-      const result = updateStmt.run(JSON.stringify(preferences), userId);
+      const currentSetup = this.statements.getActiveVMSetup.get(userId);
+      if (!currentSetup) {
+        throw new Error('No active VM setup found for user');
+      }
+
+      const existingData = currentSetup.setup_data ? JSON.parse(currentSetup.setup_data) : {};
+      const updatedData = {
+        ...existingData,
+        ...setupData,
+        fileUploaded: true,
+        fileUploadedAt: new Date().toISOString(),
+        lastUpdated: new Date().toISOString()
+      };
+
+      const result = this.statements.updateVMSetupFile.run(
+        filePath,
+        'file_uploaded',
+        JSON.stringify(updatedData),
+        currentSetup.id
+      );
+
       return result.changes > 0;
     } catch (error) {
-      console.error('Error updating user preferences:', error);
+      console.error('Error updating VM setup file:', error);
       throw error;
     }
   }
 
-  // Get user sessions
-  async getUserSessions(userId) {
+  async completeVMSetup(userId, setupData = {}) {
     try {
-      const stmt = this.db.prepare(`
-        SELECT id, token_hash, ip_address, user_agent, created_at, expires_at
-        FROM sessions 
-        WHERE user_id = ? AND expires_at > datetime('now')
-        ORDER BY created_at DESC
-      `);
-      
-      return stmt.all(userId);
+      const currentSetup = this.statements.getActiveVMSetup.get(userId);
+      if (!currentSetup) {
+        throw new Error('No active VM setup found for user');
+      }
+
+      const existingData = currentSetup.setup_data ? JSON.parse(currentSetup.setup_data) : {};
+      const completedData = {
+        ...existingData,
+        ...setupData,
+        completed: true,
+        completedAt: new Date().toISOString(),
+        lastUpdated: new Date().toISOString()
+      };
+
+      const result = this.statements.completeVMSetup.run(
+        JSON.stringify(completedData),
+        currentSetup.id
+      );
+
+      return result.changes > 0;
     } catch (error) {
-      console.error('Error fetching user sessions:', error);
+      console.error('Error completing VM setup:', error);
       throw error;
     }
   }
 
-  // Get session by ID
-  async getSessionById(sessionId) {
+  async getVMSetupByUser(userId) {
     try {
-      const stmt = this.db.prepare(`
-        SELECT * FROM sessions WHERE id = ?
-      `);
-      
-      return stmt.get(sessionId);
+      const setup = this.statements.getVMSetupByUser.get(userId);
+      if (!setup) return null;
+
+      // Parse JSON fields
+      return {
+        ...setup,
+        vm_ids: setup.vm_ids ? JSON.parse(setup.vm_ids) : [],
+        setup_data: setup.setup_data ? JSON.parse(setup.setup_data) : {}
+      };
     } catch (error) {
-      console.error('Error fetching session by ID:', error);
+      console.error('Error getting VM setup:', error);
       throw error;
     }
   }
 
-  // Terminate a session
-  async terminateSession(sessionId) {
+  async getActiveVMSetup(userId) {
     try {
-      const stmt = this.db.prepare(`
-        DELETE FROM sessions WHERE id = ?
-      `);
-      
-      const result = stmt.run(sessionId);
-      return result.changes > 0;
+      const setup = this.statements.getActiveVMSetup.get(userId);
+      if (!setup) return null;
+
+      // Parse JSON fields
+      return {
+        ...setup,
+        vm_ids: setup.vm_ids ? JSON.parse(setup.vm_ids) : [],
+        setup_data: setup.setup_data ? JSON.parse(setup.setup_data) : {}
+      };
     } catch (error) {
-      console.error('Error terminating session:', error);
+      console.error('Error getting active VM setup:', error);
       throw error;
     }
   }
 
-  // Invalidate all user sessions except current one
-  async invalidateUserSessions(userId, currentSessionId) {
+  async getVMSetupsByStatus(status) {
     try {
-      const stmt = this.db.prepare(`
-        DELETE FROM sessions 
-        WHERE user_id = ? AND id != ?
-      `);
-      
-      const result = stmt.run(userId, currentSessionId || 0);
-      return result.changes;
+      return this.statements.getVMSetupsByStatus.all(status).map(setup => ({
+        ...setup,
+        vm_ids: setup.vm_ids ? JSON.parse(setup.vm_ids) : [],
+        setup_data: setup.setup_data ? JSON.parse(setup.setup_data) : {}
+      }));
     } catch (error) {
-      console.error('Error invalidating user sessions:', error);
+      console.error('Error getting VM setups by status:', error);
       throw error;
     }
   }
+  // Provisioning job queue methods
+  formatProvisioningJob(job) {
+    if (!job) return null;
+    return {
+      ...job,
+      payload: job.payload ? JSON.parse(job.payload) : {}
+    };
+  }
 
-  // Log login attempt
-  async logLoginAttempt(userId, success, ipAddress, userAgent, failureReason = null) {
+  createProvisioningJobs(jobs) {
     try {
-      const stmt = this.db.prepare(`
-        INSERT INTO login_history (user_id, ip_address, user_agent, success, failure_reason)
-        VALUES (?, ?, ?, ?, ?)
-      `);
-      
-      stmt.run(userId, ipAddress, userAgent, success ? 1 : 0, failureReason);
+      const insertAll = this.db.transaction((jobList) => jobList.map(job => this.statements.insertProvisioningJob.run(
+        job.userId,
+        job.setupId || null,
+        job.planType,
+        job.vmNumber,
+        job.vmName,
+        job.templateVmid,
+        job.templateId || null,
+        job.maxAttempts || 5,
+        JSON.stringify(job.payload || {})
+      ).lastInsertRowid));
+
+      return insertAll(jobs);
     } catch (error) {
-      console.error('Error logging login attempt:', error);
+      console.error('Error creating provisioning jobs:', error);
+      throw error;
     }
   }
 
-  // Get user login history
-  async getUserLoginHistory(userId, limit = 50) {
-    try {
-      const stmt = this.db.prepare(`
-        SELECT ip_address, user_agent, success, failure_reason, timestamp
-        FROM login_history 
-        WHERE user_id = ?
-        ORDER BY timestamp DESC 
-        LIMIT ?
-      `);
-      
-      return stmt.all(userId, limit);
-    } catch (error) {
-      console.error('Error fetching login history:', error);
-      throw error;
+  getProvisioningJob(jobId) {
+    return this.formatProvisioningJob(this.statements.getProvisioningJob.get(jobId));
+  }
+
+  // Atomically take the next due job so it is only processed once
+  claimNextProvisioningJob() {
+    const claim = this.db.transaction(() => {
+      const job = this.statements.getNextDueProvisioningJob.get();
+      if (!job) return null;
+
+      const result = this.statements.claimProvisioningJob.run(job.id);
+      return result.changes > 0 ? { ...job, status: 'running' } : null;
+    });
+
+    return this.formatProvisioningJob(claim());
+  }
+
+  updateProvisioningJobStage(jobId, stage, vmid = null) {
+    this.statements.updateProvisioningJobStage.run(stage, vmid, jobId);
+  }
+
+  completeProvisioningJob(jobId) {
+    return this.statements.completeProvisioningJob.run(jobId).changes > 0;
+  }
+
+  scheduleProvisioningJobRetry(jobId, attempts, errorMessage, delaySeconds) {
+    return this.statements.scheduleProvisioningJobRetry.run(
+      attempts,
+      errorMessage,
+      `+${Math.round(delaySeconds)} seconds`,
+      jobId
+    ).changes > 0;
+  }
+
+  failProvisioningJob(jobId, attempts, errorMessage) {
+    return this.statements.failProvisioningJob.run(attempts, errorMessage, jobId).changes > 0;
+  }
+
+  // Jobs left running by a crash or restart go back to the queue
+  resetRunningProvisioningJobs() {
+    return this.statements.resetRunningProvisioningJobs.run().changes;
+  }
+
+  requeueProvisioningJob(jobId) {
+    return this.statements.requeueProvisioningJob.run(jobId).changes > 0;
+  }
+
+  cancelProvisioningJob(jobId) {
+    return this.statements.cancelProvisioningJob.run(jobId).changes > 0;
+  }
+
+  getProvisioningJobsForSetup(setupId) {
+    return this.statements.getProvisioningJobsForSetup.all(setupId).map(job => this.formatProvisioningJob(job));
+  }
+
+  getProvisioningJobs({ status = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let whereClause = '';
+
+    if (status) {
+      whereClause = 'WHERE j.status = ?';
+      params.push(status);
     }
+
+    const jobs = this.db.prepare(`
+      SELECT j.*, u.username, u.uuid as userAccountId
+      FROM provisioning_jobs j
+      LEFT JOIN users u ON j.user_id = u.id
+      ${whereClause}
+      ORDER BY j.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return jobs.map(job => this.formatProvisioningJob(job));
   }
 
-  // Get user profile with extended fields
-  async getUserProfile(userId) {
-    try {
-      const stmt = this.db.prepare(`
-        SELECT 
-          id, uuid, username, email, display_name, bio, timezone, language, 
-          preferences, role, active, status, created_at, last_login,
-          subscription_plan, subscription_expires_at, subscription_data
-        FROM users 
-        WHERE id = ?
-      `);
-      
-      const user = stmt.get(userId);
-      if (!user) return null;
+  getProvisioningJobCounts() {
+    const counts = { pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const row of this.statements.getProvisioningJobCounts.all()) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
 
-      // Parse preferences
-      let preferences = {};
-      if (user.preferences) {
-        try {
-          preferences = JSON.parse(user.preferences);
-        } catch (error) {
-          console.error('Error parsing user preferences:', error);
-        }
+  // VM rebuild methods
+  formatVMRebuild(rebuild) {
+    if (!rebuild) return null;
+    return {
+      ...rebuild,
+      result: rebuild.result ? JSON.parse(rebuild.result) : null
+    };
+  }
+
+  // Returns null while another rebuild of the VM is running. The check and the
+  // insert share one transaction so two requests can't both start a rebuild.
+  createVMRebuild({ userId, oldVmid, vmName, vmNumber, planType }) {
+    const create = this.db.transaction(() => {
+      if (this.statements.getRunningVMRebuild.get(oldVmid)) {
+        return null;
       }
+      return this.statements.insertVMRebuild.run(userId, oldVmid, vmName, vmNumber, planType).lastInsertRowid;
+    });
 
-      // Parse subscription data
-      let subscription = {
-        plan: user.subscription_plan || 'none',
-        expiresAt: user.subscription_expires_at
-      };
+    const rebuildId = create.immediate();
+    return rebuildId ? this.getVMRebuild(rebuildId) : null;
+  }
 
-      if (user.subscription_data) {
-        try {
-          const parsedData = JSON.parse(user.subscription_data);
-          subscription = { ...subscription, ...parsedData };
-        } catch (error) {
-          console.error('Error parsing subscription data:', error);
-        }
+  getRunningVMRebuild(vmid) {
+    return this.formatVMRebuild(this.statements.getRunningVMRebuild.get(vmid));
+  }
+
+  getVMRebuild(rebuildId) {
+    return this.formatVMRebuild(this.statements.getVMRebuild.get(rebuildId));
+  }
+
+  getLatestVMRebuild(userId, vmid) {
+    return this.formatVMRebuild(this.statements.getLatestVMRebuild.get(userId, vmid));
+  }
+
+  // Rebuilds still running, or failed while the old VM is still assigned to the user
+  getUnfinishedVMRebuilds(userId) {
+    return this.statements.getUnfinishedVMRebuilds.all(userId).map(rebuild => this.formatVMRebuild(rebuild));
+  }
+
+  updateVMRebuildStage(rebuildId, stage, newVmid = null) {
+    this.statements.updateVMRebuildStage.run(stage, newVmid, rebuildId);
+  }
+
+  completeVMRebuild(rebuildId, result = {}) {
+    return this.statements.completeVMRebuild.run(JSON.stringify(result), rebuildId).changes > 0;
+  }
+
+  failVMRebuild(rebuildId, errorMessage) {
+    return this.statements.failVMRebuild.run(errorMessage, rebuildId).changes > 0;
+  }
+
+  // Rebuilds run in-process, so any left running by a restart can't finish
+  failRunningVMRebuilds(errorMessage) {
+    return this.statements.failRunningVMRebuilds.run(errorMessage).changes;
+  }
+
+  // Swap a rebuilt VM into the user's assignments, schedules, labels and latest vm_setup row
+  replaceUserVM(userId, oldVmid, newVmid) {
+    const replace = this.db.transaction(() => {
+      this.statements.removeVMFromUser.run(userId, oldVmid);
+      this.statements.assignVMToUser.run(userId, newVmid);
+      this.statements.moveVMSchedules.run(newVmid, userId, oldVmid);
+      this.statements.moveVMMetadata.run(newVmid, userId, oldVmid);
+
+      const setup = this.statements.getVMSetupByUser.get(userId);
+      if (!setup) return;
+
+      const swap = (vmid) => (vmid === oldVmid ? newVmid : vmid);
+      const vmIds = (setup.vm_ids ? JSON.parse(setup.vm_ids) : []).map(swap);
+      const setupData = setup.setup_data ? JSON.parse(setup.setup_data) : {};
+
+      if (setupData.vmIds) {
+        setupData.vmIds = setupData.vmIds.map(swap);
+      }
+      if (setupData.vmsCreated) {
+        setupData.vmsCreated = setupData.vmsCreated.map(vm => ({ ...vm, vmid: swap(vm.vmid) }));
+      }
+      if (setupData.automationResults) {
+        setupData.automationResults = setupData.automationResults.filter(r => r.vmid !== oldVmid);
       }
 
-      return {
-        id: user.id,
-        uuid: user.uuid,
-        username: user.username,
-        email: user.email,
-        displayName: user.display_name || user.username,
-        bio: user.bio,
-        timezone: user.timezone,
-        language: user.language || 'en',
-        preferences,
-        role: user.role,
-        active: Boolean(user.active),
-        status: user.status || 'active',
-        createdAt: user.created_at,
-        lastLogin: user.last_login,
-        subscription
-      };
-    } catch (error) {
-      console.error('Error fetching user profile:', error);
-      throw error;
-    }
+      this.statements.updateVMSetupVMs.run(JSON.stringify(vmIds), JSON.stringify(setupData), setup.id);
+    });
+
+    replace();
   }
 
-  // Export comprehensive user data
-  async exportUserData(userId) {
-    try {
-      // Get user profile
-      const profile = await this.getUserProfile(userId);
-      
-      // Get user sessions
-      const sessions = await this.getUserSessions(userId);
-      
-      // Get audit logs
-      const auditLogs = await this.getUserAuditLogs(userId, 1000);
-      
-      // Get login history
-      const loginHistory = await this.getUserLoginHistory(userId, 1000);
-      
-      // Get VM assignments
-      const vmAssignments = this.getUserVMIds(userId);
+  // Record an automation run on one VM in the user's latest vm_setup row
+  recordAutomationResult(userId, automationResult) {
+    const setup = this.statements.getVMSetupByUser.get(userId);
+    if (!setup) return;
 
-      return {
-        account: {
-          id: profile.id,
-          uuid: profile.uuid,
-          createdAt: profile.createdAt,
-          role: profile.role,
-          status: profile.status
-        },
-        profile: {
-          username: profile.username,
-          email: profile.email,
-          displayName: profile.displayName,
-          bio: profile.bio,
-          timezone: profile.timezone,
-          language: profile.language,
-          lastLogin: profile.lastLogin
-        },
-        preferences: profile.preferences,
-        sessions: sessions.map(session => ({
-          id: session.id,
-          ipAddress: session.ip_address,
-          userAgent: session.user_agent,
-          createdAt: session.created_at,
-          expiresAt: session.expires_at
-        })),
-        auditLogs: auditLogs.map(log => ({
-          action: log.action,
-          resourceType: log.resource_type,
-          resourceId: log.resource_id,
-          details: log.details,
-          ipAddress: log.ip_address,
-          timestamp: log.created_at
-        })),
-        subscriptions: profile.subscription,
-        vmAssignments: vmAssignments,
-        loginHistory: loginHistory
+    const setupData = setup.setup_data ? JSON.parse(setup.setup_data) : {};
+    setupData.automationResults = (setupData.automationResults || [])
+      .filter(r => r.vmid !== automationResult.vmid)
+      .concat(automationResult);
+
+    this.statements.updateVMSetupVMs.run(setup.vm_ids, JSON.stringify(setupData), setup.id);
+  }
+
+  // VM schedule methods
+  formatVMSchedule(schedule) {
+    if (!schedule) return null;
+    return {
+      ...schedule,
+      enabled: Boolean(schedule.enabled)
+    };
+  }
+
+  // nextRunAt is a Date or ISO string
+  createVMSchedule({ userId, vmid, action, cronExpression, timezone, enabled = true, nextRunAt }) {
+    const result = this.statements.insertVMSchedule.run(
+      userId, vmid, action, cronExpression, timezone, enabled ? 1 : 0, new Date(nextRunAt).toISOString()
+    );
+    return this.getVMSchedule(result.lastInsertRowid);
+  }
+
+  getVMSchedule(scheduleId) {
+    return this.formatVMSchedule(this.statements.getVMSchedule.get(scheduleId));
+  }
+
+  getVMSchedulesForVM(vmid) {
+    return this.statements.getVMSchedulesForVM.all(vmid).map(schedule => this.formatVMSchedule(schedule));
+  }
+
+  updateVMSchedule(scheduleId, { action, cronExpression, timezone, enabled, nextRunAt }) {
+    this.statements.updateVMSchedule.run(
+      action, cronExpression, timezone, enabled ? 1 : 0, new Date(nextRunAt).toISOString(), scheduleId
+    );
+    return this.getVMSchedule(scheduleId);
+  }
+
+  deleteVMSchedule(scheduleId) {
+    return this.statements.deleteVMSchedule.run(scheduleId).changes > 0;
+  }
+
+  getDueVMSchedules() {
+    return this.statements.getDueVMSchedules.all().map(schedule => this.formatVMSchedule(schedule));
+  }
+
+  setVMScheduleNextRun(scheduleId, nextRunAt) {
+    this.statements.setVMScheduleNextRun.run(new Date(nextRunAt).toISOString(), scheduleId);
+  }
+
+  recordVMScheduleRun(scheduleId, status, errorMessage = null) {
+    this.statements.recordVMScheduleRun.run(status, errorMessage, scheduleId);
+  }
+
+  // VM incident methods
+  createVMIncident({ userId, vmid, type = 'hung', action, status, details = {} }) {
+    return this.statements.insertVMIncident.run(userId, vmid, type, action, status, JSON.stringify(details)).lastInsertRowid;
+  }
+
+  // Incident count and latest incident per VM since e.g. '-7 days', keyed by VMID
+  getVMIncidentSummary(since = '-7 days') {
+    const summary = {};
+    for (const row of this.statements.getVMIncidentSummary.all(since)) {
+      summary[row.vmid] = {
+        count: row.count,
+        lastIncidentAt: new Date(`${row.last_incident_at.replace(' ', 'T')}Z`).toISOString()
       };
-    } catch (error) {
-      console.error('Error exporting user data:', error);
-      throw error;
     }
+    return summary;
   }
 
-  // Get admin count
-  async getAdminCount() {
-    try {
-      const stmt = this.db.prepare(`
-        SELECT COUNT(*) as count 
-        FROM users 
-        WHERE role = 'admin' AND active = 1
-      `);
-      
-      const result = stmt.get();
-      return result.count;
-    } catch (error) {
-      console.error('Error getting admin count:', error);
-      throw error;
-    }
+  getRecentVMIncidents(limit = 50) {
+    return this.statements.getRecentVMIncidents.all(limit).map(incident => ({
+      ...incident,
+      details: incident.details ? JSON.parse(incident.details) : {}
+    }));
   }
 
-  // Enhanced formatUser to include new fields
-  formatUser(user) {
-    let subscription = {
-      plan: user.subscription_plan || 'none',
-      expiresAt: user.subscription_expires_at
-    };
+  // VMID reservation methods
 
-    // Parse additional subscription data if available
-    if (user.subscription_data) {
-      try {
-        const parsedData = JSON.parse(user.subscription_data);
-        subscription = { ...subscription, ...parsedData };
-      } catch (error) {
-        console.error('Error parsing subscription data:', error);
-      }
-    }
+  // Pick the lowest VMID in the range that is neither known to Proxmox nor reserved,
+  // and reserve it. Runs as an IMMEDIATE transaction so concurrent callers
+  // (including other processes on the same database) serialize on the write lock.
+  reserveVMID(rangeStart, rangeEnd, usedVmids, { jobId = null, userId = null } = {}) {
+    const reserve = this.db.transaction(() => {
+      const reserved = new Set(
+        this.statements.getReservedVMIDsInRange.all(rangeStart, rangeEnd).map(row => row.vmid)
+      );
 
-    // Parse preferences
-    let preferences = {};
-    if (user.preferences) {
-      try {
-        preferences = JSON.parse(user.preferences);
-      } catch (error) {
-        console.error('Error parsing user preferences:', error);
+      for (let vmid = rangeStart; vmid <= rangeEnd; vmid++) {
+        if (!usedVmids.has(vmid) && !reserved.has(vmid)) {
+          this.statements.insertVMIDReservation.run(vmid, jobId, userId);
+          return vmid;
+        }
       }
-    }
 
+      return null;
+    });
+
+    return reserve.immediate();
+  }
+
+  releaseVMID(vmid) {
+    return this.statements.deleteVMIDReservation.run(vmid).changes > 0;
+  }
+
+  releaseStaleVMIDReservations() {
+    return this.statements.deleteStaleVMIDReservations.run().changes;
+  }
+
+  // Template methods
+  formatTemplate(template) {
+    if (!template) return null;
     return {
-      id: user.id,
-      uuid: user.uuid,
-      username: user.username,
-      email: user.email,
-      displayName: user.display_name || user.username,
-      bio: user.bio,
-      timezone: user.timezone,
-      language: user.language || 'en',
-      preferences,
-      password: user.password_hash, // Keep same interface
-      role: user.role,
-      active: Boolean(user.active),
-      status: user.status || 'active',
-      createdAt: user.created_at,
-      lastLogin: user.last_login,
-      vmIds: user.vm_ids ? user.vm_ids.split(',').map(Number) : [],
-      subscription
+      ...template,
+      active: Boolean(template.active)
     };
   }
 
-  // Payment Methods
-  async recordPayment(paymentData) {
-    try {
-      console.log('Recording payment:', {
-        userId: paymentData.userId,
-        stripePaymentIntentId: paymentData.stripePaymentIntentId,
-        stripeCheckoutSessionId: paymentData.stripeCheckoutSessionId,
-        amount: paymentData.amount,
-        status: paymentData.status
-      });
-
-      // Check for duplicates by multiple fields to prevent webhook + client verification duplicates
-      let existingPayment = null;
+  // Databases from before the registry get the Windows10T template (VM 3000)
+  // every plan was cloned from as version 1
+  seedDefaultTemplates() {
+    if (this.statements.countTemplates.get().count > 0) {
+      return;
+    }
 
-      // First check by payment intent ID (most reliable)
-      if (paymentData.stripePaymentIntentId) {
-        existingPayment = this.statements.getPaymentByStripeId.get(paymentData.stripePaymentIntentId);
-        if (existingPayment) {
-          console.log('Payment already exists by payment intent ID:', existingPayment.id);
-          return existingPayment.id;
-        }
+    const { PLANS } = require('../config/plans');
+    const seed = this.db.transaction(() => {
+      for (const planType of Object.keys(PLANS)) {
+        this.statements.insertTemplate.run(planType, 3000, '1', 'Windows10T', 1, null);
       }
+    });
+    seed();
+  }
 
-      // Then check by checkout session ID
-      if (paymentData.stripeCheckoutSessionId) {
-        const sessionPayment = this.db.prepare(`
-          SELECT * FROM payments WHERE stripe_checkout_session_id = ?
-        `).get(paymentData.stripeCheckoutSessionId);
-        
-        if (sessionPayment) {
-          console.log('Payment already exists by checkout session ID:', sessionPayment.id);
-          return sessionPayment.id;
-        }
-      }
+  getTemplates() {
+    return this.statements.getTemplates.all().map(template => this.formatTemplate(template));
+  }
 
-      // Check for duplicate by user + amount + recent timeframe (last 5 minutes) to catch edge cases
-      const recentDuplicate = this.db.prepare(`
-        SELECT * FROM payments 
-        WHERE user_id = ? AND amount = ? AND status = 'succeeded' 
-        AND created_at > datetime('now', '-5 minutes')
-        ORDER BY created_at DESC LIMIT 1
-      `).get(paymentData.userId, paymentData.amount);
+  getTemplate(templateId) {
+    return this.formatTemplate(this.statements.getTemplate.get(templateId));
+  }
 
-      if (recentDuplicate) {
-        console.log('Potential duplicate payment detected (same user, amount, recent):', recentDuplicate.id);
-        // Only skip if it has the same payment intent or session ID
-        if (paymentData.stripePaymentIntentId && recentDuplicate.stripe_payment_intent_id === paymentData.stripePaymentIntentId) {
-          console.log('Confirmed duplicate by payment intent, skipping');
-          return recentDuplicate.id;
-        }
-        if (paymentData.stripeCheckoutSessionId && recentDuplicate.stripe_checkout_session_id === paymentData.stripeCheckoutSessionId) {
-          console.log('Confirmed duplicate by session ID, skipping');
-          return recentDuplicate.id;
-        }
-      }
+  getActiveTemplate(planType) {
+    return this.formatTemplate(this.statements.getActiveTemplate.get(planType));
+  }
 
-      console.log('No duplicate found, creating new payment record');
+  getTemplateByVersion(planType, version) {
+    return this.formatTemplate(this.statements.getTemplateByVersion.get(planType, version));
+  }
 
-      const result = this.statements.insertPayment.run(
-        paymentData.userId,
-        paymentData.stripePaymentIntentId || null,
-        paymentData.stripeCheckoutSessionId || null,
-        paymentData.stripeSubscriptionId || null,
-        paymentData.stripeCustomerId || null,
-        paymentData.amount,
-        paymentData.currency || 'usd',
-        paymentData.status,
-        paymentData.paymentMethod || null,
-        paymentData.planId || null,
-        paymentData.planName || null,
-        paymentData.metadata ? JSON.stringify(paymentData.metadata) : null
-      );
+  createTemplate({ planType, vmid, version, notes = null, createdBy = null }) {
+    const result = this.statements.insertTemplate.run(planType, vmid, version, notes, 0, createdBy);
+    return this.getTemplate(result.lastInsertRowid);
+  }
 
-      // Log the payment recording
-      this.logAction(
-        paymentData.userId,
-        'payment_recorded',
-        'payment',
-        result.lastInsertRowid.toString(),
-        {
-          amount: paymentData.amount,
-          currency: paymentData.currency,
-          status: paymentData.status,
-          plan: paymentData.planName,
-          source: paymentData.metadata?.verificationMethod || 'webhook'
-        },
-        'system',
-        paymentData.performedBy || paymentData.userId
-      );
+  // Make a version the one new VMs of its plan are cloned from
+  activateTemplate(templateId) {
+    const activate = this.db.transaction(() => {
+      const template = this.statements.getTemplate.get(templateId);
+      this.statements.deactivatePlanTemplates.run(template.plan_type);
+      this.statements.activateTemplate.run(templateId);
+    });
+    activate();
+    return this.getTemplate(templateId);
+  }
 
-      console.log('Payment recorded successfully with ID:', result.lastInsertRowid);
-      return result.lastInsertRowid;
-    } catch (error) {
-      console.error('Error recording payment:', error);
-      throw error;
-    }
+  retireTemplate(templateId) {
+    this.statements.retireTemplate.run(templateId);
+    return this.getTemplate(templateId);
   }
 
-  async updatePaymentStatus(paymentId, status, paymentMethod = null, metadata = null) {
-    try {
-      const result = this.statements.updatePayment.run(
-        status,
-        paymentMethod,
-        metadata ? JSON.stringify(metadata) : null,
-        paymentId
-      );
+  setVMTemplate(vmid, templateId) {
+    this.statements.setVMTemplate.run(templateId, templateId, vmid);
+  }
 
-      return result.changes > 0;
-    } catch (error) {
-      console.error('Error updating payment status:', error);
-      throw error;
-    }
+  getOutdatedTemplateVMs() {
+    return this.statements.getOutdatedTemplateVMs.all();
   }
 
-  async getPaymentHistory(userId, limit = 50, offset = 0) {
-    try {
-      const payments = this.statements.getPaymentsByUser.all(userId, limit, offset);
-      
-      // Parse metadata for each payment
-      return payments.map(payment => ({
-        ...payment,
-        metadata: payment.metadata ? JSON.parse(payment.metadata) : null,
-        amountFormatted: `$${(payment.amount / 100).toFixed(2)}`
-      }));
-    } catch (error) {
-      console.error('Error getting payment history:', error);
-      throw error;
-    }
+  // VM metadata methods
+  getVMMetadata(userId, vmid) {
+    return this.statements.getVMMetadata.get(userId, vmid) || null;
   }
 
-  async recordPaymentAttempt(attemptData) {
-    try {
-      const result = this.statements.insertPaymentAttempt.run(
-        attemptData.paymentId || null,
-        attemptData.userId,
-        attemptData.stripePaymentIntentId || null,
-        attemptData.amount,
-        attemptData.currency || 'usd',
-        attemptData.status,
-        attemptData.failureCode || null,
-        attemptData.failureMessage || null,
-        attemptData.paymentMethodId || null,
-        attemptData.lastPaymentError ? JSON.stringify(attemptData.lastPaymentError) : null
-      );
+  getUserVMMetadata(userId) {
+    return this.statements.getUserVMMetadata.all(userId);
+  }
 
-      return result.lastInsertRowid;
-    } catch (error) {
-      console.error('Error recording payment attempt:', error);
-      throw error;
-    }
+  getAssignedVMMetadata() {
+    return this.statements.getAssignedVMMetadata.all();
   }
 
-  async recordRefund(refundData) {
-    try {
-      const result = this.statements.insertRefund.run(
-        refundData.paymentId || null,
-        refundData.userId,
-        refundData.stripeRefundId,
-        refundData.stripePaymentIntentId,
-        refundData.amount,
-        refundData.currency || 'usd',
-        refundData.reason || 'requested_by_customer',
-        refundData.status,
-        refundData.metadata ? JSON.stringify(refundData.metadata) : null,
-        refundData.adminUserId || null,
-        refundData.adminReason || null
-      );
+  setVMMetadata(userId, vmid, { nickname = null, tag = null, color = null, notes = null }) {
+    this.statements.upsertVMMetadata.run(userId, vmid, nickname, tag, color, notes);
+    return this.getVMMetadata(userId, vmid);
+  }
+
+  // Customer a VM is assigned to, if any
+  getVMCustomer(vmid) {
+    return this.statements.getVMCustomer.get(vmid) || null;
+  }
+
+  // Farming agent methods
+  setVMAgentSecret(vmid, secretHash) {
+    this.statements.setVMAgentSecret.run(vmid, secretHash);
+    return this.getVMAgent(vmid);
+  }
+
+  getVMAgent(vmid) {
+    return this.statements.getVMAgent.get(vmid) || null;
+  }
+
+  getVMAgentBySecretHash(secretHash) {
+    return this.statements.getVMAgentBySecretHash.get(secretHash) || null;
+  }
+
+  getVMAgents() {
+    return this.statements.getVMAgents.all();
+  }
+
+  // Store a heartbeat and make it the agent's current state
+  recordVMHeartbeat(vmid, { botState, gameRunning, activity = null, agentVersion = null, ip = null }) {
+    const record = this.db.transaction(() => {
+      this.statements.updateVMAgentHeartbeat.run(botState, gameRunning ? 1 : 0, activity, agentVersion, ip, vmid);
+      this.statements.insertVMHeartbeat.run(vmid, botState, gameRunning ? 1 : 0, activity);
+    });
+    record();
+    return this.getVMAgent(vmid);
+  }
+
+  getSilentVMAgents(since) {
+    return this.statements.getSilentVMAgents.all(since);
+  }
+
+  markVMAgentStale(vmid) {
+    return this.statements.markVMAgentStale.run(vmid).changes > 0;
+  }
 
-      // Log the refund
-      this.logAction(
-        refundData.userId,
-        'refund_recorded',
-        'refund',
-        refundData.stripeRefundId,
-        {
-          amount: refundData.amount,
-          reason: refundData.reason,
-          adminReason: refundData.adminReason
-        },
-        'system',
-        refundData.adminUserId || refundData.userId
-      );
+  deleteVMAgent(vmid) {
+    return this.statements.deleteVMAgent.run(vmid).changes > 0;
+  }
 
-      return result.lastInsertRowid;
-    } catch (error) {
-      console.error('Error recording refund:', error);
-      throw error;
-    }
+  pruneVMHeartbeats(olderThan) {
+    return this.statements.pruneVMHeartbeats.run(olderThan).changes;
   }
 
-  async recordWebhook(webhookData) {
-    try {
-      const existing = this.statements.getWebhookByEventId.get(webhookData.stripeEventId);
-      if (existing) {
-        console.log(`Webhook ${webhookData.stripeEventId} already processed, skipping`);
-        return existing.id;
-      }
+  // Farming time methods
+  getCustomerVMAssignments() {
+    return this.statements.getCustomerVMAssignments.all();
+  }
 
-      const result = this.statements.insertWebhook.run(
-        webhookData.stripeEventId,
-        webhookData.eventType,
-        webhookData.objectId || null,
-        webhookData.userId || null,
-        JSON.stringify(webhookData.rawData)
-      );
+  addFarmingTime({ userId, vmid, planType, day, uptimeSeconds = 0, farmingSeconds = 0 }) {
+    this.statements.addFarmingTime.run(userId, vmid, planType, day, Math.round(uptimeSeconds), Math.round(farmingSeconds));
+  }
 
-      return result.lastInsertRowid;
-    } catch (error) {
-      console.error('Error recording webhook:', error);
-      throw error;
-    }
+  getFarmingTotalsByPlan(userId) {
+    return this.statements.getFarmingTotalsByPlan.all(userId);
   }
 
-  async markWebhookProcessed(eventId, error = null) {
-    try {
-      const result = this.statements.updateWebhookProcessed.run(
-        error ? error.message : null,
-        eventId
-      );
-      return result.changes > 0;
-    } catch (error) {
-      console.error('Error marking webhook as processed:', error);
-      throw error;
-    }
+  getFarmingTotalsByVM(userId) {
+    return this.statements.getFarmingTotalsByVM.all(userId);
   }
 
-  async getPaymentAnalytics() {
-    try {
-      const stats = this.statements.getPaymentStats.get();
-      const revenueByPlan = this.statements.getRevenueByPlan.all();
+  // Per-day sums since the given offset, e.g. '-13 days' for the last two weeks
+  getFarmingDaily(userId, since) {
+    return this.statements.getFarmingDaily.all(userId, since);
+  }
 
-      return {
-        stats: {
-          ...stats,
-          totalRevenueFormatted: `$${((stats.total_revenue || 0) / 100).toFixed(2)}`,
-          avgPaymentAmountFormatted: `$${((stats.avg_payment_amount || 0) / 100).toFixed(2)}`,
-          successRate: stats.total_payments > 0 ? ((stats.successful_payments / stats.total_payments) * 100).toFixed(1) : 0
-        },
-        revenueByPlan: revenueByPlan.map(plan => ({
-          ...plan,
-          totalRevenueFormatted: `$${(plan.total_revenue / 100).toFixed(2)}`,
-          avgRevenuePerPayment: `$${(plan.total_revenue / plan.payment_count / 100).toFixed(2)}`
-        }))
-      };
-    } catch (error) {
-      console.error('Error getting payment analytics:', error);
-      throw error;
-    }
+  getFarmingRows(userId, since) {
+    return this.statements.getFarmingRows.all(userId, since);
   }
 
-  async getUserRefunds(userId) {
-    try {
-      const refunds = this.statements.getRefundsByUser.all(userId);
-      
-      return refunds.map(refund => ({
-        ...refund,
-        metadata: refund.metadata ? JSON.parse(refund.metadata) : null,
-        amountFormatted: `$${(refund.amount / 100).toFixed(2)}`,
-        originalAmountFormatted: `$${((refund.original_amount || 0) / 100).toFixed(2)}`
-      }));
-    } catch (error) {
-      console.error('Error getting user refunds:', error);
-      throw error;
-    }
+  getFarmingSecondsSince(userId, day) {
+    return this.statements.getFarmingSecondsSince.get(userId, day).farming_seconds;
   }
 
-  async cleanupDuplicatePayments() {
-    try {
-      console.log('🧹 Starting duplicate payment cleanup...');
-      
-      // Find duplicates by payment_intent_id
-      const duplicates = this.db.prepare(`
-        SELECT stripe_payment_intent_id, COUNT(*) as count, MIN(id) as keep_id
-        FROM payments 
-        WHERE stripe_payment_intent_id IS NOT NULL 
-        GROUP BY stripe_payment_intent_id 
-        HAVING count > 1
-      `).all();
+  getFarmingGoal(userId) {
+    return this.statements.getFarmingGoal.get(userId) || null;
+  }
 
-      console.log(`🔍 Found ${duplicates.length} sets of duplicate payments`);
+  setFarmingGoal(userId, { targetHours, deadline = null }) {
+    this.statements.setFarmingGoal.run(userId, targetHours, deadline);
+    return this.getFarmingGoal(userId);
+  }
 
-      let totalDeleted = 0;
-      for (const duplicate of duplicates) {
-        // Keep the first payment (lowest ID) and delete the rest
-        const deleteResult = this.db.prepare(`
-          DELETE FROM payments 
-          WHERE stripe_payment_intent_id = ? AND id != ?
-        `).run(duplicate.stripe_payment_intent_id, duplicate.keep_id);
+  deleteFarmingGoal(userId) {
+    return this.statements.deleteFarmingGoal.run(userId).changes > 0;
+  }
 
-        totalDeleted += deleteResult.changes;
-        console.log(`🗑️ Deleted ${deleteResult.changes} duplicate payments for intent: ${duplicate.stripe_payment_intent_id}`);
+  // Capacity methods
+  getActiveProvisioningJobs() {
+    return this.statements.getActiveProvisioningJobs.all();
+  }
+
+  getActiveCapacityReservations() {
+    return this.statements.getActiveCapacityReservations.all();
+  }
+
+  // A customer holds one reservation at a time: a new one replaces any earlier hold.
+  // limit is the room left for reservations ({ memory, cores }, cores null when
+  // unknown). The holds of other customers are checked against it in the same
+  // IMMEDIATE transaction as the insert, so concurrent orders can't both take
+  // the last of it. Returns null, keeping the earlier hold, when it doesn't fit.
+  reserveCapacity({ userId, kind, planType, vmCount, memory, cores, reference = null, minutes, limit = null }) {
+    const reserve = this.db.transaction(() => {
+      if (limit) {
+        const held = this.statements.getOtherCapacityReserved.get(userId);
+        if (held.memory + memory > limit.memory || (limit.cores !== null && held.cores + cores > limit.cores)) {
+          return null;
+        }
       }
 
-      console.log(`✅ Cleanup completed. Deleted ${totalDeleted} duplicate payment records.`);
-      return { duplicates: duplicates.length, deleted: totalDeleted };
-    } catch (error) {
-      console.error('❌ Error cleaning up duplicate payments:', error);
-      throw error;
-    }
+      this.statements.releaseCapacityReservations.run(userId);
+      return this.statements.insertCapacityReservation.run(
+        userId, kind, planType, vmCount, memory, cores, reference, `+${minutes} minutes`
+      ).lastInsertRowid;
+    });
+    return reserve.immediate();
   }
 
-  // VM Setup Management Methods
-  async createVMSetup(userId, planType, vmCount, vmIds) {
-    try {
-      const setupData = {
-        createdAt: new Date().toISOString(),
-        vmIds: vmIds,
-        planType: planType
-      };
+  setCapacityReservationReference(reservationId, reference) {
+    this.statements.setCapacityReservationReference.run(reference, reservationId);
+  }
 
-      const result = this.statements.insertVMSetup.run(
-        userId,
-        planType,
-        vmCount,
-        JSON.stringify(vmIds),
-        'pending',
-        JSON.stringify(setupData)
-      );
+  releaseCapacityReservations(userId) {
+    return this.statements.releaseCapacityReservations.run(userId).changes;
+  }
 
-      return result.lastInsertRowid;
-    } catch (error) {
-      console.error('Error creating VM setup:', error);
-      throw error;
-    }
+  releaseCapacityReservation(reservationId) {
+    return this.statements.releaseCapacityReservation.run(reservationId).changes > 0;
   }
 
-  async updateVMSetupStatus(userId, status, setupData = {}) {
-    try {
-      const currentSetup = this.statements.getActiveVMSetup.get(userId);
-      if (!currentSetup) {
-        throw new Error('No active VM setup found for user');
-      }
+  releaseCapacityReservationByReference(userId, kind, reference) {
+    return this.statements.releaseCapacityReservationByReference.run(userId, kind, reference).changes > 0;
+  }
 
-      const existingData = currentSetup.setup_data ? JSON.parse(currentSetup.setup_data) : {};
-      const updatedData = {
-        ...existingData,
-        ...setupData,
-        lastUpdated: new Date().toISOString()
-      };
+  // Joining again replaces the customer's earlier waitlist entry
+  joinWaitlist({ userId, kind, planType, planName, vmCount }) {
+    const join = this.db.transaction(() => {
+      this.statements.closeWaitlistEntries.run('cancelled', userId);
+      return this.statements.insertWaitlistEntry.run(userId, kind, planType, planName || null, vmCount).lastInsertRowid;
+    });
+    return this.getWaitlistEntry(join());
+  }
 
-      const result = this.statements.updateVMSetupStatus.run(
-        status,
-        JSON.stringify(updatedData),
-        userId
-      );
+  getWaitlistEntry(entryId) {
+    return this.statements.getWaitlistEntry.get(entryId) || null;
+  }
 
-      return result.changes > 0;
-    } catch (error) {
-      console.error('Error updating VM setup status:', error);
-      throw error;
-    }
+  getOpenWaitlistEntry(userId) {
+    return this.statements.getOpenWaitlistEntry.get(userId) || null;
   }
 
-  async updateVMSetupFile(userId, filePath, setupData = {}) {
-    try {
-      const currentSetup = this.statements.getActiveVMSetup.get(userId);
-      if (!currentSetup) {
-        throw new Error('No active VM setup found for user');
-      }
+  // Waiting and notified entries, oldest first
+  getOpenWaitlist() {
+    return this.statements.getOpenWaitlist.all();
+  }
 
-      const existingData = currentSetup.setup_data ? JSON.parse(currentSetup.setup_data) : {};
-      const updatedData = {
-        ...existingData,
-        ...setupData,
-        fileUploaded: true,
-        fileUploadedAt: new Date().toISOString(),
-        lastUpdated: new Date().toISOString()
-      };
+  getWaitlistPosition(entryId) {
+    return this.statements.getWaitlistPosition.get(entryId).position;
+  }
 
-      const result = this.statements.updateVMSetupFile.run(
-        filePath,
-        'file_uploaded',
-        JSON.stringify(updatedData),
-        userId
-      );
+  closeWaitlistEntries(userId, status) {
+    return this.statements.closeWaitlistEntries.run(status, userId).changes;
+  }
 
-      return result.changes > 0;
-    } catch (error) {
-      console.error('Error updating VM setup file:', error);
-      throw error;
-    }
+  notifyWaitlistEntry(entryId, hours) {
+    return this.statements.notifyWaitlistEntry.run(`+${hours} hours`, entryId).changes > 0;
   }
 
-  async completeVMSetup(userId, setupData = {}) {
-    try {
-      const currentSetup = this.statements.getActiveVMSetup.get(userId);
-      if (!currentSetup) {
-        throw new Error('No active VM setup found for user');
-      }
+  expireWaitlistOffers() {
+    return this.statements.expireWaitlistOffers.run().changes;
+  }
 
-      const existingData = currentSetup.setup_data ? JSON.parse(currentSetup.setup_data) : {};
-      const completedData = {
-        ...existingData,
-        ...setupData,
-        completed: true,
-        completedAt: new Date().toISOString(),
-        lastUpdated: new Date().toISOString()
-      };
+  // Reconciliation methods
+  getVMAssignmentOwners() {
+    return this.statements.getVMAssignmentOwners.all();
+  }
 
-      const result = this.statements.completeVMSetup.run(
-        JSON.stringify(completedData),
-        userId
-      );
+  getUserAccountIds() {
+    return this.statements.getUserAccountIds.all();
+  }
 
-      return result.changes > 0;
-    } catch (error) {
-      console.error('Error completing VM setup:', error);
-      throw error;
-    }
+  getInFlightVMIDs() {
+    return new Set(this.statements.getInFlightVMIDs.all().map(row => row.vmid));
   }
 
-  async getVMSetupByUser(userId) {
-    try {
-      const setup = this.statements.getVMSetupByUser.get(userId);
-      if (!setup) return null;
+  getLatestSettledVMSetups() {
+    return this.statements.getLatestSettledVMSetups.all().map(setup => ({
+      ...setup,
+      vm_ids: setup.vm_ids ? JSON.parse(setup.vm_ids) : [],
+      setup_data: setup.setup_data ? JSON.parse(setup.setup_data) : {}
+    }));
+  }
 
-      // Parse JSON fields
-      return {
-        ...setup,
-        vm_ids: setup.vm_ids ? JSON.parse(setup.vm_ids) : [],
-        setup_data: setup.setup_data ? JSON.parse(setup.setup_data) : {}
-      };
-    } catch (error) {
-      console.error('Error getting VM setup:', error);
-      throw error;
-    }
+  // Overwrite the VMs recorded on a vm_setup row, whatever its status
+  setVMSetupVMs(setupId, vmsCreated) {
+    const setup = this.statements.getVMSetupById.get(setupId);
+    if (!setup) return false;
+
+    const setupData = setup.setup_data ? JSON.parse(setup.setup_data) : {};
+    const vmIds = vmsCreated.map(vm => vm.vmid);
+    Object.assign(setupData, { vmIds, vmsCreated, lastUpdated: new Date().toISOString() });
+
+    return this.statements.updateVMSetupVMs.run(JSON.stringify(vmIds), JSON.stringify(setupData), setupId).changes > 0;
   }
 
-  async getActiveVMSetup(userId) {
-    try {
-      const setup = this.statements.getActiveVMSetup.get(userId);
-      if (!setup) return null;
+  // Raw subscription_data flags (shutdown/destroyed markers, Stripe IDs). formatUser
+  // merges these into user.subscription, so callers that write them back read them here.
+  getSubscriptionData(userId) {
+    const row = this.db.prepare('SELECT subscription_data FROM users WHERE id = ?').get(userId);
+    if (!row || !row.subscription_data) {
+      return {};
+    }
 
-      // Parse JSON fields
-      return {
-        ...setup,
-        vm_ids: setup.vm_ids ? JSON.parse(setup.vm_ids) : [],
-        setup_data: setup.setup_data ? JSON.parse(setup.setup_data) : {}
-      };
+    try {
+      return JSON.parse(row.subscription_data);
     } catch (error) {
-      console.error('Error getting active VM setup:', error);
-      throw error;
+      console.error('Error parsing subscription data:', error);
+      return {};
     }
   }
 }
@@ -0,0 +1,30 @@
+const { EventEmitter } = require('events');
+
+// In-process events for the live dashboard channel. Services publish what
+// changed; services/liveUpdates decides which connected users get to see it.
+//
+//   vm.status              { vmid, status, previousStatus, cpu, mem, maxmem, uptime }
+//   vm.agent               { vmid, agent }
+//   provisioning.progress  { userId, jobId, vmName, vmid, stage, status, error }
+//   setup.status           { userId, status, vmsPending, automationStarted, totalVMs }
+//   rebuild.progress       { userId, rebuild }
+//   subscription.changed   { userId, reason, status }
+//   capacity.available     { userId, waitlist }
+//   reconciliation.alert   { summary, generatedAt }
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(50);
+  }
+
+  // Listeners must never break the code that published the event
+  publish(type, payload) {
+    try {
+      this.emit(type, payload);
+    } catch (error) {
+      console.error(`❌ Event listener for ${type} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,206 @@
+const vmStatusCache = require('./vmStatusCache');
+const db = require('./database');
+const { getPlanType } = require('../config/plans');
+
+const toHours = (seconds) => Math.round(((seconds || 0) / 3600) * 10) / 10;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Accumulates how long each customer VM was up and farming, per UTC day and plan.
+// Uptime is sampled from the VM status cache every minute; farming time is the
+// time between agent heartbeats that reported the bot farming with the game running.
+class FarmingTrackerService {
+  constructor() {
+    this.enabled = process.env.FARMING_TRACKING_ENABLED !== 'false';
+    this.sampleInterval = 60 * 1000;
+    this.maxGapSeconds = 5 * 60; // longer gaps between samples or heartbeats aren't credited
+    this.lastSample = new Map(); // vmid -> time of the last uptime sample
+    this.interval = null;
+  }
+
+  start() {
+    if (this.interval || !this.enabled) {
+      return;
+    }
+
+    this.interval = setInterval(() => this.sampleUptime(), this.sampleInterval);
+    console.log('⏱️ Farming time tracking started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // Plan a VM's time counts towards: the plan it was configured for, else the owner's current plan
+  resolvePlanType(assignment) {
+    return assignment.plan_type || getPlanType(assignment.subscription_plan) || 'unknown';
+  }
+
+  // Credit the time since the last sample to every running customer VM. The
+  // first sample after a start only sets the baseline.
+  async sampleUptime(now = Date.now()) {
+    try {
+      const vms = new Map((await vmStatusCache.getVMs()).map(vm => [vm.vmid, vm]));
+
+      for (const assignment of db.getCustomerVMAssignments()) {
+        const vmid = assignment.vm_id;
+        const vm = vms.get(vmid);
+
+        if (!vm || vm.status !== 'running') {
+          this.lastSample.delete(vmid);
+          continue;
+        }
+
+        const previous = this.lastSample.get(vmid);
+        this.lastSample.set(vmid, now);
+        if (!previous) {
+          continue;
+        }
+
+        // A VM restarted since the last sample was only up for its uptime
+        const seconds = Math.min((now - previous) / 1000, vm.uptime || 0);
+        if (seconds > 0 && seconds <= this.maxGapSeconds) {
+          db.addFarmingTime({
+            userId: assignment.user_id,
+            vmid,
+            planType: this.resolvePlanType(assignment),
+            day: today(),
+            uptimeSeconds: seconds
+          });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Farming uptime sample error:', error.message);
+    }
+  }
+
+  // Called with the agent's state before a new heartbeat: the time since the
+  // previous heartbeat counts as farmed if the bot was farming then
+  recordAgentReport(previous, now = Date.now()) {
+    if (!previous?.last_heartbeat_at || previous.bot_state !== 'farming' || !previous.game_running) {
+      return;
+    }
+
+    const since = new Date(`${previous.last_heartbeat_at.replace(' ', 'T')}Z`).getTime();
+    const seconds = (now - since) / 1000;
+    if (seconds <= 0 || seconds > this.maxGapSeconds) {
+      return;
+    }
+
+    const owner = db.getVMCustomer(previous.vmid);
+    if (!owner) {
+      return;
+    }
+
+    db.addFarmingTime({
+      userId: owner.id,
+      vmid: previous.vmid,
+      planType: this.resolvePlanType(owner),
+      day: today(),
+      farmingSeconds: seconds
+    });
+  }
+
+  // Totals, daily breakdown for the last `days` days and goal progress of an account
+  getReport(userId, days = 14) {
+    const plans = db.getFarmingTotalsByPlan(userId);
+    const totals = plans.reduce((sum, row) => ({
+      farming: sum.farming + row.farming_seconds,
+      uptime: sum.uptime + row.uptime_seconds
+    }), { farming: 0, uptime: 0 });
+
+    return {
+      totals: {
+        farmedHours: toHours(totals.farming),
+        uptimeHours: toHours(totals.uptime)
+      },
+      byPlan: plans.map(row => ({
+        planType: row.plan_type,
+        farmedHours: toHours(row.farming_seconds),
+        uptimeHours: toHours(row.uptime_seconds)
+      })),
+      byVM: db.getFarmingTotalsByVM(userId).map(row => ({
+        vmid: row.vmid,
+        farmedHours: toHours(row.farming_seconds),
+        uptimeHours: toHours(row.uptime_seconds),
+        lastDay: row.last_day
+      })),
+      daily: this.getDaily(userId, days),
+      goal: this.getGoalProgress(userId)
+    };
+  }
+
+  // One entry per day, days without any time included
+  getDaily(userId, days) {
+    const rows = new Map(db.getFarmingDaily(userId, `-${days - 1} days`).map(row => [row.day, row]));
+    const daily = [];
+
+    for (let i = days - 1; i >= 0; i--) {
+      const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const row = rows.get(day);
+      daily.push({ day, farmedHours: toHours(row?.farming_seconds), uptimeHours: toHours(row?.uptime_seconds) });
+    }
+
+    return daily;
+  }
+
+  getGoalProgress(userId) {
+    const goal = db.getFarmingGoal(userId);
+    if (!goal) {
+      return null;
+    }
+
+    const farmedHours = toHours(db.getFarmingSecondsSince(userId, goal.started_on));
+    const remainingHours = Math.max(goal.target_hours - farmedHours, 0);
+    const daysLeft = goal.deadline
+      ? Math.max(Math.ceil((new Date(`${goal.deadline}T23:59:59Z`) - Date.now()) / (24 * 60 * 60 * 1000)), 0)
+      : null;
+
+    return {
+      targetHours: goal.target_hours,
+      deadline: goal.deadline,
+      startedOn: goal.started_on,
+      farmedHours,
+      remainingHours: Math.round(remainingHours * 10) / 10,
+      percent: Math.min(Math.round((farmedHours / goal.target_hours) * 100), 100),
+      completed: remainingHours === 0,
+      daysLeft,
+      hoursPerDayNeeded: daysLeft ? Math.round((remainingHours / daysLeft) * 10) / 10 : null
+    };
+  }
+
+  // Validate a goal body. Returns { goal } or { error } for a 400 response.
+  parseGoal(body) {
+    const targetHours = Number(body.targetHours);
+    const deadline = body.deadline || null;
+
+    if (!Number.isInteger(targetHours) || targetHours < 1 || targetHours > 10000) {
+      return { error: 'targetHours must be a whole number between 1 and 10000' };
+    }
+    if (deadline !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(deadline) || isNaN(Date.parse(deadline)) || deadline < today())) {
+      return { error: 'deadline must be a date (YYYY-MM-DD) that is not in the past' };
+    }
+
+    return { goal: { targetHours, deadline } };
+  }
+
+  // Daily rows per VM and plan as CSV
+  toCSV(userId, days) {
+    const lines = ['date,vmid,plan,uptime_hours,farmed_hours'];
+    for (const row of db.getFarmingRows(userId, `-${days - 1} days`)) {
+      lines.push([
+        row.day,
+        row.vmid,
+        row.plan_type,
+        ((row.uptime_seconds || 0) / 3600).toFixed(2),
+        ((row.farming_seconds || 0) / 3600).toFixed(2)
+      ].join(','));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = new FarmingTrackerService();
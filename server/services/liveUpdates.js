@@ -0,0 +1,154 @@
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const db = require('./database');
+const eventBus = require('./eventBus');
+const websocketUpgrades = require('./websocketUpgrades');
+
+// Dashboards connect here to receive live updates
+const LIVE_UPDATES_PATH = '/api/live';
+
+// Close code sent when the login token that opened the connection expires
+const TOKEN_EXPIRED_CODE = 4001;
+
+// Events forwarded to the user they belong to
+const USER_EVENTS = ['provisioning.progress', 'setup.status', 'rebuild.progress', 'subscription.changed', 'capacity.available'];
+
+// Events forwarded to every connected admin
+const ADMIN_EVENTS = ['reconciliation.alert'];
+
+// Events about one VM, forwarded to admins and the users it is assigned to
+const VM_EVENTS = ['vm.status', 'vm.agent'];
+
+// Pushes VM, provisioning and subscription changes to connected dashboards.
+// Browsers can't send an Authorization header on a websocket upgrade, so the
+// JWT is passed as the token query parameter instead.
+class LiveUpdatesService {
+  constructor() {
+    this.heartbeatMs = 30 * 1000;
+    this.clients = new Map(); // websocket -> { userId, role, alive }
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.heartbeat = null;
+
+    VM_EVENTS.forEach(type => {
+      eventBus.on(type, event => this.sendVMEvent(type, event));
+    });
+    USER_EVENTS.forEach(type => {
+      eventBus.on(type, ({ userId, ...data }) => this.sendToUser(userId, type, data));
+    });
+    ADMIN_EVENTS.forEach(type => {
+      eventBus.on(type, data => this.sendToAdmins(type, data));
+    });
+  }
+
+  // Handle live update websocket upgrades on the HTTP server
+  attach(server) {
+    websocketUpgrades.route(server, LIVE_UPDATES_PATH, (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    // Drop connections that stopped answering pings, e.g. a laptop that went to sleep
+    this.heartbeat = setInterval(() => {
+      for (const [client, info] of this.clients) {
+        if (!info.alive) {
+          client.terminate();
+          continue;
+        }
+        info.alive = false;
+        client.ping();
+      }
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  stop() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+    for (const client of this.clients.keys()) {
+      client.close(1001, 'Server shutting down');
+    }
+  }
+
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const user = await this.authenticate(url.searchParams.get('token'));
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, client => this.register(client, user));
+  }
+
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await db.findUserById(decoded.id);
+      if (!user || user.status === 'banned') {
+        return null;
+      }
+      return { id: user.id, role: user.role, tokenExpiresAt: decoded.exp ? decoded.exp * 1000 : null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  register(client, user) {
+    const info = { userId: user.id, role: user.role, alive: true };
+    this.clients.set(client, info);
+
+    const expiryTimer = user.tokenExpiresAt
+      ? setTimeout(() => client.close(TOKEN_EXPIRED_CODE, 'Login expired'), Math.max(user.tokenExpiresAt - Date.now(), 0))
+      : null;
+
+    client.on('pong', () => {
+      info.alive = true;
+    });
+    client.on('close', () => {
+      clearTimeout(expiryTimer);
+      this.clients.delete(client);
+    });
+    client.on('error', (error) => {
+      console.error(`❌ Live updates websocket error for user ${user.id}:`, error.message);
+    });
+
+    this.send(client, 'connected', { userId: user.id });
+  }
+
+  send(client, type, data) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({ type, data, timestamp: new Date().toISOString() }));
+    }
+  }
+
+  sendToUser(userId, type, data) {
+    for (const [client, info] of this.clients) {
+      if (info.userId === userId) {
+        this.send(client, type, data);
+      }
+    }
+  }
+
+  sendToAdmins(type, data) {
+    for (const [client, info] of this.clients) {
+      if (info.role === 'admin') {
+        this.send(client, type, data);
+      }
+    }
+  }
+
+  // Admins see every VM, customers only the VMs assigned to them
+  sendVMEvent(type, event) {
+    for (const [client, info] of this.clients) {
+      if (info.role === 'admin' || db.getUserVMIds(info.userId).includes(event.vmid)) {
+        this.send(client, type, event);
+      }
+    }
+  }
+}
+
+module.exports = new LiveUpdatesService();
@@ -0,0 +1,341 @@
+const proxmoxService = require('./proxmox');
+const db = require('./database');
+const vmidAllocator = require('./vmidAllocator');
+const eventBus = require('./eventBus');
+const vmAgent = require('./vmAgent');
+const { PLANS } = require('../config/plans');
+
+// Stages every provisioning job moves through, in order
+const STAGES = ['clone', 'configure', 'start', 'setup'];
+
+// Statuses after which a job is never picked up again without admin action
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class ProvisioningQueue {
+  constructor() {
+    this.pollInterval = parseInt(process.env.PROVISIONING_POLL_INTERVAL_MS) || 5000;
+    this.baseRetryDelay = 30; // seconds, doubled after every failed attempt
+    this.maxRetryDelay = 30 * 60; // seconds
+    this.maxAttempts = parseInt(process.env.PROVISIONING_MAX_ATTEMPTS) || 5;
+    this.concurrency = parseInt(process.env.PROVISIONING_CONCURRENCY) || 2;
+    this.interval = null;
+    this.activeJobs = 0;
+  }
+
+  // Start the worker. Jobs that were running when the server stopped are re-queued.
+  start() {
+    if (this.interval) {
+      return;
+    }
+
+    const resumed = db.resetRunningProvisioningJobs();
+    if (resumed > 0) {
+      console.log(`🔄 Re-queued ${resumed} interrupted provisioning job(s)`);
+    }
+    vmidAllocator.releaseStale();
+
+    this.interval = setInterval(() => this.processDueJobs(), this.pollInterval);
+    this.processDueJobs();
+
+    console.log('🚀 Provisioning queue worker started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // Create one job per VM slot of a setup and wake the worker. Every job clones
+  // the given template (the plan's active version when the setup was queued).
+  // reservationId is the capacity hold of the checkout being fulfilled.
+  enqueue({ user, setupId, planDetails, template, subscriptionId, vmNumbers, reservationId = null }) {
+    const jobIds = db.createProvisioningJobs(vmNumbers.map(vmNumber => ({
+      userId: user.id,
+      setupId,
+      planType: planDetails.planType,
+      vmNumber,
+      vmName: `${user.uuid}-${String(vmNumber).padStart(2, '0')}`,
+      templateVmid: template.vmid,
+      templateId: template.id,
+      maxAttempts: this.maxAttempts,
+      payload: { subscriptionId, planDetails }
+    })));
+
+    // The jobs now count as committed capacity, so the checkout's hold can go
+    if (reservationId) {
+      db.releaseCapacityReservation(reservationId);
+    }
+
+    console.log(`📥 Queued ${jobIds.length} provisioning job(s) for user ${user.username}`);
+
+    setImmediate(() => this.processDueJobs());
+    return jobIds;
+  }
+
+  // Claim due jobs until the concurrency limit is reached. Each finished job
+  // checks for more work, so a backlog drains without waiting for the next poll.
+  processDueJobs() {
+    try {
+      let job;
+      while (this.activeJobs < this.concurrency && (job = db.claimNextProvisioningJob())) {
+        this.activeJobs++;
+        this.runJob(job)
+          .catch(error => console.error('❌ Provisioning queue error:', error))
+          .finally(() => {
+            this.activeJobs--;
+            this.processDueJobs();
+          });
+      }
+    } catch (error) {
+      console.error('❌ Provisioning queue error:', error);
+    }
+  }
+
+  async runJob(job) {
+    let vmid = job.vmid;
+
+    try {
+      for (let i = STAGES.indexOf(job.stage); i < STAGES.length; i++) {
+        if (this.isCancelled(job.id)) {
+          console.log(`⏹️ Provisioning job ${job.id} was cancelled`);
+          return;
+        }
+
+        console.log(`⚙️ Provisioning job ${job.id} (${job.vm_name}): ${STAGES[i]}`);
+        this.publishProgress(job, { vmid, stage: STAGES[i], status: 'running' });
+        vmid = await this.runStage(STAGES[i], job, vmid);
+
+        if (i + 1 < STAGES.length) {
+          db.updateProvisioningJobStage(job.id, STAGES[i + 1], vmid);
+        }
+      }
+
+      db.completeProvisioningJob(job.id);
+      this.publishProgress(job, { vmid, stage: 'setup', status: 'completed' });
+      console.log(`✅ Provisioning job ${job.id} finished: VM ${vmid} (${job.vm_name})`);
+
+    } catch (error) {
+      const attempts = job.attempts + 1;
+
+      if (attempts >= job.max_attempts) {
+        db.failProvisioningJob(job.id, attempts, error.message);
+        this.publishProgress(job, { vmid, stage: this.getCurrentStage(job.id), status: 'failed', error: error.message });
+        console.error(`❌ Provisioning job ${job.id} (${job.vm_name}) failed after ${attempts} attempts:`, error.message);
+
+        db.logAction(job.user_id, 'vm_provisioning_failed', 'provisioning_job', job.id.toString(), {
+          vmName: job.vm_name,
+          planType: job.plan_type,
+          stage: this.getCurrentStage(job.id),
+          attempts,
+          error: error.message
+        }, 'system');
+      } else {
+        const delay = Math.min(this.baseRetryDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+        db.scheduleProvisioningJobRetry(job.id, attempts, error.message, delay);
+        this.publishProgress(job, { vmid, stage: this.getCurrentStage(job.id), status: 'retrying', error: error.message });
+        console.error(`⚠️ Provisioning job ${job.id} (${job.vm_name}) attempt ${attempts} failed, retrying in ${delay}s:`, error.message);
+      }
+    }
+
+    await this.updateSetupProgress(job);
+  }
+
+  async runStage(stage, job, vmid) {
+    switch (stage) {
+      case 'clone':
+        return this.cloneStage(job, vmid);
+
+      case 'configure': {
+        const vmConfig = proxmoxService.getVMConfigForPlan(job.plan_type);
+        if (vmConfig && Object.keys(vmConfig).length > 0) {
+          await proxmoxService.updateVMConfig(vmid, vmConfig);
+        }
+        return vmid;
+      }
+
+      case 'start': {
+        const status = await proxmoxService.getVMStatus(vmid);
+        if (status.status !== 'running') {
+          await proxmoxService.startVM(vmid);
+        }
+        return vmid;
+      }
+
+      case 'setup': {
+        // The farming agent can't report without its credentials, so the VM isn't
+        // handed over before they are in place
+        await vmAgent.issueCredential(vmid);
+        db.assignVMToUser(job.user_id, vmid);
+        if (job.template_id) {
+          db.setVMTemplate(vmid, job.template_id);
+        }
+        const plan = PLANS[job.plan_type];
+        if (plan) {
+          db.setVMPlanSpec(vmid, { planType: job.plan_type, cores: plan.cores, memory: plan.memory });
+        }
+        await this.recordCreatedVM(job, vmid);
+        return vmid;
+      }
+
+      default:
+        throw new Error(`Unknown provisioning stage: ${stage}`);
+    }
+  }
+
+  async cloneStage(job, previousVmid) {
+    // A previous attempt may have left a half-finished clone behind
+    if (previousVmid) {
+      await this.removePartialClone(job, previousVmid);
+    }
+
+    const vmid = await vmidAllocator.reserve({ jobId: job.id, userId: job.user_id });
+
+    // Record the VMID before cloning so a retry can find a partial clone
+    db.updateProvisioningJobStage(job.id, 'clone', vmid);
+
+    try {
+      const targetNode = await proxmoxService.selectNodeForPlacement({
+        ...proxmoxService.getVMConfigForPlan(job.plan_type),
+        sourceVmid: job.template_vmid
+      });
+      const cloneTask = await proxmoxService.cloneVM(job.template_vmid, vmid, job.vm_name, {
+        fullClone: false, // linked clone
+        targetNode,
+        description: `VM for user ${job.vm_name.split('-')[0]} | Plan: ${job.plan_type} | Created: ${new Date().toISOString()}`
+      });
+      await proxmoxService.waitForTask(cloneTask);
+    } catch (error) {
+      // Give the ID back straight away if nothing is left behind on it. If the
+      // partial clone can't be removed, the job keeps the VMID for the next attempt.
+      try {
+        await this.removePartialClone(job, vmid);
+      } catch (cleanupError) {
+        console.error(`Failed to clean up partial clone ${vmid}:`, cleanupError.message);
+      }
+      throw error;
+    }
+
+    // The VM now exists in Proxmox, which keeps the ID taken from here on
+    vmidAllocator.release(vmid);
+    return vmid;
+  }
+
+  // Remove a half-finished clone left on a VMID and release its reservation. Only
+  // a VM that still carries this job's name is removed, so another customer's VM
+  // is never touched.
+  async removePartialClone(job, vmid) {
+    const existingConfig = await proxmoxService.getVMConfig(vmid).catch(() => null);
+    if (existingConfig && existingConfig.name === job.vm_name) {
+      console.log(`🧹 Removing partial clone ${vmid} for job ${job.id}`);
+      const destroyTask = await proxmoxService.destroyVM(vmid);
+      await proxmoxService.waitForTask(destroyTask);
+    }
+
+    vmidAllocator.release(vmid);
+    db.updateProvisioningJobStage(job.id, 'clone', null);
+  }
+
+  // Add the finished VM to the user's vm_setup row
+  async recordCreatedVM(job, vmid) {
+    const setup = await db.getActiveVMSetup(job.user_id);
+    if (!setup || setup.id !== job.setup_id) {
+      return;
+    }
+
+    const vmsCreated = (setup.setup_data.vmsCreated || [])
+      .filter(vm => vm.vmNumber !== job.vm_number)
+      .concat({ vmid, name: job.vm_name, vmNumber: job.vm_number })
+      .sort((a, b) => a.vmNumber - b.vmNumber);
+
+    await db.updateVMSetupVMs(job.user_id, vmsCreated.map(vm => vm.vmid), { vmsCreated });
+  }
+
+  // Move the vm_setup row on once every job of the setup has finished
+  async updateSetupProgress(job) {
+    try {
+      if (!job.setup_id) {
+        return;
+      }
+
+      const setup = await db.getActiveVMSetup(job.user_id);
+      if (!setup || setup.id !== job.setup_id || !['provisioning', 'failed'].includes(setup.status)) {
+        return;
+      }
+
+      const jobs = db.getProvisioningJobsForSetup(job.setup_id);
+      const vmsPending = jobs.filter(j => !FINISHED_STATUSES.includes(j.status)).length;
+      const completedJobs = jobs.filter(j => j.status === 'completed');
+
+      if (vmsPending > 0) {
+        await db.updateVMSetupStatus(job.user_id, 'provisioning', { vmsPending });
+        eventBus.publish('setup.status', { userId: job.user_id, status: 'provisioning', vmsPending });
+        return;
+      }
+
+      const status = completedJobs.length > 0 ? 'ready_for_setup' : 'failed';
+      await db.updateVMSetupStatus(job.user_id, status, {
+        vmsPending: 0,
+        provisioningCompletedAt: new Date().toISOString(),
+        error: completedJobs.length > 0 ? null : 'No VMs could be created'
+      });
+      eventBus.publish('setup.status', { userId: job.user_id, status, vmsPending: 0 });
+
+      db.logAction(job.user_id, 'vms_provisioned', 'subscription', job.payload.subscriptionId || 'unknown', {
+        planType: job.plan_type,
+        vmCount: jobs.length,
+        vmsCreated: completedJobs.map(j => ({ vmid: j.vmid, name: j.vm_name })),
+        template: job.template_vmid
+      }, 'system');
+
+      console.log(`🎉 Provisioned ${completedJobs.length}/${jobs.length} VMs for user ${job.user_id}`);
+    } catch (error) {
+      console.error(`Failed to update setup progress for job ${job.id}:`, error);
+    }
+  }
+
+  publishProgress(job, { vmid, stage, status, error = null }) {
+    eventBus.publish('provisioning.progress', {
+      userId: job.user_id,
+      jobId: job.id,
+      vmName: job.vm_name,
+      vmid: vmid || null,
+      stage,
+      status,
+      error
+    });
+  }
+
+  isCancelled(jobId) {
+    return db.getProvisioningJob(jobId)?.status === 'cancelled';
+  }
+
+  getCurrentStage(jobId) {
+    return db.getProvisioningJob(jobId)?.stage;
+  }
+
+  // Admin actions
+  async retryJob(jobId) {
+    const job = db.getProvisioningJob(jobId);
+    if (!job || !db.requeueProvisioningJob(jobId)) {
+      return false;
+    }
+
+    await this.updateSetupProgress(job);
+    setImmediate(() => this.processDueJobs());
+    return true;
+  }
+
+  async cancelJob(jobId) {
+    const job = db.getProvisioningJob(jobId);
+    if (!job || !db.cancelProvisioningJob(jobId)) {
+      return false;
+    }
+
+    await this.updateSetupProgress(job);
+    return true;
+  }
+}
+
+module.exports = new ProvisioningQueue();
@@ -1,27 +1,134 @@
 const axios = require('axios');
 const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { PLANS } = require('../config/plans');
+
+// Guest agent file-write rejects content longer than 60 KiB. Content is sent
+// base64 encoded, so each raw chunk must stay at 3/4 of that.
+const AGENT_FILE_WRITE_CHUNK_SIZE = 45 * 1024;
+
+// How long the VMID -> node map is trusted before it is reloaded from the cluster
+const VM_NODE_CACHE_TTL = 60 * 1000;
+
+// RRD timeframes offered for usage charts
+const METRICS_TIMEFRAMES = ['hour', 'day', 'week'];
+
+// Round an RRD value, keeping gaps (VM stopped, node down) as null
+const rrdValue = (value, digits = 0) => (typeof value === 'number' ? Number(value.toFixed(digits)) : null);
+
+// Normalize a SHA-256 certificate fingerprint ("AB:CD:..." or "abcd...") for comparison
+const normalizeFingerprint = (value) => String(value || '').replace(/:/g, '').trim().toUpperCase();
+
+// Quote a value for use inside a PowerShell single-quoted string
+const quotePowerShell = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// https.Agent that accepts the Proxmox certificate only if its SHA-256
+// fingerprint matches the pinned one, whoever signed it. Session resumption is
+// off because resumed sessions don't carry the peer certificate.
+class FingerprintPinningAgent extends https.Agent {
+  constructor(fingerprint, options = {}) {
+    super({ ...options, rejectUnauthorized: false, maxCachedSessions: 0 });
+    this.fingerprint = normalizeFingerprint(fingerprint);
+  }
+
+  createConnection(options, callback) {
+    const socket = super.createConnection(options, callback);
+    socket.once('secureConnect', () => {
+      const actual = normalizeFingerprint(socket.getPeerCertificate().fingerprint256);
+      if (actual !== this.fingerprint) {
+        socket.destroy(new Error(`Proxmox certificate fingerprint mismatch (got ${actual || 'none'})`));
+      }
+    });
+    return socket;
+  }
+}
 
 class ProxmoxService {
   constructor() {
     this.host = process.env.PROXMOX_HOST;
     this.username = process.env.PROXMOX_USERNAME;
     this.password = process.env.PROXMOX_PASSWORD;
-    this.node = process.env.PROXMOX_NODE;
+    this.tokenId = process.env.PROXMOX_TOKEN_ID; // e.g. root@pam!dashboard
+    this.tokenSecret = process.env.PROXMOX_TOKEN_SECRET;
+    this.node = process.env.PROXMOX_NODE; // default node, used when a VM's node is unknown
+    this.vmNodes = new Map(); // vmid -> node the VM lives on
+    this.vmNodesUpdatedAt = 0;
     this.ticket = null;
     this.csrfToken = null;
     this.ticketExpiry = null;
+    this.authPromise = null;
 
-    // Create axios instance with SSL verification disabled (for self-signed certs)
     this.client = axios.create({
       baseURL: this.host,
       timeout: 30000,
-      httpsAgent: new https.Agent({
-        rejectUnauthorized: false
-      })
+      httpsAgent: this.createHttpsAgent()
+    });
+
+    if (this.usesApiToken()) {
+      this.client.defaults.headers.common['Authorization'] = `PVEAPIToken=${this.tokenId}=${this.tokenSecret}`;
+    }
+
+    // A ticket can be revoked before it expires. On a 401, log in again once and
+    // replay the request. API tokens can't be refreshed, so their 401s are final.
+    this.client.interceptors.response.use(null, async (error) => {
+      const config = error.config;
+      const isUnauthorized = error.response && error.response.status === 401;
+
+      if (!isUnauthorized || !config || config._authRetried || this.usesApiToken() ||
+          config.url.endsWith('/access/ticket')) {
+        throw error;
+      }
+
+      // Requests that failed together share one login; a ticket that was already
+      // replaced meanwhile is simply retried
+      if (config.headers['Cookie'] === `PVEAuthCookie=${this.ticket}`) {
+        console.log('🔄 Proxmox rejected the ticket, re-authenticating');
+        this.ticket = null;
+      }
+      await this.ensureAuthenticated();
+
+      config._authRetried = true;
+      config.headers['Cookie'] = `PVEAuthCookie=${this.ticket}`;
+      config.headers['CSRFPreventionToken'] = this.csrfToken;
+      return this.client.request(config);
     });
   }
 
+  // TLS verification for the Proxmox API: a custom CA, a pinned certificate
+  // fingerprint, or (development only) no verification at all. Without any of
+  // these the system CA store is used.
+  createHttpsAgent() {
+    if (process.env.PROXMOX_CA_FILE) {
+      return new https.Agent({ ca: fs.readFileSync(process.env.PROXMOX_CA_FILE) });
+    }
+
+    if (process.env.PROXMOX_TLS_FINGERPRINT) {
+      return new FingerprintPinningAgent(process.env.PROXMOX_TLS_FINGERPRINT);
+    }
+
+    if (process.env.PROXMOX_TLS_INSECURE === 'true') {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('PROXMOX_TLS_INSECURE is not allowed in production. Set PROXMOX_CA_FILE or PROXMOX_TLS_FINGERPRINT');
+      }
+      console.warn('⚠️ Proxmox TLS certificate verification is disabled (PROXMOX_TLS_INSECURE)');
+      return new https.Agent({ rejectUnauthorized: false });
+    }
+
+    return new https.Agent();
+  }
+
+  usesApiToken() {
+    return Boolean(this.tokenId && this.tokenSecret);
+  }
+
   async authenticate() {
+    if (this.usesApiToken()) {
+      return true;
+    }
+
     try {
       const response = await this.client.post('/api2/json/access/ticket', {
         username: this.username,
@@ -48,27 +155,139 @@ class ProxmoxService {
     }
   }
 
+  // Concurrent callers share a single login request
   async ensureAuthenticated() {
+    if (this.usesApiToken()) {
+      return;
+    }
+
     if (!this.ticket || !this.ticketExpiry || Date.now() >= this.ticketExpiry) {
-      await this.authenticate();
+      if (!this.authPromise) {
+        this.authPromise = this.authenticate().finally(() => {
+          this.authPromise = null;
+        });
+      }
+      await this.authPromise;
     }
   }
 
-  async getVMs() {
+  // Cluster layout
+  async getClusterResources(type) {
     await this.ensureAuthenticated();
     try {
-      const response = await this.client.get(`/api2/json/nodes/${this.node}/qemu`);
+      const response = await this.client.get('/api2/json/cluster/resources', { params: type ? { type } : {} });
       return response.data.data || [];
+    } catch (error) {
+      console.error('Error fetching cluster resources:', error.message);
+      throw new Error(`Failed to fetch cluster resources: ${error.message}`);
+    }
+  }
+
+  // All QEMU VMs in the cluster. Also refreshes the VMID -> node map.
+  async getVMs() {
+    try {
+      const resources = await this.getClusterResources('vm');
+      const vms = resources
+        .filter(resource => resource.type === 'qemu')
+        .map(resource => ({
+          ...resource,
+          cpus: resource.maxcpu // same field name as /nodes/{node}/qemu
+        }));
+
+      this.vmNodes = new Map(vms.map(vm => [vm.vmid, vm.node]));
+      this.vmNodesUpdatedAt = Date.now();
+
+      return vms;
     } catch (error) {
       console.error('Error fetching VMs:', error.message);
       throw new Error(`Failed to fetch VMs: ${error.message}`);
     }
   }
 
+  // Node a VM lives on. Unknown VMIDs reload the map once, then fall back to the
+  // default node so the request fails at Proxmox with its usual error.
+  async getVMNode(vmid) {
+    vmid = parseInt(vmid);
+    const isFresh = Date.now() - this.vmNodesUpdatedAt < VM_NODE_CACHE_TTL;
+
+    if (!this.vmNodes.has(vmid) || !isFresh) {
+      try {
+        await this.getVMs();
+      } catch (error) {
+        if (!this.vmNodes.has(vmid)) {
+          return this.node;
+        }
+      }
+    }
+
+    return this.vmNodes.get(vmid) || this.node;
+  }
+
+  async getNodes() {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.get('/api2/json/nodes');
+      return (response.data.data || []).sort((a, b) => a.node.localeCompare(b.node));
+    } catch (error) {
+      console.error('Error fetching nodes:', error.message);
+      throw new Error(`Failed to fetch nodes: ${error.message}`);
+    }
+  }
+
+  // Storage IDs whose disks a VM uses, CD-ROM drives left out
+  async getVMStorages(vmid) {
+    const config = await this.getVMConfig(vmid);
+    const storages = Object.entries(config)
+      .filter(([key, value]) => /^(ide|sata|scsi|virtio|efidisk|tpmstate)\d+$/.test(key) && typeof value === 'string')
+      .filter(([, value]) => !value.includes('media=cdrom') && value.includes(':'))
+      .map(([, value]) => value.split(':')[0]);
+
+    return [...new Set(storages)];
+  }
+
+  // Proxmox only clones a VM onto another node when all of its disks are on shared storage
+  async isOnSharedStorage(vmid) {
+    await this.ensureAuthenticated();
+    const [storages, response] = await Promise.all([
+      this.getVMStorages(vmid),
+      this.client.get('/api2/json/storage')
+    ]);
+    const shared = new Set((response.data.data || []).filter(storage => storage.shared).map(storage => storage.storage));
+
+    return storages.every(storage => shared.has(storage));
+  }
+
+  // Pick the online node with the most free CPU and RAM for a new VM. Nodes that
+  // can't fit the requested memory are skipped while any node still can. A clone
+  // of a template on local storage has to stay on the template's node.
+  async selectNodeForPlacement({ memory = 0, sourceVmid = null } = {}) {
+    if (sourceVmid && !(await this.isOnSharedStorage(sourceVmid))) {
+      const sourceNode = await this.getVMNode(sourceVmid);
+      console.log(`📍 Placing new VM on node ${sourceNode}, template ${sourceVmid} is on local storage`);
+      return sourceNode;
+    }
+
+    const nodes = (await this.getNodes()).filter(node => node.status === 'online' && node.maxmem);
+    if (nodes.length === 0) {
+      return this.node;
+    }
+
+    const requiredBytes = memory * 1024 * 1024;
+    const withRoom = nodes.filter(node => node.maxmem - node.mem >= requiredBytes);
+    const candidates = withRoom.length > 0 ? withRoom : nodes;
+
+    // Free CPU share plus free memory share, each between 0 and 1
+    const score = node => (1 - (node.cpu || 0)) + (node.maxmem - node.mem) / node.maxmem;
+    const best = candidates.reduce((a, b) => (score(b) > score(a) ? b : a));
+
+    console.log(`📍 Placing new VM on node ${best.node}`);
+    return best.node;
+  }
+
   async getVMStatus(vmid) {
     await this.ensureAuthenticated();
     try {
-      const response = await this.client.get(`/api2/json/nodes/${this.node}/qemu/${vmid}/status/current`);
+      const response = await this.client.get(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/status/current`);
       return response.data.data;
     } catch (error) {
       console.error(`Error fetching VM ${vmid} status:`, error.message);
@@ -79,7 +298,7 @@ class ProxmoxService {
   async startVM(vmid) {
     await this.ensureAuthenticated();
     try {
-      const response = await this.client.post(`/api2/json/nodes/${this.node}/qemu/${vmid}/status/start`);
+      const response = await this.client.post(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/status/start`);
       return response.data.data;
     } catch (error) {
       console.error(`Error starting VM ${vmid}:`, error.message);
@@ -90,7 +309,7 @@ class ProxmoxService {
   async stopVM(vmid) {
     await this.ensureAuthenticated();
     try {
-      const response = await this.client.post(`/api2/json/nodes/${this.node}/qemu/${vmid}/status/stop`);
+      const response = await this.client.post(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/status/stop`);
       return response.data.data;
     } catch (error) {
       console.error(`Error stopping VM ${vmid}:`, error.message);
@@ -101,7 +320,7 @@ class ProxmoxService {
   async shutdownVM(vmid) {
     await this.ensureAuthenticated();
     try {
-      const response = await this.client.post(`/api2/json/nodes/${this.node}/qemu/${vmid}/status/shutdown`);
+      const response = await this.client.post(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/status/shutdown`);
       return response.data.data;
     } catch (error) {
       console.error(`Error shutting down VM ${vmid}:`, error.message);
@@ -112,7 +331,7 @@ class ProxmoxService {
   async rebootVM(vmid) {
     await this.ensureAuthenticated();
     try {
-      const response = await this.client.post(`/api2/json/nodes/${this.node}/qemu/${vmid}/status/reboot`);
+      const response = await this.client.post(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/status/reboot`);
       return response.data.data;
     } catch (error) {
       console.error(`Error rebooting VM ${vmid}:`, error.message);
@@ -120,6 +339,18 @@ class ProxmoxService {
     }
   }
 
+  // Hard reset, like pressing the reset button. Works when the guest no longer reacts to ACPI.
+  async resetVM(vmid) {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.post(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/status/reset`);
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error resetting VM ${vmid}:`, error.message);
+      throw new Error(`Failed to reset VM: ${error.message}`);
+    }
+  }
+
   async destroyVM(vmid) {
     await this.ensureAuthenticated();
     try {
@@ -139,7 +370,8 @@ class ProxmoxService {
       }
       
       // Destroy the VM (permanently delete)
-      const response = await this.client.delete(`/api2/json/nodes/${this.node}/qemu/${vmid}`);
+      const response = await this.client.delete(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}`);
+      this.vmNodes.delete(parseInt(vmid));
       console.log(`VM ${vmid} destroyed successfully`);
       return response.data.data;
     } catch (error) {
@@ -151,7 +383,7 @@ class ProxmoxService {
   async getVMConfig(vmid) {
     await this.ensureAuthenticated();
     try {
-      const response = await this.client.get(`/api2/json/nodes/${this.node}/qemu/${vmid}/config`);
+      const response = await this.client.get(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/config`);
       return response.data.data;
     } catch (error) {
       console.error(`Error fetching VM ${vmid} config:`, error.message);
@@ -159,10 +391,148 @@ class ProxmoxService {
     }
   }
 
-  async getNodeStatus() {
+  // Console
+
+  // Ask Proxmox for a one-time VNC ticket and port for a VM's console websocket
+  async createVNCProxy(vmid) {
+    await this.ensureAuthenticated();
+    try {
+      const node = await this.getVMNode(vmid);
+      const response = await this.client.post(`/api2/json/nodes/${node}/qemu/${vmid}/vncproxy`, {
+        websocket: 1
+      });
+      return { node, ...response.data.data };
+    } catch (error) {
+      console.error(`Error creating VNC proxy for VM ${vmid}:`, error.message);
+      throw new Error(`Failed to open console: ${error.message}`);
+    }
+  }
+
+  // Open the Proxmox end of a console websocket, authenticated like the API
+  // client and through the same TLS verification
+  async openVNCWebSocket(node, vmid, { port, ticket }) {
+    await this.ensureAuthenticated();
+
+    const url = new URL(`/api2/json/nodes/${node}/qemu/${vmid}/vncwebsocket`, this.host);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.searchParams.set('port', port);
+    url.searchParams.set('vncticket', ticket);
+
+    const headers = this.usesApiToken()
+      ? { Authorization: `PVEAPIToken=${this.tokenId}=${this.tokenSecret}` }
+      : { Cookie: `PVEAuthCookie=${this.ticket}` };
+
+    return new WebSocket(url.toString(), 'binary', {
+      headers,
+      agent: url.protocol === 'wss:' ? this.client.defaults.httpsAgent : undefined
+    });
+  }
+
+  // Snapshots
+
+  async getSnapshots(vmid) {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.get(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/snapshot`);
+      // Proxmox lists the live state as a pseudo-snapshot called "current"
+      return response.data.data.filter(snapshot => snapshot.name !== 'current');
+    } catch (error) {
+      console.error(`Error fetching snapshots for VM ${vmid}:`, error.message);
+      throw new Error(`Failed to fetch snapshots: ${error.message}`);
+    }
+  }
+
+  async createSnapshot(vmid, snapname, { description = '', includeRAM = false } = {}) {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.post(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/snapshot`, {
+        snapname,
+        description,
+        vmstate: includeRAM ? 1 : 0
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error creating snapshot ${snapname} of VM ${vmid}:`, error.message);
+      throw new Error(`Failed to create snapshot: ${error.message}`);
+    }
+  }
+
+  async rollbackSnapshot(vmid, snapname) {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.post(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/snapshot/${encodeURIComponent(snapname)}/rollback`);
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error rolling back VM ${vmid} to snapshot ${snapname}:`, error.message);
+      throw new Error(`Failed to restore snapshot: ${error.message}`);
+    }
+  }
+
+  async deleteSnapshot(vmid, snapname) {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.delete(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/snapshot/${encodeURIComponent(snapname)}`);
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error deleting snapshot ${snapname} of VM ${vmid}:`, error.message);
+      throw new Error(`Failed to delete snapshot: ${error.message}`);
+    }
+  }
+
+  // Metrics
+
+  isValidMetricsTimeframe(timeframe) {
+    return METRICS_TIMEFRAMES.includes(timeframe);
+  }
+
+  // Averaged RRD history of a VM, one point per minute (hour), 30 minutes (day) or 3 hours (week)
+  async getVMMetrics(vmid, timeframe = 'hour') {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.get(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/rrddata`, {
+        params: { timeframe, cf: 'AVERAGE' }
+      });
+      return this.formatMetrics(response.data.data);
+    } catch (error) {
+      console.error(`Error fetching metrics for VM ${vmid}:`, error.message);
+      throw new Error(`Failed to fetch VM metrics: ${error.message}`);
+    }
+  }
+
+  async getNodeMetrics(node = this.node, timeframe = 'hour') {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.get(`/api2/json/nodes/${node}/rrddata`, {
+        params: { timeframe, cf: 'AVERAGE' }
+      });
+      return this.formatMetrics(response.data.data);
+    } catch (error) {
+      console.error(`Error fetching metrics for node ${node}:`, error.message);
+      throw new Error(`Failed to fetch node metrics: ${error.message}`);
+    }
+  }
+
+  // VM and node RRD points name memory differently and nodes have no disk IO.
+  // Rates are bytes per second, CPU is a percentage of all cores.
+  formatMetrics(points = []) {
+    return points
+      .map(point => ({
+        time: new Date(point.time * 1000).toISOString(),
+        cpu: typeof point.cpu === 'number' ? rrdValue(point.cpu * 100, 1) : null,
+        memoryUsed: rrdValue(point.mem ?? point.memused),
+        memoryTotal: rrdValue(point.maxmem ?? point.memtotal),
+        diskRead: rrdValue(point.diskread),
+        diskWrite: rrdValue(point.diskwrite),
+        netIn: rrdValue(point.netin),
+        netOut: rrdValue(point.netout)
+      }))
+      .sort((a, b) => a.time.localeCompare(b.time));
+  }
+
+  async getNodeStatus(node = this.node) {
     await this.ensureAuthenticated();
     try {
-      const response = await this.client.get(`/api2/json/nodes/${this.node}/status`);
+      const response = await this.client.get(`/api2/json/nodes/${node}/status`);
       return response.data.data;
     } catch (error) {
       console.error(`Error fetching node status:`, error.message);
@@ -170,12 +540,12 @@ class ProxmoxService {
     }
   }
 
-  async getNodeInfo() {
+  async getNodeInfo(node = this.node) {
     await this.ensureAuthenticated();
     try {
       // Get both status and version info
       const [statusResponse, versionResponse] = await Promise.all([
-        this.client.get(`/api2/json/nodes/${this.node}/status`),
+        this.client.get(`/api2/json/nodes/${node}/status`),
         this.client.get(`/api2/json/version`)
       ]);
 
@@ -183,7 +553,7 @@ class ProxmoxService {
       const version = versionResponse.data.data;
 
       return {
-        node: this.node,
+        node,
         status: status.pveversion ? 'online' : 'unknown',
         
         // CPU info
@@ -217,6 +587,35 @@ class ProxmoxService {
     }
   }
 
+  // getNodeInfo for every node in the cluster. Offline nodes are listed with
+  // empty metrics instead of failing the whole request.
+  async getAllNodesInfo() {
+    const nodes = await this.getNodes();
+
+    return Promise.all(nodes.map(async ({ node, status }) => {
+      if (status === 'online') {
+        try {
+          return await this.getNodeInfo(node);
+        } catch (error) {
+          // Reported as unreachable below
+        }
+      }
+
+      return {
+        node,
+        status: status === 'online' ? 'unreachable' : (status || 'unknown'),
+        cpu: { usage: 0, cores: 'N/A' },
+        memory: { used: 0, total: 0, usage: 0 },
+        uptime: 'Unknown',
+        uptimeSeconds: 0,
+        iowait: 0,
+        loadavg: [0, 0, 0],
+        pveVersion: 'Unknown',
+        kernelVersion: 'Unknown'
+      };
+    }));
+  }
+
   formatUptime(seconds) {
     const days = Math.floor(seconds / 86400);
     const hours = Math.floor((seconds % 86400) / 3600);
@@ -236,13 +635,18 @@ class ProxmoxService {
     await this.ensureAuthenticated();
     try {
       // Extract internal options that shouldn't be sent to Proxmox API
-      const { fullClone, ...proxmoxOptions } = options;
+      const { fullClone, targetNode, ...proxmoxOptions } = options;
+
+      // Cloning onto another node needs the template's disks on shared storage,
+      // see selectNodeForPlacement
+      const sourceNode = await this.getVMNode(sourceVmid);
+      const target = targetNode || sourceNode;
       
       const cloneParams = {
         newid: newVmid,
         name: vmName,
         full: fullClone ? 1 : 0, // 0 for linked clone, 1 for full clone
-        target: this.node,
+        target,
         ...proxmoxOptions  // Only include valid Proxmox parameters
       };
 
@@ -250,9 +654,11 @@ class ProxmoxService {
       console.log('Clone parameters:', JSON.stringify(cloneParams, null, 2));
       
       const response = await this.client.post(
-        `/api2/json/nodes/${this.node}/qemu/${sourceVmid}/clone`,
+        `/api2/json/nodes/${sourceNode}/qemu/${sourceVmid}/clone`,
         cloneParams
       );
+
+      this.vmNodes.set(parseInt(newVmid), target);
       
       return response.data.data;
     } catch (error) {
@@ -290,7 +696,7 @@ class ProxmoxService {
       console.log(`Updating VM ${vmid} configuration:`, config);
       
       const response = await this.client.put(
-        `/api2/json/nodes/${this.node}/qemu/${vmid}/config`,
+        `/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/config`,
         config
       );
       
@@ -301,32 +707,37 @@ class ProxmoxService {
     }
   }
 
-  async getNextAvailableVMID(startRange = 3001, endRange = 3999) {
+  // /cluster/nextid echoes the ID back when no VM or container in the cluster uses
+  // it, and answers 400 when it is taken
+  async isVMIDAvailable(vmid) {
     await this.ensureAuthenticated();
     try {
-      const vms = await this.getVMs();
-      const usedIds = new Set(vms.map(vm => vm.vmid));
-      
-      for (let vmid = startRange; vmid <= endRange; vmid++) {
-        if (!usedIds.has(vmid)) {
-          return vmid;
-        }
-      }
-      
-      throw new Error(`No available VM IDs in range ${startRange}-${endRange}`);
+      const response = await this.client.get('/api2/json/cluster/nextid', { params: { vmid } });
+      return parseInt(response.data.data) === vmid;
     } catch (error) {
-      console.error('Error finding next available VM ID:', error.message);
-      throw error;
+      if (error.response && error.response.status === 400) {
+        return false;
+      }
+      console.error(`Error checking VMID ${vmid}:`, error.message);
+      throw new Error(`Failed to check VMID availability: ${error.message}`);
     }
   }
 
+  // Tasks are queried on the node that runs them, which is the second field of
+  // the UPID (UPID:node:pid:pstart:starttime:type:id:user:)
+  getTaskNode(taskId) {
+    const parts = String(taskId).split(':');
+    return parts[0] === 'UPID' && parts[1] ? parts[1] : this.node;
+  }
+
   async waitForTask(taskId, timeout = 300000) {
     await this.ensureAuthenticated();
     const startTime = Date.now();
+    const node = this.getTaskNode(taskId);
     
     while (Date.now() - startTime < timeout) {
       try {
-        const response = await this.client.get(`/api2/json/nodes/${this.node}/tasks/${taskId}/status`);
+        const response = await this.client.get(`/api2/json/nodes/${node}/tasks/${taskId}/status`);
         const task = response.data.data;
         
         if (task.status === 'stopped') {
@@ -353,23 +764,31 @@ class ProxmoxService {
     try {
       console.log(`Creating VM for user ${userAccountId}, VM #${vmNumber}, plan: ${planType}`);
       
-      // Get next available VM ID
-      const newVmid = await this.getNextAvailableVMID();
+      // Reserve a VM ID for the clone (required lazily, the allocator depends on this service)
+      const vmidAllocator = require('./vmidAllocator');
+      const newVmid = await vmidAllocator.reserve();
       
       // Generate VM name based on user account ID and VM number
       // userAccountId should be like "OD02BO", resulting in names like "OD02BO-01", "OD02BO-02"
       const vmName = `${userAccountId}-${String(vmNumber).padStart(2, '0')}`;
       
-      console.log(`Cloning template ${templateVmid} to VM ${newVmid} (${vmName})`);
-      
-      // Create linked clone
-      const cloneTask = await this.cloneVM(templateVmid, newVmid, vmName, {
-        fullClone: false, // linked clone
-        description: `VM for user ${userAccountId} | Plan: ${planType} | Created: ${new Date().toISOString()}`
-      });
-      
-      // Wait for clone operation to complete
-      await this.waitForTask(cloneTask);
+      // Once the clone exists Proxmox reports the ID as taken, and a failed clone
+      // frees it, so the reservation is no longer needed either way
+      try {
+        const targetNode = await this.selectNodeForPlacement({ ...this.getVMConfigForPlan(planType), sourceVmid: templateVmid });
+        console.log(`Cloning template ${templateVmid} to VM ${newVmid} (${vmName}) on ${targetNode}`);
+
+        // Create linked clone
+        const cloneTask = await this.cloneVM(templateVmid, newVmid, vmName, {
+          fullClone: false, // linked clone
+          targetNode,
+          description: `VM for user ${userAccountId} | Plan: ${planType} | Created: ${new Date().toISOString()}`
+        });
+
+        await this.waitForTask(cloneTask);
+      } finally {
+        vmidAllocator.release(newVmid);
+      }
       console.log(`Clone operation completed for VM ${newVmid}`);
       
       // Configure VM based on plan type
@@ -402,39 +821,91 @@ class ProxmoxService {
   }
 
   getVMConfigForPlan(planType) {
-    const configs = {
-      'hour_booster': {
-        cores: 2,
-        memory: 4096,
-        description: 'Hour Booster Plan - 2 vCPUs, 4GB RAM'
-      },
-      'dual_mode': {
-        cores: 2,
-        memory: 4096,
-        description: 'Dual Mode Plan - 2 vCPUs, 4GB RAM'
-      },
-      'kd_drop': {
-        cores: 4,
-        memory: 8192,
-        description: 'KD Drop Plan - 4 vCPUs, 8GB RAM'
-      }
+    const plan = PLANS[planType];
+    if (!plan) {
+      return {};
+    }
+
+    return {
+      cores: plan.cores,
+      memory: plan.memory,
+      description: `${plan.name} Plan - ${plan.cores} vCPUs, ${plan.memory / 1024}GB RAM`
     };
-    
-    return configs[planType] || {};
   }
 
+  // Write a single buffer to a file inside the VM through the guest agent
+  async writeFileOnVM(vmid, remoteFilePath, buffer) {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.post(
+        `/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/agent/file-write`,
+        {
+          file: remoteFilePath,
+          content: buffer.toString('base64'),
+          encode: 0 // content is already base64
+        }
+      );
+
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error writing file ${remoteFilePath} on VM ${vmid}:`, error.message);
+      throw new Error(`Failed to write file on VM: ${error.message}`);
+    }
+  }
+
+  // Copy a local file into the VM. Files larger than one file-write call are
+  // sent as numbered parts and joined on the VM, then the SHA-256 of the result
+  // is compared with the local file.
   async uploadFileToVM(vmid, localFilePath, remoteFilePath) {
-    // This would require additional setup with file transfer methods
-    // For now, we'll create a placeholder that logs the intended action
-    console.log(`TODO: Upload file ${localFilePath} to VM ${vmid} at ${remoteFilePath}`);
-    
-    // In a real implementation, this might use:
-    // - Proxmox guest agent file transfer
-    // - SCP/SFTP if network access is available
-    // - Shared storage mounting
-    // - CD-ROM ISO with files
-    
-    return { success: true, message: 'File upload queued' };
+    try {
+      const data = await fs.promises.readFile(localFilePath);
+      const checksum = crypto.createHash('sha256').update(data).digest('hex');
+      const chunkCount = Math.max(1, Math.ceil(data.length / AGENT_FILE_WRITE_CHUNK_SIZE));
+
+      // file-write does not create missing directories
+      const remoteDir = path.win32.dirname(remoteFilePath);
+      await this.runPowerShellOnVM(
+        vmid,
+        `New-Item -ItemType Directory -Force -Path ${quotePowerShell(remoteDir)} | Out-Null`
+      );
+
+      if (chunkCount === 1) {
+        await this.writeFileOnVM(vmid, remoteFilePath, data);
+      } else {
+        for (let i = 0; i < chunkCount; i++) {
+          const chunk = data.subarray(i * AGENT_FILE_WRITE_CHUNK_SIZE, (i + 1) * AGENT_FILE_WRITE_CHUNK_SIZE);
+          await this.writeFileOnVM(vmid, `${remoteFilePath}.part${String(i).padStart(4, '0')}`, chunk);
+        }
+
+        await this.runPowerShellOnVM(vmid, [
+          `$dest = ${quotePowerShell(remoteFilePath)}`,
+          '$out = [System.IO.File]::Create($dest)',
+          `try { for ($i = 0; $i -lt ${chunkCount}; $i++) { $part = '{0}.part{1:D4}' -f $dest, $i; $bytes = [System.IO.File]::ReadAllBytes($part); $out.Write($bytes, 0, $bytes.Length); Remove-Item -LiteralPath $part } } finally { $out.Close() }`
+        ].join('; '));
+      }
+
+      const hashResult = await this.runPowerShellOnVM(
+        vmid,
+        `(Get-FileHash -Algorithm SHA256 -LiteralPath ${quotePowerShell(remoteFilePath)}).Hash`
+      );
+      const remoteChecksum = hashResult.stdout.trim().toLowerCase();
+
+      if (remoteChecksum !== checksum) {
+        throw new Error(`Checksum mismatch (expected ${checksum}, got ${remoteChecksum || 'nothing'})`);
+      }
+
+      console.log(`📁 Uploaded ${data.length} bytes to VM ${vmid} at ${remoteFilePath} in ${chunkCount} chunk(s)`);
+
+      return {
+        success: true,
+        bytes: data.length,
+        chunks: chunkCount,
+        sha256: checksum
+      };
+    } catch (error) {
+      console.error(`Error uploading file to VM ${vmid}:`, error.message);
+      throw new Error(`Failed to upload file to VM: ${error.message}`);
+    }
   }
 
   async executeCommandOnVM(vmid, command) {
@@ -442,7 +913,7 @@ class ProxmoxService {
     try {
       // This requires Proxmox guest agent to be installed on the VM
       const response = await this.client.post(
-        `/api2/json/nodes/${this.node}/qemu/${vmid}/agent/exec`,
+        `/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/agent/exec`,
         {
           command: Array.isArray(command) ? command : [command]
         }
@@ -454,6 +925,83 @@ class ProxmoxService {
       throw new Error(`Failed to execute command on VM: ${error.message}`);
     }
   }
+
+  async getCommandStatus(vmid, pid) {
+    await this.ensureAuthenticated();
+    try {
+      const response = await this.client.get(
+        `/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/agent/exec-status`,
+        { params: { pid } }
+      );
+
+      return response.data.data;
+    } catch (error) {
+      console.error(`Error fetching command status on VM ${vmid}:`, error.message);
+      throw new Error(`Failed to fetch command status: ${error.message}`);
+    }
+  }
+
+  // Whether the guest agent inside the VM answers
+  async pingGuestAgent(vmid) {
+    await this.ensureAuthenticated();
+    try {
+      await this.client.post(`/api2/json/nodes/${await this.getVMNode(vmid)}/qemu/${vmid}/agent/ping`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Poll the guest agent until it answers, e.g. while a freshly cloned VM boots
+  async waitForGuestAgent(vmid, timeout = 300000) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+      if (await this.pingGuestAgent(vmid)) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+
+    throw new Error(`Guest agent on VM ${vmid} did not respond within ${timeout / 1000} seconds`);
+  }
+
+  // Poll exec-status until the guest process exits
+  async waitForCommand(vmid, pid, timeout = 120000) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+      const status = await this.getCommandStatus(vmid, pid);
+
+      if (status && status.exited) {
+        return {
+          pid,
+          exitCode: status.exitcode,
+          stdout: status['out-data'] || '',
+          stderr: status['err-data'] || '',
+          signal: status.signal
+        };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    throw new Error(`Command ${pid} on VM ${vmid} did not exit within ${timeout}ms`);
+  }
+
+  // Run a PowerShell snippet through the guest agent and fail on a non-zero exit code
+  async runPowerShellOnVM(vmid, script, timeout = 120000) {
+    const { pid } = await this.executeCommandOnVM(vmid, [
+      'powershell.exe', '-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-Command', script
+    ]);
+    const result = await this.waitForCommand(vmid, pid, timeout);
+
+    if (result.exitCode !== 0) {
+      throw new Error(`PowerShell exited with code ${result.exitCode}: ${result.stderr.trim() || result.stdout.trim()}`);
+    }
+
+    return result;
+  }
 }
 
 module.exports = new ProxmoxService(); 
\ No newline at end of file
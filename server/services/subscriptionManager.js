@@ -1,19 +1,38 @@
 const db = require('./database');
 const proxmoxService = require('./proxmox');
+const vmStatusCache = require('./vmStatusCache');
+const vmOperationLock = require('./vmOperationLock');
+const eventBus = require('./eventBus');
 
 class SubscriptionManager {
   constructor() {
+    this.checkInterval = null;
+    this.initialCheck = null;
+  }
+
+  start() {
+    if (this.checkInterval) {
+      return;
+    }
+
     // Check for expired subscriptions every hour
     this.checkInterval = setInterval(() => {
       this.checkExpiredSubscriptions();
     }, 60 * 60 * 1000); // 1 hour
     
     // Run initial check after 5 seconds
-    setTimeout(() => {
+    this.initialCheck = setTimeout(() => {
       this.checkExpiredSubscriptions();
     }, 5000);
   }
 
+  stop() {
+    clearInterval(this.checkInterval);
+    clearTimeout(this.initialCheck);
+    this.checkInterval = null;
+    this.initialCheck = null;
+  }
+
   async checkExpiredSubscriptions() {
     try {
       console.log('Checking for expired subscriptions and VM lifecycle management...');
@@ -140,14 +159,15 @@ class SubscriptionManager {
       let shutdownCount = 0;
       for (const vmid of userVMs) {
         try {
-          const vmStatus = await proxmoxService.getVMStatus(vmid);
+          const vmStatus = await vmStatusCache.getVMStatus(vmid);
           
           if (vmStatus.status === 'running') {
             const reason = user.subscription_plan === 'none' || !user.subscription_plan ? 
               'no_subscription' : 'subscription_expired';
             
             console.log(`Shutting down VM ${vmid} for user ${user.username} (${reason})`);
-            await proxmoxService.shutdownVM(vmid);
+            await vmOperationLock.runExclusive(vmid, 'shutdown', () => proxmoxService.shutdownVM(vmid));
+            vmStatusCache.invalidate(vmid);
             shutdownCount++;
             
             // Log the automatic shutdown
@@ -184,18 +204,10 @@ class SubscriptionManager {
   async markSubscriptionProcessed(userId) {
     try {
       const user = await db.findUserById(userId);
-      let subscriptionData = {};
-      
-      if (user.subscription_data) {
-        try {
-          subscriptionData = JSON.parse(user.subscription_data);
-        } catch (e) {
-          console.error('Error parsing subscription data:', e);
-        }
-      }
+      const subscriptionData = db.getSubscriptionData(userId);
       
       // Mark that VMs have been shut down for this inactive subscription
-      const hasSubscription = user.subscription_plan && user.subscription_plan !== 'none';
+      const hasSubscription = user.subscription.plan && user.subscription.plan !== 'none';
       
       if (hasSubscription) {
         subscriptionData.vmsShutdownOnExpiry = 1;
@@ -213,6 +225,8 @@ class SubscriptionManager {
       
       stmt.run(JSON.stringify(subscriptionData), userId);
       console.log(`Marked subscription as processed for user ${userId}`);
+
+      eventBus.publish('subscription.changed', { userId, reason: hasSubscription ? 'expired' : 'no_subscription' });
       
     } catch (error) {
       console.error(`Error marking subscription as processed for user ${userId}:`, error);
@@ -238,11 +252,12 @@ class SubscriptionManager {
       
       for (const vmid of userVMs) {
         try {
-          const vmStatus = await proxmoxService.getVMStatus(vmid);
+          const vmStatus = await vmStatusCache.getVMStatus(vmid);
           
           if (vmStatus.status === 'running') {
             console.log(`Shutting down VM ${vmid} for user ${user.username} (subscription became inactive)`);
-            await proxmoxService.shutdownVM(vmid);
+            await vmOperationLock.runExclusive(vmid, 'shutdown', () => proxmoxService.shutdownVM(vmid));
+            vmStatusCache.invalidate(vmid);
             shutdownCount++;
             
             // Log the immediate shutdown
@@ -274,7 +289,7 @@ class SubscriptionManager {
       return true;
     }
     
-    if (!user.subscription || user.subscription.plan === 'none') {
+    if (!user.subscription || user.subscription.plan === 'none' || !user.subscription.plan) {
       return false;
     }
     
@@ -288,6 +303,42 @@ class SubscriptionManager {
     return expiryDate > now;
   }
 
+  // Start, reboot and snapshot operations need an active subscription (admins
+  // always pass). Stop and shutdown are allowed regardless.
+  canPerformVMOperations(user) {
+    if (user.role === 'admin') {
+      return true;
+    }
+
+    return this.hasActiveSubscription(user);
+  }
+
+  // Reason a user's VMs may not be started or rebooted even with an active
+  // subscription, as { status, code, error }, or null when they may
+  getVMAccessRestriction(userId) {
+    const subscriptionData = db.getSubscriptionData(userId);
+
+    // Prevent starting VMs that were shutdown due to subscription issues
+    if (subscriptionData.vmsShutdownOnExpiry || subscriptionData.vmsShutdownOnNoSub) {
+      return {
+        status: 403,
+        code: 'VM_ACCESS_RESTRICTED',
+        error: 'VM access restricted due to previous subscription expiry. Please contact support if you believe this is an error.'
+      };
+    }
+
+    // If VMs were destroyed, they can't be started or rebooted
+    if (subscriptionData.vmsDestroyed) {
+      return {
+        status: 410,
+        code: 'VM_DESTROYED',
+        error: 'This VM was destroyed due to extended subscription expiry. Please purchase a new subscription to get new VMs.'
+      };
+    }
+
+    return null;
+  }
+
   async handleVMDestruction(user) {
     try {
       // Get all VMs assigned to this user
@@ -308,10 +359,11 @@ class SubscriptionManager {
           
           // Stop the VM first if it's running
           try {
-            const vmStatus = await proxmoxService.getVMStatus(vmid);
+            const vmStatus = await vmStatusCache.getVMStatus(vmid);
             if (vmStatus.status === 'running') {
               console.log(`Stopping VM ${vmid} before destruction`);
-              await proxmoxService.stopVM(vmid);
+              await vmOperationLock.runExclusive(vmid, 'stop', () => proxmoxService.stopVM(vmid));
+              vmStatusCache.invalidate(vmid);
               // Wait a bit for the VM to stop
               await new Promise(resolve => setTimeout(resolve, 5000));
             }
@@ -374,15 +426,7 @@ class SubscriptionManager {
   async markVMsDestroyed(userId) {
     try {
       const user = await db.findUserById(userId);
-      let subscriptionData = {};
-      
-      if (user.subscription_data) {
-        try {
-          subscriptionData = JSON.parse(user.subscription_data);
-        } catch (e) {
-          console.error('Error parsing subscription data:', e);
-        }
-      }
+      const subscriptionData = db.getSubscriptionData(userId);
       
       // Mark that VMs have been destroyed for this expired subscription
       subscriptionData.vmsDestroyed = 1;
@@ -419,14 +463,7 @@ class SubscriptionManager {
 
       console.log(`Processing subscription renewal for user ${user.username}`);
 
-      let subscriptionData = {};
-      if (user.subscription_data) {
-        try {
-          subscriptionData = JSON.parse(user.subscription_data);
-        } catch (e) {
-          console.error('Error parsing subscription data:', e);
-        }
-      }
+      const subscriptionData = db.getSubscriptionData(userId);
 
       // Clear shutdown and destruction flags
       const wasShutdown = subscriptionData.vmsShutdownOnExpiry || subscriptionData.vmsShutdownOnNoSub;
@@ -488,9 +525,7 @@ class SubscriptionManager {
 
   // Cleanup method
   destroy() {
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-    }
+    this.stop();
   }
 }
 
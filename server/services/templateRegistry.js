@@ -0,0 +1,32 @@
+const proxmoxService = require('./proxmox');
+const db = require('./database');
+
+// Proxmox templates customer VMs are cloned from. Admins register template
+// versions per plan and promote one of them; provisioning and rebuilds clone the
+// plan's active version and record it on the VM's assignment.
+class TemplateRegistry {
+  getTemplateForPlan(planType) {
+    const template = db.getActiveTemplate(planType);
+    if (!template) {
+      throw new Error(`No active template registered for plan ${planType}`);
+    }
+    return template;
+  }
+
+  // Check that a VMID exists in Proxmox and has been converted to a template
+  async inspect(vmid) {
+    try {
+      const config = await proxmoxService.getVMConfig(vmid);
+      return {
+        vmid,
+        exists: true,
+        isTemplate: config.template === 1 || config.template === '1',
+        name: config.name
+      };
+    } catch (error) {
+      return { vmid, exists: false, isTemplate: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new TemplateRegistry();
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const proxmoxService = require('./proxmox');
+const vmStatusCache = require('./vmStatusCache');
+const eventBus = require('./eventBus');
+const farmingTracker = require('./farmingTracker');
+const db = require('./database');
+
+// States the farming bot can report
+const BOT_STATES = ['starting', 'farming', 'idle', 'paused', 'error', 'stopped'];
+
+// The automation scripts read the VM's credentials from here
+const AGENT_CONFIG_PATH = 'C:\\automation\\agent.json';
+
+const fromSqliteDate = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null);
+
+// Heartbeats from the farming bot inside each VM. Every VM gets its own secret,
+// written into the VM when it is provisioned or rebuilt; the bot sends it with
+// each heartbeat. A running VM whose agent stops reporting is marked stale.
+class VMAgentService {
+  constructor() {
+    this.enabled = process.env.AGENT_HEARTBEAT_CHECK_ENABLED !== 'false';
+    this.staleAfterMinutes = parseInt(process.env.AGENT_HEARTBEAT_STALE_MINUTES) || 5;
+    this.retentionDays = parseInt(process.env.AGENT_HEARTBEAT_RETENTION_DAYS) || 7;
+    this.heartbeatInterval = 60; // seconds, told to the agent
+    this.agentTimeout = 10 * 60 * 1000; // a fresh clone is still booting Windows
+    this.checkInterval = 60 * 1000;
+    this.interval = null;
+  }
+
+  start() {
+    if (this.interval || !this.enabled) {
+      return;
+    }
+
+    this.interval = setInterval(() => this.checkStaleAgents(), this.checkInterval);
+    console.log(`💓 Agent heartbeat check started (stale after ${this.staleAfterMinutes} minutes)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  getHeartbeatUrl() {
+    if (process.env.AGENT_HEARTBEAT_URL) {
+      return process.env.AGENT_HEARTBEAT_URL;
+    }
+    const origin = process.env.CORS_ORIGIN || `http://localhost:${process.env.PORT || 5000}`;
+    return `${origin.replace(/\/$/, '')}/api/agent/heartbeat`;
+  }
+
+  // Give the VM a new secret. The config file is written before the hash is
+  // stored, so a failed write leaves the previous secret working.
+  async issueCredential(vmid) {
+    await proxmoxService.waitForGuestAgent(vmid, this.agentTimeout);
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const config = {
+      vmid,
+      secret,
+      heartbeatUrl: this.getHeartbeatUrl(),
+      intervalSeconds: this.heartbeatInterval
+    };
+    await proxmoxService.writeFileOnVM(vmid, AGENT_CONFIG_PATH, Buffer.from(JSON.stringify(config, null, 2)));
+
+    db.setVMAgentSecret(vmid, this.hashSecret(secret));
+    console.log(`🔑 Issued agent credentials for VM ${vmid}`);
+  }
+
+  // Agent a secret belongs to, or null
+  authenticate(secret) {
+    if (!secret) {
+      return null;
+    }
+    return db.getVMAgentBySecretHash(this.hashSecret(secret));
+  }
+
+  // Validate a heartbeat body. Returns { heartbeat } or { error } for a 400 response.
+  parseHeartbeat(body) {
+    const heartbeat = {
+      botState: body.botState,
+      gameRunning: body.gameRunning,
+      activity: body.activity ?? null,
+      agentVersion: body.agentVersion ?? null
+    };
+
+    if (!BOT_STATES.includes(heartbeat.botState)) {
+      return { error: `botState must be one of ${BOT_STATES.join(', ')}` };
+    }
+    if (typeof heartbeat.gameRunning !== 'boolean') {
+      return { error: 'gameRunning must be true or false' };
+    }
+    if (heartbeat.activity !== null && (typeof heartbeat.activity !== 'string' || heartbeat.activity.length > 200)) {
+      return { error: 'activity must be text of at most 200 characters' };
+    }
+    if (heartbeat.agentVersion !== null && (typeof heartbeat.agentVersion !== 'string' || heartbeat.agentVersion.length > 50)) {
+      return { error: 'agentVersion must be text of at most 50 characters' };
+    }
+
+    return { heartbeat };
+  }
+
+  recordHeartbeat(agent, heartbeat, ip) {
+    farmingTracker.recordAgentReport(agent);
+    const updated = db.recordVMHeartbeat(agent.vmid, { ...heartbeat, ip });
+
+    if (agent.stale_since) {
+      console.log(`💓 Agent on VM ${agent.vmid} is reporting again`);
+    }
+
+    this.publish(updated);
+    return updated;
+  }
+
+  // Mark agents of running VMs stale once their heartbeats stop. A VM that is
+  // off, or just booted, is not expected to report.
+  async checkStaleAgents() {
+    try {
+      const silent = db.getSilentVMAgents(`-${this.staleAfterMinutes} minutes`);
+      if (silent.length > 0) {
+        const vms = new Map((await vmStatusCache.getVMs()).map(vm => [vm.vmid, vm]));
+
+        for (const agent of silent) {
+          const vm = vms.get(agent.vmid);
+          if (!vm || vm.status !== 'running' || (vm.uptime || 0) < this.staleAfterMinutes * 60) {
+            continue;
+          }
+
+          if (db.markVMAgentStale(agent.vmid)) {
+            const stale = db.getVMAgent(agent.vmid);
+            const owner = db.getVMCustomer(agent.vmid);
+            db.logAction(owner?.id || null, 'vm_agent_stale', 'vm', agent.vmid.toString(), {
+              lastHeartbeatAt: fromSqliteDate(stale.last_heartbeat_at),
+              botState: stale.bot_state
+            }, 'system');
+            this.publish(stale);
+            console.warn(`💔 No heartbeat from the agent on VM ${agent.vmid} since ${stale.last_heartbeat_at}`);
+          }
+        }
+      }
+
+      db.pruneVMHeartbeats(`-${this.retentionDays} days`);
+    } catch (error) {
+      console.error('❌ Agent heartbeat check error:', error.message);
+    }
+  }
+
+  publish(agent) {
+    eventBus.publish('vm.agent', { vmid: agent.vmid, agent: this.formatAgent(agent) });
+  }
+
+  // Agent state as shown on the dashboard
+  formatAgent(agent) {
+    if (!agent) return null;
+
+    let status = 'ok';
+    if (!agent.last_heartbeat_at) {
+      status = 'waiting';
+    } else if (agent.stale_since) {
+      status = 'stale';
+    }
+
+    return {
+      status,
+      botState: agent.bot_state,
+      gameRunning: agent.game_running === null ? null : Boolean(agent.game_running),
+      activity: agent.activity,
+      agentVersion: agent.agent_version,
+      lastHeartbeatAt: fromSqliteDate(agent.last_heartbeat_at),
+      staleSince: fromSqliteDate(agent.stale_since),
+      issuedAt: fromSqliteDate(agent.issued_at)
+    };
+  }
+}
+
+module.exports = new VMAgentService();
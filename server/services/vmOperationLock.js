@@ -0,0 +1,114 @@
+const proxmoxService = require('./proxmox');
+const { getPlan } = require('../config/plans');
+
+// Keeps each VM to one Proxmox task at a time and rate-limits repeated power
+// actions. A lock is taken before the task is sent and held until Proxmox
+// reports the task finished, so a start can't race a shutdown from the
+// subscription manager and a reboot can't be queued behind another one.
+class VMOperationLock {
+  constructor() {
+    this.locks = new Map(); // vmid -> { action, startedAt, done }
+    this.lastActions = new Map(); // "vmid:action" -> time the action was last sent
+  }
+
+  isLocked(vmid) {
+    return this.locks.has(parseInt(vmid));
+  }
+
+  // Take the lock for a customer or admin request. Returns { status, code, error,
+  // retryAfter } when the VM is busy or the action is cooling down, null once the
+  // lock is held. Admins (plan null) have no cooldowns.
+  acquire(vmid, action, { plan = null } = {}) {
+    vmid = parseInt(vmid);
+
+    const lock = this.locks.get(vmid);
+    if (lock) {
+      return {
+        status: 409,
+        code: 'VM_BUSY',
+        error: `VM ${vmid} is still busy with a ${lock.action} action. Try again when it has finished.`,
+        retryAfter: 5
+      };
+    }
+
+    const remaining = this.getCooldownRemaining(vmid, action, plan);
+    if (remaining > 0) {
+      return {
+        status: 429,
+        code: 'ACTION_COOLDOWN',
+        error: `Please wait ${remaining} seconds before you ${action} VM ${vmid} again.`,
+        retryAfter: remaining
+      };
+    }
+
+    this.lock(vmid, action);
+    return null;
+  }
+
+  // Wait for the VM to be free and take the lock, for background jobs that must
+  // run their action eventually. Cooldowns don't apply.
+  async acquireWhenFree(vmid, action) {
+    vmid = parseInt(vmid);
+    while (this.locks.has(vmid)) {
+      await this.locks.get(vmid).done;
+    }
+    this.lock(vmid, action);
+  }
+
+  lock(vmid, action) {
+    let release;
+    const done = new Promise(resolve => {
+      release = resolve;
+    });
+    this.locks.set(vmid, { action, startedAt: Date.now(), done, release });
+  }
+
+  release(vmid) {
+    vmid = parseInt(vmid);
+    const lock = this.locks.get(vmid);
+    if (lock) {
+      this.locks.delete(vmid);
+      lock.release();
+    }
+  }
+
+  // Send the task of a held lock. Resolves with the task ID once Proxmox accepted
+  // it; the lock is released when the task finishes, or straight away if it
+  // couldn't be sent.
+  async runTask(vmid, action, startTask) {
+    vmid = parseInt(vmid);
+
+    let taskId;
+    try {
+      taskId = await startTask();
+    } catch (error) {
+      this.release(vmid);
+      throw error;
+    }
+
+    this.lastActions.set(`${vmid}:${action}`, Date.now());
+
+    proxmoxService.waitForTask(taskId)
+      .catch(error => console.error(`❌ ${action} task of VM ${vmid} failed:`, error.message))
+      .finally(() => this.release(vmid));
+
+    return taskId;
+  }
+
+  // Take the lock as a background job and run the task
+  async runExclusive(vmid, action, startTask) {
+    await this.acquireWhenFree(vmid, action);
+    return this.runTask(vmid, action, startTask);
+  }
+
+  getCooldownRemaining(vmid, action, plan) {
+    const seconds = plan ? getPlan(plan)?.actionCooldowns?.[action] : null;
+    const lastAction = this.lastActions.get(`${parseInt(vmid)}:${action}`);
+    if (!seconds || !lastAction) {
+      return 0;
+    }
+    return Math.max(Math.ceil((lastAction + seconds * 1000 - Date.now()) / 1000), 0);
+  }
+}
+
+module.exports = new VMOperationLock();
@@ -0,0 +1,150 @@
+const proxmoxService = require('./proxmox');
+const vmStatusCache = require('./vmStatusCache');
+const vmOperationLock = require('./vmOperationLock');
+const eventBus = require('./eventBus');
+const db = require('./database');
+const { getPlan } = require('../config/plans');
+
+// Keeps the cores and memory of a customer's VMs in line with their plan.
+// Every subscription change is checked; VMs whose recorded spec differs get the
+// new config. Proxmox only applies it to a running VM after a restart, so
+// running VMs get a reboot scheduled rebootDelayMinutes later, giving the
+// customer time to finish a raid or reboot the VM themselves.
+class VMPlanSyncService {
+  constructor() {
+    this.rebootDelayMinutes = parseInt(process.env.PLAN_CHANGE_REBOOT_DELAY_MINUTES) || 10;
+    this.checkInterval = 60 * 1000;
+    this.interval = null;
+    this.running = false;
+
+    eventBus.on('subscription.changed', ({ userId, reason }) => {
+      if (reason === 'updated') {
+        this.syncUserVMs(userId).catch(error => {
+          console.error(`❌ Applying plan resources for user ${userId} failed:`, error.message);
+        });
+      }
+    });
+  }
+
+  start() {
+    if (this.interval) {
+      return;
+    }
+
+    this.interval = setInterval(() => this.runDueReboots(), this.checkInterval);
+    console.log('📐 Plan resource sync started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // Reconfigure every assigned VM whose spec differs from the user's current plan.
+  // Returns the VMIDs that were changed.
+  async syncUserVMs(userId) {
+    const user = await db.findUserById(userId);
+    const plan = user && user.role !== 'admin' ? getPlan(user.subscription?.plan) : null;
+    if (!plan) {
+      return [];
+    }
+
+    const changed = [];
+    for (const assignment of db.getUserVMAssignments(userId)) {
+      if (assignment.plan_type === plan.planType && assignment.plan_cores === plan.cores && assignment.plan_memory === plan.memory) {
+        continue;
+      }
+
+      try {
+        await this.applyPlan(userId, assignment, plan);
+        changed.push(assignment.vm_id);
+      } catch (error) {
+        db.logAction(userId, 'vm_plan_apply_failed', 'vm', assignment.vm_id.toString(), {
+          planType: plan.planType,
+          error: error.message
+        }, 'system');
+        console.error(`❌ Could not apply ${plan.planType} resources to VM ${assignment.vm_id}:`, error.message);
+      }
+    }
+
+    return changed;
+  }
+
+  async applyPlan(userId, assignment, plan) {
+    const vmid = assignment.vm_id;
+    await proxmoxService.updateVMConfig(vmid, proxmoxService.getVMConfigForPlan(plan.planType));
+
+    const status = await vmStatusCache.getVMStatus(vmid);
+    const rebootAt = status.status === 'running' ? new Date(Date.now() + this.rebootDelayMinutes * 60 * 1000) : null;
+
+    db.setVMPlanSpec(vmid, {
+      planType: plan.planType,
+      cores: plan.cores,
+      memory: plan.memory,
+      status: rebootAt ? 'pending_reboot' : 'applied',
+      rebootAt
+    });
+
+    db.logAction(userId, 'vm_plan_applied', 'vm', vmid.toString(), {
+      previousPlanType: assignment.plan_type,
+      planType: plan.planType,
+      cores: plan.cores,
+      memory: plan.memory,
+      rebootAt: rebootAt ? rebootAt.toISOString() : null
+    }, 'system');
+
+    console.log(`📐 VM ${vmid} set to ${plan.planType} resources${rebootAt ? `, reboot at ${rebootAt.toISOString()}` : ''}`);
+  }
+
+  // Reboot running VMs whose new config is still waiting for a restart
+  async runDueReboots() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      for (const assignment of db.getDuePlanReboots()) {
+        const vmid = assignment.vm_id;
+        try {
+          // A VM that was stopped since picks the config up on its next start
+          const status = await vmStatusCache.getVMStatus(vmid);
+          if (status.status === 'running') {
+            const taskId = await vmOperationLock.runExclusive(vmid, 'reboot', () => proxmoxService.rebootVM(vmid));
+            vmStatusCache.invalidate(vmid);
+            db.logAction(assignment.user_id, 'vm_plan_reboot', 'vm', vmid.toString(), {
+              planType: assignment.plan_type,
+              taskId
+            }, 'system');
+          }
+          db.setVMPlanApplied(vmid);
+        } catch (error) {
+          console.error(`❌ Plan change reboot of VM ${vmid} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Plan resource sync error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Plan spec of a VM as shown to the customer
+  formatPlanSpec(assignment) {
+    if (!assignment || !assignment.plan_type) {
+      return null;
+    }
+
+    return {
+      planType: assignment.plan_type,
+      cores: assignment.plan_cores,
+      memory: assignment.plan_memory,
+      status: assignment.plan_status,
+      rebootAt: assignment.plan_reboot_at ? new Date(`${assignment.plan_reboot_at.replace(' ', 'T')}Z`).toISOString() : null
+    };
+  }
+}
+
+module.exports = new VMPlanSyncService();
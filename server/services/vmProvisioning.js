@@ -1,10 +1,22 @@
+const fs = require('fs');
+const path = require('path');
 const proxmoxService = require('./proxmox');
+const provisioningQueue = require('./provisioningQueue');
+const templateRegistry = require('./templateRegistry');
+const vmAgent = require('./vmAgent');
 const db = require('./database');
+const eventBus = require('./eventBus');
+
+// vm_setup statuses in which the customer still has to run the setup wizard
+const SETUP_REQUIRED_STATUSES = ['ready_for_setup', 'setup_in_progress', 'file_uploaded'];
+
+// Uploaded hwho.dat files are kept here so they can be delivered again later
+const SETUP_FILES_DIR = path.join(__dirname, '../uploads/setup');
 
 class VMProvisioningService {
   constructor() {
-    this.templateVmid = 3000; // Windows10T template
-    this.setupStates = new Map(); // Track setup progress for users
+    this.uploadAttempts = 3; // Guest agent transfers per VM before giving up
+    this.automationTimeout = parseInt(process.env.AUTOMATION_SCRIPT_TIMEOUT_MS) || 10 * 60 * 1000;
   }
 
   // Extract plan details from subscription metadata
@@ -40,7 +52,8 @@ class VMProvisioningService {
     };
   }
 
-  // Main method to provision VMs after successful payment
+  // Main method to provision VMs after successful payment. The VMs are created by
+  // the provisioning queue; this records the setup and queues one job per VM.
   async provisionVMsForUser(userId, subscriptionData) {
     try {
       console.log(`🚀 Starting VM provisioning for user ${userId}`);
@@ -50,113 +63,147 @@ class VMProvisioningService {
         throw new Error(`User ${userId} not found`);
       }
 
+      // Webhooks can arrive more than once; don't queue a second set of VMs
+      const activeSetup = await db.getActiveVMSetup(userId);
+      if (activeSetup && activeSetup.status === 'provisioning') {
+        console.log(`User ${userId} already has VM provisioning in progress, skipping`);
+        return {
+          success: true,
+          alreadyQueued: true,
+          jobIds: db.getProvisioningJobsForSetup(activeSetup.id).map(job => job.id),
+          planDetails: activeSetup.setup_data.planDetails,
+          setupRequired: true
+        };
+      }
+
       const planDetails = this.extractPlanDetails(subscriptionData);
       console.log(`📋 Plan details:`, planDetails);
+      const template = templateRegistry.getTemplateForPlan(planDetails.planType);
 
-      // Initialize setup state
-      this.setupStates.set(userId, {
-        status: 'provisioning',
+      const subscriptionId = subscriptionData.id || 'unknown';
+      const setupId = await db.createVMSetup(userId, planDetails.planType, planDetails.vmCount, [], 'provisioning', {
         planDetails,
         vmsCreated: [],
         vmsPending: planDetails.vmCount,
-        startedAt: new Date(),
-        setupRequired: true
+        startedAt: new Date().toISOString(),
+        subscriptionId
       });
 
-      // Create VMs
-      const createdVMs = [];
-      for (let i = 1; i <= planDetails.vmCount; i++) {
-        try {
-          console.log(`Creating VM ${i}/${planDetails.vmCount} for user ${user.uuid}`);
-          
-          const vmResult = await proxmoxService.createVMFromTemplate(
-            this.templateVmid,
-            user.uuid,
-            i,
-            planDetails.planType,
-            planDetails.vmCount
-          );
-
-          createdVMs.push(vmResult);
-          
-          // Assign VM to user in database
-          db.assignVMToUser(userId, vmResult.vmid);
-          
-          console.log(`✅ Created VM ${vmResult.vmid} (${vmResult.name}) for user ${user.username}`);
-          
-          // Update setup state
-          const setupState = this.setupStates.get(userId);
-          if (setupState) {
-            setupState.vmsCreated.push(vmResult);
-            setupState.vmsPending--;
-          }
-
-        } catch (vmError) {
-          console.error(`❌ Failed to create VM ${i} for user ${user.username}:`, vmError);
-          // Continue with other VMs even if one fails
-        }
-      }
-
-      // Update final setup state
-      this.setupStates.set(userId, {
-        ...this.setupStates.get(userId),
-        status: createdVMs.length > 0 ? 'ready_for_setup' : 'failed',
-        vmsCreated: createdVMs,
-        vmsPending: 0,
-        completedAt: new Date()
+      const jobIds = provisioningQueue.enqueue({
+        user,
+        setupId,
+        planDetails,
+        template,
+        subscriptionId,
+        vmNumbers: Array.from({ length: planDetails.vmCount }, (_, i) => i + 1),
+        // Set on the checkout session, see routes/payment.js
+        reservationId: parseInt(subscriptionData.metadata?.reservationId) || null
       });
 
-      // Log the provisioning action
-      db.logAction(userId, 'vms_provisioned', 'subscription', subscriptionData.id || 'unknown', {
+      db.logAction(userId, 'vm_provisioning_queued', 'subscription', subscriptionId, {
         planType: planDetails.planType,
         vmCount: planDetails.vmCount,
-        vmsCreated: createdVMs.map(vm => ({ vmid: vm.vmid, name: vm.name })),
-        template: this.templateVmid
+        templateVersion: template.version,
+        jobIds
       }, 'system');
-
-      console.log(`🎉 Successfully provisioned ${createdVMs.length}/${planDetails.vmCount} VMs for user ${user.username}`);
       
       return {
         success: true,
-        vmsCreated: createdVMs,
+        jobIds,
         planDetails,
         setupRequired: true
       };
 
     } catch (error) {
       console.error(`❌ VM provisioning failed for user ${userId}:`, error);
-      
-      // Update setup state to failed
-      this.setupStates.set(userId, {
-        ...this.setupStates.get(userId),
-        status: 'failed',
-        error: error.message,
-        completedAt: new Date()
-      });
-
       throw error;
     }
   }
 
-  // Get setup status for a user
-  getSetupStatus(userId) {
-    const setupState = this.setupStates.get(userId);
-    if (!setupState) {
-      return { status: 'none', message: 'No setup in progress' };
+  // Setups that were provisioning when the server stopped, from before VMs were
+  // created through the queue, get jobs for the VM slots they are still missing
+  async resumeInterruptedProvisioning() {
+    try {
+      const setups = await db.getVMSetupsByStatus('provisioning');
+
+      for (const setup of setups) {
+        if (db.getProvisioningJobsForSetup(setup.id).length > 0) {
+          continue; // The queue resumes these itself
+        }
+
+        const activeSetup = await db.getActiveVMSetup(setup.user_id);
+        if (!activeSetup || activeSetup.id !== setup.id) {
+          continue; // A newer setup has replaced this one
+        }
+
+        const user = await db.findUserById(setup.user_id);
+        if (!user) {
+          await db.updateVMSetupStatus(setup.user_id, 'failed', { error: 'User not found' });
+          continue;
+        }
+
+        const planDetails = setup.setup_data.planDetails || {
+          planType: setup.plan_type,
+          vmCount: setup.vm_count
+        };
+        const existingSlots = new Set((setup.setup_data.vmsCreated || []).map(vm => vm.vmNumber));
+        const vmNumbers = Array.from({ length: planDetails.vmCount }, (_, i) => i + 1)
+          .filter(vmNumber => !existingSlots.has(vmNumber));
+
+        if (vmNumbers.length === 0) {
+          await db.updateVMSetupStatus(setup.user_id, 'ready_for_setup', { vmsPending: 0 });
+          continue;
+        }
+
+        console.log(`🔄 Resuming interrupted VM provisioning for user ${user.username}`);
+        provisioningQueue.enqueue({
+          user,
+          setupId: setup.id,
+          planDetails,
+          template: templateRegistry.getTemplateForPlan(planDetails.planType),
+          subscriptionId: setup.setup_data.subscriptionId || 'unknown',
+          vmNumbers
+        });
+      }
+    } catch (error) {
+      console.error('❌ Failed to resume interrupted provisioning:', error);
     }
+  }
+
+  // Shape a vm_setup row the way the setup routes and client expect
+  formatSetupStatus(setup) {
+    const setupData = setup.setup_data || {};
 
     return {
-      status: setupState.status,
-      planDetails: setupState.planDetails,
-      vmsCreated: setupState.vmsCreated,
-      vmsPending: setupState.vmsPending,
-      startedAt: setupState.startedAt,
-      completedAt: setupState.completedAt,
-      setupRequired: setupState.setupRequired,
-      error: setupState.error
+      status: setup.status,
+      planDetails: setupData.planDetails || { planType: setup.plan_type, vmCount: setup.vm_count },
+      vmsCreated: this.getSetupVMs(setup),
+      vmsPending: setupData.vmsPending || 0,
+      startedAt: setupData.startedAt || setup.created_at,
+      completedAt: setup.completed_at || setupData.provisioningCompletedAt,
+      setupRequired: SETUP_REQUIRED_STATUSES.includes(setup.status),
+      fileUploaded: !!setup.hwho_file_path,
+      uploadResults: setupData.uploadResults,
+      automationResults: setupData.automationResults,
+      automationRunning: this.isAutomationRunning(setup),
+      error: setupData.error
     };
   }
 
+  getSetupVMs(setup) {
+    return setup.setup_data?.vmsCreated || setup.vm_ids.map(vmid => ({ vmid, name: `VM-${vmid}` }));
+  }
+
+  // Get setup status for a user
+  async getSetupStatus(userId) {
+    const setup = await db.getVMSetupByUser(userId);
+    if (!setup) {
+      return { status: 'none', message: 'No setup in progress' };
+    }
+
+    return this.formatSetupStatus(setup);
+  }
+
   // Check if user needs setup (has VMs but hasn't completed setup)
   async checkSetupRequired(userId) {
     try {
@@ -165,24 +212,25 @@ class VMProvisioningService {
         return { required: false, reason: 'no_subscription' };
       }
 
+      const setup = await db.getActiveVMSetup(userId);
+      if (setup && setup.status === 'provisioning') {
+        return { required: false, reason: 'provisioning', planType: setup.plan_type };
+      }
+
       const userVMs = db.getUserVMIds(userId);
       if (userVMs.length === 0) {
         return { required: false, reason: 'no_vms' };
       }
 
-      // Check if setup state exists and is ready
-      const setupState = this.setupStates.get(userId);
-      if (setupState && setupState.status === 'ready_for_setup') {
+      if (setup && SETUP_REQUIRED_STATUSES.includes(setup.status)) {
         return { 
           required: true, 
           reason: 'vms_ready',
           vmCount: userVMs.length,
-          planType: setupState.planDetails?.planType
+          planType: setup.plan_type
         };
       }
 
-      // Check if VMs were recently created (fallback)
-      // This could also check VM creation timestamps or setup completion flags in database
       return { required: false, reason: 'setup_complete_or_not_needed' };
 
     } catch (error) {
@@ -192,70 +240,76 @@ class VMProvisioningService {
   }
 
   // Mark setup as initiated by user
-  initiateSetup(userId) {
-    const setupState = this.setupStates.get(userId);
-    if (setupState) {
-      setupState.status = 'setup_in_progress';
-      setupState.setupInitiatedAt = new Date();
-      this.setupStates.set(userId, setupState);
-      
-      console.log(`User ${userId} initiated VM setup process`);
-      return true;
+  async initiateSetup(userId) {
+    const setup = await db.getActiveVMSetup(userId);
+    if (!setup || !SETUP_REQUIRED_STATUSES.includes(setup.status)) {
+      return false;
     }
-    return false;
+
+    await db.updateVMSetupStatus(userId, 'setup_in_progress', {
+      setupInitiatedAt: new Date().toISOString()
+    });
+      
+    console.log(`User ${userId} initiated VM setup process`);
+    return true;
   }
 
   // Handle file upload completion
   async handleFileUpload(userId, filePath, fileName) {
     try {
-      const setupState = this.setupStates.get(userId);
-      if (!setupState || setupState.status !== 'setup_in_progress') {
+      const setup = await db.getActiveVMSetup(userId);
+      if (!setup || !['setup_in_progress', 'file_uploaded'].includes(setup.status)) {
         throw new Error('No active setup process found');
       }
 
       console.log(`Processing uploaded file for user ${userId}: ${fileName}`);
 
       // Distribute file to all user VMs
-      const userVMs = setupState.vmsCreated || [];
+      const userVMs = this.getSetupVMs(setup);
       const uploadResults = [];
 
       for (const vm of userVMs) {
-        try {
-          // For now, we'll simulate the file distribution
-          // In production, this would actually transfer the file to each VM
-          const result = await proxmoxService.uploadFileToVM(
-            vm.vmid,
-            filePath,
-            'C:\\hwho\\hwho.dat' // Windows path on VM
-          );
-          
-          uploadResults.push({ vmid: vm.vmid, success: true, result });
+        const result = await this.uploadFileWithRetry(vm.vmid, filePath, 'C:\\hwho\\hwho.dat'); // Windows path on VM
+        uploadResults.push(result);
+
+        if (result.success) {
           console.log(`📁 File distributed to VM ${vm.vmid} (${vm.name})`);
-          
-        } catch (vmError) {
-          console.error(`Failed to upload file to VM ${vm.vmid}:`, vmError);
-          uploadResults.push({ vmid: vm.vmid, success: false, error: vmError.message });
+        } else {
+          console.error(`❌ Failed to upload file to VM ${vm.vmid} after ${result.attempts} attempts: ${result.error}`);
         }
       }
 
-      // Update setup state
-      setupState.status = 'file_uploaded';
-      setupState.fileUploadedAt = new Date();
-      setupState.uploadResults = uploadResults;
-      this.setupStates.set(userId, setupState);
+      const successfulUploads = uploadResults.filter(r => r.success).length;
 
       // Log the file upload
       db.logAction(userId, 'setup_file_uploaded', 'vm_setup', fileName, {
         vmCount: userVMs.length,
-        successfulUploads: uploadResults.filter(r => r.success).length,
+        successfulUploads,
+        failedVMs: uploadResults.filter(r => !r.success).map(r => r.vmid),
         fileName
       }, 'user');
 
+      // Leave the setup in progress so the user can upload again if no VM received the file
+      if (successfulUploads === 0) {
+        await db.updateVMSetupStatus(userId, setup.status, { uploadResults });
+
+        return {
+          success: false,
+          distributedToVMs: 0,
+          totalVMs: userVMs.length,
+          uploadResults
+        };
+      }
+
+      // Keep a copy of the file so it can be delivered again later
+      const storedFilePath = await this.storeSetupFile(userId, filePath);
+      await db.updateVMSetupFile(userId, storedFilePath, { uploadResults, fileName });
+
       console.log(`✅ File upload completed for user ${userId}`);
       
       return {
-        success: true,
-        distributedToVMs: uploadResults.filter(r => r.success).length,
+        success: successfulUploads === userVMs.length,
+        distributedToVMs: successfulUploads,
         totalVMs: userVMs.length,
         uploadResults
       };
@@ -266,75 +320,151 @@ class VMProvisioningService {
     }
   }
 
-  // Complete the setup process
-  async completeSetup(userId) {
-    try {
-      const setupState = this.setupStates.get(userId);
-      if (!setupState) {
-        throw new Error('No setup process found');
-      }
+  async storeSetupFile(userId, filePath) {
+    await fs.promises.mkdir(SETUP_FILES_DIR, { recursive: true });
+    const storedFilePath = path.join(SETUP_FILES_DIR, `user-${userId}.dat`);
+    await fs.promises.copyFile(filePath, storedFilePath);
+    return storedFilePath;
+  }
 
-      // Trigger the automation script on each VM
-      const userVMs = setupState.vmsCreated || [];
-      const automationResults = [];
+  // Upload a file to one VM, retrying with a growing delay between attempts
+  async uploadFileWithRetry(vmid, filePath, remotePath) {
+    let lastError = null;
 
-      for (const vm of userVMs) {
-        try {
-          // This would execute the PowerShell script on each VM
-          // The script would be modified to handle the specific plan type
-          const command = `powershell.exe -ExecutionPolicy Bypass -File "C:\\automation\\start_${setupState.planDetails.planType}.ps1"`;
-          
-          // For now, we'll log this action (actual implementation would use guest agent)
-          console.log(`🤖 Starting automation on VM ${vm.vmid} with command: ${command}`);
-          
-          // Simulate successful automation start
-          automationResults.push({ vmid: vm.vmid, success: true });
-          
-        } catch (vmError) {
-          console.error(`Failed to start automation on VM ${vm.vmid}:`, vmError);
-          automationResults.push({ vmid: vm.vmid, success: false, error: vmError.message });
+    for (let attempt = 1; attempt <= this.uploadAttempts; attempt++) {
+      try {
+        const result = await proxmoxService.uploadFileToVM(vmid, filePath, remotePath);
+        return { vmid, success: true, attempts: attempt, bytes: result.bytes, sha256: result.sha256 };
+      } catch (error) {
+        lastError = error;
+        console.error(`Upload attempt ${attempt}/${this.uploadAttempts} to VM ${vmid} failed:`, error.message);
+
+        if (attempt < this.uploadAttempts) {
+          await new Promise(resolve => setTimeout(resolve, attempt * 5000));
         }
       }
+    }
 
-      // Update setup state to completed
-      setupState.status = 'completed';
-      setupState.completedAt = new Date();
-      setupState.automationResults = automationResults;
-      setupState.setupRequired = false;
-      this.setupStates.set(userId, setupState);
+    return { vmid, success: false, attempts: this.uploadAttempts, error: lastError.message };
+  }
 
-      // Log completion
-      db.logAction(userId, 'setup_completed', 'vm_setup', 'automation_started', {
-        vmCount: userVMs.length,
-        planType: setupState.planDetails.planType,
-        successfulAutomations: automationResults.filter(r => r.success).length
-      }, 'user');
+  // Complete the setup process
+  // A run counts as going until every script had time to exit, so one cut
+  // short by a server restart doesn't block the customer for good
+  isAutomationRunning(setup) {
+    const setupData = setup.setup_data || {};
+    return !!setupData.automationRunning &&
+      Date.now() - new Date(setupData.automationStartedAt).getTime() < this.automationTimeout + 60 * 1000;
+  }
 
-      console.log(`🎉 Setup completed for user ${userId}`);
-      
-      return {
-        success: true,
-        automationStarted: automationResults.filter(r => r.success).length,
-        totalVMs: userVMs.length
-      };
+  // Start the automation script on every VM of the setup. The scripts can run for
+  // minutes, longer than browsers and proxies keep a request open, so they run in
+  // the background: each VM's result is recorded in vm_setup when its script exits
+  // and a setup.status event reports the outcome.
+  async completeSetup(userId, setup) {
+    const userVMs = this.getSetupVMs(setup);
 
-    } catch (error) {
+    await db.updateVMSetupStatus(userId, setup.status, {
+      automationRunning: true,
+      automationStartedAt: new Date().toISOString(),
+      automationResults: []
+    });
+
+    this.runSetupAutomation(userId, setup, userVMs).catch(error => {
       console.error(`Setup completion failed for user ${userId}:`, error);
-      throw error;
+    });
+
+    return { totalVMs: userVMs.length };
+  }
+
+  async runSetupAutomation(userId, setup, userVMs) {
+    const planType = setup.plan_type;
+    const automationResults = await Promise.all(userVMs.map(async vm => {
+      const result = await this.runAutomationOnVM(vm, planType);
+      db.recordAutomationResult(userId, result);
+      return result;
+    }));
+    const successfulAutomations = automationResults.filter(r => r.success).length;
+
+    // Keep the per-VM results in vm_setup so the dashboard can show which VMs started farming.
+    // If every VM failed the setup stays open so the user can try again.
+    const finished = { automationRunning: false, automationResults };
+    if (successfulAutomations > 0) {
+      await db.completeVMSetup(userId, finished);
+    } else {
+      await db.updateVMSetupStatus(userId, setup.status, finished);
     }
+
+    // Log completion
+    db.logAction(userId, 'setup_completed', 'vm_setup', 'automation_started', {
+      vmCount: userVMs.length,
+      planType,
+      successfulAutomations,
+      failedVMs: automationResults.filter(r => !r.success).map(r => r.vmid)
+    }, 'user');
+
+    console.log(`🎉 Setup completed for user ${userId}: automation running on ${successfulAutomations}/${userVMs.length} VMs`);
+
+    eventBus.publish('setup.status', {
+      userId,
+      status: successfulAutomations > 0 ? 'completed' : setup.status,
+      vmsPending: 0,
+      automationStarted: successfulAutomations,
+      totalVMs: userVMs.length
+    });
   }
 
-  // Cleanup old setup states (call periodically)
-  cleanupOldSetupStates() {
-    const cutoffTime = Date.now() - (24 * 60 * 60 * 1000); // 24 hours ago
-    
-    for (const [userId, setupState] of this.setupStates.entries()) {
-      const stateTime = setupState.completedAt || setupState.startedAt;
-      if (stateTime && new Date(stateTime).getTime() < cutoffTime) {
-        this.setupStates.delete(userId);
-        console.log(`Cleaned up old setup state for user ${userId}`);
+  // Start the plan's automation script through the guest agent and wait for it to exit
+  async runAutomationOnVM(vm, planType) {
+    const command = [
+      'powershell.exe', '-ExecutionPolicy', 'Bypass',
+      '-File', `C:\\automation\\start_${planType}.ps1`
+    ];
+
+    try {
+      // VMs provisioned before agent heartbeats existed get their credentials now
+      if (!db.getVMAgent(vm.vmid)) {
+        await vmAgent.issueCredential(vm.vmid);
+      }
+
+      console.log(`🤖 Starting automation on VM ${vm.vmid}: ${command.join(' ')}`);
+
+      const { pid } = await proxmoxService.executeCommandOnVM(vm.vmid, command);
+      const result = await proxmoxService.waitForCommand(vm.vmid, pid, this.automationTimeout);
+      const success = result.exitCode === 0;
+
+      if (success) {
+        console.log(`✅ Automation script finished on VM ${vm.vmid}`);
+      } else {
+        console.error(`❌ Automation script on VM ${vm.vmid} exited with code ${result.exitCode}`);
       }
+
+      return {
+        vmid: vm.vmid,
+        success,
+        pid,
+        exitCode: result.exitCode,
+        stdout: this.truncateOutput(result.stdout),
+        stderr: this.truncateOutput(result.stderr),
+        finishedAt: new Date().toISOString()
+      };
+    } catch (vmError) {
+      console.error(`Failed to run automation on VM ${vm.vmid}:`, vmError.message);
+      return {
+        vmid: vm.vmid,
+        success: false,
+        error: vmError.message,
+        finishedAt: new Date().toISOString()
+      };
+    }
+  }
+
+  // Script output is stored in vm_setup, so keep only the tail of long logs
+  truncateOutput(output, maxLength = 4000) {
+    if (!output || output.length <= maxLength) {
+      return output || '';
     }
+    return output.slice(-maxLength);
   }
 }
 
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const proxmoxService = require('./proxmox');
+const vmProvisioning = require('./vmProvisioning');
+const templateRegistry = require('./templateRegistry');
+const db = require('./database');
+const eventBus = require('./eventBus');
+const vmAgent = require('./vmAgent');
+const vmOperationLock = require('./vmOperationLock');
+
+// Stages a rebuild moves through, in order
+const STAGES = ['destroy', 'clone', 'assign', 'setup'];
+
+class VMRebuildService {
+  constructor() {
+    this.agentTimeout = parseInt(process.env.REBUILD_AGENT_TIMEOUT_MS) || 10 * 60 * 1000;
+  }
+
+  // Rebuilds run in this process, so one interrupted by a restart is marked failed.
+  // The old VM stays assigned until the swap, so the customer can start it again.
+  start() {
+    const interrupted = db.failRunningVMRebuilds('Interrupted by a server restart');
+    if (interrupted > 0) {
+      console.log(`⚠️ Marked ${interrupted} interrupted VM rebuild(s) as failed`);
+    }
+  }
+
+  // Record the rebuild and run it in the background. Returns null if the VM is
+  // already being rebuilt.
+  rebuild({ user, vmid, vmName, vmNumber, planType }) {
+    const rebuild = db.createVMRebuild({ userId: user.id, oldVmid: vmid, vmName, vmNumber, planType });
+    if (!rebuild) {
+      return null;
+    }
+
+    console.log(`🔨 Rebuilding VM ${vmid} (${vmName}) for user ${user.username}`);
+
+    this.runRebuild(rebuild, user).catch(error => {
+      console.error(`❌ Rebuild ${rebuild.id} of VM ${vmid} failed:`, error.message);
+    });
+
+    return rebuild;
+  }
+
+  async runRebuild(rebuild, user) {
+    let newVmid = null;
+
+    try {
+      // Resolved first so a plan without a template never loses its old VM
+      const template = templateRegistry.getTemplateForPlan(rebuild.plan_type);
+
+      this.setStage(rebuild, 'destroy');
+      await this.destroyOldVM(rebuild);
+
+      this.setStage(rebuild, 'clone');
+      const created = await proxmoxService.createVMFromTemplate(
+        template.vmid,
+        user.uuid,
+        rebuild.vm_number,
+        rebuild.plan_type
+      );
+      newVmid = created.vmid;
+
+      this.setStage(rebuild, 'assign', newVmid);
+      db.replaceUserVM(user.id, rebuild.old_vmid, newVmid);
+      db.setVMPlanSpec(newVmid, {
+        planType: rebuild.plan_type,
+        cores: created.config?.cores,
+        memory: created.config?.memory
+      });
+      db.setVMTemplate(newVmid, template.id);
+      db.deleteVMAgent(rebuild.old_vmid);
+
+      this.setStage(rebuild, 'setup', newVmid);
+      await vmAgent.issueCredential(newVmid);
+      const result = await this.restoreSetup(user.id, { vmid: newVmid, name: rebuild.vm_name });
+
+      db.completeVMRebuild(rebuild.id, result);
+      this.publishProgress(rebuild.id);
+      db.logAction(user.id, 'vm_rebuilt', 'vm', rebuild.old_vmid.toString(), {
+        vmName: rebuild.vm_name,
+        newVmid,
+        planType: rebuild.plan_type,
+        templateVersion: template.version,
+        ...result
+      }, 'system');
+
+      console.log(`✅ Rebuilt VM ${rebuild.old_vmid} as ${newVmid} (${rebuild.vm_name})`);
+    } catch (error) {
+      db.failVMRebuild(rebuild.id, error.message);
+      this.publishProgress(rebuild.id);
+      db.logAction(user.id, 'vm_rebuild_failed', 'vm', rebuild.old_vmid.toString(), {
+        vmName: rebuild.vm_name,
+        stage: db.getVMRebuild(rebuild.id)?.stage,
+        newVmid,
+        error: error.message
+      }, 'system');
+      throw error;
+    }
+  }
+
+  setStage(rebuild, stage, newVmid) {
+    db.updateVMRebuildStage(rebuild.id, stage, newVmid);
+    this.publishProgress(rebuild.id);
+  }
+
+  publishProgress(rebuildId) {
+    const rebuild = db.getVMRebuild(rebuildId);
+    eventBus.publish('rebuild.progress', { userId: rebuild.user_id, rebuild: this.formatRebuild(rebuild) });
+  }
+
+  // Remove the old VM. A retry after a failed clone finds it already gone; a VM
+  // that no longer carries the slot's name is never touched.
+  async destroyOldVM(rebuild) {
+    const vmid = rebuild.old_vmid;
+    const config = await proxmoxService.getVMConfig(vmid).catch(() => null);
+    if (!config) {
+      return;
+    }
+    if (config.name !== rebuild.vm_name) {
+      throw new Error(`VM ${vmid} is named ${config.name}, expected ${rebuild.vm_name}`);
+    }
+
+    // The lock keeps the watchdog, scheduler and subscription jobs off the VM
+    // from the stop until the destroy task has finished
+    const taskId = await vmOperationLock.runExclusive(vmid, 'rebuild', async () => {
+      const status = await proxmoxService.getVMStatus(vmid);
+      if (status.status === 'running') {
+        await proxmoxService.waitForTask(await proxmoxService.stopVM(vmid));
+      }
+      return proxmoxService.destroyVM(vmid);
+    });
+    await proxmoxService.waitForTask(taskId);
+  }
+
+  // Deliver the stored setup file to the new VM and, if the customer already
+  // finished setup, start the plan's automation on it again
+  async restoreSetup(userId, vm) {
+    const setup = await db.getVMSetupByUser(userId);
+    const filePath = setup?.hwho_file_path;
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return { setupFileRestored: false };
+    }
+
+    await proxmoxService.waitForGuestAgent(vm.vmid, this.agentTimeout);
+
+    const upload = await vmProvisioning.uploadFileWithRetry(vm.vmid, filePath, 'C:\\hwho\\hwho.dat');
+    if (!upload.success) {
+      throw new Error(`Setup file upload failed: ${upload.error}`);
+    }
+
+    if (setup.status !== 'completed') {
+      return { setupFileRestored: true };
+    }
+
+    const automation = await vmProvisioning.runAutomationOnVM(vm, setup.plan_type);
+    db.recordAutomationResult(userId, automation);
+
+    return {
+      setupFileRestored: true,
+      automationStarted: automation.success,
+      ...(automation.success ? {} : { automationError: automation.error || automation.stderr })
+    };
+  }
+
+  // Progress of a rebuild as shown to the customer
+  formatRebuild(rebuild) {
+    if (!rebuild) return null;
+
+    const stageIndex = STAGES.indexOf(rebuild.stage);
+    return {
+      id: rebuild.id,
+      vmid: rebuild.old_vmid,
+      newVmid: rebuild.new_vmid,
+      vmName: rebuild.vm_name,
+      status: rebuild.status,
+      stage: rebuild.stage,
+      progress: rebuild.status === 'completed' ? 100 : Math.round((Math.max(stageIndex, 0) / STAGES.length) * 100),
+      error: rebuild.last_error,
+      result: rebuild.result,
+      startedAt: rebuild.created_at,
+      completedAt: rebuild.completed_at
+    };
+  }
+}
+
+module.exports = new VMRebuildService();
@@ -0,0 +1,260 @@
+const proxmoxService = require('./proxmox');
+const vmidAllocator = require('./vmidAllocator');
+const vmStatusCache = require('./vmStatusCache');
+const vmOperationLock = require('./vmOperationLock');
+const eventBus = require('./eventBus');
+const db = require('./database');
+
+// Customer VMs are named after the owner's account ID and slot, e.g. "OD02BO-01"
+const CUSTOMER_VM_NAME = /^([A-Z0-9]{6})-(\d{2})$/;
+
+// Fixes each kind of finding offers
+const FIXES = {
+  dangling_assignment: ['unassign'],
+  orphan_vm: ['assign', 'destroy'],
+  owner_mismatch: ['assign', 'unassign'],
+  setup_mismatch: ['sync_setup']
+};
+
+// Compares the VMs in Proxmox with vm_assignments and vm_setup and reports
+// where they disagree:
+//   dangling_assignment  assignment of a VMID that no longer exists in Proxmox
+//   orphan_vm            customer VM (in the VMID range or named UUID-NN) nobody is assigned
+//   owner_mismatch       VM named after one account but assigned to another customer
+//   setup_mismatch       user's latest vm_setup lists other VMs than they are assigned
+// VMIDs a clone, provisioning job or rebuild is still working on are skipped.
+// A scheduled dry run alerts admins when the findings change.
+class VMReconciliationService {
+  constructor() {
+    this.enabled = process.env.RECONCILIATION_ENABLED !== 'false';
+    this.checkInterval = (parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES) || 60) * 60 * 1000;
+    this.interval = null;
+    this.lastAlertKey = '';
+  }
+
+  start() {
+    if (this.interval || !this.enabled) {
+      return;
+    }
+
+    this.interval = setInterval(() => this.runScheduledCheck(), this.checkInterval);
+    console.log('🧭 VM reconciliation check started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  async buildReport() {
+    const vms = (await proxmoxService.getVMs()).filter(vm => !vm.template);
+    const vmsById = new Map(vms.map(vm => [vm.vmid, vm]));
+    const assignments = db.getVMAssignmentOwners();
+    const assignedVmids = new Set(assignments.map(a => a.vm_id));
+    const users = db.getUserAccountIds();
+    const accounts = new Map(users.map(user => [user.uuid, user]));
+    const inFlight = db.getInFlightVMIDs();
+    const range = this.getVMIDRange();
+    const findings = [];
+
+    const nameOwner = (vm) => {
+      const match = CUSTOMER_VM_NAME.exec(vm?.name || '');
+      return match ? accounts.get(match[1]) || null : null;
+    };
+
+    for (const assignment of assignments) {
+      const vmid = assignment.vm_id;
+      if (inFlight.has(vmid)) {
+        continue;
+      }
+
+      const vm = vmsById.get(vmid);
+      if (!vm) {
+        findings.push(this.finding('dangling_assignment', {
+          vmid,
+          userId: assignment.user_id,
+          username: assignment.username,
+          message: `VM ${vmid} is assigned to ${assignment.username} but does not exist in Proxmox`
+        }));
+        continue;
+      }
+
+      const owner = nameOwner(vm);
+      if (assignment.role !== 'admin' && owner && owner.id !== assignment.user_id) {
+        findings.push(this.finding('owner_mismatch', {
+          vmid,
+          name: vm.name,
+          node: vm.node,
+          status: vm.status,
+          userId: assignment.user_id,
+          username: assignment.username,
+          expectedUserId: owner.id,
+          expectedUsername: owner.username,
+          message: `VM ${vmid} (${vm.name}) belongs to ${owner.username} but is assigned to ${assignment.username}`
+        }));
+      }
+    }
+
+    for (const vm of vms) {
+      if (assignedVmids.has(vm.vmid) || inFlight.has(vm.vmid)) {
+        continue;
+      }
+
+      const inRange = range && vm.vmid >= range.start && vm.vmid <= range.end;
+      if (!inRange && !CUSTOMER_VM_NAME.test(vm.name || '')) {
+        continue; // Not a customer VM, e.g. infrastructure outside the range
+      }
+
+      const owner = nameOwner(vm);
+      findings.push(this.finding('orphan_vm', {
+        vmid: vm.vmid,
+        name: vm.name,
+        node: vm.node,
+        status: vm.status,
+        expectedUserId: owner?.id || null,
+        expectedUsername: owner?.username || null,
+        message: owner
+          ? `VM ${vm.vmid} (${vm.name}) belongs to ${owner.username} but is not assigned`
+          : `VM ${vm.vmid} (${vm.name || 'unnamed'}) is not assigned to anyone`
+      }));
+    }
+
+    for (const setup of db.getLatestSettledVMSetups()) {
+      const assigned = assignments.filter(a => a.user_id === setup.user_id).map(a => a.vm_id);
+      const recorded = setup.vm_ids.map(Number);
+      const missing = assigned.filter(vmid => !recorded.includes(vmid));
+      const extra = recorded.filter(vmid => !assigned.includes(vmid));
+
+      if (missing.length > 0 || extra.length > 0) {
+        const user = users.find(u => u.id === setup.user_id);
+        findings.push(this.finding('setup_mismatch', {
+          vmid: null,
+          userId: setup.user_id,
+          username: user?.username || null,
+          setupId: setup.id,
+          missing,
+          extra,
+          assignedVMs: assigned.map(vmid => ({ vmid, name: vmsById.get(vmid)?.name || null })),
+          message: `Setup of ${user?.username || `user ${setup.user_id}`} lists VMs ${recorded.join(', ') || 'none'} but ${assigned.join(', ') || 'none'} are assigned`
+        }));
+      }
+    }
+
+    const summary = Object.keys(FIXES).reduce((counts, type) => ({
+      ...counts,
+      [type]: findings.filter(f => f.type === type).length
+    }), { total: findings.length });
+
+    return { generatedAt: new Date().toISOString(), summary, findings };
+  }
+
+  finding(type, data) {
+    const id = [type, data.vmid, data.userId].filter(part => part !== undefined && part !== null).join(':');
+    return { id, type, fixes: FIXES[type], ...data };
+  }
+
+  getVMIDRange() {
+    try {
+      return vmidAllocator.getRange();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Apply one fix to a finding of a fresh report, so a stale report can't undo
+  // someone else's fix. Returns { status, code, error } when it can't be applied.
+  async applyFix(findingId, action, { userId = null } = {}) {
+    const report = await this.buildReport();
+    const finding = report.findings.find(f => f.id === findingId);
+
+    if (!finding) {
+      return { status: 404, code: 'FINDING_NOT_FOUND', error: 'This finding no longer exists. Refresh the report.' };
+    }
+    if (!finding.fixes.includes(action)) {
+      return { status: 400, code: 'INVALID_FIX', error: `${action} is not a fix for ${finding.type}` };
+    }
+
+    switch (action) {
+      case 'assign': {
+        const targetUserId = userId ? parseInt(userId) : finding.expectedUserId;
+        const target = targetUserId ? await db.findUserById(targetUserId) : null;
+        if (!target) {
+          return { status: 400, code: 'OWNER_REQUIRED', error: 'Choose the user to assign this VM to' };
+        }
+        if (finding.userId) {
+          db.removeVMFromUser(finding.userId, finding.vmid);
+        }
+        db.assignVMToUser(target.id, finding.vmid);
+        return { finding, result: { assignedTo: target.id, username: target.username } };
+      }
+
+      case 'unassign':
+        db.removeVMFromUser(finding.userId, finding.vmid);
+        return { finding, result: { unassignedFrom: finding.userId } };
+
+      case 'destroy':
+        return this.destroyOrphan(finding);
+
+      case 'sync_setup': {
+        const vmsCreated = finding.assignedVMs.map(({ vmid, name }) => {
+          const match = CUSTOMER_VM_NAME.exec(name || '');
+          return { vmid, name: name || `VM-${vmid}`, ...(match ? { vmNumber: parseInt(match[2]) } : {}) };
+        });
+        db.setVMSetupVMs(finding.setupId, vmsCreated);
+        return { finding, result: { vmIds: vmsCreated.map(vm => vm.vmid) } };
+      }
+
+      default:
+        return { status: 400, code: 'INVALID_FIX', error: `Unknown fix: ${action}` };
+    }
+  }
+
+  async destroyOrphan(finding) {
+    const restriction = vmOperationLock.acquire(finding.vmid, 'destroy');
+    if (restriction) {
+      return restriction;
+    }
+
+    try {
+      const status = await proxmoxService.getVMStatus(finding.vmid);
+      if (status.status === 'running') {
+        await proxmoxService.waitForTask(await proxmoxService.stopVM(finding.vmid));
+      }
+      await proxmoxService.waitForTask(await proxmoxService.destroyVM(finding.vmid));
+      db.deleteVMAgent(finding.vmid);
+    } finally {
+      vmOperationLock.release(finding.vmid);
+      vmStatusCache.invalidate(finding.vmid);
+    }
+
+    return { finding, result: { destroyed: true } };
+  }
+
+  // Dry run on a schedule. Admins are alerted when the set of findings changes,
+  // not again every run while the same drift is waiting to be fixed.
+  async runScheduledCheck() {
+    try {
+      const report = await this.buildReport();
+      const alertKey = report.findings.map(f => f.id).sort().join(',');
+
+      if (alertKey !== this.lastAlertKey && report.findings.length > 0) {
+        db.logAction(null, 'reconciliation_drift_detected', 'reconciliation', null, {
+          summary: report.summary,
+          findings: report.findings.map(f => f.id)
+        }, 'system');
+        eventBus.publish('reconciliation.alert', { summary: report.summary, generatedAt: report.generatedAt });
+        console.warn(`🧭 Reconciliation found ${report.findings.length} issue(s) between Proxmox and the database`);
+      }
+
+      this.lastAlertKey = alertKey;
+      return report;
+    } catch (error) {
+      console.error('❌ Reconciliation check error:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new VMReconciliationService();
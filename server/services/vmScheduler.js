@@ -0,0 +1,200 @@
+const cronParser = require('cron-parser');
+const proxmoxService = require('./proxmox');
+const subscriptionManager = require('./subscriptionManager');
+const vmStatusCache = require('./vmStatusCache');
+const vmOperationLock = require('./vmOperationLock');
+const db = require('./database');
+
+const SCHEDULE_ACTIONS = ['start', 'stop', 'shutdown', 'reboot'];
+
+// Schedules may not fire more often than this, so a typo can't reboot a VM every minute
+const MIN_SCHEDULE_INTERVAL_MINUTES = 15;
+
+// SQLite DATETIME text is UTC without a zone marker
+const fromSqliteDate = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null);
+
+// Runs customers' scheduled power actions. Schedules are checked every
+// pollInterval; runs missed while the server was down are skipped, not caught up.
+class VMScheduler {
+  constructor() {
+    this.pollInterval = parseInt(process.env.VM_SCHEDULER_POLL_INTERVAL_MS) || 30 * 1000;
+    this.interval = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.interval) {
+      return;
+    }
+
+    this.interval = setInterval(() => this.runDueSchedules(), this.pollInterval);
+    console.log('⏰ VM scheduler started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  isValidAction(action) {
+    return SCHEDULE_ACTIONS.includes(action);
+  }
+
+  // Validate a schedule and work out its next run. Throws with a message meant
+  // for the customer when the expression or timezone is unusable.
+  getNextRun(cronExpression, timezone = 'UTC', from = new Date()) {
+    if (typeof cronExpression !== 'string' || cronExpression.trim().split(/\s+/).length !== 5) {
+      throw new Error('Schedule must be a cron expression with 5 fields (minute hour day month weekday)');
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    let interval;
+    try {
+      interval = cronParser.parseExpression(cronExpression.trim(), { currentDate: from, tz: timezone });
+    } catch (error) {
+      throw new Error(`Invalid cron expression: ${error.message}`);
+    }
+
+    const next = interval.next().toDate();
+    const following = interval.next().toDate();
+    if (following - next < MIN_SCHEDULE_INTERVAL_MINUTES * 60 * 1000) {
+      throw new Error(`Schedules can run at most once every ${MIN_SCHEDULE_INTERVAL_MINUTES} minutes`);
+    }
+
+    return next;
+  }
+
+  async runDueSchedules() {
+    // A slow Proxmox call must not let two polls run the same schedule
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      for (const schedule of db.getDueVMSchedules()) {
+        // Move the schedule on before running it, so a crash can't repeat the action
+        try {
+          db.setVMScheduleNextRun(schedule.id, this.getNextRun(schedule.cron_expression, schedule.timezone));
+        } catch (error) {
+          // Only possible if the timezone database changed; try again tomorrow
+          db.setVMScheduleNextRun(schedule.id, new Date(Date.now() + 24 * 60 * 60 * 1000));
+        }
+
+        await this.runSchedule(schedule);
+      }
+    } catch (error) {
+      console.error('❌ VM scheduler error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runSchedule(schedule) {
+    const details = { scheduleId: schedule.id, action: schedule.action, cron: schedule.cron_expression };
+
+    try {
+      const skipReason = await this.getSkipReason(schedule);
+      if (skipReason) {
+        db.recordVMScheduleRun(schedule.id, 'skipped', skipReason);
+        db.logAction(schedule.user_id, 'vm_schedule_skipped', 'vm', schedule.vmid.toString(), {
+          ...details,
+          reason: skipReason
+        }, 'system');
+        return;
+      }
+
+      const taskId = await this.performAction(schedule.vmid, schedule.action);
+
+      db.recordVMScheduleRun(schedule.id, 'success');
+      db.logAction(schedule.user_id, 'vm_schedule_run', 'vm', schedule.vmid.toString(), {
+        ...details,
+        taskId
+      }, 'system');
+
+      console.log(`⏰ Scheduled ${schedule.action} of VM ${schedule.vmid} sent (schedule ${schedule.id})`);
+    } catch (error) {
+      db.recordVMScheduleRun(schedule.id, 'failed', error.message);
+      db.logAction(schedule.user_id, 'vm_schedule_failed', 'vm', schedule.vmid.toString(), {
+        ...details,
+        error: error.message
+      }, 'system');
+
+      console.error(`❌ Scheduled ${schedule.action} of VM ${schedule.vmid} failed:`, error.message);
+    }
+  }
+
+  // Same rules as the manual power routes: stop and shutdown are always allowed,
+  // start and reboot need an unrestricted active subscription
+  async getSkipReason(schedule) {
+    const user = await db.findUserById(schedule.user_id);
+    if (!user || !db.canAccessVM(user.id, schedule.vmid)) {
+      return 'VM is no longer assigned to the user';
+    }
+
+    if (['start', 'reboot'].includes(schedule.action)) {
+      if (!subscriptionManager.canPerformVMOperations(user)) {
+        return 'Active subscription required';
+      }
+
+      const restriction = user.role === 'admin' ? null : subscriptionManager.getVMAccessRestriction(user.id);
+      if (restriction) {
+        return restriction.error;
+      }
+    }
+
+    const status = await vmStatusCache.getVMStatus(schedule.vmid);
+    if (schedule.action === 'start' && status.status === 'running') {
+      return 'VM is already running';
+    }
+    if (schedule.action !== 'start' && status.status !== 'running') {
+      return 'VM is not running';
+    }
+
+    return null;
+  }
+
+  // Waits for any task the VM is still running, e.g. a customer's own start
+  performAction(vmid, action) {
+    vmStatusCache.invalidate(vmid);
+    return vmOperationLock.runExclusive(vmid, action, () => {
+      switch (action) {
+        case 'start':
+          return proxmoxService.startVM(vmid);
+        case 'stop':
+          return proxmoxService.stopVM(vmid);
+        case 'shutdown':
+          return proxmoxService.shutdownVM(vmid);
+        case 'reboot':
+          return proxmoxService.rebootVM(vmid);
+        default:
+          throw new Error(`Unknown schedule action: ${action}`);
+      }
+    });
+  }
+
+  // Schedule as shown to the customer
+  formatSchedule(schedule) {
+    return {
+      id: schedule.id,
+      vmid: schedule.vmid,
+      action: schedule.action,
+      cron: schedule.cron_expression,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      nextRunAt: schedule.enabled ? fromSqliteDate(schedule.next_run_at) : null,
+      lastRunAt: fromSqliteDate(schedule.last_run_at),
+      lastStatus: schedule.last_status,
+      lastError: schedule.last_error
+    };
+  }
+}
+
+module.exports = new VMScheduler();
@@ -0,0 +1,138 @@
+const proxmoxService = require('./proxmox');
+const eventBus = require('./eventBus');
+
+// Shared view of VM and node status. A background poller reads every VM's
+// status from /cluster/resources in one call, so page loads don't each fan out
+// to Proxmox. Reads refresh on demand when the data is older than maxAge (the
+// poller isn't running, or failed) or a VM was invalidated by a power action.
+class VMStatusCache {
+  constructor() {
+    this.pollInterval = parseInt(process.env.VM_STATUS_POLL_INTERVAL_MS) || 10 * 1000;
+    this.maxAge = this.pollInterval * 3;
+    this.nodeInfoTTL = 30 * 1000; // node details take a few calls per node, so they are refreshed less often
+    this.vms = new Map(); // vmid -> cluster resource
+    this.updatedAt = 0;
+    this.invalidated = new Set();
+    this.refreshing = null;
+    this.nodesInfo = null;
+    this.nodesInfoUpdatedAt = 0;
+    this.nodesInfoRefreshing = null;
+    this.interval = null;
+  }
+
+  start() {
+    if (this.interval) {
+      return;
+    }
+
+    this.interval = setInterval(() => {
+      this.refresh().catch(error => console.error('❌ VM status poll failed:', error.message));
+    }, this.pollInterval);
+    this.refresh().catch(error => console.error('❌ VM status poll failed:', error.message));
+
+    console.log(`📡 VM status poller started (every ${this.pollInterval / 1000}s)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // Concurrent callers share one Proxmox request
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = proxmoxService.getVMs()
+        .then(vms => {
+          const previous = this.updatedAt ? this.vms : null;
+          this.vms = new Map(vms.map(vm => [vm.vmid, vm]));
+          this.updatedAt = Date.now();
+          if (previous) {
+            this.publishChanges(previous);
+          }
+          this.invalidated.clear();
+          return vms;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // Announce VMs whose power state changed since the last refresh
+  publishChanges(previous) {
+    for (const vm of this.vms.values()) {
+      const previousStatus = previous.get(vm.vmid)?.status;
+      if (vm.template || previousStatus === vm.status) {
+        continue;
+      }
+
+      eventBus.publish('vm.status', {
+        vmid: vm.vmid,
+        status: vm.status,
+        previousStatus: previousStatus || null,
+        cpu: vm.cpu,
+        mem: vm.mem,
+        maxmem: vm.maxmem,
+        uptime: vm.uptime
+      });
+    }
+  }
+
+  isFresh() {
+    return this.invalidated.size === 0 && Date.now() - this.updatedAt < this.maxAge;
+  }
+
+  // Re-read a VM on its next lookup, e.g. after a power action was sent
+  invalidate(vmid) {
+    this.invalidated.add(parseInt(vmid));
+  }
+
+  // All QEMU VMs in the cluster, templates included, as returned by proxmoxService.getVMs()
+  async getVMs() {
+    if (!this.isFresh()) {
+      await this.refresh();
+    }
+    return [...this.vms.values()];
+  }
+
+  // Status of one VM ({ status, cpu, mem, maxmem, uptime, ... }). Throws for an unknown VMID.
+  async getVMStatus(vmid) {
+    vmid = parseInt(vmid);
+    if (!this.isFresh() || !this.vms.has(vmid)) {
+      await this.refresh();
+    }
+
+    const vm = this.vms.get(vmid);
+    if (!vm) {
+      throw new Error(`VM ${vmid} not found`);
+    }
+    return vm;
+  }
+
+  // proxmoxService.getAllNodesInfo(), shared between requests for nodeInfoTTL
+  async getNodesInfo() {
+    const age = Date.now() - this.nodesInfoUpdatedAt;
+    if (this.nodesInfo && age < this.nodeInfoTTL) {
+      return { nodes: this.nodesInfo, updatedAt: this.nodesInfoUpdatedAt, cached: true };
+    }
+
+    if (!this.nodesInfoRefreshing) {
+      this.nodesInfoRefreshing = proxmoxService.getAllNodesInfo()
+        .then(nodes => {
+          this.nodesInfo = nodes;
+          this.nodesInfoUpdatedAt = Date.now();
+        })
+        .finally(() => {
+          this.nodesInfoRefreshing = null;
+        });
+    }
+
+    await this.nodesInfoRefreshing;
+    return { nodes: this.nodesInfo, updatedAt: this.nodesInfoUpdatedAt, cached: false };
+  }
+}
+
+module.exports = new VMStatusCache();
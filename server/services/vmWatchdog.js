@@ -0,0 +1,150 @@
+const proxmoxService = require('./proxmox');
+const subscriptionManager = require('./subscriptionManager');
+const vmStatusCache = require('./vmStatusCache');
+const vmOperationLock = require('./vmOperationLock');
+const db = require('./database');
+
+const RECOVERY_ACTIONS = ['reset', 'reboot'];
+
+// Finds customer VMs that Proxmox reports as running but whose guest froze, and
+// resets them. A check fails when the guest agent doesn't answer and recent RRD
+// CPU is flat (near 0%) or pegged (near 100%). An agent that is silent while the
+// CPU shows normal work is left alone: the game may still be farming.
+class VMWatchdog {
+  constructor() {
+    this.enabled = process.env.VM_WATCHDOG_ENABLED !== 'false';
+    this.checkInterval = parseInt(process.env.VM_WATCHDOG_INTERVAL_MS) || 60 * 1000;
+    this.failureThreshold = parseInt(process.env.VM_WATCHDOG_FAILURE_THRESHOLD) || 3;
+    this.recoveryAction = RECOVERY_ACTIONS.includes(process.env.VM_WATCHDOG_ACTION) ? process.env.VM_WATCHDOG_ACTION : 'reset';
+    this.bootGraceSeconds = parseInt(process.env.VM_WATCHDOG_BOOT_GRACE_SECONDS) || 10 * 60;
+    this.idleCpuPercent = 2;
+    this.busyCpuPercent = 98;
+    this.cpuSamples = 5; // last minutes of the hour RRD averaged per check
+    this.failures = new Map(); // vmid -> consecutive failed checks
+    this.lastRecovery = new Map(); // vmid -> time of the last recovery
+    this.interval = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.interval || !this.enabled) {
+      return;
+    }
+
+    this.interval = setInterval(() => this.checkVMs(), this.checkInterval);
+    console.log(`🐶 VM watchdog started (${this.recoveryAction} after ${this.failureThreshold} failed checks)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  async checkVMs() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const vms = new Map((await vmStatusCache.getVMs()).map(vm => [vm.vmid, vm]));
+
+      for (const { user_id: userId, vm_id: vmid } of db.getAllVMAssignments()) {
+        const vm = vms.get(vmid);
+        if (!vm || vm.template || vm.status !== 'running') {
+          this.failures.delete(vmid);
+          continue;
+        }
+
+        try {
+          await this.checkVM(userId, vm);
+        } catch (error) {
+          console.error(`❌ Watchdog check of VM ${vmid} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ VM watchdog error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async checkVM(userId, vm) {
+    const vmid = vm.vmid;
+
+    // Windows takes a while before the agent answers, after a start or a recovery
+    const sinceRecovery = (Date.now() - (this.lastRecovery.get(vmid) || 0)) / 1000;
+    if ((vm.uptime || 0) < this.bootGraceSeconds || sinceRecovery < this.bootGraceSeconds) {
+      return;
+    }
+
+    // A start, reboot or rollback in progress looks like a hang from the outside
+    if (vmOperationLock.isLocked(vmid)) {
+      return;
+    }
+
+    // VMs without a subscription are shut down by the subscription manager, not revived
+    const user = await db.findUserById(userId);
+    if (!user || !subscriptionManager.canPerformVMOperations(user)) {
+      return;
+    }
+
+    if (await proxmoxService.pingGuestAgent(vmid)) {
+      this.failures.delete(vmid);
+      return;
+    }
+
+    const cpuPercent = await this.getRecentCPU(vmid);
+    if (cpuPercent !== null && cpuPercent > this.idleCpuPercent && cpuPercent < this.busyCpuPercent) {
+      this.failures.delete(vmid);
+      return;
+    }
+
+    const failedChecks = (this.failures.get(vmid) || 0) + 1;
+    this.failures.set(vmid, failedChecks);
+    console.log(`⚠️ VM ${vmid} looks hung (${failedChecks}/${this.failureThreshold}, CPU ${cpuPercent ?? 'n/a'}%)`);
+
+    if (failedChecks >= this.failureThreshold) {
+      await this.recover(userId, vmid, { failedChecks, cpuPercent });
+    }
+  }
+
+  // Average CPU percentage over the last few RRD points, or null without data
+  async getRecentCPU(vmid) {
+    const points = await proxmoxService.getVMMetrics(vmid, 'hour');
+    const recent = points.map(point => point.cpu).filter(cpu => cpu !== null).slice(-this.cpuSamples);
+    if (recent.length === 0) {
+      return null;
+    }
+    return Number((recent.reduce((sum, cpu) => sum + cpu, 0) / recent.length).toFixed(1));
+  }
+
+  async recover(userId, vmid, details) {
+    const action = this.recoveryAction;
+    this.failures.delete(vmid);
+    this.lastRecovery.set(vmid, Date.now());
+
+    try {
+      const taskId = await vmOperationLock.runExclusive(vmid, action, () => (action === 'reboot'
+        ? proxmoxService.rebootVM(vmid)
+        : proxmoxService.resetVM(vmid)));
+      vmStatusCache.invalidate(vmid);
+
+      db.createVMIncident({ userId, vmid, action, status: 'recovered', details: { ...details, taskId } });
+      db.logAction(userId, 'vm_watchdog_recovered', 'vm', vmid.toString(), { action, ...details, taskId }, 'system');
+      console.log(`🐶 Watchdog sent ${action} to hung VM ${vmid}`);
+    } catch (error) {
+      db.createVMIncident({ userId, vmid, action, status: 'failed', details: { ...details, error: error.message } });
+      db.logAction(userId, 'vm_watchdog_recovery_failed', 'vm', vmid.toString(), {
+        action,
+        ...details,
+        error: error.message
+      }, 'system');
+      console.error(`❌ Watchdog ${action} of VM ${vmid} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = new VMWatchdog();
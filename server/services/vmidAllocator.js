@@ -0,0 +1,66 @@
+const proxmoxService = require('./proxmox');
+const db = require('./database');
+
+class VMIDAllocator {
+  // Customer VMs are only ever created inside this range
+  getRange() {
+    const start = parseInt(process.env.PROXMOX_VMID_RANGE_START);
+    const end = parseInt(process.env.PROXMOX_VMID_RANGE_END);
+
+    if (!Number.isInteger(start) || !Number.isInteger(end)) {
+      throw new Error('VMID range is not configured. Set PROXMOX_VMID_RANGE_START and PROXMOX_VMID_RANGE_END');
+    }
+    if (start < 100 || end < start) {
+      throw new Error(`Invalid VMID range ${start}-${end}`);
+    }
+
+    return { start, end };
+  }
+
+  // Reserve a free VMID for a clone. The reservation is taken in the database first,
+  // so concurrent clones never get the same ID, and then confirmed against the
+  // cluster in case the ID was used outside this application.
+  async reserve({ jobId = null, userId = null } = {}) {
+    const { start, end } = this.getRange();
+    const usedVmids = new Set((await proxmoxService.getVMs()).map(vm => vm.vmid));
+
+    for (;;) {
+      const vmid = db.reserveVMID(start, end, usedVmids, { jobId, userId });
+      if (!vmid) {
+        throw new Error(`No available VM IDs in range ${start}-${end}`);
+      }
+
+      let available;
+      try {
+        available = await proxmoxService.isVMIDAvailable(vmid);
+      } catch (error) {
+        db.releaseVMID(vmid);
+        throw error;
+      }
+
+      if (available) {
+        console.log(`🔖 Reserved VMID ${vmid}`);
+        return vmid;
+      }
+
+      db.releaseVMID(vmid);
+      usedVmids.add(vmid);
+    }
+  }
+
+  release(vmid) {
+    if (vmid && db.releaseVMID(vmid)) {
+      console.log(`🔓 Released VMID ${vmid}`);
+    }
+  }
+
+  // Drop reservations whose job has finished or that are too old to still be in use
+  releaseStale() {
+    const released = db.releaseStaleVMIDReservations();
+    if (released > 0) {
+      console.log(`🔓 Released ${released} stale VMID reservation(s)`);
+    }
+  }
+}
+
+module.exports = new VMIDAllocator();
@@ -0,0 +1,30 @@
+// Routes websocket upgrades of an HTTP server to the service that owns the
+// path. Upgrades no service owns are refused, otherwise the client is left
+// waiting on an open socket that nothing will ever answer.
+class WebSocketUpgrades {
+  constructor() {
+    this.routes = new WeakMap(); // server -> Map of path -> handler
+  }
+
+  route(server, path, handler) {
+    let handlers = this.routes.get(server);
+    if (!handlers) {
+      handlers = new Map();
+      this.routes.set(server, handlers);
+      server.on('upgrade', (req, socket, head) => this.dispatch(handlers, req, socket, head));
+    }
+    handlers.set(path, handler);
+  }
+
+  dispatch(handlers, req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const handler = handlers.get(pathname);
+    if (!handler) {
+      socket.destroy();
+      return;
+    }
+    handler(req, socket, head);
+  }
+}
+
+module.exports = new WebSocketUpgrades();
@@ -0,0 +1,772 @@
+const express = require('express');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+// Guest agent file-write limit, same as real Proxmox
+const AGENT_FILE_WRITE_MAX = 60 * 1024;
+
+// Seconds between RRD points per timeframe. Proxmox returns 70 points per request.
+const RRD_STEPS = { hour: 60, day: 30 * 60, week: 3 * 60 * 60 };
+const RRD_POINTS = 70;
+
+// In-memory fake of the parts of the Proxmox VE API this server uses. Point
+// PROXMOX_HOST at it (http://localhost:<port>) for local demos and tests.
+//
+// Options:
+//   nodes        node names, default ['pve']
+//   nodeMemory   GB of RAM per node, default 64
+//   storages     [{ storage, shared }], default a local (not shared) 'local-lvm'
+//   templates    [{ vmid, name, node, storage }], default template 3000 "Windows10T"
+//   taskDuration ms a clone/start/stop task stays running, default 0
+//   username / password   accepted credentials, default: any non-empty login
+//   tokenId / tokenSecret accepted API token, default: none
+class ProxmoxSimulator {
+  constructor(options = {}) {
+    this.options = options;
+    this.nodes = options.nodes || ['pve'];
+    this.storages = options.storages || [{ storage: 'local-lvm', shared: 0 }];
+    this.taskDuration = options.taskDuration || 0;
+    this.tickets = new Set();
+    this.vms = new Map();
+    this.tasks = new Map();
+    this.execResults = new Map(); // "vmid:pid" -> exec-status result
+    this.nextPid = 1000;
+    this.execHandler = null;
+    this.vncTickets = new Map(); // ticket -> { vmid, node, port }, valid for one websocket
+    this.nextVNCPort = 5900;
+    this.consoleSockets = new Set();
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.server = null;
+
+    const templates = options.templates || [{ vmid: 3000, name: 'Windows10T', node: this.nodes[0] }];
+    templates.forEach(template => {
+      this.addVM({ ...template, template: 1 });
+    });
+
+    this.app = this.createApp();
+  }
+
+  // State helpers, also used by tests to arrange a scenario
+
+  addVM({ vmid, name, node = this.nodes[0], status = 'stopped', template = 0, cores = 2, memory = 4096, storage = this.storages[0].storage, disk }) {
+    const scsi0 = disk || `${storage}:${template ? 'base' : 'vm'}-${vmid}-disk-0,size=64G`;
+    const vm = {
+      vmid: parseInt(vmid),
+      node,
+      status,
+      template,
+      lock: null,
+      startedAt: status === 'running' ? Date.now() : null,
+      config: { name, cores, memory, agent: '1', ostype: 'win10', scsi0, ...(template ? { template: 1 } : {}) },
+      files: new Map(),
+      snapshots: new Map(),
+      parentSnapshot: null,
+      hung: false // guest frozen: agent silent and CPU flat until a reset
+    };
+    this.vms.set(vm.vmid, vm);
+    return vm;
+  }
+
+  getVM(vmid) {
+    return this.vms.get(parseInt(vmid));
+  }
+
+  // Storage ID of the VM's disk, e.g. 'local-lvm'
+  getVMStorage(vm) {
+    return vm.config.scsi0.split(':')[0];
+  }
+
+  revokeTickets() {
+    this.tickets.clear();
+  }
+
+  // Override guest command results: handler(vm, command) returns
+  // { exitcode, out, err } or undefined to fall back to the built-in behaviour
+  setExecHandler(handler) {
+    this.execHandler = handler;
+  }
+
+  listen(port = 0) {
+    return new Promise(resolve => {
+      this.server = this.app.listen(port, () => {
+        this.port = this.server.address().port;
+        this.url = `http://localhost:${this.port}`;
+        resolve(this.url);
+      });
+      this.server.on('upgrade', (req, socket, head) => this.handleConsoleUpgrade(req, socket, head));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.consoleSockets.forEach(ws => ws.terminate());
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  isAuthorized(req) {
+    const cookie = (req.headers.cookie || '').match(/PVEAuthCookie=([^;]+)/);
+    const token = (req.headers.authorization || '').match(/^PVEAPIToken=(.+?)=(.+)$/);
+
+    if (cookie && this.tickets.has(cookie[1])) {
+      return true;
+    }
+    return Boolean(token && this.options.tokenId && token[1] === this.options.tokenId && token[2] === this.options.tokenSecret);
+  }
+
+  // VNC websocket: checks the vncproxy ticket, sends the RFB version greeting
+  // and then echoes whatever the client sends
+  handleConsoleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/api2\/json\/nodes\/([^/]+)\/qemu\/(\d+)\/vncwebsocket$/);
+    const ticket = this.vncTickets.get(url.searchParams.get('vncticket'));
+    this.vncTickets.delete(url.searchParams.get('vncticket'));
+
+    const valid = match && this.isAuthorized(req) && ticket &&
+      ticket.node === match[1] && ticket.vmid === parseInt(match[2]) &&
+      String(ticket.port) === url.searchParams.get('port');
+
+    if (!valid) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      this.consoleSockets.add(ws);
+      ws.on('close', () => this.consoleSockets.delete(ws));
+      ws.on('message', (data, isBinary) => ws.send(data, { binary: isBinary }));
+      ws.send(Buffer.from('RFB 003.008\n'), { binary: true });
+    });
+  }
+
+  // Tasks
+
+  // Run a state change as a Proxmox task: it shows as running for taskDuration,
+  // then the change is applied and the task stops with OK or the thrown message
+  createTask(node, type, vmid, action) {
+    const upid = `UPID:${node}:${crypto.randomBytes(4).toString('hex').toUpperCase()}:00000000:${Math.floor(Date.now() / 1000).toString(16).toUpperCase()}:${type}:${vmid}:root@pam:`;
+    const task = { upid, node, type, id: String(vmid), user: 'root@pam', status: 'running', starttime: Math.floor(Date.now() / 1000) };
+    this.tasks.set(upid, task);
+
+    const finish = () => {
+      try {
+        action();
+        task.exitstatus = 'OK';
+      } catch (error) {
+        task.exitstatus = error.message;
+      }
+      task.status = 'stopped';
+      task.endtime = Math.floor(Date.now() / 1000);
+    };
+
+    if (this.taskDuration > 0) {
+      setTimeout(finish, this.taskDuration).unref();
+    } else {
+      finish();
+    }
+
+    return upid;
+  }
+
+  // Guest agent
+
+  runGuestCommand(vm, command) {
+    if (this.execHandler) {
+      const result = this.execHandler(vm, command);
+      if (result) {
+        return result;
+      }
+    }
+
+    const scriptIndex = command.indexOf('-Command');
+    if (scriptIndex !== -1) {
+      return this.runPowerShell(vm, command[scriptIndex + 1] || '');
+    }
+
+    const fileIndex = command.indexOf('-File');
+    if (fileIndex !== -1) {
+      const file = command[fileIndex + 1] || '';
+      if (/^C:\\automation\\start_\w+\.ps1$/i.test(file)) {
+        return { exitcode: 0, out: `Started ${file}\r\n` };
+      }
+      return { exitcode: 1, err: `The argument '${file}' to the -File parameter does not exist.` };
+    }
+
+    return { exitcode: 0, out: '' };
+  }
+
+  // Understands the snippets ProxmoxService sends: directory creation, the
+  // part-join script and Get-FileHash
+  runPowerShell(vm, script) {
+    const literal = (pattern) => {
+      const match = script.match(pattern);
+      return match ? match[1].replace(/''/g, "'") : null;
+    };
+
+    if (script.startsWith('New-Item -ItemType Directory')) {
+      return { exitcode: 0 };
+    }
+
+    const joinDest = literal(/^\$dest = '((?:[^']|'')*)'/);
+    if (joinDest) {
+      const count = parseInt((script.match(/\$i -lt (\d+)/) || [])[1]);
+      const parts = [];
+      for (let i = 0; i < count; i++) {
+        const partPath = `${joinDest}.part${String(i).padStart(4, '0')}`;
+        if (!vm.files.has(partPath)) {
+          return { exitcode: 1, err: `Could not find file '${partPath}'.` };
+        }
+        parts.push(vm.files.get(partPath));
+        vm.files.delete(partPath);
+      }
+      vm.files.set(joinDest, Buffer.concat(parts));
+      return { exitcode: 0 };
+    }
+
+    const hashPath = literal(/Get-FileHash -Algorithm SHA256 -LiteralPath '((?:[^']|'')*)'/);
+    if (hashPath) {
+      if (!vm.files.has(hashPath)) {
+        return { exitcode: 1, err: `Get-FileHash : Cannot find path '${hashPath}' because it does not exist.` };
+      }
+      const hash = crypto.createHash('sha256').update(vm.files.get(hashPath)).digest('hex').toUpperCase();
+      return { exitcode: 0, out: `${hash}\r\n` };
+    }
+
+    return { exitcode: 0 };
+  }
+
+  // Express app
+
+  createApp() {
+    const app = express();
+    const api = express.Router();
+
+    app.use(express.json({ limit: '1mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+    const fail = (res, status, message) => res.status(status).json({ data: null, message });
+
+    api.post('/access/ticket', (req, res) => {
+      const { username, password } = req.body;
+      const validLogin = this.options.username
+        ? username === this.options.username && password === this.options.password
+        : Boolean(username && password);
+
+      if (!validLogin) {
+        return fail(res, 401, 'authentication failure');
+      }
+
+      const ticket = `PVE:${username}:${crypto.randomBytes(16).toString('hex')}`;
+      this.tickets.add(ticket);
+      res.json({ data: { ticket, CSRFPreventionToken: crypto.randomBytes(16).toString('hex'), username } });
+    });
+
+    // Every other endpoint needs a ticket cookie or an API token
+    api.use((req, res, next) => {
+      if (this.isAuthorized(req)) {
+        return next();
+      }
+      fail(res, 401, 'permission denied - invalid PVE ticket');
+    });
+
+    api.get('/version', (req, res) => {
+      res.json({ data: { version: '8.1.4', release: '8.1', repoid: 'simulator' } });
+    });
+
+    api.get('/nodes', (req, res) => {
+      res.json({ data: this.nodes.map(node => this.getNodeSummary(node)) });
+    });
+
+    api.get('/cluster/resources', (req, res) => {
+      const { type } = req.query;
+      const resources = [];
+
+      if (!type || type === 'node') {
+        resources.push(...this.nodes.map(node => ({ id: `node/${node}`, type: 'node', ...this.getNodeSummary(node) })));
+      }
+      if (!type || type === 'vm') {
+        resources.push(...[...this.vms.values()].map(vm => ({ id: `qemu/${vm.vmid}`, type: 'qemu', ...this.getVMSummary(vm) })));
+      }
+
+      res.json({ data: resources });
+    });
+
+    api.get('/cluster/nextid', (req, res) => {
+      if (req.query.vmid) {
+        const vmid = parseInt(req.query.vmid);
+        if (this.vms.has(vmid)) {
+          return fail(res, 400, `VM ${vmid} already exists`);
+        }
+        return res.json({ data: String(vmid) });
+      }
+
+      let vmid = 100;
+      while (this.vms.has(vmid)) {
+        vmid++;
+      }
+      res.json({ data: String(vmid) });
+    });
+
+    api.get('/storage', (req, res) => {
+      res.json({ data: this.storages.map(({ storage, shared }) => ({ storage, type: shared ? 'rbd' : 'lvmthin', shared: shared ? 1 : 0 })) });
+    });
+
+    // Node-scoped routes check that the node exists
+    api.param('node', (req, res, next, node) => {
+      if (!this.nodes.includes(node)) {
+        return fail(res, 595, `no such cluster node '${node}'`);
+      }
+      next();
+    });
+
+    // VM routes only see VMs that live on the requested node, like real Proxmox
+    api.param('vmid', (req, res, next, vmid) => {
+      const vm = this.getVM(vmid);
+      if (!vm || vm.node !== req.params.node) {
+        return fail(res, 500, `Configuration file 'nodes/${req.params.node}/qemu-server/${vmid}.conf' does not exist`);
+      }
+      req.vm = vm;
+      next();
+    });
+
+    api.get('/nodes/:node/status', (req, res) => {
+      const summary = this.getNodeSummary(req.params.node);
+      res.json({
+        data: {
+          cpu: summary.cpu,
+          cpuinfo: { cpus: summary.maxcpu, model: 'Simulated CPU' },
+          memory: { used: summary.mem, total: summary.maxmem, free: summary.maxmem - summary.mem },
+          uptime: summary.uptime,
+          loadavg: ['0.42', '0.37', '0.31'],
+          wait: 0.01,
+          pveversion: 'pve-manager/8.1.4/simulator',
+          kversion: 'Linux 6.5.11-8-pve'
+        }
+      });
+    });
+
+    api.get('/nodes/:node/rrddata', (req, res) => {
+      const summary = this.getNodeSummary(req.params.node);
+      const points = this.getRRDTimes(req.query.timeframe);
+      if (!points) {
+        return fail(res, 400, 'timeframe: value is not one of hour, day, week, month, year');
+      }
+
+      res.json({
+        data: points.map((time, i) => ({
+          time,
+          cpu: summary.cpu * this.rrdWave(i, 0),
+          maxcpu: summary.maxcpu,
+          memused: Math.floor(summary.mem * this.rrdWave(i, 1)),
+          memtotal: summary.maxmem,
+          netin: 2000000 * this.rrdWave(i, 2),
+          netout: 500000 * this.rrdWave(i, 3),
+          loadavg: 0.4 * this.rrdWave(i, 4),
+          iowait: 0.01
+        }))
+      });
+    });
+
+    api.get('/nodes/:node/tasks/:upid/status', (req, res) => {
+      const task = this.tasks.get(req.params.upid);
+      if (!task || task.node !== req.params.node) {
+        return fail(res, 500, 'no such task');
+      }
+      res.json({ data: task });
+    });
+
+    api.get('/nodes/:node/qemu', (req, res) => {
+      const vms = [...this.vms.values()].filter(vm => vm.node === req.params.node);
+      res.json({ data: vms.map(vm => this.getVMSummary(vm)) });
+    });
+
+    api.get('/nodes/:node/qemu/:vmid/status/current', (req, res) => {
+      const vm = req.vm;
+      res.json({
+        data: {
+          ...this.getVMSummary(vm),
+          qmpstatus: vm.status,
+          agent: 1,
+          ...(vm.lock ? { lock: vm.lock } : {})
+        }
+      });
+    });
+
+    // Stopped VMs only have timestamps, which is how Proxmox reports missing data
+    api.get('/nodes/:node/qemu/:vmid/rrddata', (req, res) => {
+      const summary = this.getVMSummary(req.vm);
+      const points = this.getRRDTimes(req.query.timeframe);
+      if (!points) {
+        return fail(res, 400, 'timeframe: value is not one of hour, day, week, month, year');
+      }
+
+      res.json({
+        data: points.map((time, i) => (req.vm.status !== 'running' ? { time } : {
+          time,
+          cpu: req.vm.hung ? 0 : summary.cpu * this.rrdWave(i, req.vm.vmid),
+          maxcpu: summary.maxcpu,
+          mem: Math.floor(summary.mem * this.rrdWave(i, req.vm.vmid + 1)),
+          maxmem: summary.maxmem,
+          disk: 0,
+          maxdisk: 64 * 1024 * 1024 * 1024,
+          diskread: 300000 * this.rrdWave(i, req.vm.vmid + 2),
+          diskwrite: 150000 * this.rrdWave(i, req.vm.vmid + 3),
+          netin: 80000 * this.rrdWave(i, req.vm.vmid + 4),
+          netout: 20000 * this.rrdWave(i, req.vm.vmid + 5)
+        }))
+      });
+    });
+
+    const powerActions = {
+      start: (vm) => {
+        if (vm.status === 'running') {
+          throw new Error(`VM ${vm.vmid} already running`);
+        }
+        vm.status = 'running';
+        vm.startedAt = Date.now();
+      },
+      stop: (vm) => {
+        vm.status = 'stopped';
+        vm.startedAt = null;
+        vm.hung = false;
+      },
+      shutdown: (vm) => {
+        vm.status = 'stopped';
+        vm.startedAt = null;
+        vm.hung = false;
+      },
+      reboot: (vm) => {
+        if (vm.status !== 'running') {
+          throw new Error(`VM ${vm.vmid} not running`);
+        }
+        vm.startedAt = Date.now();
+        vm.hung = false;
+      },
+      reset: (vm) => {
+        if (vm.status !== 'running') {
+          throw new Error(`VM ${vm.vmid} not running`);
+        }
+        vm.hung = false;
+      }
+    };
+
+    api.post('/nodes/:node/qemu/:vmid/status/:action', (req, res) => {
+      const action = powerActions[req.params.action];
+      if (!action) {
+        return fail(res, 501, `Method 'POST /nodes/${req.params.node}/qemu/${req.params.vmid}/status/${req.params.action}' not implemented`);
+      }
+      if (req.vm.template) {
+        return fail(res, 500, 'you can\'t start a vm if it\'s a template');
+      }
+      if (req.vm.lock) {
+        return fail(res, 500, `VM is locked (${req.vm.lock})`);
+      }
+
+      const type = req.params.action === 'start' ? 'qmstart' : `qm${req.params.action}`;
+      res.json({ data: this.createTask(req.params.node, type, req.vm.vmid, () => action(req.vm)) });
+    });
+
+    api.post('/nodes/:node/qemu/:vmid/clone', (req, res) => {
+      const source = req.vm;
+      const newid = parseInt(req.body.newid);
+      const target = req.body.target || req.params.node;
+
+      if (!newid) {
+        return fail(res, 400, 'newid: property is missing and it is not optional');
+      }
+      if (this.vms.has(newid)) {
+        return fail(res, 500, `unable to create VM ${newid}: config file already exists`);
+      }
+      if (!this.nodes.includes(target)) {
+        return fail(res, 500, `no such cluster node '${target}'`);
+      }
+      const linked = String(req.body.full) === '0';
+      if (linked && !source.template) {
+        return fail(res, 500, 'Linked clone feature is not supported for drive \'scsi0\'');
+      }
+      const sourceStorage = this.getVMStorage(source);
+      if (target !== req.params.node && !this.storages.some(storage => storage.storage === sourceStorage && storage.shared)) {
+        return fail(res, 500, `can't clone VM to node '${target}' (VM uses local storage)`);
+      }
+
+      // The config exists (locked) as soon as the clone starts, like real Proxmox
+      const vm = this.addVM({
+        vmid: newid,
+        name: req.body.name || `Copy-of-VM-${source.config.name}`,
+        node: target,
+        cores: source.config.cores,
+        memory: source.config.memory,
+        disk: linked
+          ? `${sourceStorage}:${source.config.scsi0.split(':')[1].split(',')[0]}/vm-${newid}-disk-0,size=64G`
+          : `${sourceStorage}:vm-${newid}-disk-0,size=64G`
+      });
+      vm.lock = 'clone';
+      if (req.body.description) {
+        vm.config.description = req.body.description;
+      }
+
+      res.json({
+        data: this.createTask(req.params.node, 'qmclone', source.vmid, () => {
+          vm.lock = null;
+        })
+      });
+    });
+
+    api.get('/nodes/:node/qemu/:vmid/config', (req, res) => {
+      res.json({ data: { ...req.vm.config, ...(req.vm.lock ? { lock: req.vm.lock } : {}) } });
+    });
+
+    api.put('/nodes/:node/qemu/:vmid/config', (req, res) => {
+      if (req.vm.lock) {
+        return fail(res, 500, `VM is locked (${req.vm.lock})`);
+      }
+
+      Object.entries(req.body).forEach(([key, value]) => {
+        req.vm.config[key] = ['cores', 'memory', 'sockets'].includes(key) ? parseInt(value) : value;
+      });
+      res.json({ data: null });
+    });
+
+    api.delete('/nodes/:node/qemu/:vmid', (req, res) => {
+      const vm = req.vm;
+      if (vm.status === 'running') {
+        return fail(res, 500, `VM ${vm.vmid} is running - destroy failed`);
+      }
+      if (vm.lock) {
+        return fail(res, 500, `VM is locked (${vm.lock})`);
+      }
+
+      res.json({
+        data: this.createTask(req.params.node, 'qmdestroy', vm.vmid, () => {
+          this.vms.delete(vm.vmid);
+        })
+      });
+    });
+
+    api.get('/nodes/:node/qemu/:vmid/snapshot', (req, res) => {
+      const vm = req.vm;
+      const snapshots = [...vm.snapshots.values()].map(({ state, ...snapshot }) => snapshot);
+      snapshots.push({ name: 'current', description: 'You are here!', running: vm.status === 'running' ? 1 : 0, ...(vm.parentSnapshot ? { parent: vm.parentSnapshot } : {}) });
+      res.json({ data: snapshots });
+    });
+
+    api.post('/nodes/:node/qemu/:vmid/snapshot', (req, res) => {
+      const vm = req.vm;
+      const { snapname, description = '' } = req.body;
+      const vmstate = String(req.body.vmstate) === '1' && vm.status === 'running';
+
+      if (!/^[a-zA-Z][a-zA-Z0-9_-]{1,39}$/.test(snapname || '')) {
+        return fail(res, 400, 'snapname: invalid format - invalid configuration ID');
+      }
+      if (vm.snapshots.has(snapname)) {
+        return fail(res, 500, `snapshot name '${snapname}' already used`);
+      }
+      if (vm.lock) {
+        return fail(res, 500, `VM is locked (${vm.lock})`);
+      }
+
+      vm.lock = 'snapshot';
+      res.json({
+        data: this.createTask(req.params.node, 'qmsnapshot', vm.vmid, () => {
+          vm.lock = null;
+          vm.snapshots.set(snapname, {
+            name: snapname,
+            description,
+            snaptime: Math.floor(Date.now() / 1000),
+            ...(vmstate ? { vmstate: 1 } : {}),
+            ...(vm.parentSnapshot ? { parent: vm.parentSnapshot } : {}),
+            state: { config: { ...vm.config }, files: new Map(vm.files), running: vmstate }
+          });
+          vm.parentSnapshot = snapname;
+        })
+      });
+    });
+
+    api.post('/nodes/:node/qemu/:vmid/snapshot/:snapname/rollback', (req, res) => {
+      const vm = req.vm;
+      const snapshot = vm.snapshots.get(req.params.snapname);
+
+      if (!snapshot) {
+        return fail(res, 500, `snapshot '${req.params.snapname}' does not exist`);
+      }
+      if (vm.lock) {
+        return fail(res, 500, `VM is locked (${vm.lock})`);
+      }
+
+      vm.lock = 'rollback';
+      res.json({
+        data: this.createTask(req.params.node, 'qmrollback', vm.vmid, () => {
+          vm.lock = null;
+          vm.config = { ...snapshot.state.config };
+          vm.files = new Map(snapshot.state.files);
+          vm.status = snapshot.state.running ? 'running' : 'stopped';
+          vm.startedAt = snapshot.state.running ? Date.now() : null;
+          vm.parentSnapshot = snapshot.name;
+        })
+      });
+    });
+
+    api.delete('/nodes/:node/qemu/:vmid/snapshot/:snapname', (req, res) => {
+      const vm = req.vm;
+      const snapshot = vm.snapshots.get(req.params.snapname);
+
+      if (!snapshot) {
+        return fail(res, 500, `snapshot '${req.params.snapname}' does not exist`);
+      }
+      if (vm.lock) {
+        return fail(res, 500, `VM is locked (${vm.lock})`);
+      }
+
+      res.json({
+        data: this.createTask(req.params.node, 'qmdelsnapshot', vm.vmid, () => {
+          vm.snapshots.delete(snapshot.name);
+          // Children of the deleted snapshot move up to its parent
+          vm.snapshots.forEach(child => {
+            if (child.parent === snapshot.name) {
+              child.parent = snapshot.parent;
+            }
+          });
+          if (vm.parentSnapshot === snapshot.name) {
+            vm.parentSnapshot = snapshot.parent || null;
+          }
+        })
+      });
+    });
+
+    api.post('/nodes/:node/qemu/:vmid/vncproxy', (req, res) => {
+      if (req.vm.status !== 'running') {
+        return fail(res, 500, `VM ${req.vm.vmid} not running`);
+      }
+
+      const port = this.nextVNCPort++;
+      const ticket = `PVEVNC:${crypto.randomBytes(16).toString('hex')}`;
+      this.vncTickets.set(ticket, { vmid: req.vm.vmid, node: req.params.node, port });
+
+      res.json({
+        data: {
+          port: String(port),
+          ticket,
+          cert: '-----BEGIN CERTIFICATE-----\nsimulator\n-----END CERTIFICATE-----\n',
+          user: 'root@pam',
+          upid: `UPID:${req.params.node}:00000000:00000000:00000000:vncproxy:${req.vm.vmid}:root@pam:`
+        }
+      });
+    });
+
+    // Guest agent endpoints need a running VM
+    const requireAgent = (req, res, next) => {
+      if (req.vm.status !== 'running') {
+        return fail(res, 500, `VM ${req.vm.vmid} is not running`);
+      }
+      if (req.vm.hung) {
+        return fail(res, 500, 'QEMU guest agent is not running');
+      }
+      next();
+    };
+
+    api.post('/nodes/:node/qemu/:vmid/agent/ping', requireAgent, (req, res) => {
+      res.json({ data: {} });
+    });
+
+    api.post('/nodes/:node/qemu/:vmid/agent/file-write', requireAgent, (req, res) => {
+      const { file, content = '', encode } = req.body;
+      if (!file) {
+        return fail(res, 400, 'file: property is missing and it is not optional');
+      }
+      if (content.length > AGENT_FILE_WRITE_MAX) {
+        return fail(res, 400, `content: value may only be ${AGENT_FILE_WRITE_MAX} characters long`);
+      }
+
+      const data = String(encode) === '0' ? Buffer.from(content, 'base64') : Buffer.from(content);
+      req.vm.files.set(file, data);
+      res.json({ data: null });
+    });
+
+    api.post('/nodes/:node/qemu/:vmid/agent/exec', requireAgent, (req, res) => {
+      const command = [].concat(req.body.command || []);
+      if (command.length === 0) {
+        return fail(res, 400, 'command: property is missing and it is not optional');
+      }
+
+      const pid = this.nextPid++;
+      const result = this.runGuestCommand(req.vm, command);
+      this.execResults.set(`${req.vm.vmid}:${pid}`, {
+        exited: 1,
+        exitcode: result.exitcode || 0,
+        ...(result.out ? { 'out-data': result.out } : {}),
+        ...(result.err ? { 'err-data': result.err } : {})
+      });
+
+      res.json({ data: { pid } });
+    });
+
+    api.get('/nodes/:node/qemu/:vmid/agent/exec-status', requireAgent, (req, res) => {
+      const result = this.execResults.get(`${req.vm.vmid}:${req.query.pid}`);
+      if (!result) {
+        return fail(res, 500, `Agent error: Invalid parameter 'pid'`);
+      }
+      res.json({ data: result });
+    });
+
+    app.use('/api2/json', api);
+    app.use((req, res) => fail(res, 501, `Method '${req.method} ${req.path}' not implemented`));
+
+    return app;
+  }
+
+  // Fake node metrics derived from the VMs running on it
+  getNodeSummary(node) {
+    const running = [...this.vms.values()].filter(vm => vm.node === node && vm.status === 'running');
+    const maxmem = (this.options.nodeMemory || 64) * 1024 * 1024 * 1024;
+    const mem = Math.min(maxmem, 4 * 1024 * 1024 * 1024 + running.reduce((sum, vm) => sum + vm.config.memory * 1024 * 1024, 0));
+
+    return {
+      node,
+      status: 'online',
+      cpu: Math.min(1, 0.02 + running.length * 0.05),
+      maxcpu: 32,
+      mem,
+      maxmem,
+      uptime: Math.floor(process.uptime())
+    };
+  }
+
+  // Timestamps of the RRD points for a timeframe, oldest first
+  getRRDTimes(timeframe) {
+    const step = RRD_STEPS[timeframe];
+    if (!step) {
+      return null;
+    }
+    const last = Math.floor(Date.now() / 1000 / step) * step;
+    return Array.from({ length: RRD_POINTS }, (_, i) => last - (RRD_POINTS - 1 - i) * step);
+  }
+
+  // Deterministic factor between 0.5 and 1.5 so charts have some shape
+  rrdWave(index, seed) {
+    return 1 + 0.5 * Math.sin(index / 6 + seed);
+  }
+
+  getVMSummary(vm) {
+    const running = vm.status === 'running';
+    return {
+      vmid: vm.vmid,
+      name: vm.config.name,
+      node: vm.node,
+      status: vm.status,
+      template: vm.template,
+      cpus: vm.config.cores,
+      maxcpu: vm.config.cores,
+      cpu: running ? 0.1 : 0,
+      maxmem: vm.config.memory * 1024 * 1024,
+      mem: running ? Math.floor(vm.config.memory * 1024 * 1024 * 0.6) : 0,
+      uptime: running ? Math.floor((Date.now() - vm.startedAt) / 1000) : 0
+    };
+  }
+}
+
+module.exports = ProxmoxSimulator;
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader } = require('./helpers');
+
+describe('Farming agent heartbeats', () => {
+  let ctx;
+  let vmAgent;
+  let eventBus;
+  let vmStatusCache;
+  let admin;
+  let owner;
+
+  const AGENT_CONFIG_PATH = 'C:\\automation\\agent.json';
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    vmAgent = require('../services/vmAgent');
+    eventBus = require('../services/eventBus');
+    vmStatusCache = require('../services/vmStatusCache');
+
+    ctx.simulator.addVM({ vmid: 3131, name: 'AGENT-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3132, name: 'AGENT-02', status: 'running' });
+
+    admin = await createUser(ctx.db, { username: 'agentadmin', role: 'admin' });
+    owner = await createUser(ctx.db, { username: 'agentowner', vmIds: [3131, 3132] });
+
+    await vmAgent.issueCredential(3131);
+    await vmAgent.issueCredential(3132);
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const readSecret = (vmid) => JSON.parse(ctx.simulator.getVM(vmid).files.get(AGENT_CONFIG_PATH).toString()).secret;
+
+  const heartbeat = (secret, body) => request(ctx.app)
+    .post('/api/agent/heartbeat')
+    .set('Authorization', `Bearer ${secret}`)
+    .send(body);
+
+  const listVM = async (user, vmid) => (await request(ctx.app).get('/api/vm').set('Authorization', authHeader(user)))
+    .body.vms.find(vm => vm.vmid === vmid);
+
+  test('credentials are written into the VM and only their hash is stored', async () => {
+    const config = JSON.parse(ctx.simulator.getVM(3131).files.get(AGENT_CONFIG_PATH).toString());
+    expect(config).toEqual(expect.objectContaining({ vmid: 3131, heartbeatUrl: expect.stringMatching(/\/api\/agent\/heartbeat$/) }));
+    expect(config.secret).toMatch(/^[0-9a-f]{64}$/);
+
+    const agent = ctx.db.getVMAgent(3131);
+    expect(agent.secret_hash).not.toBe(config.secret);
+    expect(vmAgent.authenticate(config.secret).vmid).toBe(3131);
+
+    expect((await listVM(owner, 3131)).agent.status).toBe('waiting');
+  });
+
+  test('heartbeats need the VM\'s secret and a valid body', async () => {
+    const secret = readSecret(3131);
+
+    const unauthenticated = await request(ctx.app).post('/api/agent/heartbeat').send({ botState: 'farming', gameRunning: true });
+    expect(unauthenticated.status).toBe(401);
+    expect((await heartbeat('not-a-secret', { botState: 'farming', gameRunning: true })).body.code).toBe('INVALID_AGENT_CREDENTIALS');
+
+    for (const body of [{ botState: 'dancing', gameRunning: true }, { botState: 'farming' }, { botState: 'idle', gameRunning: false, activity: 'x'.repeat(201) }]) {
+      const rejected = await heartbeat(secret, body);
+      expect(rejected.status).toBe(400);
+      expect(rejected.body.code).toBe('INVALID_HEARTBEAT');
+    }
+
+    const events = [];
+    const listener = event => events.push(event);
+    eventBus.on('vm.agent', listener);
+    const accepted = await heartbeat(secret, { botState: 'farming', gameRunning: true, activity: 'Raid on Customs', agentVersion: '1.2.0' });
+    eventBus.off('vm.agent', listener);
+
+    expect(accepted.status).toBe(200);
+    expect(accepted.body).toEqual(expect.objectContaining({ received: true, vmid: 3131 }));
+    expect(events).toEqual([expect.objectContaining({ vmid: 3131, agent: expect.objectContaining({ status: 'ok', botState: 'farming' }) })]);
+
+    const vm = await listVM(owner, 3131);
+    expect(vm.agent).toEqual(expect.objectContaining({ status: 'ok', botState: 'farming', gameRunning: true, activity: 'Raid on Customs' }));
+    expect(ctx.db.db.prepare('SELECT COUNT(*) AS count FROM vm_heartbeats WHERE vmid = 3131').get().count).toBe(1);
+  });
+
+  test('running VMs whose agent goes quiet are marked stale until it reports again', async () => {
+    const secret = readSecret(3132);
+    await heartbeat(secret, { botState: 'farming', gameRunning: true });
+    ctx.db.db.prepare("UPDATE vm_agents SET last_heartbeat_at = datetime('now', '-10 minutes') WHERE vmid IN (3131, 3132)").run();
+
+    // 3131 was just started, 3132 has been up for an hour
+    ctx.simulator.getVM(3132).startedAt = Date.now() - 60 * 60 * 1000;
+    vmStatusCache.invalidate(3131);
+    vmStatusCache.invalidate(3132);
+
+    await vmAgent.checkStaleAgents();
+    await vmAgent.checkStaleAgents();
+
+    expect((await listVM(owner, 3131)).agent.status).toBe('ok');
+    expect((await listVM(owner, 3132)).agent).toEqual(expect.objectContaining({ status: 'stale', staleSince: expect.any(String) }));
+    const logged = ctx.db.db.prepare("SELECT COUNT(*) AS count FROM audit_logs WHERE action = 'vm_agent_stale'").get();
+    expect(logged.count).toBe(1);
+
+    await heartbeat(secret, { botState: 'idle', gameRunning: false });
+    expect((await listVM(owner, 3132)).agent).toEqual(expect.objectContaining({ status: 'ok', botState: 'idle', staleSince: null }));
+  });
+
+  test('admins list agents and reissue credentials, retiring the old secret', async () => {
+    const agents = await request(ctx.app).get('/api/admin/agents').set('Authorization', authHeader(admin));
+    expect(agents.status).toBe(200);
+    expect(agents.body.agents.find(agent => agent.vmid === 3131)).toEqual(expect.objectContaining({ username: 'agentowner', botState: 'farming' }));
+    expect(agents.body.summary.total).toBe(2);
+
+    const oldSecret = readSecret(3131);
+    const reissued = await request(ctx.app).post('/api/admin/agents/3131/credentials').set('Authorization', authHeader(admin));
+    expect(reissued.status).toBe(200);
+
+    expect((await heartbeat(oldSecret, { botState: 'farming', gameRunning: true })).status).toBe(401);
+    expect((await heartbeat(readSecret(3131), { botState: 'farming', gameRunning: true })).status).toBe(200);
+
+    const denied = await request(ctx.app).post('/api/admin/agents/3131/credentials').set('Authorization', authHeader(owner));
+    expect(denied.status).toBe(403);
+  });
+
+  test('heartbeats are rate limited per VM, not with the rest of the API', async () => {
+    const remaining = async () => parseInt((await request(ctx.app).get('/api/health')).headers['ratelimit-remaining']);
+
+    const before = await remaining();
+    let res;
+    do {
+      res = await heartbeat(readSecret(3131), { botState: 'farming', gameRunning: true });
+      expect(res.status).toBe(200);
+    } while (parseInt(res.headers['ratelimit-remaining']) > 0);
+    expect(res.headers['ratelimit-limit']).toBe('60');
+    expect(await remaining()).toBe(before - 1);
+
+    expect((await heartbeat(readSecret(3131), { botState: 'farming', gameRunning: true })).status).toBe(429);
+    expect((await heartbeat(readSecret(3132), { botState: 'idle', gameRunning: false })).status).toBe(200);
+  });
+});
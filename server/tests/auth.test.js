@@ -0,0 +1,58 @@
+const request = require('supertest');
+const { TEST_PASSWORD, startTestApp, stopTestApp, createUser } = require('./helpers');
+
+describe('POST /api/auth/login', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    await createUser(ctx.db, { username: 'alice' });
+    await createUser(ctx.db, { username: 'suspended-user', status: 'suspended' });
+    await createUser(ctx.db, { username: 'banned-user', status: 'banned' });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const login = (username, password) => request(ctx.app).post('/api/auth/login').send({ username, password });
+
+  test('returns a token and the user without the password hash', async () => {
+    const res = await login('alice', TEST_PASSWORD);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.user.username).toBe('alice');
+    expect(res.body.user.password).toBeUndefined();
+
+    const validate = await request(ctx.app)
+      .get('/api/auth/validate')
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(validate.status).toBe(200);
+  });
+
+  test('rejects a wrong password', async () => {
+    const res = await login('alice', 'wrong-password');
+    expect(res.status).toBe(401);
+    expect(res.body.token).toBeUndefined();
+  });
+
+  test('rejects an unknown user with the same error', async () => {
+    const res = await login('nobody', TEST_PASSWORD);
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid credentials');
+  });
+
+  test('requires username and password', async () => {
+    const res = await login('alice', '');
+    expect(res.status).toBe(400);
+  });
+
+  test('refuses suspended and banned accounts', async () => {
+    const suspended = await login('suspended-user', TEST_PASSWORD);
+    expect(suspended.status).toBe(423);
+    expect(suspended.body.accountStatus).toBe('suspended');
+
+    const banned = await login('banned-user', TEST_PASSWORD);
+    expect(banned.status).toBe(403);
+    expect(banned.body.accountStatus).toBe('banned');
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, waitFor } = require('./helpers');
+
+// One 16 GB node: 12 GB for customer VMs after the 4 GB reserve, i.e. three Hour Booster VMs
+describe('Capacity-aware checkout', () => {
+  let ctx;
+  let capacityPlanner;
+  let vmStatusCache;
+  let eventBus;
+  let admin;
+  let buyer;
+  let refused;
+  let waiter;
+
+  beforeAll(async () => {
+    ctx = await startTestApp({ nodeMemory: 16 });
+    capacityPlanner = require('../services/capacityPlanner');
+    vmStatusCache = require('../services/vmStatusCache');
+    eventBus = require('../services/eventBus');
+
+    admin = await createUser(ctx.db, { username: 'capadmin', role: 'admin' });
+    buyer = await createUser(ctx.db, { username: 'capbuyer' });
+    refused = await createUser(ctx.db, { username: 'caprefused' });
+    waiter = await createUser(ctx.db, { username: 'capwaiter' });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const api = (method, path, user) => request(ctx.app)[method](`/api/payment${path}`).set('Authorization', authHeader(user));
+
+  const checkout = (user, vmCount, extra = {}) => api('post', '/create-checkout-session', user)
+    .send({ planType: 'hour_booster', vmCount, planName: 'Hour Booster', ...extra });
+
+  const activeReservations = (user) => ctx.db.getActiveCapacityReservations().filter(reservation => reservation.user_id === user.id);
+
+  test('orders that fit are held while the customer pays, others are refused', async () => {
+    const first = await checkout(buyer, 2);
+    expect(first.status).toBe(200);
+    expect(activeReservations(buyer)).toEqual([
+      expect.objectContaining({ kind: 'checkout', vm_count: 2, memory_mb: 8192, reference: first.body.sessionId })
+    ]);
+
+    // Customers racing for the last of the room can't both get it, even when
+    // both orders were checked against the same free capacity
+    const getCapacity = capacityPlanner.getCapacity.bind(capacityPlanner);
+    const slowCapacity = jest.spyOn(capacityPlanner, 'getCapacity').mockImplementation(async (options) => {
+      const capacity = await getCapacity(options);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return capacity;
+    });
+    const racing = await Promise.all([checkout(refused, 1), checkout(waiter, 1)]);
+    slowCapacity.mockRestore();
+    expect(racing.map(response => response.status).sort()).toEqual([200, 409]);
+    ctx.db.releaseCapacityReservations(refused.id);
+    ctx.db.releaseCapacityReservations(waiter.id);
+
+    const tooBig = await checkout(refused, 2);
+    expect(tooBig.status).toBe(409);
+    expect(tooBig.body).toEqual(expect.objectContaining({ code: 'INSUFFICIENT_CAPACITY', canJoinWaitlist: true }));
+
+    // A new checkout replaces the customer's own hold instead of competing with it
+    expect((await checkout(buyer, 3)).status).toBe(200);
+    expect(activeReservations(buyer)).toEqual([expect.objectContaining({ vm_count: 3, memory_mb: 12288 })]);
+  });
+
+  test('waitlisted orders are offered freed capacity first come first served', async () => {
+    const joined = await checkout(refused, 3, { joinWaitlist: true });
+    expect(joined.status).toBe(202);
+    expect(joined.body.waitlist).toEqual(expect.objectContaining({ status: 'waiting', position: 1, vmCount: 3 }));
+    await checkout(waiter, 1, { joinWaitlist: true });
+    expect((await api('get', '/waitlist', waiter)).body.waitlist.position).toBe(2);
+
+    // The buyer's checkout expires while a 4 GB VM is running: the 3-VM order
+    // at the front still doesn't fit, so the smaller one behind it waits too
+    ctx.db.db.prepare("UPDATE capacity_reservations SET expires_at = datetime('now', '-1 minute') WHERE user_id = ?").run(buyer.id);
+    ctx.simulator.addVM({ vmid: 3151, name: 'CAP-01', status: 'running' });
+    vmStatusCache.invalidate(3151);
+    expect(await capacityPlanner.processWaitlist()).toBe(0);
+
+    const events = [];
+    const listener = event => events.push(event);
+    eventBus.on('capacity.available', listener);
+    ctx.simulator.vms.delete(3151);
+    vmStatusCache.invalidate(3151);
+    expect(await capacityPlanner.processWaitlist()).toBe(1);
+    eventBus.off('capacity.available', listener);
+
+    expect(events).toEqual([expect.objectContaining({ userId: refused.id, waitlist: expect.objectContaining({ status: 'notified' }) })]);
+    expect((await api('get', '/waitlist', refused)).body.waitlist.offerExpiresAt).toEqual(expect.any(String));
+    expect((await api('get', '/waitlist', waiter)).body.waitlist).toEqual(expect.objectContaining({ status: 'waiting', position: 1 }));
+
+    // The offered room is held for the notified customer only
+    expect((await checkout(buyer, 1)).status).toBe(409);
+    expect((await checkout(refused, 3)).status).toBe(200);
+    expect((await api('get', '/waitlist', refused)).body.waitlist).toBeNull();
+    expect(activeReservations(refused)).toEqual([expect.objectContaining({ kind: 'checkout' })]);
+  });
+
+  test('upgrades only need room for the VMs they add', async () => {
+    ctx.simulator.addVM({ vmid: 3152, name: 'CAP-02' });
+    const upgrader = await createUser(ctx.db, { username: 'capupgrader', vmIds: [3152] });
+    await ctx.db.updateUserSubscription(upgrader.id, { plan: 'Hour Booster', stripeSubscriptionId: 'sub_capacity', status: 'active' });
+    const upgrade = (body) => api('post', '/upgrade-subscription', upgrader).send(body);
+
+    const larger = await upgrade({ planType: 'hour_booster', vmCount: 2, planName: 'Hour Booster' });
+    expect(larger.status).toBe(409);
+    expect(larger.body.code).toBe('INSUFFICIENT_CAPACITY');
+
+    // A failed upgrade releases only what it reserved itself, not an offer the customer still holds
+    ctx.db.reserveCapacity({ userId: upgrader.id, kind: 'waitlist', planType: 'hour_booster', vmCount: 0, memory: 0, cores: 0, minutes: 60 });
+    const updateSubscription = jest.spyOn(ctx.db, 'updateUserSubscription').mockRejectedValueOnce(new Error('database is locked'));
+    expect((await upgrade({ planType: 'dual_mode', vmCount: 1, planName: 'Dual Mode' })).status).toBe(500);
+    updateSubscription.mockRestore();
+    expect(activeReservations(upgrader)).toEqual([expect.objectContaining({ kind: 'waitlist' })]);
+    ctx.db.releaseCapacityReservations(upgrader.id);
+
+    // Dual Mode VMs are the same size, so switching plans needs no room
+    expect((await upgrade({ planType: 'dual_mode', vmCount: 1, planName: 'Dual Mode' })).status).toBe(200);
+
+    const waiting = await upgrade({ planType: 'dual_mode', vmCount: 2, planName: 'Dual Mode', joinWaitlist: true });
+    expect(waiting.status).toBe(202);
+    expect(waiting.body.waitlist).toEqual(expect.objectContaining({ kind: 'upgrade', vmCount: 2 }));
+  });
+
+  test('admins see capacity, holds and the waitlist; customers can leave it', async () => {
+    const response = await request(ctx.app).get('/api/admin/capacity').set('Authorization', authHeader(admin));
+    expect(response.status).toBe(200);
+    expect(response.body.capacity.total.memory).toBe(12288);
+    expect(response.body.capacity.free.memory).toBe(0);
+    expect(response.body.reservations.map(reservation => reservation.username)).toEqual(['caprefused']);
+    expect(response.body.waitlist.map(entry => entry.username)).toEqual(['capwaiter', 'capupgrader']);
+
+    const denied = await request(ctx.app).get('/api/admin/capacity').set('Authorization', authHeader(waiter));
+    expect(denied.status).toBe(403);
+
+    expect((await api('delete', '/waitlist', waiter)).status).toBe(200);
+    const again = await api('delete', '/waitlist', waiter);
+    expect(again.status).toBe(404);
+    expect(again.body.code).toBe('WAITLIST_NOT_FOUND');
+  });
+
+  test('finishing or leaving an order releases that order\'s hold only', async () => {
+    const vmProvisioning = require('../services/vmProvisioning');
+    const customer = await createUser(ctx.db, { username: 'capcustomer' });
+    ctx.db.db.prepare("UPDATE capacity_reservations SET expires_at = datetime('now', '-1 minute')").run();
+
+    // A paid checkout is queued after the customer has started another one
+    await checkout(customer, 1);
+    const [paid] = activeReservations(customer);
+    await checkout(customer, 1);
+    const [pending] = activeReservations(customer);
+    await vmProvisioning.provisionVMsForUser(customer.id, {
+      id: 'sub_capacity_paid',
+      metadata: { reservationId: paid.id.toString(), planType: 'hour_booster', vmCount: '1', planName: 'Hour Booster' }
+    });
+    expect(activeReservations(customer)).toEqual([expect.objectContaining({ id: pending.id })]);
+    await waitFor(() => ctx.db.getActiveProvisioningJobs().length === 0);
+
+    ctx.db.joinWaitlist({ userId: customer.id, kind: 'checkout', planType: 'hour_booster', vmCount: 2 });
+    expect((await api('delete', '/waitlist', customer)).status).toBe(200);
+    expect(activeReservations(customer)).toEqual([expect.objectContaining({ id: pending.id })]);
+    ctx.db.releaseCapacityReservation(pending.id);
+
+    // A successful upgrade gives its room back
+    const upgrader = await ctx.db.findUserByUsername('capupgrader');
+    const upgraded = await api('post', '/upgrade-subscription', upgrader).send({ planType: 'hour_booster', vmCount: 2, planName: 'Hour Booster' });
+    expect(upgraded.status).toBe(200);
+    expect(activeReservations(upgrader)).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const WebSocket = require('ws');
+const { startTestApp, stopTestApp, createUser, authHeader, hoursFromNow, waitFor } = require('./helpers');
+
+describe('VM console', () => {
+  let ctx;
+  let server;
+  let consoleProxy;
+  let baseUrl;
+  let owner;
+  let otherCustomer;
+  let expiredCustomer;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    consoleProxy = require('../services/consoleProxy');
+
+    server = ctx.app.listen(0);
+    consoleProxy.attach(server);
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+
+    ctx.simulator.addVM({ vmid: 3041, name: 'CONSOLE-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3042, name: 'CONSOLE-02' });
+    ctx.simulator.addVM({ vmid: 3043, name: 'CONSOLE-03', status: 'running' });
+
+    owner = await createUser(ctx.db, { username: 'consoleowner', vmIds: [3041, 3042] });
+    otherCustomer = await createUser(ctx.db, { username: 'consoleother' });
+    expiredCustomer = await createUser(ctx.db, { username: 'consoleexpired', vmIds: [3043], expiresAt: hoursFromNow(-1) });
+  });
+
+  afterAll(async () => {
+    consoleProxy.stop();
+    await new Promise(resolve => server.close(resolve));
+    await stopTestApp(ctx);
+  });
+
+  const openConsole = (user, vmid) => request(server)
+    .post(`/api/vm/${vmid}/console`)
+    .set('Authorization', authHeader(user));
+
+  const auditActions = (userId) => ctx.db.db
+    .prepare('SELECT action FROM audit_logs WHERE user_id = ? ORDER BY id')
+    .all(userId)
+    .map(row => row.action);
+
+  // Connect and resolve with the socket once the first frame arrives
+  const connect = (path) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}${path}`);
+    ws.once('message', data => resolve({ ws, greeting: data.toString() }));
+    ws.once('error', reject);
+  });
+
+  test('owner gets a console bridged to the VM', async () => {
+    const res = await openConsole(owner, 3041);
+    expect(res.status).toBe(200);
+    expect(res.body.password).toMatch(/^PVEVNC:/);
+    expect(res.body.websocketPath).toMatch(/^\/api\/vm\/console\/ws\?token=/);
+
+    const { ws, greeting } = await connect(res.body.websocketPath);
+    expect(greeting).toBe('RFB 003.008\n');
+
+    const echo = new Promise(resolve => ws.once('message', data => resolve(data.toString())));
+    ws.send('RFB 003.008\n');
+    expect(await echo).toBe('RFB 003.008\n');
+
+    ws.close();
+    await waitFor(() => auditActions(owner.id).includes('vm_console_closed'));
+    expect(auditActions(owner.id)).toEqual(expect.arrayContaining([
+      'vm_console_session_created',
+      'vm_console_connected',
+      'vm_console_closed'
+    ]));
+  });
+
+  test('console tokens can only be used once', async () => {
+    const res = await openConsole(owner, 3041);
+    const { ws } = await connect(res.body.websocketPath);
+    ws.close();
+
+    await expect(connect(res.body.websocketPath)).rejects.toThrow(/401/);
+    await expect(connect('/api/vm/console/ws?token=made-up')).rejects.toThrow(/401/);
+  });
+
+  test('upgrades to paths no service owns are dropped instead of left hanging', async () => {
+    await expect(connect('/api/vm/console/other')).rejects.toThrow(/socket hang up/);
+  });
+
+  test('sessions are closed at the time limit', async () => {
+    const maxSessionMs = consoleProxy.maxSessionMs;
+    consoleProxy.maxSessionMs = 200;
+
+    try {
+      const res = await openConsole(owner, 3041);
+      const { ws } = await connect(res.body.websocketPath);
+      const code = await new Promise(resolve => ws.once('close', resolve));
+      expect(code).toBe(4000);
+    } finally {
+      consoleProxy.maxSessionMs = maxSessionMs;
+    }
+
+    await waitFor(() => ctx.db.db
+      .prepare("SELECT 1 FROM audit_logs WHERE user_id = ? AND action = 'vm_console_closed' AND details LIKE '%time_limit%'")
+      .get(owner.id));
+  });
+
+  test('blocks other customers, expired subscriptions and stopped VMs', async () => {
+    expect((await openConsole(otherCustomer, 3041)).status).toBe(403);
+
+    const expired = await openConsole(expiredCustomer, 3043);
+    expect(expired.status).toBe(403);
+    expect(expired.body.code).toBe('SUBSCRIPTION_REQUIRED');
+
+    const stopped = await openConsole(owner, 3042);
+    expect(stopped.status).toBe(409);
+    expect(stopped.body.code).toBe('VM_NOT_RUNNING');
+  });
+});
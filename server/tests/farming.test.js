@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader } = require('./helpers');
+
+describe('Farming time tracking', () => {
+  let ctx;
+  let farmingTracker;
+  let vmAgent;
+  let admin;
+  let owner;
+  let other;
+
+  const today = new Date().toISOString().slice(0, 10);
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    farmingTracker = require('../services/farmingTracker');
+    vmAgent = require('../services/vmAgent');
+
+    ctx.simulator.addVM({ vmid: 3141, name: 'FARM-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3142, name: 'FARM-02', status: 'stopped' });
+    ctx.simulator.getVM(3141).startedAt = Date.now() - 60 * 60 * 1000;
+
+    admin = await createUser(ctx.db, { username: 'farmadmin', role: 'admin' });
+    owner = await createUser(ctx.db, { username: 'farmowner', vmIds: [3141, 3142], plan: 'KD Drop' });
+    other = await createUser(ctx.db, { username: 'farmother' });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const api = (method, path, user = owner) => request(ctx.app)[method](`/api/user${path}`).set('Authorization', authHeader(user));
+
+  const farmingRows = () => ctx.db.db.prepare('SELECT * FROM farming_time WHERE user_id = ? ORDER BY vmid').all(owner.id);
+
+  test('uptime of running customer VMs is credited between samples', async () => {
+    const start = Date.now();
+    await farmingTracker.sampleUptime(start);
+    expect(farmingRows()).toEqual([]);
+
+    await farmingTracker.sampleUptime(start + 60 * 1000);
+    // A gap longer than a few samples, e.g. the server was busy, isn't credited
+    await farmingTracker.sampleUptime(start + 60 * 60 * 1000);
+
+    expect(farmingRows()).toEqual([
+      expect.objectContaining({ vmid: 3141, plan_type: 'kd_drop', day: today, uptime_seconds: 60, farming_seconds: 0 })
+    ]);
+  });
+
+  test('time between heartbeats of a farming bot counts as farmed', async () => {
+    await vmAgent.issueCredential(3141);
+    const secret = JSON.parse(ctx.simulator.getVM(3141).files.get('C:\\automation\\agent.json').toString()).secret;
+    const heartbeat = (body) => request(ctx.app).post('/api/agent/heartbeat').set('Authorization', `Bearer ${secret}`).send(body);
+    const rewind = () => ctx.db.db.prepare("UPDATE vm_agents SET last_heartbeat_at = datetime('now', '-120 seconds') WHERE vmid = 3141").run();
+
+    await heartbeat({ botState: 'farming', gameRunning: true });
+    rewind();
+    await heartbeat({ botState: 'idle', gameRunning: false });
+    rewind();
+    await heartbeat({ botState: 'farming', gameRunning: true }); // idle for the last two minutes
+
+    const [row] = farmingRows();
+    expect(row.farming_seconds).toBeGreaterThanOrEqual(120);
+    expect(row.farming_seconds).toBeLessThan(125);
+  });
+
+  test('the dashboard reports totals, daily hours and goal progress', async () => {
+    ctx.db.addFarmingTime({ userId: owner.id, vmid: 3142, planType: 'hour_booster', day: daysAgo(3), uptimeSeconds: 7200, farmingSeconds: 3600 * 1.5 });
+    ctx.db.addFarmingTime({ userId: owner.id, vmid: 3142, planType: 'kd_drop', day: today, uptimeSeconds: 3600, farmingSeconds: 3600 * 2 });
+
+    expect((await api('put', '/farming/goal').send({ targetHours: 0 })).body.code).toBe('INVALID_GOAL');
+    expect((await api('put', '/farming/goal').send({ targetHours: 10, deadline: daysAgo(1) })).body.code).toBe('INVALID_GOAL');
+    expect((await api('put', '/farming/goal').send({ targetHours: 10 })).status).toBe(200);
+
+    const response = await api('get', '/dashboard');
+    const { farming } = response.body.stats;
+
+    expect(farming.totals).toEqual({ farmedHours: 3.5, uptimeHours: 3 });
+    expect(farming.byPlan.map(plan => plan.planType)).toEqual(['hour_booster', 'kd_drop']);
+    expect(farming.daily).toHaveLength(14);
+    expect(farming.daily[13]).toEqual(expect.objectContaining({ day: today, farmedHours: 2 }));
+    expect(farming.daily[10]).toEqual({ day: daysAgo(3), farmedHours: 1.5, uptimeHours: 2 });
+
+    // Only hours from the day the goal was set count towards it
+    expect(farming.goal).toEqual(expect.objectContaining({ targetHours: 10, farmedHours: 2, percent: 20, completed: false }));
+
+    expect((await api('get', '/dashboard', admin)).body.stats.farming).toBeNull();
+    expect((await api('delete', '/farming/goal')).status).toBe(200);
+    expect((await api('delete', '/farming/goal')).status).toBe(404);
+  });
+
+  test('customers export their own daily farming time as CSV', async () => {
+    const response = await api('get', '/farming/export');
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+
+    const lines = response.text.trim().split('\n');
+    expect(lines[0]).toBe('date,vmid,plan,uptime_hours,farmed_hours');
+    expect(lines[1]).toBe(`${daysAgo(3)},3142,hour_booster,2.00,1.50`);
+    expect(lines).toHaveLength(4);
+
+    const empty = await api('get', '/farming/export', other);
+    expect(empty.text.trim().split('\n')).toEqual(['date,vmid,plan,uptime_hours,farmed_hours']);
+  });
+});
@@ -0,0 +1,79 @@
+const request = require('supertest');
+const ProxmoxSimulator = require('../simulator/proxmoxSimulator');
+const { generateToken } = require('../middleware/auth');
+
+const TEST_PASSWORD = 'correct-horse-battery';
+
+// Start the Proxmox simulator and load the app against it. Must run before
+// anything requires services/proxmox, which reads PROXMOX_HOST when loaded.
+async function startTestApp(simulatorOptions = {}) {
+  const simulator = new ProxmoxSimulator(simulatorOptions);
+  process.env.PROXMOX_HOST = await simulator.listen();
+
+  const app = require('../index');
+  const db = require('../services/database');
+
+  return { app, db, simulator };
+}
+
+async function stopTestApp({ db, simulator }) {
+  require('../services/provisioningQueue').stop();
+  await simulator.close();
+  db.close();
+}
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+async function createUser(db, { username, role = 'customer', vmIds = [], expiresAt = hoursFromNow(24 * 30), plan = 'Hour Booster', status } = {}) {
+  const user = await db.createUser({
+    username,
+    email: `${username}@example.com`,
+    password: TEST_PASSWORD,
+    role,
+    vmIds,
+    subscriptionPlan: plan,
+    subscriptionExpiresAt: expiresAt
+  });
+
+  if (status) {
+    await db.updateUserStatusTo(user.id, status);
+  }
+
+  return user;
+}
+
+function authHeader(user) {
+  const token = generateToken({ id: user.id, username: user.username, email: user.email, role: user.role });
+  return `Bearer ${token}`;
+}
+
+// Post a Stripe event to the webhook endpoint the way Stripe would
+function sendWebhook(app, type, object, { id = `evt_${type}_${Math.random().toString(36).slice(2)}`, signature = 'valid-signature' } = {}) {
+  return request(app)
+    .post('/api/payment/webhook')
+    .set('stripe-signature', signature)
+    .set('Content-Type', 'application/json')
+    .send(JSON.stringify({ id, type, data: { object } }));
+}
+
+async function waitFor(condition, timeout = 10000) {
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeout) {
+    if (await condition()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Condition not met within ${timeout}ms`);
+}
+
+module.exports = {
+  TEST_PASSWORD,
+  startTestApp,
+  stopTestApp,
+  hoursFromNow,
+  createUser,
+  authHeader,
+  sendWebhook,
+  waitFor
+};
@@ -0,0 +1,95 @@
+const WebSocket = require('ws');
+const { startTestApp, stopTestApp, createUser, authHeader, hoursFromNow, waitFor } = require('./helpers');
+
+describe('Live updates', () => {
+  let ctx;
+  let server;
+  let liveUpdates;
+  let vmStatusCache;
+  let baseUrl;
+  let owner;
+  let otherCustomer;
+  let admin;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    liveUpdates = require('../services/liveUpdates');
+    vmStatusCache = require('../services/vmStatusCache');
+
+    server = ctx.app.listen(0);
+    liveUpdates.attach(server);
+    baseUrl = `ws://127.0.0.1:${server.address().port}/api/live`;
+
+    ctx.simulator.addVM({ vmid: 3091, name: 'LIVE-01' });
+    ctx.simulator.addVM({ vmid: 3092, name: 'LIVE-02' });
+
+    owner = await createUser(ctx.db, { username: 'liveowner', vmIds: [3091] });
+    otherCustomer = await createUser(ctx.db, { username: 'liveother', vmIds: [3092] });
+    admin = await createUser(ctx.db, { username: 'liveadmin', role: 'admin' });
+  });
+
+  afterAll(async () => {
+    liveUpdates.stop();
+    await new Promise(resolve => server.close(resolve));
+    await stopTestApp(ctx);
+  });
+
+  // Open a live connection and collect its messages once the server said hello
+  const connect = async (user) => {
+    const token = authHeader(user).split(' ')[1];
+    const client = new WebSocket(`${baseUrl}?token=${token}`);
+    const messages = [];
+    client.on('message', data => messages.push(JSON.parse(data.toString())));
+    await waitFor(() => messages.some(message => message.type === 'connected'));
+    return { client, messages, of: (type) => messages.filter(message => message.type === type).map(message => message.data) };
+  };
+
+  const rejectedStatus = (url) => new Promise(resolve => {
+    const client = new WebSocket(url);
+    client.on('unexpected-response', (req, res) => resolve(res.statusCode));
+    client.on('error', () => {});
+  });
+
+  test('rejects connections without a valid login token', async () => {
+    expect(await rejectedStatus(baseUrl)).toBe(401);
+    expect(await rejectedStatus(`${baseUrl}?token=not-a-jwt`)).toBe(401);
+  });
+
+  test('upgrades to other paths are dropped instead of left hanging', async () => {
+    const token = authHeader(owner).split(' ')[1];
+    const client = new WebSocket(`${baseUrl}/elsewhere?token=${token}`);
+    const error = await new Promise(resolve => client.on('error', resolve));
+    expect(error.message).toMatch(/socket hang up/);
+  });
+
+  test('VM status changes reach the owner and admins only', async () => {
+    const ownerLive = await connect(owner);
+    const otherLive = await connect(otherCustomer);
+    const adminLive = await connect(admin);
+
+    await vmStatusCache.refresh();
+    ctx.simulator.getVM(3091).status = 'running';
+    await vmStatusCache.refresh();
+
+    await waitFor(() => ownerLive.of('vm.status').length > 0 && adminLive.of('vm.status').length > 0);
+    expect(ownerLive.of('vm.status')).toEqual([
+      expect.objectContaining({ vmid: 3091, status: 'running', previousStatus: 'stopped' })
+    ]);
+    expect(otherLive.of('vm.status')).toEqual([]);
+
+    [ownerLive, otherLive, adminLive].forEach(live => live.client.close());
+  });
+
+  test('subscription changes are pushed to the affected user', async () => {
+    const ownerLive = await connect(owner);
+    const otherLive = await connect(otherCustomer);
+
+    await ctx.db.updateUserSubscription(owner.id, { plan: 'Hour Booster', status: 'active', expiresAt: hoursFromNow(24 * 60) });
+
+    await waitFor(() => ownerLive.of('subscription.changed').length > 0);
+    expect(ownerLive.of('subscription.changed')).toEqual([{ reason: 'updated', status: 'active' }]);
+    expect(otherLive.of('subscription.changed')).toEqual([]);
+
+    [ownerLive, otherLive].forEach(live => live.client.close());
+  });
+});
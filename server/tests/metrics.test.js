@@ -0,0 +1,72 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader } = require('./helpers');
+
+describe('VM and node metrics', () => {
+  let ctx;
+  let owner;
+  let otherCustomer;
+  let admin;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    ctx.simulator.addVM({ vmid: 3051, name: 'METRICS-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3052, name: 'METRICS-02' });
+
+    owner = await createUser(ctx.db, { username: 'metricsowner', vmIds: [3051, 3052] });
+    otherCustomer = await createUser(ctx.db, { username: 'metricsother' });
+    admin = await createUser(ctx.db, { username: 'metricsadmin', role: 'admin' });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const get = (user, path) => request(ctx.app).get(`/api${path}`).set('Authorization', authHeader(user));
+
+  test('owner gets CPU, memory, disk IO and network history', async () => {
+    const res = await get(owner, '/vm/3051/metrics?timeframe=day');
+    expect(res.status).toBe(200);
+    expect(res.body.timeframe).toBe('day');
+    expect(res.body.points).toHaveLength(70);
+
+    const [first, second] = res.body.points;
+    expect(new Date(second.time) - new Date(first.time)).toBe(30 * 60 * 1000);
+    expect(first).toEqual({
+      time: expect.any(String),
+      cpu: expect.any(Number),
+      memoryUsed: expect.any(Number),
+      memoryTotal: 4096 * 1024 * 1024,
+      diskRead: expect.any(Number),
+      diskWrite: expect.any(Number),
+      netIn: expect.any(Number),
+      netOut: expect.any(Number)
+    });
+  });
+
+  test('a stopped VM has gaps instead of zeros', async () => {
+    const res = await get(owner, '/vm/3052/metrics');
+    expect(res.status).toBe(200);
+    expect(res.body.timeframe).toBe('hour');
+    expect(res.body.points[0]).toEqual(expect.objectContaining({ cpu: null, memoryUsed: null, netIn: null }));
+  });
+
+  test('rejects other customers and unknown timeframes', async () => {
+    expect((await get(otherCustomer, '/vm/3051/metrics')).status).toBe(403);
+
+    const invalid = await get(owner, '/vm/3051/metrics?timeframe=year');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('INVALID_TIMEFRAME');
+  });
+
+  test('admins get node history', async () => {
+    const res = await get(admin, '/admin/monitoring/nodes/pve/metrics?timeframe=week');
+    expect(res.status).toBe(200);
+    expect(res.body.points).toHaveLength(70);
+    expect(res.body.points[0]).toEqual(expect.objectContaining({
+      cpu: expect.any(Number),
+      memoryTotal: 64 * 1024 * 1024 * 1024,
+      diskRead: null
+    }));
+
+    expect((await get(admin, '/admin/monitoring/nodes/nope/metrics')).status).toBe(404);
+    expect((await get(owner, '/admin/monitoring/nodes/pve/metrics')).status).toBe(403);
+  });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, waitFor } = require('./helpers');
+
+describe('VM operation locks and cooldowns', () => {
+  let ctx;
+  let proxmoxService;
+  let vmOperationLock;
+  let owner;
+  let admin;
+  let pendingTasks;
+  let waitForTask;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    proxmoxService = require('../services/proxmox');
+    vmOperationLock = require('../services/vmOperationLock');
+
+    ctx.simulator.addVM({ vmid: 3101, name: 'LOCK-01' });
+    ctx.simulator.addVM({ vmid: 3102, name: 'LOCK-02', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3103, name: 'LOCK-03', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3104, name: 'LOCK-04' });
+
+    owner = await createUser(ctx.db, { username: 'lockowner', vmIds: [3101, 3102, 3103, 3104] });
+    admin = await createUser(ctx.db, { username: 'lockadmin', role: 'admin' });
+  });
+
+  // Proxmox tasks stay running until the test finishes them
+  beforeEach(() => {
+    pendingTasks = [];
+    waitForTask = jest.spyOn(proxmoxService, 'waitForTask').mockImplementation(() => new Promise(resolve => {
+      pendingTasks.push(() => resolve({ success: true }));
+    }));
+  });
+
+  const finishTasks = () => pendingTasks.splice(0).forEach(finish => finish());
+
+  afterEach(() => waitForTask.mockRestore());
+
+  afterAll(() => stopTestApp(ctx));
+
+  const post = (user, path) => request(ctx.app).post(`/api/vm${path}`).set('Authorization', authHeader(user));
+
+  test('a VM runs one task at a time', async () => {
+    expect((await post(owner, '/3101/start')).status).toBe(200);
+
+    const busy = await post(owner, '/3101/stop');
+    expect(busy.status).toBe(409);
+    expect(busy.body.code).toBe('VM_BUSY');
+    expect(busy.headers['retry-after']).toBeDefined();
+
+    // Other VMs are not affected
+    expect((await post(owner, '/3102/shutdown')).status).toBe(200);
+
+    finishTasks();
+    await waitFor(() => !vmOperationLock.isLocked(3101));
+    expect((await post(owner, '/3101/stop')).status).toBe(200);
+    finishTasks();
+  });
+
+  test('repeating a power action is limited by the plan cooldown', async () => {
+    expect((await post(owner, '/3103/reboot')).status).toBe(200);
+    finishTasks();
+    await waitFor(() => !vmOperationLock.isLocked(3103));
+
+    const limited = await post(owner, '/3103/reboot');
+    expect(limited.status).toBe(429);
+    expect(limited.body).toEqual(expect.objectContaining({ code: 'ACTION_COOLDOWN', retryAfter: expect.any(Number) }));
+    expect(limited.body.retryAfter).toBeGreaterThan(250); // Hour Booster: 300 seconds
+
+    expect((await post(owner, '/3103/shutdown')).status).toBe(200);
+    finishTasks();
+    await waitFor(() => !vmOperationLock.isLocked(3103));
+    expect((await post(owner, '/3103/shutdown')).status).toBe(429);
+
+    // Admins are only held back by running tasks
+    expect((await post(admin, '/3103/shutdown')).status).toBe(200);
+    finishTasks();
+  });
+
+  test('background actions wait for a running task instead of racing it', async () => {
+    expect((await post(owner, '/3104/start')).status).toBe(200);
+
+    const stopVM = jest.fn(() => proxmoxService.stopVM(3104));
+    const stop = vmOperationLock.runExclusive(3104, 'stop', stopVM);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(stopVM).not.toHaveBeenCalled();
+
+    finishTasks();
+    await stop;
+    expect(stopVM).toHaveBeenCalledTimes(1);
+    expect(ctx.simulator.getVM(3104).status).toBe('stopped');
+
+    finishTasks();
+    await waitFor(() => !vmOperationLock.isLocked(3104));
+  });
+});
@@ -0,0 +1,167 @@
+const { startTestApp, stopTestApp, createUser, sendWebhook, waitFor, hoursFromNow } = require('./helpers');
+
+const inSeconds = (hours) => Math.floor(new Date(hoursFromNow(hours)).getTime() / 1000);
+
+describe('POST /api/payment/webhook', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  // A customer that Stripe already knows under the given customer ID
+  async function createStripeCustomer(username, customerId, { expiresAt = hoursFromNow(24 * 30), vmIds = [] } = {}) {
+    const user = await createUser(ctx.db, { username, expiresAt, vmIds });
+    await ctx.db.updateUserSubscription(user.id, { plan: 'Hour Booster', stripeCustomerId: customerId, expiresAt });
+    return user;
+  }
+
+  const getPayment = (paymentIntentId) =>
+    ctx.db.db.prepare('SELECT * FROM payments WHERE stripe_payment_intent_id = ?').get(paymentIntentId);
+
+  test('rejects events with an invalid signature', async () => {
+    const res = await sendWebhook(ctx.app, 'payment_intent.succeeded', { id: 'pi_bad' }, { signature: 'forged' });
+    expect(res.status).toBe(400);
+  });
+
+  test('skips events that were already processed', async () => {
+    const first = await sendWebhook(ctx.app, 'customer.created', { id: 'cus_dup' }, { id: 'evt_duplicate' });
+    expect(first.body.processed).toBe(true);
+
+    const second = await sendWebhook(ctx.app, 'customer.created', { id: 'cus_dup' }, { id: 'evt_duplicate' });
+    expect(second.body).toMatchObject({ processed: false, reason: 'already_processed' });
+  });
+
+  test('payment_intent.succeeded records the payment', async () => {
+    const user = await createStripeCustomer('pi-success', 'cus_pi_success');
+
+    const res = await sendWebhook(ctx.app, 'payment_intent.succeeded', {
+      id: 'pi_success', customer: 'cus_pi_success', amount: 1999, currency: 'usd', payment_method_types: ['card'], metadata: {}
+    });
+
+    expect(res.status).toBe(200);
+    expect(getPayment('pi_success')).toMatchObject({ user_id: user.id, amount: 1999, status: 'succeeded' });
+  });
+
+  test('payment_intent.payment_failed records the payment and the failed attempt', async () => {
+    const user = await createStripeCustomer('pi-failed', 'cus_pi_failed');
+
+    const res = await sendWebhook(ctx.app, 'payment_intent.payment_failed', {
+      id: 'pi_failed', customer: 'cus_pi_failed', amount: 1999, currency: 'usd', payment_method_types: ['card'], metadata: {},
+      last_payment_error: { code: 'card_declined', message: 'Your card was declined.' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(getPayment('pi_failed')).toMatchObject({ user_id: user.id, status: 'failed' });
+    const attempt = ctx.db.db.prepare('SELECT * FROM payment_attempts WHERE user_id = ?').get(user.id);
+    expect(attempt).toMatchObject({ status: 'failed', failure_code: 'card_declined' });
+  });
+
+  test('customer.subscription.created activates the plan and provisions the VMs', async () => {
+    const user = await createUser(ctx.db, { username: 'new-subscriber', plan: null, expiresAt: null });
+
+    const res = await sendWebhook(ctx.app, 'customer.subscription.created', {
+      id: 'sub_new',
+      customer: 'cus_new',
+      status: 'active',
+      current_period_end: inSeconds(24 * 30),
+      metadata: { userId: String(user.id), planType: 'hour_booster', vmCount: '2', planName: 'Hour Booster' }
+    });
+    expect(res.status).toBe(200);
+
+    const updated = await ctx.db.findUserById(user.id);
+    expect(updated.subscription).toMatchObject({ plan: 'Hour Booster', status: 'active', stripeCustomerId: 'cus_new' });
+
+    await waitFor(() => ctx.db.getUserVMIds(user.id).length === 2);
+    const vmids = ctx.db.getUserVMIds(user.id);
+    vmids.forEach(vmid => {
+      const vm = ctx.simulator.getVM(vmid);
+      expect(vm.status).toBe('running');
+      expect(vm.config.name).toMatch(new RegExp(`^${user.uuid}-0[12]$`));
+    });
+
+    await waitFor(async () => (await ctx.db.getActiveVMSetup(user.id)).status === 'ready_for_setup');
+  });
+
+  test('customer.subscription.updated to an ended subscription shuts the VMs down', async () => {
+    ctx.simulator.addVM({ vmid: 3051, name: 'LAPSED-01', status: 'running' });
+    const user = await createStripeCustomer('lapsed', 'cus_lapsed', { vmIds: [3051] });
+
+    const res = await sendWebhook(ctx.app, 'customer.subscription.updated', {
+      id: 'sub_lapsed',
+      customer: 'cus_lapsed',
+      status: 'unpaid',
+      current_period_end: inSeconds(-1),
+      metadata: { planType: 'hour_booster', vmCount: '1' }
+    });
+
+    expect(res.status).toBe(200);
+    expect((await ctx.db.findUserById(user.id)).subscription.status).toBe('unpaid');
+    expect(ctx.simulator.getVM(3051).status).toBe('stopped');
+  });
+
+  test('customer.subscription.deleted clears the plan and shuts the VMs down', async () => {
+    ctx.simulator.addVM({ vmid: 3052, name: 'CANCELED-01', status: 'running' });
+    const user = await createStripeCustomer('canceled', 'cus_canceled', { vmIds: [3052] });
+
+    const res = await sendWebhook(ctx.app, 'customer.subscription.deleted', { id: 'sub_canceled', customer: 'cus_canceled' });
+
+    expect(res.status).toBe(200);
+    const updated = await ctx.db.findUserById(user.id);
+    expect(updated.subscription.status).toBe('canceled');
+    expect(ctx.simulator.getVM(3052).status).toBe('stopped');
+  });
+
+  test('invoice.payment_succeeded records the renewal and lifts the shutdown flag', async () => {
+    const user = await createStripeCustomer('renewed', 'cus_renewed');
+    ctx.db.db.prepare('UPDATE users SET subscription_data = json_set(subscription_data, \'$.vmsShutdownOnExpiry\', 1) WHERE id = ?').run(user.id);
+
+    const res = await sendWebhook(ctx.app, 'invoice.payment_succeeded', {
+      id: 'in_renewed', customer: 'cus_renewed', subscription: 'sub_renewed', amount_paid: 1999, currency: 'usd'
+    });
+
+    expect(res.status).toBe(200);
+    const payment = ctx.db.db.prepare('SELECT * FROM payments WHERE user_id = ?').get(user.id);
+    expect(payment).toMatchObject({ amount: 1999, status: 'succeeded' });
+    expect((await ctx.db.findUserById(user.id)).subscription.vmsShutdownOnExpiry).toBeUndefined();
+  });
+
+  test('invoice.payment_failed on the final attempt shuts the VMs down', async () => {
+    ctx.simulator.addVM({ vmid: 3053, name: 'DUNNING-01', status: 'running' });
+    const user = await createStripeCustomer('dunning', 'cus_dunning', { vmIds: [3053], expiresAt: hoursFromNow(-1) });
+
+    const res = await sendWebhook(ctx.app, 'invoice.payment_failed', {
+      id: 'in_dunning', customer: 'cus_dunning', subscription: 'sub_dunning', amount_due: 1999, currency: 'usd', attempt_count: 4
+    });
+
+    expect(res.status).toBe(200);
+    const attempt = ctx.db.db.prepare('SELECT * FROM payment_attempts WHERE user_id = ?').get(user.id);
+    expect(attempt).toMatchObject({ failure_code: 'invoice_payment_failed' });
+    expect(ctx.simulator.getVM(3053).status).toBe('stopped');
+  });
+
+  test('charge.dispute.created and refund.created are recorded against the payment', async () => {
+    await createStripeCustomer('disputer', 'cus_disputer');
+    await sendWebhook(ctx.app, 'payment_intent.succeeded', {
+      id: 'pi_disputed', customer: 'cus_disputer', amount: 4999, currency: 'usd', payment_method_types: ['card'], metadata: {}
+    });
+    const payment = getPayment('pi_disputed');
+
+    const dispute = await sendWebhook(ctx.app, 'charge.dispute.created', {
+      id: 'dp_1', payment_intent: 'pi_disputed', charge: 'ch_1', amount: 4999, currency: 'usd',
+      reason: 'fraudulent', status: 'needs_response', is_charge_refundable: false, metadata: {}
+    });
+    expect(dispute.status).toBe(200);
+    expect(ctx.db.db.prepare('SELECT * FROM payment_disputes WHERE payment_id = ?').get(payment.id))
+      .toMatchObject({ stripe_dispute_id: 'dp_1', reason: 'fraudulent' });
+
+    const refund = await sendWebhook(ctx.app, 'refund.created', {
+      id: 're_1', payment_intent: 'pi_disputed', amount: 4999, currency: 'usd', reason: 'requested_by_customer', status: 'succeeded', metadata: {}
+    });
+    expect(refund.status).toBe(200);
+    expect(ctx.db.db.prepare('SELECT * FROM refunds WHERE payment_id = ?').get(payment.id))
+      .toMatchObject({ stripe_refund_id: 're_1', amount: 4999 });
+  });
+});
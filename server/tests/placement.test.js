@@ -0,0 +1,47 @@
+const { startTestApp, stopTestApp } = require('./helpers');
+
+// Two nodes, with pve busier than pve2. Template 3000 is on pve's local storage,
+// template 3300 on storage every node shares.
+describe('Clone placement', () => {
+  let ctx;
+  let proxmoxService;
+
+  beforeAll(async () => {
+    ctx = await startTestApp({
+      nodes: ['pve', 'pve2'],
+      storages: [{ storage: 'local-lvm', shared: 0 }, { storage: 'ceph', shared: 1 }],
+      templates: [
+        { vmid: 3000, name: 'Windows10T' },
+        { vmid: 3300, name: 'Windows10T-Shared', storage: 'ceph' }
+      ]
+    });
+    proxmoxService = require('../services/proxmox');
+
+    ctx.simulator.addVM({ vmid: 3071, name: 'BUSY-01', node: 'pve', status: 'running', memory: 16384 });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const clone = async (sourceVmid, newVmid) => {
+    const targetNode = await proxmoxService.selectNodeForPlacement({ memory: 4096, sourceVmid });
+    await proxmoxService.waitForTask(await proxmoxService.cloneVM(sourceVmid, newVmid, `PLACED-${newVmid}`, { fullClone: false, targetNode }));
+    return ctx.simulator.getVM(newVmid);
+  };
+
+  test('a template on local storage is cloned on its own node', async () => {
+    await expect(proxmoxService.cloneVM(3000, 3072, 'CROSS-NODE', { fullClone: false, targetNode: 'pve2' }))
+      .rejects.toThrow('Failed to clone VM');
+    expect(ctx.simulator.getVM(3072)).toBeUndefined();
+
+    const vm = await clone(3000, 3072);
+    expect(vm.node).toBe('pve');
+    expect(vm.config.scsi0).toBe('local-lvm:base-3000-disk-0/vm-3072-disk-0,size=64G');
+  });
+
+  test('a template on shared storage is cloned onto the least loaded node', async () => {
+    const vm = await clone(3300, 3073);
+    expect(vm.node).toBe('pve2');
+    expect(vm.config.scsi0).toBe('ceph:base-3300-disk-0/vm-3073-disk-0,size=64G');
+    expect(await proxmoxService.getVMNode(3073)).toBe('pve2');
+  });
+});
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, hoursFromNow, waitFor } = require('./helpers');
+
+describe('Plan resource sync', () => {
+  let ctx;
+  let vmPlanSync;
+  let owner;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    vmPlanSync = require('../services/vmPlanSync');
+
+    ctx.simulator.addVM({ vmid: 3111, name: 'PLAN-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3112, name: 'PLAN-02' });
+    [3111, 3112].forEach(vmid => Object.assign(ctx.simulator.getVM(vmid).config, { cores: 2, memory: 4096 }));
+
+    owner = await createUser(ctx.db, { username: 'planowner', vmIds: [3111, 3112] });
+    [3111, 3112].forEach(vmid => ctx.db.setVMPlanSpec(vmid, { planType: 'hour_booster', cores: 2, memory: 4096 }));
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const assignment = (vmid) => ctx.db.getUserVMAssignments(owner.id).find(a => a.vm_id === vmid);
+
+  const auditCount = (action) => ctx.db.db
+    .prepare('SELECT COUNT(*) AS count FROM audit_logs WHERE user_id = ? AND action = ?')
+    .get(owner.id, action).count;
+
+  const changePlan = (plan) => ctx.db.updateUserSubscription(owner.id, { plan, status: 'active', expiresAt: hoursFromNow(24 * 30) });
+
+  test('an upgrade reconfigures every VM and schedules a reboot for running ones', async () => {
+    await changePlan('KD Drop');
+    await waitFor(() => auditCount('vm_plan_applied') === 2);
+
+    for (const vmid of [3111, 3112]) {
+      expect(ctx.simulator.getVM(vmid).config).toEqual(expect.objectContaining({ cores: 4, memory: 8192 }));
+      expect(assignment(vmid)).toEqual(expect.objectContaining({ plan_type: 'kd_drop', plan_cores: 4, plan_memory: 8192 }));
+    }
+    expect(assignment(3111).plan_status).toBe('pending_reboot');
+    expect(assignment(3112)).toEqual(expect.objectContaining({ plan_status: 'applied', plan_reboot_at: null }));
+
+    const list = await request(ctx.app).get('/api/vm').set('Authorization', authHeader(owner));
+    const running = list.body.vms.find(vm => vm.vmid === 3111);
+    expect(running.planSpec).toEqual({ planType: 'kd_drop', cores: 4, memory: 8192, status: 'pending_reboot', rebootAt: expect.any(String) });
+    expect(new Date(running.planSpec.rebootAt) > new Date()).toBe(true);
+  });
+
+  test('due reboots are sent and mark the plan applied', async () => {
+    await vmPlanSync.runDueReboots();
+    expect(auditCount('vm_plan_reboot')).toBe(0);
+
+    ctx.db.db.prepare("UPDATE vm_assignments SET plan_reboot_at = datetime('now', '-1 minute') WHERE vm_id = 3111").run();
+    await vmPlanSync.runDueReboots();
+
+    expect(auditCount('vm_plan_reboot')).toBe(1);
+    expect(assignment(3111)).toEqual(expect.objectContaining({ plan_status: 'applied', plan_reboot_at: null }));
+  });
+
+  test('VMs already on the plan spec are left alone, downgrades shrink them again', async () => {
+    await expect(vmPlanSync.syncUserVMs(owner.id)).resolves.toEqual([]);
+
+    await changePlan('Hour Booster');
+    await waitFor(() => auditCount('vm_plan_applied') === 4);
+
+    expect(ctx.simulator.getVM(3112).config).toEqual(expect.objectContaining({ cores: 2, memory: 4096 }));
+    expect(assignment(3112)).toEqual(expect.objectContaining({ plan_type: 'hour_booster', plan_status: 'applied' }));
+  });
+});
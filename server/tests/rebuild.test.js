@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, waitFor } = require('./helpers');
+
+describe('VM rebuild', () => {
+  let ctx;
+  let owner;
+  let otherCustomer;
+  let setupFilePath;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+
+    owner = await createUser(ctx.db, { username: 'rebuilder', vmIds: [3031, 3032] });
+    otherCustomer = await createUser(ctx.db, { username: 'bystander' });
+
+    ctx.simulator.addVM({ vmid: 3031, name: `${owner.uuid}-01`, status: 'running' });
+    ctx.simulator.addVM({ vmid: 3032, name: 'legacy-vm' });
+
+    // The customer finished setup earlier, so their hwho.dat is stored on the server
+    setupFilePath = path.join(path.dirname(process.env.DATABASE_PATH), 'user-hwho.dat');
+    fs.writeFileSync(setupFilePath, 'hwho-test-data');
+    await ctx.db.createVMSetup(owner.id, 'hour_booster', 1, [3031], 'setup_in_progress', {
+      vmsCreated: [{ vmid: 3031, name: `${owner.uuid}-01`, vmNumber: 1 }]
+    });
+    await ctx.db.updateVMSetupFile(owner.id, setupFilePath, {});
+    await ctx.db.completeVMSetup(owner.id, { automationResults: [{ vmid: 3031, success: true }] });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const call = (method, user, path) => request(ctx.app)[method](`/api/vm${path}`).set('Authorization', authHeader(user));
+
+  const waitForRebuild = async (vmid) => {
+    let rebuild;
+    await waitFor(async () => {
+      rebuild = (await call('get', owner, `/${vmid}/rebuild`)).body.rebuild;
+      return rebuild.status !== 'running';
+    }, 20000);
+    return rebuild;
+  };
+
+  test('customer cannot rebuild a VM they do not own', async () => {
+    const res = await call('post', otherCustomer, '/3031/rebuild');
+    expect(res.status).toBe(403);
+    expect(ctx.simulator.getVM(3031)).toBeDefined();
+  });
+
+  test('VMs outside the customer\'s numbering are not rebuilt', async () => {
+    const res = await call('post', owner, '/3032/rebuild');
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VM_NOT_REBUILDABLE');
+  });
+
+  test('reclones the VM into the same slot and restores the setup', async () => {
+    const proxmoxService = require('../services/proxmox');
+    const vmOperationLock = require('../services/vmOperationLock');
+    const destroyVM = proxmoxService.destroyVM;
+    let lockedWhileDestroyed = null;
+    proxmoxService.destroyVM = (vmid) => {
+      lockedWhileDestroyed = vmOperationLock.isLocked(vmid);
+      return destroyVM.call(proxmoxService, vmid);
+    };
+
+    const res = await call('post', owner, '/3031/rebuild');
+    expect(res.status).toBe(202);
+    expect(res.body.rebuild.status).toBe('running');
+
+    const again = await call('post', owner, '/3031/rebuild');
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('REBUILD_IN_PROGRESS');
+
+    const rebuild = await waitForRebuild(3031);
+    proxmoxService.destroyVM = destroyVM;
+    expect(rebuild.status).toBe('completed');
+    expect(lockedWhileDestroyed).toBe(true);
+    expect(rebuild.result).toEqual({ setupFileRestored: true, automationStarted: true });
+
+    const newVm = ctx.simulator.getVM(rebuild.newVmid);
+    expect(ctx.simulator.getVM(3031)).toBeUndefined();
+    expect(newVm.config.name).toBe(`${owner.uuid}-01`);
+    expect(newVm.status).toBe('running');
+    expect(newVm.files.get('C:\\hwho\\hwho.dat').toString()).toBe('hwho-test-data');
+
+    expect(ctx.db.getUserVMs(owner.id).sort()).toEqual([3032, rebuild.newVmid].sort());
+
+    const setup = await ctx.db.getVMSetupByUser(owner.id);
+    expect(setup.vm_ids).toEqual([rebuild.newVmid]);
+    expect(setup.setup_data.automationResults).toEqual([
+      expect.objectContaining({ vmid: rebuild.newVmid, success: true })
+    ]);
+  });
+
+  test('a failed rebuild keeps the slot listed and can be retried', async () => {
+    const vmid = ctx.db.getUserVMs(owner.id).find(id => id !== 3032);
+    const template = ctx.simulator.getVM(3000);
+    ctx.simulator.vms.delete(3000);
+
+    await call('post', owner, `/${vmid}/rebuild`);
+    const failed = await waitForRebuild(vmid);
+    expect(failed.status).toBe('failed');
+    expect(ctx.simulator.getVM(vmid)).toBeUndefined();
+    // The clone call itself failed, which must not leave its VMID reserved
+    expect(ctx.db.db.prepare('SELECT COUNT(*) AS count FROM vmid_reservations').get().count).toBe(0);
+
+    const list = await call('get', owner, '');
+    expect(list.body.vms).toEqual(expect.arrayContaining([
+      expect.objectContaining({ vmid, rebuild: expect.objectContaining({ status: 'failed' }) })
+    ]));
+
+    ctx.simulator.vms.set(3000, template);
+
+    const retry = await call('post', owner, `/${vmid}/rebuild`);
+    expect(retry.status).toBe(202);
+    const rebuilt = await waitForRebuild(vmid);
+    expect(rebuilt.status).toBe('completed');
+    expect(ctx.simulator.getVM(rebuilt.newVmid).config.name).toBe(`${owner.uuid}-01`);
+  });
+
+  test('concurrent requests start only one rebuild', async () => {
+    const vmid = ctx.db.getUserVMs(owner.id).find(id => id !== 3032);
+    const proxmoxService = require('../services/proxmox');
+    const getVMConfig = proxmoxService.getVMConfig;
+    // Both requests get past the first in-progress check before either records its rebuild
+    proxmoxService.getVMConfig = async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return getVMConfig.apply(proxmoxService, args);
+    };
+
+    let responses;
+    try {
+      responses = await Promise.all([call('post', owner, `/${vmid}/rebuild`), call('post', owner, `/${vmid}/rebuild`)]);
+    } finally {
+      proxmoxService.getVMConfig = getVMConfig;
+    }
+
+    expect(responses.map(res => res.status).sort()).toEqual([202, 409]);
+    const started = responses.find(res => res.status === 202);
+    const conflict = responses.find(res => res.status === 409);
+    expect(conflict.body.code).toBe('REBUILD_IN_PROGRESS');
+    expect(conflict.body.rebuild.id).toBe(started.body.rebuild.id);
+    expect(ctx.db.db.prepare(`SELECT COUNT(*) AS count FROM vm_rebuilds WHERE old_vmid = ? AND status = 'running'`).get(vmid).count).toBe(1);
+
+    expect((await waitForRebuild(vmid)).status).toBe('completed');
+  });
+});
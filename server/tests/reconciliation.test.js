@@ -0,0 +1,107 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader } = require('./helpers');
+
+describe('VM reconciliation', () => {
+  let ctx;
+  let eventBus;
+  let vmReconciliation;
+  let admin;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    eventBus = require('../services/eventBus');
+    vmReconciliation = require('../services/vmReconciliation');
+
+    admin = await createUser(ctx.db, { username: 'reconadmin', role: 'admin' });
+    alice = await createUser(ctx.db, { username: 'reconalice' });
+    bob = await createUser(ctx.db, { username: 'reconbob' });
+
+    ctx.simulator.addVM({ vmid: 3020, name: `${alice.uuid}-01`, status: 'running' }); // healthy
+    ctx.simulator.addVM({ vmid: 3021, name: `${alice.uuid}-02` }); // never assigned
+    ctx.simulator.addVM({ vmid: 3022, name: 'LEFTOVER', status: 'running' }); // unknown, in range
+    ctx.simulator.addVM({ vmid: 3023, name: `${alice.uuid}-03` }); // assigned to the wrong customer
+    ctx.simulator.addVM({ vmid: 200, name: 'infra-dns' }); // outside the customer range
+
+    ctx.db.assignVMToUser(alice.id, 3020);
+    ctx.db.assignVMToUser(alice.id, 3050); // destroyed by hand
+    ctx.db.assignVMToUser(bob.id, 3023);
+    await ctx.db.createVMSetup(alice.id, 'hour_booster', 2, [3020, 3051], 'ready_for_setup');
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const api = (method, path, user = admin) => request(ctx.app)[method](`/api/admin${path}`).set('Authorization', authHeader(user));
+  const fix = (findingId, action, extra = {}) => api('post', '/reconciliation/fix').send({ findingId, action, ...extra });
+
+  test('the report lists orphan VMs, dangling assignments and mismatches', async () => {
+    expect((await api('get', '/reconciliation', alice)).status).toBe(403);
+
+    const response = await api('get', '/reconciliation');
+    expect(response.status).toBe(200);
+
+    const byId = Object.fromEntries(response.body.findings.map(f => [f.id, f]));
+    expect(Object.keys(byId).sort()).toEqual([
+      `dangling_assignment:3050:${alice.id}`,
+      'orphan_vm:3021',
+      'orphan_vm:3022',
+      `owner_mismatch:3023:${bob.id}`,
+      `setup_mismatch:${alice.id}`
+    ].sort());
+
+    expect(byId['orphan_vm:3021']).toEqual(expect.objectContaining({ expectedUserId: alice.id, fixes: ['assign', 'destroy'] }));
+    expect(byId['orphan_vm:3022'].expectedUserId).toBeNull();
+    expect(byId[`owner_mismatch:3023:${bob.id}`]).toEqual(expect.objectContaining({ userId: bob.id, expectedUserId: alice.id }));
+    expect(byId[`setup_mismatch:${alice.id}`]).toEqual(expect.objectContaining({ missing: [3050], extra: [3051] }));
+    expect(response.body.summary).toEqual(expect.objectContaining({ total: 5, orphan_vm: 2 }));
+  });
+
+  test('scheduled dry runs alert admins once per change in findings', async () => {
+    const alerts = [];
+    const listener = alert => alerts.push(alert);
+    eventBus.on('reconciliation.alert', listener);
+
+    await vmReconciliation.runScheduledCheck();
+    await vmReconciliation.runScheduledCheck();
+
+    eventBus.off('reconciliation.alert', listener);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].summary.total).toBe(5);
+
+    const logged = ctx.db.db.prepare("SELECT COUNT(*) AS count FROM audit_logs WHERE action = 'reconciliation_drift_detected'").get();
+    expect(logged.count).toBe(1);
+  });
+
+  test('fixes assign, unassign and destroy against a fresh report', async () => {
+    expect((await fix('orphan_vm:3021', 'unassign')).body.code).toBe('INVALID_FIX');
+    expect((await fix('orphan_vm:3022', 'assign')).body.code).toBe('OWNER_REQUIRED');
+
+    expect((await fix('orphan_vm:3021', 'assign')).status).toBe(200);
+    expect((await fix(`dangling_assignment:3050:${alice.id}`, 'unassign')).status).toBe(200);
+    expect((await fix(`owner_mismatch:3023:${bob.id}`, 'assign')).status).toBe(200);
+    expect(ctx.db.getUserVMIds(alice.id).sort()).toEqual([3020, 3021, 3023]);
+    expect(ctx.db.getUserVMIds(bob.id)).toEqual([]);
+
+    const destroyed = await fix('orphan_vm:3022', 'destroy');
+    expect(destroyed.status).toBe(200);
+    expect(ctx.simulator.getVM(3022)).toBeUndefined();
+
+    // Clicking a fix from a stale report does nothing
+    const stale = await fix('orphan_vm:3022', 'destroy');
+    expect(stale.status).toBe(404);
+    expect(stale.body.code).toBe('FINDING_NOT_FOUND');
+  });
+
+  test('setup records can be synced with the assignments', async () => {
+    const response = await fix(`setup_mismatch:${alice.id}`, 'sync_setup');
+    expect(response.status).toBe(200);
+    expect(response.body.result.vmIds).toEqual([3020, 3021, 3023]);
+
+    const setup = await ctx.db.getVMSetupByUser(alice.id);
+    expect(setup.vm_ids).toEqual([3020, 3021, 3023]);
+    expect(setup.setup_data.vmsCreated[1]).toEqual({ vmid: 3021, name: `${alice.uuid}-02`, vmNumber: 2 });
+
+    expect((await api('get', '/reconciliation')).body.findings).toEqual([]);
+  });
+});
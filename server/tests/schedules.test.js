@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, hoursFromNow } = require('./helpers');
+
+describe('VM schedules', () => {
+  let ctx;
+  let vmScheduler;
+  let owner;
+  let otherCustomer;
+  let expiredCustomer;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    vmScheduler = require('../services/vmScheduler');
+
+    ctx.simulator.addVM({ vmid: 3061, name: 'SCHED-01' });
+    ctx.simulator.addVM({ vmid: 3062, name: 'SCHED-02' });
+
+    owner = await createUser(ctx.db, { username: 'schedowner', vmIds: [3061] });
+    otherCustomer = await createUser(ctx.db, { username: 'schedother' });
+    expiredCustomer = await createUser(ctx.db, { username: 'schedexpired', vmIds: [3062], expiresAt: hoursFromNow(-1) });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const call = (method, user, path) => request(ctx.app)[method](`/api/vm${path}`).set('Authorization', authHeader(user));
+
+  const makeDue = (scheduleId) => ctx.db.db
+    .prepare("UPDATE vm_schedules SET next_run_at = datetime('now', '-1 minute') WHERE id = ?")
+    .run(scheduleId);
+
+  const auditDetails = (userId, action) => ctx.db.db
+    .prepare('SELECT details FROM audit_logs WHERE user_id = ? AND action = ? ORDER BY id')
+    .all(userId, action)
+    .map(row => JSON.parse(row.details));
+
+  test('owner can create, list, update and delete schedules', async () => {
+    const created = await call('post', owner, '/3061/schedules')
+      .send({ action: 'reboot', cron: '0 4 * * *', timezone: 'Europe/Berlin' });
+    expect(created.status).toBe(201);
+    expect(created.body.schedule).toEqual(expect.objectContaining({
+      action: 'reboot',
+      cron: '0 4 * * *',
+      timezone: 'Europe/Berlin',
+      enabled: true,
+      nextRunAt: expect.any(String)
+    }));
+    expect(new Date(created.body.schedule.nextRunAt) > new Date()).toBe(true);
+
+    const id = created.body.schedule.id;
+
+    const updated = await call('put', owner, `/3061/schedules/${id}`).send({ enabled: false });
+    expect(updated.status).toBe(200);
+    expect(updated.body.schedule).toEqual(expect.objectContaining({ action: 'reboot', enabled: false, nextRunAt: null }));
+
+    const list = await call('get', owner, '/3061/schedules');
+    expect(list.body.schedules).toHaveLength(1);
+
+    expect((await call('delete', owner, `/3061/schedules/${id}`)).status).toBe(200);
+    expect((await call('get', owner, '/3061/schedules')).body.schedules).toHaveLength(0);
+  });
+
+  test('rejects invalid schedules and other customers', async () => {
+    const invalid = [
+      { action: 'destroy', cron: '0 4 * * *' },
+      { action: 'start', cron: 'every night' },
+      { action: 'start', cron: '0 4 * * *', timezone: 'Mars/Olympus' },
+      { action: 'reboot', cron: '*/5 * * * *' }
+    ];
+    for (const body of invalid) {
+      const res = await call('post', owner, '/3061/schedules').send(body);
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_SCHEDULE');
+    }
+
+    expect((await call('post', otherCustomer, '/3061/schedules').send({ action: 'start', cron: '0 8 * * *' })).status).toBe(403);
+    expect((await call('get', otherCustomer, '/3061/schedules')).status).toBe(403);
+
+    const expired = await call('post', expiredCustomer, '/3062/schedules').send({ action: 'start', cron: '0 8 * * *' });
+    expect(expired.status).toBe(403);
+    expect(expired.body.code).toBe('SUBSCRIPTION_REQUIRED');
+
+    // Stopping is always allowed, like the manual action
+    expect((await call('post', expiredCustomer, '/3062/schedules').send({ action: 'stop', cron: '0 8 * * *' })).status).toBe(201);
+  });
+
+  test('scheduler runs due actions and moves them to the next run', async () => {
+    const created = await call('post', owner, '/3061/schedules').send({ action: 'start', cron: '0 8 * * *' });
+    const id = created.body.schedule.id;
+    makeDue(id);
+
+    await vmScheduler.runDueSchedules();
+
+    expect(ctx.simulator.getVM(3061).status).toBe('running');
+    const schedule = (await call('get', owner, '/3061/schedules')).body.schedules.find(s => s.id === id);
+    expect(schedule.lastStatus).toBe('success');
+    expect(new Date(schedule.nextRunAt) > new Date()).toBe(true);
+    expect(auditDetails(owner.id, 'vm_schedule_run')).toEqual([
+      expect.objectContaining({ scheduleId: id, action: 'start' })
+    ]);
+
+    // Not due again until the next run
+    await vmScheduler.runDueSchedules();
+    expect(auditDetails(owner.id, 'vm_schedule_run')).toHaveLength(1);
+  });
+
+  test('scheduler skips start and reboot without an active subscription', async () => {
+    ctx.simulator.getVM(3062).status = 'stopped';
+    const schedule = ctx.db.createVMSchedule({
+      userId: expiredCustomer.id,
+      vmid: 3062,
+      action: 'start',
+      cronExpression: '0 8 * * *',
+      timezone: 'UTC',
+      nextRunAt: new Date()
+    });
+    makeDue(schedule.id);
+
+    await vmScheduler.runDueSchedules();
+
+    expect(ctx.simulator.getVM(3062).status).toBe('stopped');
+    expect(ctx.db.getVMSchedule(schedule.id).last_status).toBe('skipped');
+    expect(auditDetails(expiredCustomer.id, 'vm_schedule_skipped')).toEqual([
+      expect.objectContaining({ scheduleId: schedule.id, reason: 'Active subscription required' })
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own SQLite database in a temporary directory, and
+// talks to the Proxmox simulator instead of a real host (see helpers.js)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vm-dashboard-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DATABASE_PATH: path.join(dataDir, 'database.db'),
+  JWT_SECRET: 'test-jwt-secret',
+  SESSION_SECRET: 'test-session-secret',
+  STRIPE_SECRET_KEY: 'sk_test_stub',
+  STRIPE_WEBHOOK_SECRET: 'whsec_test_stub',
+  PROXMOX_USERNAME: 'root@pam',
+  PROXMOX_PASSWORD: 'simulator',
+  PROXMOX_NODE: 'pve',
+  PROXMOX_TOKEN_ID: '',
+  PROXMOX_TOKEN_SECRET: '',
+  PROXMOX_VMID_RANGE_START: '3001',
+  PROXMOX_VMID_RANGE_END: '3099'
+});
+
+// Stripe is never called for real. Webhook events are accepted when they carry
+// the "valid-signature" header and parsed from the raw body. Checkout sessions
+// and prices are faked, and every subscription is active. Like Stripe, sessions
+// must expire more than 30 minutes out.
+const mockSubscription = (id) => ({
+  id,
+  customer: 'cus_test',
+  status: 'active',
+  current_period_start: Math.floor(Date.now() / 1000),
+  current_period_end: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60
+});
+
+jest.mock('stripe', () => () => ({
+  prices: {
+    create: async () => ({ id: `price_test_${Math.random().toString(36).slice(2)}` })
+  },
+  checkout: {
+    sessions: {
+      create: async ({ expires_at: expiresAt }) => {
+        if (expiresAt && expiresAt <= Math.floor(Date.now() / 1000) + 30 * 60) {
+          throw new Error('The `expires_at` timestamp must be between 30 minutes and 24 hours from Checkout Session creation.');
+        }
+        const id = `cs_test_${Math.random().toString(36).slice(2)}`;
+        return { id, url: `https://checkout.stripe.test/${id}` };
+      }
+    }
+  },
+  subscriptions: {
+    retrieve: async (id) => ({ ...mockSubscription(id), items: { data: [{ id: 'si_test' }] } }),
+    update: async (id) => mockSubscription(id)
+  },
+  webhooks: {
+    constructEvent: (body, signature) => {
+      if (signature !== 'valid-signature') {
+        throw new Error('No signatures found matching the expected signature for payload');
+      }
+      return JSON.parse(body.toString());
+    }
+  }
+}));
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,102 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, waitFor } = require('./helpers');
+
+describe('Setup completion', () => {
+  let ctx;
+  let proxmoxService;
+  let eventBus;
+  let owner;
+  let unlucky;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    proxmoxService = require('../services/proxmox');
+    eventBus = require('../services/eventBus');
+
+    ctx.simulator.addVM({ vmid: 3061, name: 'AUTO-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3062, name: 'AUTO-02', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3063, name: 'AUTO-03', status: 'running' });
+
+    owner = await createUser(ctx.db, { username: 'autoowner', vmIds: [3061, 3062] });
+    unlucky = await createUser(ctx.db, { username: 'autounlucky', vmIds: [3063] });
+    await ctx.db.createVMSetup(owner.id, 'hour_booster', 2, [3061, 3062], 'file_uploaded', {
+      vmsCreated: [{ vmid: 3061, name: 'AUTO-01' }, { vmid: 3062, name: 'AUTO-02' }]
+    });
+    await ctx.db.createVMSetup(unlucky.id, 'hour_booster', 1, [3063], 'file_uploaded', {
+      vmsCreated: [{ vmid: 3063, name: 'AUTO-03' }]
+    });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const complete = (user) => request(ctx.app).post('/api/vm/setup/complete').set('Authorization', authHeader(user));
+
+  // Collect the setup.status events of a user until the automation reports its outcome
+  const outcomeOf = (user) => new Promise(resolve => {
+    const listener = (event) => {
+      if (event.userId === user.id && event.totalVMs !== undefined) {
+        eventBus.off('setup.status', listener);
+        resolve(event);
+      }
+    };
+    eventBus.on('setup.status', listener);
+  });
+
+  test('answers before the scripts exit and reports the outcome when they do', async () => {
+    let finishScripts;
+    const scriptsExit = new Promise(resolve => {
+      finishScripts = resolve;
+    });
+    const waitForCommand = proxmoxService.waitForCommand;
+    proxmoxService.waitForCommand = async (...args) => {
+      await scriptsExit;
+      return waitForCommand.apply(proxmoxService, args);
+    };
+
+    try {
+      const outcome = outcomeOf(owner);
+      const res = await complete(owner);
+      expect(res.status).toBe(202);
+      expect(res.body.setupStatus.automationRunning).toBe(true);
+
+      const again = await complete(owner);
+      expect(again.status).toBe(409);
+      expect(again.body.code).toBe('AUTOMATION_RUNNING');
+
+      finishScripts();
+      expect(await outcome).toEqual(expect.objectContaining({ status: 'completed', automationStarted: 2, totalVMs: 2 }));
+    } finally {
+      proxmoxService.waitForCommand = waitForCommand;
+    }
+
+    const setup = await ctx.db.getVMSetupByUser(owner.id);
+    expect(setup.status).toBe('completed');
+    expect(setup.setup_data.automationRunning).toBe(false);
+    expect(setup.setup_data.automationResults).toEqual(expect.arrayContaining([
+      expect.objectContaining({ vmid: 3061, success: true }),
+      expect.objectContaining({ vmid: 3062, success: true })
+    ]));
+
+    expect((await complete(owner)).status).toBe(400);
+  });
+
+  test('a run that fails on every VM leaves the setup open for another try', async () => {
+    ctx.simulator.setExecHandler((vm, command) => (command.includes('-File') ? { exitcode: 1, err: 'script failed' } : undefined));
+
+    try {
+      const outcome = outcomeOf(unlucky);
+      expect((await complete(unlucky)).status).toBe(202);
+      expect(await outcome).toEqual(expect.objectContaining({ status: 'file_uploaded', automationStarted: 0, totalVMs: 1 }));
+    } finally {
+      ctx.simulator.setExecHandler(null);
+    }
+
+    await waitFor(async () => !(await ctx.db.getVMSetupByUser(unlucky.id)).setup_data.automationRunning);
+    const setup = await ctx.db.getVMSetupByUser(unlucky.id);
+    expect(setup.status).toBe('file_uploaded');
+    expect(setup.setup_data.automationResults).toEqual([expect.objectContaining({ vmid: 3063, success: false, exitCode: 1 })]);
+
+    expect((await complete(unlucky)).status).toBe(202);
+    await waitFor(async () => !(await ctx.db.getVMSetupByUser(unlucky.id)).setup_data.automationRunning);
+  });
+});
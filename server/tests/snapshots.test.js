@@ -0,0 +1,99 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, hoursFromNow } = require('./helpers');
+
+describe('VM snapshots', () => {
+  let ctx;
+  let owner;
+  let otherCustomer;
+  let expiredCustomer;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    ctx.simulator.addVM({ vmid: 3021, name: 'SNAP-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3022, name: 'SNAP-02' });
+    ctx.simulator.addVM({ vmid: 3023, name: 'SNAP-03' });
+
+    owner = await createUser(ctx.db, { username: 'snapowner', vmIds: [3021], plan: 'Dual Mode' });
+    otherCustomer = await createUser(ctx.db, { username: 'snapother', vmIds: [3022] });
+    expiredCustomer = await createUser(ctx.db, { username: 'snapexpired', vmIds: [3023], expiresAt: hoursFromNow(-1) });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const call = (method, user, path) => request(ctx.app)[method](`/api/vm${path}`).set('Authorization', authHeader(user));
+
+  const auditActions = (userId) => ctx.db.db
+    .prepare('SELECT action FROM audit_logs WHERE user_id = ? ORDER BY id')
+    .all(userId)
+    .map(row => row.action);
+
+  test('owner can take, list, restore and delete snapshots', async () => {
+    const created = await call('post', owner, '/3021/snapshots').send({ name: 'before_update', description: 'Working setup' });
+    expect(created.status).toBe(201);
+
+    ctx.simulator.getVM(3021).config.cores = 8;
+
+    const list = await call('get', owner, '/3021/snapshots');
+    expect(list.status).toBe(200);
+    expect(list.body.limit).toBe(2);
+    expect(list.body.snapshots).toEqual([
+      expect.objectContaining({ name: 'before_update', description: 'Working setup' })
+    ]);
+
+    const restored = await call('post', owner, '/3021/snapshots/before_update/rollback');
+    expect(restored.status).toBe(200);
+    expect(ctx.simulator.getVM(3021).config.cores).toBe(2);
+
+    const deleted = await call('delete', owner, '/3021/snapshots/before_update');
+    expect(deleted.status).toBe(200);
+    expect(ctx.simulator.getVM(3021).snapshots.size).toBe(0);
+
+    expect(auditActions(owner.id)).toEqual(expect.arrayContaining([
+      'vm_snapshot_created',
+      'vm_snapshot_restored',
+      'vm_snapshot_deleted'
+    ]));
+  });
+
+  test('enforces the plan snapshot limit', async () => {
+    expect((await call('post', owner, '/3021/snapshots').send({ name: 'first' })).status).toBe(201);
+    expect((await call('post', owner, '/3021/snapshots').send({ name: 'second' })).status).toBe(201);
+
+    const res = await call('post', owner, '/3021/snapshots').send({ name: 'third' });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('SNAPSHOT_LIMIT_REACHED');
+  });
+
+  test('rejects invalid and duplicate names', async () => {
+    const invalid = await call('post', otherCustomer, '/3022/snapshots').send({ name: '1 bad name' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('INVALID_SNAPSHOT_NAME');
+
+    expect((await call('post', otherCustomer, '/3022/snapshots').send({ name: 'clean' })).status).toBe(201);
+
+    const duplicate = await call('post', otherCustomer, '/3022/snapshots').send({ name: 'clean' });
+    expect(duplicate.status).toBe(409);
+  });
+
+  test.each([
+    ['get', '/3022/snapshots'],
+    ['post', '/3022/snapshots'],
+    ['post', '/3022/snapshots/clean/rollback'],
+    ['delete', '/3022/snapshots/clean']
+  ])('customer cannot %s %s on a VM they do not own', async (method, path) => {
+    const res = await call(method, owner, path);
+    expect(res.status).toBe(403);
+    expect(ctx.simulator.getVM(3022).snapshots.has('clean')).toBe(true);
+  });
+
+  test('expired subscription cannot take snapshots', async () => {
+    const res = await call('post', expiredCustomer, '/3023/snapshots').send({ name: 'late' });
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('SUBSCRIPTION_REQUIRED');
+  });
+
+  test('restoring an unknown snapshot returns 404', async () => {
+    const res = await call('post', owner, '/3021/snapshots/missing/rollback');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader } = require('./helpers');
+
+describe('VM status cache', () => {
+  let ctx;
+  let vmStatusCache;
+  let proxmoxService;
+  let owner;
+  let getVMs;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    vmStatusCache = require('../services/vmStatusCache');
+    proxmoxService = require('../services/proxmox');
+    vmStatusCache.maxAge = 60 * 1000;
+
+    ctx.simulator.addVM({ vmid: 3081, name: 'CACHE-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3082, name: 'CACHE-02' });
+
+    owner = await createUser(ctx.db, { username: 'cacheowner', vmIds: [3081, 3082] });
+  });
+
+  beforeEach(() => {
+    getVMs = jest.spyOn(proxmoxService, 'getVMs');
+  });
+
+  afterEach(() => getVMs.mockRestore());
+
+  afterAll(() => stopTestApp(ctx));
+
+  const call = (method, path) => request(ctx.app)[method](`/api/vm${path}`).set('Authorization', authHeader(owner));
+
+  const listStatuses = async () => {
+    const res = await call('get', '');
+    expect(res.status).toBe(200);
+    return Object.fromEntries(res.body.vms.map(vm => [vm.vmid, vm.detailedStatus.status]));
+  };
+
+  test('VM list is served from the cache until it gets too old', async () => {
+    expect(await listStatuses()).toEqual({ 3081: 'running', 3082: 'stopped' });
+
+    ctx.simulator.getVM(3081).status = 'stopped';
+    expect(await listStatuses()).toEqual({ 3081: 'running', 3082: 'stopped' });
+    expect(getVMs).toHaveBeenCalledTimes(1);
+
+    vmStatusCache.updatedAt = 0;
+    expect(await listStatuses()).toEqual({ 3081: 'stopped', 3082: 'stopped' });
+    expect(getVMs).toHaveBeenCalledTimes(2);
+  });
+
+  test('power actions refresh the VM on the next read', async () => {
+    await listStatuses();
+
+    expect((await call('post', '/3082/start')).status).toBe(200);
+    expect((await listStatuses())[3082]).toBe('running');
+
+    expect((await call('post', '/3082/stop')).status).toBe(200);
+    expect((await listStatuses())[3082]).toBe('stopped');
+  });
+
+  test('concurrent reads share one Proxmox request', async () => {
+    vmStatusCache.invalidate(3081);
+
+    const statuses = await Promise.all([
+      vmStatusCache.getVMStatus(3081),
+      vmStatusCache.getVMStatus(3082),
+      vmStatusCache.getVMs()
+    ]);
+
+    expect(statuses[0].vmid).toBe(3081);
+    expect(getVMs).toHaveBeenCalledTimes(1);
+    await expect(vmStatusCache.getVMStatus(3999)).rejects.toThrow('VM 3999 not found');
+  });
+});
@@ -0,0 +1,63 @@
+const { startTestApp, stopTestApp, createUser, hoursFromNow, waitFor } = require('./helpers');
+
+describe('Subscription expiry lifecycle', () => {
+  let ctx;
+  let subscriptionManager;
+
+  beforeAll(async () => {
+    ctx = await startTestApp({ taskDuration: 50 });
+    subscriptionManager = require('../services/subscriptionManager');
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const setSubscriptionData = (userId, data) =>
+    ctx.db.db.prepare('UPDATE users SET subscription_data = ? WHERE id = ?').run(JSON.stringify(data), userId);
+
+  test('shuts down running VMs of an expired subscription and flags the user', async () => {
+    ctx.simulator.addVM({ vmid: 3011, name: 'LAPSED-01', status: 'running' });
+    const user = await createUser(ctx.db, { username: 'lapsed', vmIds: [3011], expiresAt: hoursFromNow(-1) });
+    setSubscriptionData(user.id, { stripeCustomerId: 'cus_lapsed' });
+
+    await subscriptionManager.checkExpiredSubscriptions();
+    await waitFor(() => ctx.simulator.getVM(3011).status === 'stopped');
+
+    const data = ctx.db.getSubscriptionData(user.id);
+    expect(data.vmsShutdownOnExpiry).toBe(1);
+    expect(data.stripeCustomerId).toBe('cus_lapsed');
+    expect(ctx.db.getUserVMs(user.id)).toEqual([3011]);
+  });
+
+  test('destroys VMs once a subscription has been expired for over 24 hours', async () => {
+    ctx.simulator.addVM({ vmid: 3012, name: 'GONE-01' });
+    const user = await createUser(ctx.db, { username: 'gone', vmIds: [3012], expiresAt: hoursFromNow(-25) });
+
+    await subscriptionManager.checkExpiredSubscriptions();
+    await waitFor(() => !ctx.simulator.getVM(3012));
+
+    expect(ctx.db.getUserVMs(user.id)).toEqual([]);
+    expect(ctx.db.getSubscriptionData(user.id).vmsDestroyed).toBe(1);
+  });
+
+  test('leaves active subscriptions alone', async () => {
+    ctx.simulator.addVM({ vmid: 3013, name: 'ACTIVE-01', status: 'running' });
+    const user = await createUser(ctx.db, { username: 'active', vmIds: [3013] });
+
+    await subscriptionManager.checkExpiredSubscriptions();
+
+    expect(ctx.simulator.getVM(3013).status).toBe('running');
+    expect(ctx.db.getSubscriptionData(user.id)).toEqual({});
+  });
+
+  test('renewal clears the shutdown flags', async () => {
+    const user = await createUser(ctx.db, { username: 'renewed' });
+    setSubscriptionData(user.id, { stripeCustomerId: 'cus_renewed', vmsShutdownOnExpiry: 1 });
+
+    expect(await subscriptionManager.handleSubscriptionRenewal(user.id)).toBe(true);
+
+    const data = ctx.db.getSubscriptionData(user.id);
+    expect(data.vmsShutdownOnExpiry).toBeUndefined();
+    expect(data.vmAccessRestored).toBe(true);
+    expect(data.stripeCustomerId).toBe('cus_renewed');
+  });
+});
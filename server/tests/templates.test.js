@@ -0,0 +1,102 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, waitFor } = require('./helpers');
+
+describe('Template registry', () => {
+  let ctx;
+  let vmProvisioning;
+  let admin;
+  let customer;
+
+  beforeAll(async () => {
+    ctx = await startTestApp({
+      templates: [
+        { vmid: 3000, name: 'Windows10T' },
+        { vmid: 3200, name: 'Windows10T-KD-v2' }
+      ]
+    });
+    vmProvisioning = require('../services/vmProvisioning');
+    ctx.simulator.addVM({ vmid: 3210, name: 'NOT-A-TEMPLATE' });
+
+    admin = await createUser(ctx.db, { username: 'templateadmin', role: 'admin' });
+    customer = await createUser(ctx.db, { username: 'templatecustomer', plan: 'KD Drop' });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const api = (method, path, user = admin) => request(ctx.app)[method](`/api/admin${path}`).set('Authorization', authHeader(user));
+
+  const activeVersion = async (planType) => {
+    const response = await api('get', '/templates');
+    return response.body.templates.find(t => t.plan_type === planType && t.active)?.version;
+  };
+
+  test('every plan starts on the Windows10T template and only admins can manage templates', async () => {
+    const response = await api('get', '/templates');
+    expect(response.status).toBe(200);
+    expect(response.body.templates).toHaveLength(3);
+    response.body.templates.forEach(template => {
+      expect(template).toEqual(expect.objectContaining({ vmid: 3000, version: '1', active: true }));
+    });
+
+    expect((await api('get', '/templates', customer)).status).toBe(403);
+    expect((await api('post', '/templates', customer).send({ planType: 'kd_drop', vmid: 3200, version: '2' })).status).toBe(403);
+  });
+
+  test('registering checks the VM is a template and promoting switches the plan over', async () => {
+    const notTemplate = await api('post', '/templates').send({ planType: 'kd_drop', vmid: 3210, version: '2' });
+    expect(notTemplate.status).toBe(400);
+    expect(notTemplate.body.code).toBe('NOT_A_TEMPLATE');
+
+    const duplicate = await api('post', '/templates').send({ planType: 'kd_drop', vmid: 3200, version: '1' });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe('TEMPLATE_VERSION_EXISTS');
+
+    const registered = await api('post', '/templates').send({ planType: 'kd_drop', vmid: 3200, version: '2', notes: 'New drivers' });
+    expect(registered.status).toBe(201);
+    expect(registered.body.template).toEqual(expect.objectContaining({ vmid: 3200, version: '2', active: false }));
+    expect(await activeVersion('kd_drop')).toBe('1');
+
+    const promoted = await api('post', `/templates/${registered.body.template.id}/promote`);
+    expect(promoted.status).toBe(200);
+    expect(await activeVersion('kd_drop')).toBe('2');
+    expect(await activeVersion('hour_booster')).toBe('1');
+  });
+
+  test('provisioned VMs record the template version and older VMs are listed as outdated', async () => {
+    await vmProvisioning.provisionVMsForUser(customer.id, { id: 'sub_template', metadata: { planType: 'kd_drop', vmCount: 1 } });
+    await waitFor(() => ctx.db.getUserVMAssignments(customer.id).some(a => a.template_version));
+
+    const [assignment] = ctx.db.getUserVMAssignments(customer.id);
+    expect(assignment.template_version).toBe('2');
+
+    // A VM cloned before the promotion
+    const v1 = ctx.db.getTemplateByVersion('kd_drop', '1');
+    ctx.db.assignVMToUser(customer.id, 3210);
+    ctx.db.setVMPlanSpec(3210, { planType: 'kd_drop', cores: 4, memory: 8192 });
+    ctx.db.setVMTemplate(3210, v1.id);
+
+    const response = await api('get', '/templates');
+    expect(response.body.outdatedVMs).toEqual([
+      expect.objectContaining({ vmid: 3210, username: 'templatecustomer', template_version: '1', current_version: '2' })
+    ]);
+  });
+
+  test('only versions that are not active can be retired', async () => {
+    const v1 = ctx.db.getTemplateByVersion('kd_drop', '1');
+    const v2 = ctx.db.getTemplateByVersion('kd_drop', '2');
+
+    const active = await api('post', `/templates/${v2.id}/retire`);
+    expect(active.status).toBe(409);
+    expect(active.body.code).toBe('TEMPLATE_ACTIVE');
+
+    const retired = await api('post', `/templates/${v1.id}/retire`);
+    expect(retired.status).toBe(200);
+    expect(retired.body.template.retired_at).toBeTruthy();
+    expect((await api('post', `/templates/${v1.id}/retire`)).status).toBe(409);
+
+    // Rolling back to a retired version brings it back into use
+    const rolledBack = await api('post', `/templates/${v1.id}/promote`);
+    expect(rolledBack.body.template).toEqual(expect.objectContaining({ active: true, retired_at: null }));
+    expect(await activeVersion('kd_drop')).toBe('1');
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, hoursFromNow } = require('./helpers');
+
+describe('VM control ownership checks', () => {
+  let ctx;
+  let owner;
+  let otherCustomer;
+  let expiredCustomer;
+  let admin;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    ctx.simulator.addVM({ vmid: 3001, name: 'OWNER-01' });
+    ctx.simulator.addVM({ vmid: 3002, name: 'OTHER-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3003, name: 'EXPIRED-01', status: 'running' });
+
+    owner = await createUser(ctx.db, { username: 'owner', vmIds: [3001] });
+    otherCustomer = await createUser(ctx.db, { username: 'other', vmIds: [3002] });
+    expiredCustomer = await createUser(ctx.db, { username: 'expired', vmIds: [3003], expiresAt: hoursFromNow(-1) });
+    admin = await createUser(ctx.db, { username: 'admin', role: 'admin' });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const post = (user, path) => request(ctx.app).post(`/api/vm${path}`).set('Authorization', authHeader(user));
+
+  test('requires a token', async () => {
+    const res = await request(ctx.app).post('/api/vm/3001/start');
+    expect(res.status).toBe(401);
+  });
+
+  test('owner can start and stop their own VM', async () => {
+    const start = await post(owner, '/3001/start');
+    expect(start.status).toBe(200);
+    expect(ctx.simulator.getVM(3001).status).toBe('running');
+
+    const stop = await post(owner, '/3001/stop');
+    expect(stop.status).toBe(200);
+    expect(ctx.simulator.getVM(3001).status).toBe('stopped');
+  });
+
+  test.each(['start', 'stop', 'shutdown', 'reboot'])('customer cannot %s a VM they do not own', async (action) => {
+    const res = await post(owner, `/3002/${action}`);
+    expect(res.status).toBe(403);
+    expect(ctx.simulator.getVM(3002).status).toBe('running');
+  });
+
+  test('customer cannot read another customer\'s VM', async () => {
+    const res = await request(ctx.app).get('/api/vm/3002').set('Authorization', authHeader(owner));
+    expect(res.status).toBe(403);
+  });
+
+  test('VM list only contains the customer\'s own VMs', async () => {
+    const res = await request(ctx.app).get('/api/vm').set('Authorization', authHeader(otherCustomer));
+    expect(res.status).toBe(200);
+    expect(res.body.vms.map(vm => vm.vmid)).toEqual([3002]);
+  });
+
+  test('expired subscription blocks start but still allows stop', async () => {
+    const start = await post(expiredCustomer, '/3003/start');
+    expect(start.status).toBe(403);
+    expect(start.body.code).toBe('SUBSCRIPTION_REQUIRED');
+
+    const stop = await post(expiredCustomer, '/3003/stop');
+    expect(stop.status).toBe(200);
+    expect(ctx.simulator.getVM(3003).status).toBe('stopped');
+  });
+
+  test('admin can read any VM', async () => {
+    const res = await request(ctx.app).get('/api/vm/3002').set('Authorization', authHeader(admin));
+    expect(res.status).toBe(200);
+    expect(res.body.config.name).toBe('OTHER-01');
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader } = require('./helpers');
+
+describe('VM labels', () => {
+  let ctx;
+  let admin;
+  let owner;
+  let other;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+
+    ctx.simulator.addVM({ vmid: 3121, name: 'LABEL-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3122, name: 'LABEL-02' });
+    ctx.simulator.addVM({ vmid: 3123, name: 'LABEL-03' });
+
+    admin = await createUser(ctx.db, { username: 'labeladmin', role: 'admin' });
+    owner = await createUser(ctx.db, { username: 'labelowner', vmIds: [3121, 3122] });
+    other = await createUser(ctx.db, { username: 'labelother' });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const api = (method, path, user = owner) => request(ctx.app)[method](`/api/vm${path}`).set('Authorization', authHeader(user));
+
+  test('owners save labels; other customers are denied and bad values rejected', async () => {
+    const saved = await api('put', '/3121/metadata').send({ nickname: ' Raid alt ', tag: 'Customs', color: 'green', notes: 'Keep farming' });
+    expect(saved.status).toBe(200);
+    expect(saved.body.metadata).toEqual(expect.objectContaining({ nickname: 'Raid alt', tag: 'Customs', color: 'green', notes: 'Keep farming' }));
+
+    // Omitted fields keep their value, empty strings clear them
+    const updated = await api('put', '/3121/metadata').send({ notes: '' });
+    expect(updated.body.metadata).toEqual(expect.objectContaining({ nickname: 'Raid alt', tag: 'Customs', notes: null }));
+
+    expect((await api('get', '/3121/metadata', other)).status).toBe(403);
+    expect((await api('put', '/3121/metadata', other).send({ nickname: 'Mine' })).status).toBe(403);
+
+    for (const body of [{ color: 'neon' }, { tag: 'x'.repeat(25) }, { nickname: 42 }]) {
+      const rejected = await api('put', '/3122/metadata').send(body);
+      expect(rejected.status).toBe(400);
+      expect(rejected.body.code).toBe('INVALID_METADATA');
+    }
+  });
+
+  test('the VM list carries labels for customers and admins', async () => {
+    await api('put', '/3122/metadata').send({ tag: 'Customs', color: 'blue' });
+
+    const customerList = await api('get', '');
+    const byVmid = Object.fromEntries(customerList.body.vms.map(vm => [vm.vmid, vm.metadata]));
+    expect(byVmid[3121]).toEqual(expect.objectContaining({ nickname: 'Raid alt', tag: 'Customs' }));
+    expect(byVmid[3122]).toEqual(expect.objectContaining({ nickname: null, tag: 'Customs', color: 'blue' }));
+
+    const adminList = await api('get', '', admin);
+    const adminVM = adminList.body.vms.find(vm => vm.vmid === 3121);
+    expect(adminVM.metadata).toEqual(expect.objectContaining({ nickname: 'Raid alt', owner: 'labelowner' }));
+    expect(adminList.body.vms.find(vm => vm.vmid === 3123).metadata.nickname).toBeNull();
+
+    const users = await request(ctx.app).get('/api/admin/users').set('Authorization', authHeader(admin));
+    const listed = users.body.users.find(u => u.id === owner.id);
+    expect(listed.vmMetadata[3121]).toEqual(expect.objectContaining({ nickname: 'Raid alt', tag: 'Customs' }));
+  });
+
+  test('admins edit the owner\'s labels, but only on assigned VMs', async () => {
+    const edited = await api('put', '/3122/metadata', admin).send({ nickname: 'Spare' });
+    expect(edited.status).toBe(200);
+    expect(ctx.db.getVMMetadata(owner.id, 3122).nickname).toBe('Spare');
+    expect(ctx.db.getVMMetadata(admin.id, 3122)).toBeNull();
+
+    const unassigned = await api('put', '/3123/metadata', admin).send({ nickname: 'Nobody' });
+    expect(unassigned.status).toBe(409);
+    expect(unassigned.body.code).toBe('VM_NOT_ASSIGNED');
+  });
+
+  test('labels follow the VM when it is rebuilt under a new VMID', async () => {
+    ctx.db.replaceUserVM(owner.id, 3121, 3124);
+
+    expect(ctx.db.getVMMetadata(owner.id, 3121)).toBeNull();
+    expect(ctx.db.getVMMetadata(owner.id, 3124)).toEqual(expect.objectContaining({ nickname: 'Raid alt', tag: 'Customs', color: 'green' }));
+  });
+});
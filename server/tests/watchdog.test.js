@@ -0,0 +1,82 @@
+const request = require('supertest');
+const { startTestApp, stopTestApp, createUser, authHeader, hoursFromNow } = require('./helpers');
+
+describe('VM watchdog', () => {
+  let ctx;
+  let vmWatchdog;
+  let owner;
+  let expiredCustomer;
+  let admin;
+
+  beforeAll(async () => {
+    ctx = await startTestApp();
+    vmWatchdog = require('../services/vmWatchdog');
+    vmWatchdog.bootGraceSeconds = 0;
+
+    ctx.simulator.addVM({ vmid: 3071, name: 'WATCH-01', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3072, name: 'WATCH-02', status: 'running' });
+    ctx.simulator.addVM({ vmid: 3073, name: 'WATCH-03', status: 'running' });
+
+    owner = await createUser(ctx.db, { username: 'watchowner', vmIds: [3071, 3072] });
+    expiredCustomer = await createUser(ctx.db, { username: 'watchexpired', vmIds: [3073], expiresAt: hoursFromNow(-1) });
+    admin = await createUser(ctx.db, { username: 'watchadmin', role: 'admin' });
+  });
+
+  afterAll(() => stopTestApp(ctx));
+
+  const get = (user, path) => request(ctx.app).get(`/api${path}`).set('Authorization', authHeader(user));
+
+  const auditActions = (userId) => ctx.db.db
+    .prepare('SELECT action FROM audit_logs WHERE user_id = ? ORDER BY id')
+    .all(userId)
+    .map(row => row.action);
+
+  test('resets a hung VM after the configured number of failed checks', async () => {
+    ctx.simulator.getVM(3071).hung = true;
+
+    for (let i = 1; i < vmWatchdog.failureThreshold; i++) {
+      await vmWatchdog.checkVMs();
+      expect(ctx.simulator.getVM(3071).hung).toBe(true);
+    }
+
+    await vmWatchdog.checkVMs();
+
+    expect(ctx.simulator.getVM(3071).hung).toBe(false);
+    expect(ctx.simulator.getVM(3072).hung).toBe(false);
+    expect(auditActions(owner.id)).toContain('vm_watchdog_recovered');
+
+    const [incident] = ctx.db.getRecentVMIncidents();
+    expect(incident).toEqual(expect.objectContaining({
+      vmid: 3071,
+      action: 'reset',
+      status: 'recovered',
+      details: expect.objectContaining({ failedChecks: vmWatchdog.failureThreshold, cpuPercent: 0 })
+    }));
+  });
+
+  test('leaves VMs of customers without a subscription alone', async () => {
+    ctx.simulator.getVM(3073).hung = true;
+
+    for (let i = 0; i < vmWatchdog.failureThreshold; i++) {
+      await vmWatchdog.checkVMs();
+    }
+
+    expect(ctx.simulator.getVM(3073).hung).toBe(true);
+    expect(auditActions(expiredCustomer.id)).not.toContain('vm_watchdog_recovered');
+  });
+
+  test('incident counts are shown on the VM list and admin monitoring', async () => {
+    const list = await get(owner, '/vm');
+    expect(list.status).toBe(200);
+    const vms = Object.fromEntries(list.body.vms.map(vm => [vm.vmid, vm]));
+    expect(vms[3071].incidents).toEqual({ count: 1, lastIncidentAt: expect.any(String) });
+    expect(vms[3072].incidents).toEqual({ count: 0, lastIncidentAt: null });
+
+    const incidents = await get(admin, '/admin/monitoring/incidents');
+    expect(incidents.status).toBe(200);
+    expect(incidents.body.incidents).toEqual([expect.objectContaining({ vmid: 3071, username: 'watchowner' })]);
+
+    const health = await get(admin, '/admin/monitoring/system-health');
+    expect(health.body.watchdog).toEqual({ incidents24h: 1, vmsAffected24h: 1 });
+  });
+});
@@ -45,9 +45,6 @@ echo.
 echo Setting up database...
 cd server
 call npm run setup-db
-echo.
-echo Updating VM assignments...
-node scripts\update-vm-assignments.js
 cd ..
 
 echo.